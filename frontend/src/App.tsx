@@ -6,6 +6,7 @@ import Login from './pages/Login'
 import Dashboard from './pages/Dashboard'
 import Users from './pages/Users'
 import ExcelFiles from './pages/ExcelFiles'
+import DuplicateVehicles from './pages/DuplicateVehicles'
 import VehicleSearch from './pages/VehicleSearch'
 import Profile from './pages/Profile'
 import OTPManagement from './pages/OTPManagement'
@@ -25,6 +26,8 @@ import FileStorageHandling from './components/FileStorageHandling'
 import StorageManagement from './pages/StorageManagement'
 import BackOfficeNumbers from './pages/BackOfficeNumbers'
 import Inventory from './pages/Inventory'
+import AgentTracking from './pages/AgentTracking'
+import InventoryTemplates from './pages/InventoryTemplates'
 import Landing from './pages/Landing'
 
 function AppContent() {
@@ -56,6 +59,7 @@ function AppContent() {
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/users" element={<Users />} />
         <Route path="/excel-files" element={<ExcelFiles />} />
+        <Route path="/duplicate-vehicles" element={<DuplicateVehicles />} />
         <Route path="/vehicle-search" element={<VehicleSearch />} />
         <Route path="/money" element={<MoneyManagement />} />
         <Route path="/admin-payments" element={<AdminPayments />} />
@@ -72,8 +76,10 @@ function AppContent() {
         <Route path="/storage-management" element={<StorageManagement />} />
         <Route path="/otp-management" element={<OTPManagement />} />
         <Route path="/notifications" element={<Notifications />} />
+        <Route path="/agent-tracking" element={<AgentTracking />} />
                           <Route path="/back-office-numbers" element={<BackOfficeNumbers />} />
                   <Route path="/inventory" element={<Inventory />} />
+        <Route path="/inventory-templates" element={<InventoryTemplates />} />
         <Route path="/profile" element={<Profile />} />
         <Route path="*" element={<Navigate to="/dashboard" replace />} />
       </Routes>
@@ -3,6 +3,7 @@ import { useMutation, useQueryClient, useQuery } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { XMarkIcon, UserIcon, CheckIcon } from '@heroicons/react/24/outline';
 import { excelAPI, usersAPI } from '../services/api';
+import MaskingPolicyEditor, { MaskingPolicy, emptyMaskingPolicy } from './MaskingPolicyEditor';
 
 interface AdminAssignmentModalProps {
   isOpen: boolean;
@@ -14,6 +15,7 @@ interface AdminAssignmentModalProps {
 export default function AdminAssignmentModal({ isOpen, onClose, file, currentUser }: AdminAssignmentModalProps) {
   const [selectedAdmins, setSelectedAdmins] = useState<string[]>([]);
   const [primaryAdmin, setPrimaryAdmin] = useState<string>('');
+  const [maskingPolicy, setMaskingPolicy] = useState<MaskingPolicy>(emptyMaskingPolicy());
   const queryClient = useQueryClient();
 
   // Fetch admins for assignment
@@ -30,12 +32,13 @@ export default function AdminAssignmentModal({ isOpen, onClose, file, currentUse
       const currentAssignedAdmins = file.assignedAdmins?.map((admin: any) => admin._id) || [];
       setSelectedAdmins(currentAssignedAdmins);
       setPrimaryAdmin(file.assignedTo?._id || '');
+      setMaskingPolicy(file.maskingPolicy || emptyMaskingPolicy());
     }
   }, [file]);
 
   const updateAssignmentsMutation = useMutation({
     mutationFn: ({ fileId, assignedAdmins }: { fileId: string; assignedAdmins: string[] }) =>
-      excelAPI.updateAssignments(fileId, { assignedAdmins }),
+      excelAPI.updateAssignments(fileId, { assignedAdmins, maskingPolicy }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['excel-files'] });
       toast.success('Admin assignments updated successfully');
@@ -189,6 +192,8 @@ export default function AdminAssignmentModal({ isOpen, onClose, file, currentUse
                 </p>
               </div>
 
+              <MaskingPolicyEditor value={maskingPolicy} onChange={setMaskingPolicy} />
+
               {/* Current Assignments Display */}
               {file.assignedAdmins && file.assignedAdmins.length > 0 && (
                 <div className="bg-gray-50 p-3 rounded-md">
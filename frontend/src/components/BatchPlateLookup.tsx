@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { excelAPI } from '../services/api';
+import VehicleExportButton from './VehicleExportButton';
+import {
+  ClipboardDocumentListIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+
+const MAX_BATCH_ITEMS = 500;
+
+interface BatchHit {
+  _id: string;
+  registration_number?: string;
+  chasis_number?: string;
+  make?: string;
+  customer_name?: string;
+  dataType?: string;
+  excel_file?: { _id: string; originalName?: string; filename?: string };
+}
+
+interface BatchResult {
+  query: string;
+  found: boolean;
+  hits: BatchHit[];
+  error?: string;
+}
+
+interface BatchPlateLookupProps {
+  onSelectHit?: (hit: BatchHit) => void;
+  canExport?: boolean;
+}
+
+// Paste plate or chassis numbers collected at a yard/toll plaza and look them all up at once
+export default function BatchPlateLookup({ onSelectHit, canExport = false }: BatchPlateLookupProps) {
+  const [input, setInput] = useState('');
+  const [searchType, setSearchType] = useState('all');
+  const [results, setResults] = useState<BatchResult[]>([]);
+  const [showMissing, setShowMissing] = useState(false);
+
+  const items = input
+    .split(/[\n,;]+/)
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const batchMutation = useMutation({
+    mutationFn: () => excelAPI.batchLookupVehicles({ items, searchType }),
+    onSuccess: (response) => {
+      setResults(response.data.data || []);
+      toast.success(response.data.message || 'Batch lookup complete');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Batch lookup failed');
+    }
+  });
+
+  const foundCount = results.filter(result => result.found).length;
+  const visibleResults = showMissing ? results : results.filter(result => result.found);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden">
+      <div className="bg-gradient-to-r from-indigo-600 to-blue-600 px-6 py-4">
+        <h2 className="text-lg font-bold text-white flex items-center gap-2">
+          <ClipboardDocumentListIcon className="h-5 w-5" />
+          Batch Lookup
+        </h2>
+        <p className="text-blue-100 text-sm">One plate or chassis number per line (up to {MAX_BATCH_ITEMS})</p>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          rows={5}
+          placeholder={'MH12AB1234\nDL3CAB5678\nMA3FJEB1S00123456'}
+          className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+        />
+
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={searchType}
+            onChange={(e) => setSearchType(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="all">Registration or chassis</option>
+            <option value="registration_number">Registration only</option>
+            <option value="chasis_number">Chassis only</option>
+          </select>
+          <button
+            type="button"
+            onClick={() => batchMutation.mutate()}
+            disabled={items.length === 0 || items.length > MAX_BATCH_ITEMS || batchMutation.isLoading}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-sm"
+          >
+            {batchMutation.isLoading && <ClockIcon className="h-4 w-4 animate-spin" />}
+            Look up {items.length} {items.length === 1 ? 'number' : 'numbers'}
+          </button>
+          {canExport && searchType !== 'chasis_number' && items.length > 0 && items.length <= MAX_BATCH_ITEMS && (
+            <VehicleExportButton request={{ registrationNumbers: items }} label="Export details" />
+          )}
+          {items.length > MAX_BATCH_ITEMS && (
+            <span className="text-sm text-red-600">Too many numbers - split into batches of {MAX_BATCH_ITEMS}</span>
+          )}
+        </div>
+
+        {results.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-semibold text-gray-700">
+                {foundCount} of {results.length} found
+              </span>
+              <label className="flex items-center gap-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showMissing}
+                  onChange={(e) => setShowMissing(e.target.checked)}
+                />
+                Show numbers not found
+              </label>
+            </div>
+
+            <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl max-h-96 overflow-y-auto">
+              {visibleResults.map((result, index) => (
+                <div key={`${result.query}-${index}`} className="p-3">
+                  <div className="flex items-center gap-2">
+                    {result.found ? (
+                      <CheckCircleIcon className="h-4 w-4 text-green-600" />
+                    ) : (
+                      <XCircleIcon className="h-4 w-4 text-gray-400" />
+                    )}
+                    <span className="font-mono font-semibold text-gray-900">{result.query}</span>
+                    {result.error && <span className="text-xs text-red-600">{result.error}</span>}
+                  </div>
+                  {result.hits.map(hit => (
+                    <button
+                      key={hit._id}
+                      type="button"
+                      onClick={() => onSelectHit?.(hit)}
+                      className="mt-2 ml-6 w-[calc(100%-1.5rem)] text-left px-3 py-2 bg-green-50 hover:bg-green-100 rounded-lg text-sm"
+                    >
+                      <span className="font-mono font-bold">{hit.registration_number || 'N/A'}</span>
+                      <span className="text-gray-600"> · {hit.chasis_number || 'N/A'}</span>
+                      {hit.make && <span className="text-gray-600"> · {hit.make}</span>}
+                      <span className="block text-xs text-gray-500">
+                        {hit.dataType}{hit.excel_file?.originalName ? ` · ${hit.excel_file.originalName}` : ''}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { excelAPI } from '../services/api';
+
+interface FileValidityModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  file: any;
+}
+
+// yyyy-mm-dd for <input type="date">
+const toDateInput = (value?: string | null) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Valid-from / expiry dates of a file, or restore when it has been archived
+export default function FileValidityModal({ isOpen, onClose, file }: FileValidityModalProps) {
+  const queryClient = useQueryClient();
+  const [validFrom, setValidFrom] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+
+  const isArchived = file?.availability === 'archived';
+
+  useEffect(() => {
+    setValidFrom(isArchived ? '' : toDateInput(file?.validFrom));
+    setExpiresAt(isArchived ? '' : toDateInput(file?.expiresAt));
+  }, [file?._id]);
+
+  const onDone = (response: any) => {
+    toast.success(response.data.message);
+    queryClient.invalidateQueries({ queryKey: ['excel-files'] });
+    queryClient.invalidateQueries({ queryKey: ['excel-import-jobs'] });
+    queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] });
+    onClose();
+  };
+
+  // Expiry is end of the chosen day, valid-from is its start (local time)
+  const toStartOfDay = (value: string) => (value ? new Date(`${value}T00:00:00`).toISOString() : null);
+  const toEndOfDay = (value: string) => (value ? new Date(`${value}T23:59:59`).toISOString() : null);
+
+  const saveMutation = useMutation({
+    mutationFn: () => excelAPI.updateFileValidity(file._id, {
+      validFrom: toStartOfDay(validFrom),
+      expiresAt: toEndOfDay(expiresAt)
+    }),
+    onSuccess: onDone,
+    onError: (error: any) => {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to update validity');
+    }
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: () => excelAPI.restoreFile(file._id, { expiresAt: toEndOfDay(expiresAt) }),
+    onSuccess: onDone,
+    onError: (error: any) => {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to restore file');
+    }
+  });
+
+  if (!isOpen || !file) return null;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900">
+              {isArchived ? 'Restore Archived File' : 'File Validity'}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            File: <span className="font-medium">{file.originalName}</span>
+          </p>
+
+          {isArchived ? (
+            <div className="p-2 mb-4 bg-blue-50 border border-blue-200 rounded text-xs text-blue-700">
+              Archived {file.archivedAt ? `on ${new Date(file.archivedAt).toLocaleDateString()}` : ''}.
+              Restoring rebuilds its vehicles from the archived workbook.
+            </div>
+          ) : (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Valid from (optional)</label>
+              <input
+                type="date"
+                value={validFrom}
+                onChange={(e) => setValidFrom(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">A future date hides the file from search until that day.</p>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Expires on (optional)</label>
+            <input
+              type="date"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">After this day the file is archived and its admins are notified.</p>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            {isArchived ? (
+              <button
+                onClick={() => restoreMutation.mutate()}
+                disabled={restoreMutation.isLoading}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {restoreMutation.isLoading ? 'Restoring...' : 'Restore'}
+              </button>
+            ) : (
+              <button
+                onClick={() => saveMutation.mutate()}
+                disabled={saveMutation.isLoading}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saveMutation.isLoading ? 'Saving...' : 'Save'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
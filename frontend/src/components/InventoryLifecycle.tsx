@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { ArrowPathIcon, PaperClipIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { inventoryAPI } from '../services/api';
+import { getImageUrl } from '../utils/config';
+
+export type InventoryStage = 'seized' | 'in-yard' | 'released' | 'auction' | 'handed-over';
+
+export interface ParkingCharges {
+  days: number;
+  perDay: number;
+  amount: number;
+}
+
+export interface InventoryStageChange {
+  stage: InventoryStage;
+  changedByName?: string;
+  note?: string;
+  documents: { name: string; fileUrl: string }[];
+  parkingDays: number;
+  parkingCharges: number;
+  changedAt: string;
+}
+
+export interface InventoryLifecycleData {
+  _id: string;
+  stage: InventoryStage;
+  stageChangedAt?: string;
+  yardIntakeAt?: string;
+  parkingYardName?: string;
+  parkingExpensesPerDay?: string;
+  release?: { releasedTo?: string; settlementAmount?: number; receiptNumber?: string; releasedAt?: string };
+  auction?: { auctionDate?: string; auctioneer?: string; reservePrice?: number; saleAmount?: number; buyerName?: string };
+  handover?: { handedOverTo?: string; bankName?: string; handedOverAt?: string };
+  closedAt?: string | null;
+  archivedAt?: string | null;
+  history?: InventoryStageChange[];
+  runningParkingCharges?: ParkingCharges;
+}
+
+export const STAGE_LABELS: Record<InventoryStage, string> = {
+  seized: 'Seized',
+  'in-yard': 'In Yard',
+  released: 'Released',
+  auction: 'Auction',
+  'handed-over': 'Handed Over'
+};
+
+export const STAGE_COLORS: Record<InventoryStage, string> = {
+  seized: 'bg-gray-100 text-gray-800',
+  'in-yard': 'bg-yellow-100 text-yellow-800',
+  released: 'bg-green-100 text-green-800',
+  auction: 'bg-purple-100 text-purple-800',
+  'handed-over': 'bg-blue-100 text-blue-800'
+};
+
+// Mirrors ALLOWED_TRANSITIONS in services/inventoryLifecycleService.js
+const NEXT_STAGES: Record<InventoryStage, InventoryStage[]> = {
+  seized: ['in-yard', 'released', 'handed-over'],
+  'in-yard': ['released', 'auction', 'handed-over'],
+  auction: ['in-yard', 'handed-over'],
+  released: [],
+  'handed-over': []
+};
+
+// Stage-specific fields of the transition form
+const STAGE_FIELDS: Record<InventoryStage, { name: string; label: string; type?: string; required?: boolean }[]> = {
+  seized: [],
+  'in-yard': [
+    { name: 'parkingYardName', label: 'Parking Yard' },
+    { name: 'parkingExpensesPerDay', label: 'Parking Charges Per Day' }
+  ],
+  released: [
+    { name: 'releasedTo', label: 'Released To', required: true },
+    { name: 'settlementAmount', label: 'Settlement Amount', type: 'number' },
+    { name: 'receiptNumber', label: 'Receipt Number' }
+  ],
+  auction: [
+    { name: 'auctionDate', label: 'Auction Date', type: 'date', required: true },
+    { name: 'auctioneer', label: 'Auctioneer' },
+    { name: 'reservePrice', label: 'Reserve Price', type: 'number' },
+    { name: 'saleAmount', label: 'Sale Amount', type: 'number' },
+    { name: 'buyerName', label: 'Buyer Name' }
+  ],
+  'handed-over': [
+    { name: 'handedOverTo', label: 'Handed Over To', required: true },
+    { name: 'bankName', label: 'Bank' }
+  ]
+};
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatAmount = (value: number) => `₹${value.toLocaleString('en-IN')}`;
+
+interface InventoryLifecycleProps {
+  inventory: InventoryLifecycleData;
+  userRole?: string;
+  onUpdated: (inventory: any) => void;
+}
+
+// Stage, parking charges and history of an inventory, with the form to move it to its next stage
+export default function InventoryLifecycle({ inventory, userRole, onUpdated }: InventoryLifecycleProps) {
+  const stage = inventory.stage || 'seized';
+  const nextStages = inventory.archivedAt
+    ? []
+    : NEXT_STAGES[stage].filter(next => userRole === 'admin' || (userRole === 'fieldAgent' && next === 'in-yard'));
+  const [nextStage, setNextStage] = useState<InventoryStage | ''>('');
+  const [fields, setFields] = useState<Record<string, string>>({});
+  const [note, setNote] = useState('');
+  const [documents, setDocuments] = useState<File[]>([]);
+
+  const stageMutation = useMutation({
+    mutationFn: (data: FormData) => inventoryAPI.updateInventoryStage(inventory._id, data),
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Inventory stage updated');
+      setNextStage('');
+      setFields({});
+      setNote('');
+      setDocuments([]);
+      onUpdated(response.data.data);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to update inventory stage');
+    }
+  });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!nextStage) return;
+
+    const data = new FormData();
+    data.append('stage', nextStage);
+    if (note) data.append('note', note);
+    STAGE_FIELDS[nextStage].forEach(field => {
+      if (fields[field.name]) data.append(field.name, fields[field.name]);
+    });
+    documents.forEach(file => data.append('documents', file));
+    stageMutation.mutate(data);
+  };
+
+  const charges = inventory.runningParkingCharges;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STAGE_COLORS[stage]}`}>
+          {STAGE_LABELS[stage]}
+        </span>
+        {inventory.archivedAt && (
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+            Archived
+          </span>
+        )}
+        {charges && charges.perDay > 0 && (
+          <span className="text-sm text-gray-700">
+            Parking: {charges.days} day(s) × {formatAmount(charges.perDay)} = <strong>{formatAmount(charges.amount)}</strong>
+            {inventory.closedAt ? ' (final)' : ' (running)'}
+          </span>
+        )}
+      </div>
+
+      {inventory.history && inventory.history.length > 0 && (
+        <ol className="border-l-2 border-gray-200 ml-2 space-y-3">
+          {inventory.history.map((change, index) => (
+            <li key={index} className="ml-4">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STAGE_COLORS[change.stage]}`}>
+                  {STAGE_LABELS[change.stage]}
+                </span>
+                <span className="flex items-center text-gray-500">
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  {formatDateTime(change.changedAt)}
+                </span>
+                {change.changedByName && <span className="text-gray-700">by {change.changedByName}</span>}
+                {change.parkingCharges > 0 && (
+                  <span className="text-gray-500">· parking {formatAmount(change.parkingCharges)}</span>
+                )}
+              </div>
+              {change.note && <p className="text-sm text-gray-600 mt-1">{change.note}</p>}
+              {change.documents.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {change.documents.map(document => (
+                    <a
+                      key={document.fileUrl}
+                      href={getImageUrl(document.fileUrl)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      <PaperClipIcon className="h-3 w-3 mr-1" />
+                      {document.name}
+                    </a>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {nextStages.length > 0 && (
+        <form onSubmit={handleSubmit} className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Move to</label>
+            <select
+              value={nextStage}
+              onChange={(e) => {
+                setNextStage(e.target.value as InventoryStage | '');
+                setFields({});
+              }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Select next stage</option>
+              {nextStages.map(next => (
+                <option key={next} value={next}>{STAGE_LABELS[next]}</option>
+              ))}
+            </select>
+          </div>
+
+          {nextStage && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {STAGE_FIELDS[nextStage].map(field => (
+                  <div key={field.name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {field.label}{field.required && ' *'}
+                    </label>
+                    <input
+                      type={field.type || 'text'}
+                      min={field.type === 'number' ? 0 : undefined}
+                      required={field.required}
+                      value={fields[field.name] || ''}
+                      onChange={(e) => setFields({ ...fields, [field.name]: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+                <textarea
+                  value={note}
+                  maxLength={500}
+                  rows={2}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Documents (images or PDF, up to 5)</label>
+                <input
+                  type="file"
+                  multiple
+                  accept="image/*,application/pdf"
+                  onChange={(e) => setDocuments(Array.from(e.target.files || []).slice(0, 5))}
+                  className="text-sm"
+                />
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={stageMutation.isLoading}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+                >
+                  <ArrowPathIcon className={`h-4 w-4 ${stageMutation.isLoading ? 'animate-spin' : ''}`} />
+                  <span>Update Stage</span>
+                </button>
+              </div>
+            </>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { CameraIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { inventoryAPI } from '../services/api';
+import { getImageUrl } from '../utils/config';
+
+export interface InventoryPhoto {
+  _id: string;
+  category: string;
+  fileUrl: string;
+  originalName?: string;
+  takenAt?: string | null;
+  uploadedAt: string;
+}
+
+// Mirrors PHOTO_CATEGORIES in models/Inventory.js (also the multipart field names)
+export const PHOTO_CATEGORIES = [
+  { value: 'odometer', label: 'Odometer' },
+  { value: 'front', label: 'Front' },
+  { value: 'rear', label: 'Rear' },
+  { value: 'left', label: 'Left Side' },
+  { value: 'right', label: 'Right Side' },
+  { value: 'keys', label: 'Keys' },
+  { value: 'rcBook', label: 'RC Book' },
+  { value: 'other', label: 'Other' }
+];
+
+export type PhotoSelection = Record<string, File[]>;
+
+const MAX_PHOTOS_PER_CATEGORY = 5;
+
+export const countPhotos = (selection: PhotoSelection) =>
+  Object.values(selection).reduce((total, files) => total + files.length, 0);
+
+// Adds the selected photos to a multipart request, one field per category
+export const appendPhotos = (data: FormData, selection: PhotoSelection) => {
+  Object.entries(selection).forEach(([category, files]) => {
+    files.forEach(file => data.append(category, file));
+  });
+};
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+interface PhotoCategoryInputsProps {
+  selection: PhotoSelection;
+  onChange: (selection: PhotoSelection) => void;
+}
+
+// One camera/file input per photo category
+export function PhotoCategoryInputs({ selection, onChange }: PhotoCategoryInputsProps) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {PHOTO_CATEGORIES.map(category => (
+        <div key={category.value}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {category.label}
+            {selection[category.value]?.length ? ` (${selection[category.value].length})` : ''}
+          </label>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={(e) => onChange({
+              ...selection,
+              [category.value]: Array.from(e.target.files || []).slice(0, MAX_PHOTOS_PER_CATEGORY)
+            })}
+            className="w-full text-sm"
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+interface InventoryPhotosProps {
+  inventoryId: string;
+  photos: InventoryPhoto[];
+  canUpload: boolean;
+  onUpdated: (inventory: any) => void;
+}
+
+// Seizure photos of an inventory, with EXIF capture times, and the form to add more
+export default function InventoryPhotos({ inventoryId, photos, canUpload, onUpdated }: InventoryPhotosProps) {
+  const [selection, setSelection] = useState<PhotoSelection>({});
+  const [inputKey, setInputKey] = useState(0);
+
+  const uploadMutation = useMutation({
+    mutationFn: (data: FormData) => inventoryAPI.addInventoryPhotos(inventoryId, data),
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Photos added');
+      setSelection({});
+      setInputKey(key => key + 1);
+      onUpdated(response.data.data);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to upload photos');
+    }
+  });
+
+  const handleUpload = () => {
+    const data = new FormData();
+    appendPhotos(data, selection);
+    uploadMutation.mutate(data);
+  };
+
+  const categoryLabel = (value: string) => PHOTO_CATEGORIES.find(category => category.value === value)?.label || value;
+
+  return (
+    <div className="space-y-4">
+      {photos.length === 0 ? (
+        <p className="text-sm text-gray-500 flex items-center">
+          <CameraIcon className="h-4 w-4 mr-1" />
+          No photos yet
+        </p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {photos.map(photo => (
+            <a
+              key={photo._id}
+              href={getImageUrl(photo.fileUrl)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block border border-gray-200 rounded-lg overflow-hidden hover:shadow"
+            >
+              <img src={getImageUrl(photo.fileUrl)} alt={categoryLabel(photo.category)} className="w-full h-28 object-cover bg-gray-50" />
+              <div className="p-2">
+                <p className="text-xs font-semibold text-gray-700">{categoryLabel(photo.category)}</p>
+                <p className="text-xs text-gray-500">
+                  {photo.takenAt ? `Taken ${formatDateTime(photo.takenAt)}` : `Uploaded ${formatDateTime(photo.uploadedAt)}`}
+                </p>
+              </div>
+            </a>
+          ))}
+        </div>
+      )}
+
+      {canUpload && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+          <PhotoCategoryInputs key={inputKey} selection={selection} onChange={setSelection} />
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleUpload}
+              disabled={countPhotos(selection) === 0 || uploadMutation.isLoading}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+            >
+              <ArrowUpTrayIcon className="h-4 w-4" />
+              <span>{uploadMutation.isLoading ? 'Uploading...' : `Add ${countPhotos(selection) || ''} Photo(s)`}</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
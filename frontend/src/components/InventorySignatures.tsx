@@ -0,0 +1,303 @@
+import { useEffect, useRef, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { PencilSquareIcon, MapPinIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { inventoryAPI } from '../services/api';
+import { getImageUrl } from '../utils/config';
+
+export type SignerRole = 'driver' | 'fieldAgent' | 'witness';
+
+export interface InventorySignature {
+  role: SignerRole;
+  name: string;
+  imageUrl: string;
+  source: 'image' | 'strokes';
+  signedAt: string;
+  latitude: number;
+  longitude: number;
+}
+
+// A signature drawn on the device: strokes of [x, y] points in canvas pixels
+export interface CapturedSignature {
+  role: SignerRole;
+  name?: string;
+  strokes: number[][][];
+  signedAt: string;
+  latitude?: number;
+  longitude?: number;
+  accuracy?: number;
+}
+
+export type SignatureSelection = Partial<Record<SignerRole, CapturedSignature>>;
+
+// Mirrors SIGNER_ROLES in models/Inventory.js
+export const SIGNER_LABELS: Record<SignerRole, string> = {
+  driver: 'Driver',
+  fieldAgent: 'Field Agent',
+  witness: 'Witness'
+};
+
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 160;
+const POSITION_TIMEOUT_MS = 10000;
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Signatures ready to send, with the device position when it is available
+// (without it the server uses the agent's recent GPS fix)
+export const collectSignatures = async (selection: SignatureSelection): Promise<CapturedSignature[]> => {
+  const signatures = Object.values(selection).filter((signature): signature is CapturedSignature => !!signature);
+  if (signatures.length === 0 || !navigator.geolocation) {
+    return signatures;
+  }
+
+  const position = await new Promise<GeolocationPosition | null>(resolve => {
+    navigator.geolocation.getCurrentPosition(resolve, () => resolve(null), {
+      enableHighAccuracy: true,
+      timeout: POSITION_TIMEOUT_MS
+    });
+  });
+  if (!position) {
+    return signatures;
+  }
+  return signatures.map(signature => ({
+    ...signature,
+    latitude: position.coords.latitude,
+    longitude: position.coords.longitude,
+    accuracy: position.coords.accuracy
+  }));
+};
+
+interface SignaturePadProps {
+  strokes: number[][][];
+  onChange: (strokes: number[][][]) => void;
+}
+
+// Canvas to sign on with a finger, stylus or mouse
+function SignaturePad({ strokes, onChange }: SignaturePadProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const currentStroke = useRef<number[][] | null>(null);
+
+  useEffect(() => {
+    const context = canvasRef.current?.getContext('2d');
+    if (!context) return;
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+    strokes.forEach(stroke => {
+      context.beginPath();
+      context.moveTo(stroke[0][0], stroke[0][1]);
+      stroke.forEach(([x, y]) => context.lineTo(x, y));
+      context.stroke();
+    });
+  }, [strokes]);
+
+  // Pointer position in canvas pixels (the canvas is scaled to its container)
+  const toPoint = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return [
+      Math.round((e.clientX - rect.left) * (CANVAS_WIDTH / rect.width)),
+      Math.round((e.clientY - rect.top) * (CANVAS_HEIGHT / rect.height))
+    ];
+  };
+
+  const handlePointerDown = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    currentStroke.current = [toPoint(e)];
+  };
+
+  const handlePointerMove = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const stroke = currentStroke.current;
+    const context = canvasRef.current?.getContext('2d');
+    if (!stroke || !context) return;
+    const point = toPoint(e);
+    const [lastX, lastY] = stroke[stroke.length - 1];
+    context.beginPath();
+    context.moveTo(lastX, lastY);
+    context.lineTo(point[0], point[1]);
+    context.stroke();
+    stroke.push(point);
+  };
+
+  const handlePointerUp = () => {
+    if (!currentStroke.current) return;
+    onChange([...strokes, currentStroke.current]);
+    currentStroke.current = null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={CANVAS_WIDTH}
+      height={CANVAS_HEIGHT}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      className="w-full bg-white border border-dashed border-gray-300 rounded-md touch-none"
+      style={{ aspectRatio: `${CANVAS_WIDTH} / ${CANVAS_HEIGHT}` }}
+    />
+  );
+}
+
+interface SignatureFieldsProps {
+  roles: SignerRole[];
+  selection: SignatureSelection;
+  onChange: (selection: SignatureSelection) => void;
+}
+
+// One signature pad per signer (the witness also gives their name)
+export function SignatureFields({ roles, selection, onChange }: SignatureFieldsProps) {
+  const update = (role: SignerRole, changes: Partial<CapturedSignature> | null) => {
+    const current = selection[role];
+    if (!changes) {
+      const { [role]: _removed, ...rest } = selection;
+      onChange(rest);
+      return;
+    }
+    onChange({
+      ...selection,
+      [role]: { role, strokes: [], signedAt: new Date().toISOString(), ...current, ...changes }
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {roles.map(role => (
+        <div key={role}>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-gray-700">{SIGNER_LABELS[role]} Signature</label>
+            {selection[role]?.strokes.length ? (
+              <button
+                type="button"
+                onClick={() => update(role, null)}
+                className="flex items-center text-xs text-gray-500 hover:text-gray-700"
+              >
+                <XMarkIcon className="h-3 w-3 mr-1" />
+                Clear
+              </button>
+            ) : null}
+          </div>
+          {role === 'witness' && (
+            <input
+              type="text"
+              maxLength={100}
+              placeholder="Witness name"
+              value={selection.witness?.name || ''}
+              onChange={(e) => update('witness', { name: e.target.value })}
+              className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+          <SignaturePad
+            strokes={selection[role]?.strokes || []}
+            onChange={(strokes) => update(role, { strokes, signedAt: new Date().toISOString() })}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Whether every signature in a selection can be sent (drawn, and the witness named)
+export const isSignatureSelectionValid = (selection: SignatureSelection) =>
+  Object.values(selection).every(signature =>
+    !signature || (signature.strokes.length > 0 && (signature.role !== 'witness' || !!signature.name?.trim())));
+
+interface InventorySignaturesProps {
+  inventoryId: string;
+  signatures: InventorySignature[];
+  canSign: boolean;
+  onUpdated: (inventory: any) => void;
+}
+
+// Signatures of an inventory, and the pads for the signers who have not signed yet
+export default function InventorySignatures({ inventoryId, signatures, canSign, onUpdated }: InventorySignaturesProps) {
+  const [selection, setSelection] = useState<SignatureSelection>({});
+  const [isCollecting, setIsCollecting] = useState(false);
+  const missingRoles = (Object.keys(SIGNER_LABELS) as SignerRole[])
+    .filter(role => !signatures.some(signature => signature.role === role));
+
+  const signMutation = useMutation({
+    mutationFn: (captured: CapturedSignature[]) => inventoryAPI.addInventorySignatures(inventoryId, captured),
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Signatures added');
+      setSelection({});
+      onUpdated(response.data.data);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to save signatures');
+    }
+  });
+
+  const handleSave = async () => {
+    setIsCollecting(true);
+    try {
+      signMutation.mutate(await collectSignatures(selection));
+    } finally {
+      setIsCollecting(false);
+    }
+  };
+
+  const hasSelection = Object.keys(selection).length > 0;
+
+  return (
+    <div className="space-y-4">
+      {signatures.length === 0 ? (
+        <p className="text-sm text-gray-500 flex items-center">
+          <PencilSquareIcon className="h-4 w-4 mr-1" />
+          Not signed yet
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {signatures.map(signature => (
+            <div key={signature.role} className="border border-gray-200 rounded-lg p-2">
+              <img
+                src={getImageUrl(signature.imageUrl)}
+                alt={`${SIGNER_LABELS[signature.role]} signature`}
+                className="w-full h-20 object-contain bg-gray-50"
+              />
+              <p className="text-xs font-semibold text-gray-700 mt-1">
+                {SIGNER_LABELS[signature.role]}: {signature.name}
+              </p>
+              <p className="text-xs text-gray-500">{formatDateTime(signature.signedAt)}</p>
+              <a
+                href={`https://www.google.com/maps?q=${signature.latitude},${signature.longitude}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center text-xs text-blue-600 hover:text-blue-800"
+              >
+                <MapPinIcon className="h-3 w-3 mr-1" />
+                {signature.latitude.toFixed(5)}, {signature.longitude.toFixed(5)}
+              </a>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canSign && missingRoles.length > 0 && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+          <SignatureFields roles={missingRoles} selection={selection} onChange={setSelection} />
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!hasSelection || !isSignatureSelectionValid(selection) || isCollecting || signMutation.isLoading}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+            >
+              <PencilSquareIcon className="h-4 w-4" />
+              <span>{isCollecting || signMutation.isLoading ? 'Saving...' : 'Save Signatures'}</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import { useAuth } from '../hooks/useAuth';
+import { useRealtime } from '../hooks/useRealtime';
 import SessionStatus from './SessionStatus';
 import ProfileImage from './ProfileImage';
 import { notificationsAPI } from '../services/api';
@@ -24,7 +25,10 @@ import {
   ChartBarIcon,
   PhoneIcon,
   ClipboardDocumentListIcon,
-  ServerIcon
+  ServerIcon,
+  DocumentDuplicateIcon,
+  MapPinIcon,
+  DocumentTextIcon
 } from '@heroicons/react/24/outline';
 import { 
   ChartBarIcon as ChartBarSolid 
@@ -51,6 +55,11 @@ const getNavigation = (userRole?: string) => {
       href: '/excel-files', 
       icon: DocumentArrowUpIcon
     });
+    baseNavigation.push({ 
+      name: 'Duplicate Vehicles', 
+      href: '/duplicate-vehicles', 
+      icon: DocumentDuplicateIcon
+    });
   }
 
   // Add App Management for SuperSuperAdmin only
@@ -100,6 +109,15 @@ const getNavigation = (userRole?: string) => {
     });
   }
 
+  // Add Agent Tracking for everyone managing field agents
+  if (userRole === 'superSuperAdmin' || userRole === 'superAdmin' || userRole === 'admin' || userRole === 'auditor') {
+    baseNavigation.push({ 
+      name: 'Agent Tracking', 
+      href: '/agent-tracking', 
+      icon: MapPinIcon
+    });
+  }
+
   // Add Back Office Numbers only for Admin role
   if (userRole === 'admin') {
     baseNavigation.push({ 
@@ -118,6 +136,15 @@ const getNavigation = (userRole?: string) => {
     });
   }
 
+  // Add PDF templates for Admin (their agency's inventory layouts)
+  if (userRole === 'admin') {
+    baseNavigation.push({ 
+      name: 'Inventory Templates', 
+      href: '/inventory-templates', 
+      icon: DocumentTextIcon
+    });
+  }
+
   if (userRole === 'auditor') {
     baseNavigation.push({ 
       name: 'Money Management', 
@@ -311,6 +338,7 @@ export default function Layout({ children }: LayoutProps) {
   const [userMenuOpen, setUserMenuOpen] = useState(false);
   const [paymentsDropdownOpen, setPaymentsDropdownOpen] = useState(false);
   const { user, logout } = useAuth();
+  useRealtime(!!user);
   const location = useLocation();
   const navigate = useNavigate();
 
@@ -348,7 +376,6 @@ export default function Layout({ children }: LayoutProps) {
     queryKey: ['notification-stats'],
     queryFn: () => notificationsAPI.getStats(),
     enabled: !!hasNotificationAccess,
-    refetchInterval: 30000, // Refetch every 30 seconds
   });
 
   const unreadCount = notificationStats?.data?.data?.unread || 0;
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { EyeSlashIcon, ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
+
+export type MaskMode = 'hide' | 'partial' | 'show';
+export type MaskingPolicy = Record<string, Record<string, MaskMode>>;
+
+// Same roles and fields as utils/fieldMasking.js on the server
+const MASKING_ROLES = [
+  { key: 'sharedAdmin', label: 'Shared admins' },
+  { key: 'auditor', label: 'Auditors' },
+  { key: 'fieldAgent', label: 'Field agents' }
+];
+
+const MASKABLE_FIELDS = [
+  { key: 'customer_name', label: 'Customer name' },
+  { key: 'address', label: 'Address' },
+  { key: 'loan_number', label: 'Loan number' },
+  { key: 'first_confirmer_name', label: '1st confirmer name' },
+  { key: 'first_confirmer_no', label: '1st confirmer phone' },
+  { key: 'second_confirmer_name', label: '2nd confirmer name' },
+  { key: 'second_confirmer_no', label: '2nd confirmer phone' },
+  { key: 'third_confirmer_name', label: '3rd confirmer name' },
+  { key: 'third_confirmer_no', label: '3rd confirmer phone' }
+];
+
+export const emptyMaskingPolicy = (): MaskingPolicy =>
+  Object.fromEntries(MASKING_ROLES.map(role => [role.key, {}]));
+
+interface MaskingPolicyEditorProps {
+  value: MaskingPolicy;
+  onChange: (policy: MaskingPolicy) => void;
+}
+
+// Per-role hide / partial / show grid for a file's customer and confirmer fields
+export default function MaskingPolicyEditor({ value, onChange }: MaskingPolicyEditorProps) {
+  const [expanded, setExpanded] = useState(false);
+
+  const maskedCount = Object.values(value || {})
+    .reduce((count, fields) => count + Object.values(fields || {}).filter(mode => mode !== 'show').length, 0);
+
+  const setMode = (role: string, field: string, mode: MaskMode) => {
+    onChange({
+      ...value,
+      [role]: { ...(value?.[role] || {}), [field]: mode }
+    });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-md">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+      >
+        <span className="flex items-center gap-2">
+          <EyeSlashIcon className="h-4 w-4 text-gray-500" />
+          Field masking
+          {maskedCount > 0 && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-800">{maskedCount} masked</span>
+          )}
+        </span>
+        {expanded ? <ChevronUpIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+      </button>
+
+      {expanded && (
+        <div className="px-3 pb-3">
+          <p className="text-xs text-gray-500 mb-2">
+            Applies to search, details, offline sync and exports. The primary admin and super admins always see everything.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr>
+                  <th className="text-left font-medium text-gray-600 py-1 pr-2">Field</th>
+                  {MASKING_ROLES.map(role => (
+                    <th key={role.key} className="text-left font-medium text-gray-600 py-1 px-1">{role.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {MASKABLE_FIELDS.map(field => (
+                  <tr key={field.key} className="border-t border-gray-100">
+                    <td className="py-1 pr-2 text-gray-700 whitespace-nowrap">{field.label}</td>
+                    {MASKING_ROLES.map(role => (
+                      <td key={role.key} className="py-1 px-1">
+                        <select
+                          value={value?.[role.key]?.[field.key] || 'show'}
+                          onChange={(e) => setMode(role.key, field.key, e.target.value as MaskMode)}
+                          className="w-full px-1 py-0.5 border border-gray-300 rounded text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+                        >
+                          <option value="show">Show</option>
+                          <option value="partial">Partial</option>
+                          <option value="hide">Hide</option>
+                        </select>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
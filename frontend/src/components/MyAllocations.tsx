@@ -0,0 +1,78 @@
+import { useQuery } from '@tanstack/react-query';
+import { QueueListIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { excelAPI } from '../services/api';
+import { VehicleCaseBadge, VehicleCaseSummary } from './VehicleCaseStatus';
+
+interface AllocatedVehicle {
+  _id: string;
+  registration_number?: string;
+  chasis_number?: string;
+  make?: string;
+  customer_name?: string;
+  dataType?: string;
+  excel_file?: { _id: string; originalName?: string; filename?: string };
+  case: VehicleCaseSummary;
+  assignedAt?: string;
+}
+
+interface MyAllocationsProps {
+  onSelectVehicle?: (vehicle: AllocatedVehicle) => void;
+}
+
+// Field agent work queue: allocated vehicles, in-progress first, then oldest allocation
+export default function MyAllocations({ onSelectVehicle }: MyAllocationsProps) {
+  const { data, isLoading } = useQuery({
+    queryKey: ['my-allocations'],
+    queryFn: () => excelAPI.getMyAllocations(),
+    staleTime: 60 * 1000,
+  });
+  const vehicles: AllocatedVehicle[] = data?.data?.data || [];
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden">
+      <div className="bg-gradient-to-r from-purple-600 to-indigo-600 px-6 py-4">
+        <h2 className="text-lg font-bold text-white flex items-center gap-2">
+          <QueueListIcon className="h-5 w-5" />
+          My Allocations
+        </h2>
+        <p className="text-indigo-100 text-sm">Vehicles allocated to you - search still covers all your data</p>
+      </div>
+
+      <div className="p-6">
+        {isLoading ? (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <ClockIcon className="h-4 w-4 animate-spin" />
+            Loading allocations...
+          </div>
+        ) : vehicles.length === 0 ? (
+          <p className="text-sm text-gray-500">No vehicles are allocated to you right now.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl max-h-96 overflow-y-auto">
+            {vehicles.map(vehicle => (
+              <button
+                key={vehicle._id}
+                type="button"
+                onClick={() => onSelectVehicle?.(vehicle)}
+                className="w-full text-left px-3 py-2 hover:bg-indigo-50 text-sm"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span>
+                    <span className="font-mono font-bold">{vehicle.registration_number || 'N/A'}</span>
+                    <span className="text-gray-600"> · {vehicle.chasis_number || 'N/A'}</span>
+                    {vehicle.make && <span className="text-gray-600"> · {vehicle.make}</span>}
+                  </span>
+                  <VehicleCaseBadge vehicleCase={vehicle.case} />
+                </div>
+                <span className="block text-xs text-gray-500">
+                  {vehicle.customer_name ? `${vehicle.customer_name} · ` : ''}
+                  {vehicle.dataType}
+                  {vehicle.assignedAt ? ` · allocated ${new Date(vehicle.assignedAt).toLocaleDateString()}` : ''}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
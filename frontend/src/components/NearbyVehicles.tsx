@@ -0,0 +1,201 @@
+import { useEffect, useRef, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { MapPinIcon, BellAlertIcon, ClockIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { excelAPI } from '../services/api';
+import { VehicleCaseBadge, VehicleCaseSummary } from './VehicleCaseStatus';
+
+interface NearbyVehicle {
+  _id: string;
+  registration_number?: string;
+  chasis_number?: string;
+  make?: string;
+  customer_name?: string;
+  dataType?: string;
+  excel_file?: { _id: string; originalName?: string; filename?: string };
+  case: VehicleCaseSummary;
+  distanceKm: number;
+  geoPrecision?: 'pincode' | 'city' | 'region';
+}
+
+interface Position {
+  latitude: number;
+  longitude: number;
+}
+
+interface NearbyVehiclesProps {
+  onSelectVehicle?: (vehicle: NearbyVehicle) => void;
+}
+
+const RADIUS_OPTIONS = [1, 2, 5, 10, 25, 50];
+const ALERT_MIN_MOVE_KM = 0.2; // Ignore GPS jitter while watching
+
+const PRECISION_LABELS: Record<string, string> = {
+  pincode: 'by pincode',
+  city: 'by city',
+  region: 'by region'
+};
+
+// Rough distance between two positions (equirectangular, fine for a few km)
+const distanceKm = (a: Position, b: Position) => {
+  const x = (b.longitude - a.longitude) * Math.cos(((a.latitude + b.latitude) / 2) * Math.PI / 180);
+  const y = b.latitude - a.latitude;
+  return Math.sqrt(x * x + y * y) * 111.32;
+};
+
+// Vehicles around the user's position, nearest first, with optional alerts while moving
+export default function NearbyVehicles({ onSelectVehicle }: NearbyVehiclesProps) {
+  const [position, setPosition] = useState<Position | null>(null);
+  const [radiusKm, setRadiusKm] = useState(5);
+  const [alertsOn, setAlertsOn] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const seenIds = useRef<Set<string> | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['vehicles-near', position?.latitude, position?.longitude, radiusKm],
+    queryFn: () => excelAPI.getVehiclesNear({ latitude: position!.latitude, longitude: position!.longitude, radiusKm }),
+    enabled: !!position,
+    staleTime: 60 * 1000,
+  });
+  const vehicles: NearbyVehicle[] = data?.data?.data || [];
+
+  const locate = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not available on this device');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setLocating(false);
+        setPosition({ latitude: coords.latitude, longitude: coords.longitude });
+      },
+      () => {
+        setLocating(false);
+        toast.error('Could not get your location');
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  // Follow the user's position while alerts are on
+  useEffect(() => {
+    if (!alertsOn || !navigator.geolocation) return;
+    const watchId = navigator.geolocation.watchPosition(
+      ({ coords }) => {
+        const next = { latitude: coords.latitude, longitude: coords.longitude };
+        setPosition(current => (!current || distanceKm(current, next) >= ALERT_MIN_MOVE_KM ? next : current));
+      },
+      () => toast.error('Could not follow your location'),
+      { enableHighAccuracy: true, maximumAge: 30000 }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [alertsOn]);
+
+  // Alert on vehicles that entered the radius since the last result
+  useEffect(() => {
+    if (!data) return;
+    const ids = new Set(vehicles.map(vehicle => vehicle._id));
+    if (alertsOn && seenIds.current) {
+      const entered = vehicles.filter(vehicle => !seenIds.current!.has(vehicle._id));
+      if (entered.length === 1) {
+        toast(`${entered[0].registration_number || 'A vehicle'} is ${entered[0].distanceKm} km away`, { icon: '📍' });
+      } else if (entered.length > 1) {
+        toast(`${entered.length} more vehicles within ${radiusKm} km`, { icon: '📍' });
+      }
+    }
+    seenIds.current = ids;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [data]);
+
+  const toggleAlerts = () => {
+    if (!alertsOn && !position) {
+      locate();
+    }
+    setAlertsOn(!alertsOn);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden">
+      <div className="bg-gradient-to-r from-emerald-600 to-teal-600 px-6 py-4">
+        <h2 className="text-lg font-bold text-white flex items-center gap-2">
+          <MapPinIcon className="h-5 w-5" />
+          Vehicles Near Me
+        </h2>
+        <p className="text-teal-100 text-sm">Active, un-recovered vehicles around you - positions come from the customer address</p>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={locate}
+            disabled={locating}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-md hover:bg-emerald-700 disabled:opacity-50"
+          >
+            <MapPinIcon className="h-4 w-4" />
+            {locating ? 'Locating...' : position ? 'Refresh my location' : 'Use my location'}
+          </button>
+          <select
+            value={radiusKm}
+            onChange={(e) => setRadiusKm(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          >
+            {RADIUS_OPTIONS.map(radius => (
+              <option key={radius} value={radius}>Within {radius} km</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={toggleAlerts}
+            className={`inline-flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-md border ${
+              alertsOn ? 'bg-amber-100 border-amber-300 text-amber-800' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <BellAlertIcon className="h-4 w-4" />
+            {alertsOn ? 'Alerts on' : 'Alert me nearby'}
+          </button>
+        </div>
+
+        {!position ? (
+          <p className="text-sm text-gray-500">Share your location to see vehicles around you.</p>
+        ) : isLoading ? (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <ClockIcon className="h-4 w-4 animate-spin" />
+            Finding nearby vehicles...
+          </div>
+        ) : vehicles.length === 0 ? (
+          <p className="text-sm text-gray-500">No vehicles within {radiusKm} km.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl max-h-96 overflow-y-auto">
+            {vehicles.map(vehicle => (
+              <button
+                key={vehicle._id}
+                type="button"
+                onClick={() => onSelectVehicle?.(vehicle)}
+                className="w-full text-left px-3 py-2 hover:bg-emerald-50 text-sm"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span>
+                    <span className="font-mono font-bold">{vehicle.registration_number || 'N/A'}</span>
+                    <span className="text-gray-600"> · {vehicle.chasis_number || 'N/A'}</span>
+                    {vehicle.make && <span className="text-gray-600"> · {vehicle.make}</span>}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    <span className="text-xs font-medium text-emerald-700 whitespace-nowrap">{vehicle.distanceKm} km</span>
+                    <VehicleCaseBadge vehicleCase={vehicle.case} />
+                  </span>
+                </div>
+                <span className="block text-xs text-gray-500">
+                  {vehicle.customer_name ? `${vehicle.customer_name} · ` : ''}
+                  {vehicle.dataType}
+                  {vehicle.geoPrecision ? ` · located ${PRECISION_LABELS[vehicle.geoPrecision]}` : ''}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { authAPI } from '../services/api';
+import { onRealtimeStatus } from '../services/realtime';
 import { 
   ExclamationTriangleIcon,
   CheckCircleIcon,
@@ -17,6 +18,7 @@ export default function SessionStatus({ className = '' }: SessionStatusProps) {
   const [sessionStatus, setSessionStatus] = useState<'valid' | 'checking' | 'invalid'>('checking');
   const [isOnline, setIsOnline] = useState<boolean>(false);
   const [lastChecked, setLastChecked] = useState<Date>(new Date());
+  const [isLive, setIsLive] = useState<boolean>(false);
 
   const checkSession = async () => {
     if (!user) return;
@@ -63,8 +65,8 @@ export default function SessionStatus({ className = '' }: SessionStatusProps) {
       checkSession();
       checkOnlineStatus(); // Initial online status check
       
-      // Check session every 5 minutes (300000ms)
-      const sessionInterval = setInterval(checkSession, 300000);
+      // Session ends are pushed over the real-time stream (hooks/useRealtime)
+      const unsubscribeStatus = onRealtimeStatus(setIsLive);
       
       // Check online status every 5 minutes
       const onlineStatusInterval = setInterval(checkOnlineStatus, 300000);
@@ -87,7 +89,7 @@ export default function SessionStatus({ className = '' }: SessionStatusProps) {
       updateOnlineStatus();
       
       return () => {
-        clearInterval(sessionInterval);
+        unsubscribeStatus();
         clearInterval(onlineStatusInterval);
         clearTimeout(activityTimeout);
         activityEvents.forEach(event => {
@@ -177,7 +179,7 @@ export default function SessionStatus({ className = '' }: SessionStatusProps) {
         Last checked: {lastChecked.toLocaleTimeString()}
       </span>
       <span className="text-gray-400 text-xs">
-        Next check: {new Date(lastChecked.getTime() + 300000).toLocaleTimeString()}
+        {isLive ? 'Live updates on' : 'Reconnecting...'}
       </span>
     </div>
   );
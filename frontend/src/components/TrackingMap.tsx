@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from 'react';
+import { PlusIcon, MinusIcon } from '@heroicons/react/24/outline';
+
+export interface MapPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export interface MapMarker extends MapPoint {
+  id: string;
+  label: string;
+  color?: string;
+  onClick?: () => void;
+}
+
+interface TrackingMapProps {
+  markers?: MapMarker[];
+  paths?: MapPoint[][];
+  height?: number;
+}
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 18;
+const PADDING = 40;
+const TILE_URL = (import.meta as any).env?.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+// Web Mercator pixel position at a zoom level
+const project = ({ latitude, longitude }: MapPoint, zoom: number) => {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const sin = Math.sin((Math.max(-85, Math.min(85, latitude)) * Math.PI) / 180);
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+};
+
+// Largest zoom at which all points fit the viewport
+const fitZoom = (points: MapPoint[], width: number, height: number) => {
+  for (let zoom = MAX_ZOOM - 2; zoom > MIN_ZOOM; zoom--) {
+    const projected = points.map(point => project(point, zoom));
+    const spanX = Math.max(...projected.map(p => p.x)) - Math.min(...projected.map(p => p.x));
+    const spanY = Math.max(...projected.map(p => p.y)) - Math.min(...projected.map(p => p.y));
+    if (spanX <= width - PADDING * 2 && spanY <= height - PADDING * 2) {
+      return zoom;
+    }
+  }
+  return MIN_ZOOM;
+};
+
+// Map tiles with markers and trails drawn on top, fitted to the points shown
+export default function TrackingMap({ markers = [], paths = [], height = 480 }: TrackingMapProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [width, setWidth] = useState(800);
+  const [zoomOffset, setZoomOffset] = useState(0);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const observer = new ResizeObserver(entries => setWidth(entries[0].contentRect.width || 800));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // Always fitted to the points shown; the zoom buttons adjust from there
+  const points = [...markers, ...paths.flat()];
+
+  const hasPoints = points.length > 0;
+  const zoom = hasPoints ? Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, fitZoom(points, width, height) + zoomOffset)) : MIN_ZOOM;
+  const projected = points.map(point => project(point, zoom));
+  const centerX = hasPoints ? (Math.min(...projected.map(p => p.x)) + Math.max(...projected.map(p => p.x))) / 2 : 0;
+  const centerY = hasPoints ? (Math.min(...projected.map(p => p.y)) + Math.max(...projected.map(p => p.y))) / 2 : 0;
+  const left = centerX - width / 2;
+  const top = centerY - height / 2;
+  const toScreen = (point: MapPoint) => {
+    const { x, y } = project(point, zoom);
+    return { x: x - left, y: y - top };
+  };
+
+  const tileCount = Math.pow(2, zoom);
+  const tiles = [];
+  if (hasPoints) {
+    for (let tileX = Math.floor(left / TILE_SIZE); tileX <= Math.floor((left + width) / TILE_SIZE); tileX++) {
+      for (let tileY = Math.floor(top / TILE_SIZE); tileY <= Math.floor((top + height) / TILE_SIZE); tileY++) {
+        if (tileY < 0 || tileY >= tileCount) continue;
+        const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+        tiles.push(
+          <img
+            key={`${zoom}-${tileX}-${tileY}`}
+            src={TILE_URL.replace('{z}', String(zoom)).replace('{x}', String(wrappedX)).replace('{y}', String(tileY))}
+            alt=""
+            draggable={false}
+            className="absolute select-none"
+            style={{ left: tileX * TILE_SIZE - left, top: tileY * TILE_SIZE - top, width: TILE_SIZE, height: TILE_SIZE }}
+          />
+        );
+      }
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative overflow-hidden bg-gray-100 border border-gray-200 rounded-xl" style={{ height }}>
+      {!hasPoints && (
+        <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+          No positions to show
+        </div>
+      )}
+
+      {tiles}
+
+      <svg className="absolute inset-0 pointer-events-none" width={width} height={height}>
+        {paths.filter(path => path.length > 1).map((path, index) => (
+          <polyline
+            key={index}
+            points={path.map(point => {
+              const { x, y } = toScreen(point);
+              return `${x},${y}`;
+            }).join(' ')}
+            fill="none"
+            stroke="#2563eb"
+            strokeWidth={3}
+            strokeOpacity={0.8}
+            strokeLinejoin="round"
+          />
+        ))}
+      </svg>
+
+      {markers.map(marker => {
+        const { x, y } = toScreen(marker);
+        return (
+          <button
+            key={marker.id}
+            type="button"
+            title={marker.label}
+            onClick={marker.onClick}
+            className="absolute -translate-x-1/2 -translate-y-1/2 w-4 h-4 rounded-full border-2 border-white shadow"
+            style={{ left: x, top: y, backgroundColor: marker.color || '#dc2626' }}
+          />
+        );
+      })}
+
+      <div className="absolute top-2 right-2 flex flex-col bg-white rounded-md shadow border border-gray-200">
+        <button type="button" onClick={() => setZoomOffset(zoomOffset + 1)} disabled={zoom >= MAX_ZOOM} className="p-1.5 hover:bg-gray-50 disabled:opacity-40" title="Zoom in">
+          <PlusIcon className="h-4 w-4" />
+        </button>
+        <button type="button" onClick={() => setZoomOffset(zoomOffset - 1)} disabled={zoom <= MIN_ZOOM} className="p-1.5 hover:bg-gray-50 border-t border-gray-200 disabled:opacity-40" title="Zoom out">
+          <MinusIcon className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="absolute bottom-0 right-0 px-1.5 py-0.5 bg-white bg-opacity-80 text-[10px] text-gray-600">
+        © OpenStreetMap contributors
+      </div>
+    </div>
+  );
+}
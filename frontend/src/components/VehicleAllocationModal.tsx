@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { excelAPI, usersAPI } from '../services/api';
+
+interface VehicleAllocationModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  file: any;
+}
+
+type FilterField = 'branch' | 'bucket' | 'pincode';
+
+const FILTER_LABELS: Record<FilterField, string> = {
+  branch: 'Branch',
+  bucket: 'Bucket',
+  pincode: 'Pincode'
+};
+
+const EMPTY_FILTERS: Record<FilterField, string[]> = { branch: [], bucket: [], pincode: [] };
+
+// Allocate a whole file, or the rows matching branch / bucket / pincode, to a field agent
+export default function VehicleAllocationModal({ isOpen, onClose, file }: VehicleAllocationModalProps) {
+  const queryClient = useQueryClient();
+  const [agentId, setAgentId] = useState('');
+  const [filters, setFilters] = useState<Record<FilterField, string[]>>(EMPTY_FILTERS);
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    setAgentId('');
+    setFilters(EMPTY_FILTERS);
+    setNote('');
+  }, [file?._id]);
+
+  const { data: agentsData, isLoading: agentsLoading } = useQuery({
+    queryKey: ['field-agents'],
+    queryFn: () => usersAPI.getFieldAgents(),
+    enabled: isOpen,
+  });
+  const agents = Array.isArray(agentsData?.data?.data) ? agentsData.data.data : [];
+
+  // 404 when the file's branch / bucket / address columns are hidden from this user
+  const { data: optionsData, isLoading: optionsLoading, isError: optionsUnavailable } = useQuery({
+    queryKey: ['allocation-options', file?._id],
+    queryFn: () => excelAPI.getAllocationOptions(file._id),
+    enabled: isOpen && !!file?._id,
+    retry: false,
+  });
+  const options = optionsData?.data?.data;
+
+  const selectedFilters = Object.fromEntries(
+    (Object.keys(filters) as FilterField[]).filter(field => filters[field].length > 0).map(field => [field, filters[field]])
+  );
+  const hasSelection = Object.keys(selectedFilters).length > 0;
+
+  const onDone = (response: any) => {
+    toast.success(response.data.message);
+    queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] });
+    onClose();
+  };
+
+  const allocateMutation = useMutation({
+    mutationFn: () => excelAPI.allocateVehicles({
+      agentId,
+      fileId: file._id,
+      filters: hasSelection ? selectedFilters : undefined,
+      note: note || undefined
+    }),
+    onSuccess: onDone,
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to allocate vehicles');
+    }
+  });
+
+  const releaseMutation = useMutation({
+    mutationFn: () => excelAPI.releaseVehicles({
+      agentId: agentId || undefined,
+      fileId: file._id,
+      filters: hasSelection ? selectedFilters : undefined,
+      note: note || undefined
+    }),
+    onSuccess: onDone,
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to release vehicles');
+    }
+  });
+
+  const toggleValue = (field: FilterField, value: string) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value) ? prev[field].filter(v => v !== value) : [...prev[field], value]
+    }));
+  };
+
+  if (!isOpen || !file) return null;
+
+  const isBusy = allocateMutation.isLoading || releaseMutation.isLoading;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900">Allocate Vehicles to Field Agent</h3>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            File: <span className="font-medium">{file.originalName}</span>
+          </p>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Field Agent</label>
+              <select
+                value={agentId}
+                onChange={(e) => setAgentId(e.target.value)}
+                disabled={agentsLoading}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">{agentsLoading ? 'Loading agents...' : 'Select field agent'}</option>
+                {agents.map((agent: any) => (
+                  <option key={agent._id} value={agent._id}>
+                    {agent.name} ({agent.phone || agent.email})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {optionsLoading ? (
+              <div className="text-center py-4">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+                <p className="text-sm text-gray-600 mt-2">Reading file columns...</p>
+              </div>
+            ) : optionsUnavailable || !options ? (
+              <div className="p-2 bg-blue-50 border border-blue-200 rounded text-xs text-blue-700">
+                Branch, bucket and pincode filters are not available for this file. The whole file will be allocated.
+              </div>
+            ) : (
+              <div>
+                <p className="text-sm text-gray-700 mb-2">
+                  Filter rows (optional) - no selection allocates all {options.totalRows} rows
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  {(Object.keys(FILTER_LABELS) as FilterField[]).map(field => (
+                    <div key={field}>
+                      <p className="text-xs font-medium text-gray-600 mb-1">
+                        {FILTER_LABELS[field]} {filters[field].length > 0 && `(${filters[field].length})`}
+                      </p>
+                      <div className="max-h-48 overflow-y-auto border border-gray-300 rounded-md p-2">
+                        {options[field].length === 0 ? (
+                          <p className="text-xs text-gray-400">No values</p>
+                        ) : options[field].map((option: { value: string; count: number }) => (
+                          <label key={option.value} className="flex items-center space-x-2 py-1 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={filters[field].includes(option.value)}
+                              onChange={() => toggleValue(field, option.value)}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="flex-1 truncate" title={option.value}>{option.value}</span>
+                            <span className="text-gray-400">{option.count}</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={500}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              onClick={() => releaseMutation.mutate()}
+              disabled={isBusy}
+              className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 rounded-md hover:bg-red-100 disabled:opacity-50"
+              title={agentId ? 'Release these vehicles from the selected agent' : 'Release these vehicles from all agents'}
+            >
+              {releaseMutation.isLoading ? 'Releasing...' : 'Release'}
+            </button>
+            <button
+              onClick={() => allocateMutation.mutate()}
+              disabled={isBusy || !agentId}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {allocateMutation.isLoading ? 'Allocating...' : 'Allocate'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
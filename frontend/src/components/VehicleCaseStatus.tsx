@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { excelAPI } from '../services/api';
+
+export interface VehicleCaseSummary {
+  status: 'pending' | 'assigned' | 'in-progress' | 'recovered' | 'failed';
+  assignedAgent?: { _id: string; name?: string } | null;
+  statusChangedAt?: string | null;
+}
+
+const STATUS_STYLES: Record<VehicleCaseSummary['status'], { label: string; className: string }> = {
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-700 border-gray-200' },
+  assigned: { label: 'Assigned', className: 'bg-sky-100 text-sky-800 border-sky-200' },
+  'in-progress': { label: 'In progress', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  recovered: { label: 'Recovered', className: 'bg-green-100 text-green-800 border-green-200' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800 border-red-200' }
+};
+
+// Statuses each role may set by hand ("recovered" by agents goes through an inventory record)
+const SETTABLE_STATUSES: Record<string, VehicleCaseSummary['status'][]> = {
+  fieldAgent: ['in-progress', 'failed'],
+  admin: ['pending', 'in-progress', 'recovered', 'failed'],
+  superAdmin: ['pending', 'in-progress', 'recovered', 'failed'],
+  superSuperAdmin: ['pending', 'in-progress', 'recovered', 'failed']
+};
+
+export function VehicleCaseBadge({ vehicleCase }: { vehicleCase?: VehicleCaseSummary | null }) {
+  const style = STATUS_STYLES[vehicleCase?.status || 'pending'];
+
+  return (
+    <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold border ${style.className}`}>
+      {style.label}
+      {vehicleCase?.assignedAgent?.name && vehicleCase.status !== 'pending' && (
+        <span className="ml-1 font-normal">· {vehicleCase.assignedAgent.name}</span>
+      )}
+    </span>
+  );
+}
+
+interface VehicleCaseControlsProps {
+  vehicleId: string;
+  vehicleCase?: VehicleCaseSummary | null;
+  role?: string;
+  onUpdated?: (vehicleCase: VehicleCaseSummary) => void;
+}
+
+// Status picker shown in the vehicle details modal
+export default function VehicleCaseControls({ vehicleId, vehicleCase, role, onUpdated }: VehicleCaseControlsProps) {
+  const queryClient = useQueryClient();
+  const options = (role && SETTABLE_STATUSES[role]) || [];
+  const currentStatus = vehicleCase?.status || 'pending';
+  const [status, setStatus] = useState('');
+  const [note, setNote] = useState('');
+
+  const statusMutation = useMutation({
+    mutationFn: () => excelAPI.updateVehicleStatus(vehicleId, { status, note: note || undefined }),
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Status updated');
+      setStatus('');
+      setNote('');
+      const updatedCase = response.data.data;
+      onUpdated?.({
+        status: updatedCase.status,
+        assignedAgent: updatedCase.assignedAgent ? { _id: updatedCase.assignedAgent, name: updatedCase.assignedAgentName } : null,
+        statusChangedAt: updatedCase.statusChangedAt
+      });
+      queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] });
+      queryClient.invalidateQueries({ queryKey: ['my-allocations'] });
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to update status');
+    }
+  });
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+        Recovery status: <VehicleCaseBadge vehicleCase={vehicleCase} />
+      </div>
+      {options.length > 0 && (
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="">Change status…</option>
+            {options.filter(option => option !== currentStatus).map(option => (
+              <option key={option} value={option}>{STATUS_STYLES[option].label}</option>
+            ))}
+          </select>
+          {status && (
+            <>
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={500}
+                placeholder="Note (optional)"
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => statusMutation.mutate()}
+                disabled={statusMutation.isLoading}
+                className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 text-sm"
+              >
+                Update
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
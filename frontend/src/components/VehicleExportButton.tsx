@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { DocumentArrowDownIcon } from '@heroicons/react/24/outline';
+import { excelAPI } from '../services/api';
+
+type ExportFormat = 'xlsx' | 'csv';
+
+interface VehicleExportButtonProps {
+  // What to export: a search, whole files or registration numbers (see POST /excel/export)
+  request: {
+    search?: string;
+    searchType?: string;
+    stateCode?: string;
+    lastFourDigits?: string;
+    fileIds?: string[];
+    registrationNumbers?: string[];
+  };
+  label?: string;
+  iconOnly?: boolean;
+}
+
+// Download vehicles with full details as Excel or CSV
+export default function VehicleExportButton({ request, label = 'Export', iconOnly = false }: VehicleExportButtonProps) {
+  const [showFormats, setShowFormats] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (format: ExportFormat) => {
+    setShowFormats(false);
+    setIsExporting(true);
+    try {
+      const response = await excelAPI.exportVehicles({ ...request, format });
+      const blob = new Blob([response.data], {
+        type: format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `vehicles_export_${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      toast.success('Export downloaded');
+    } catch (error: any) {
+      // Error bodies arrive as a Blob because of responseType: 'blob'
+      let message = 'Failed to export vehicles';
+      try {
+        const body = JSON.parse(await error.response?.data?.text());
+        message = body.errors?.[0]?.msg || body.message || message;
+      } catch (parseError) {
+        // Not JSON - keep the generic message
+      }
+      toast.error(message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setShowFormats(!showFormats)}
+        disabled={isExporting}
+        className={iconOnly
+          ? 'text-teal-600 hover:text-teal-800 p-2 disabled:opacity-50'
+          : 'flex items-center gap-1 px-3 py-1.5 text-sm text-teal-700 bg-teal-50 rounded-lg hover:bg-teal-100 disabled:opacity-50'}
+        title="Export vehicles with full details"
+      >
+        <DocumentArrowDownIcon className={`h-5 w-5 ${isExporting ? 'animate-pulse' : ''}`} />
+        {!iconOnly && (isExporting ? 'Exporting...' : label)}
+      </button>
+      {showFormats && (
+        <div className="absolute right-0 z-20 mt-1 w-40 bg-white border border-gray-200 rounded-md shadow-lg">
+          <button
+            onClick={() => handleExport('xlsx')}
+            className="block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            Excel (.xlsx)
+          </button>
+          <button
+            onClick={() => handleExport('csv')}
+            className="block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            CSV (.csv)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
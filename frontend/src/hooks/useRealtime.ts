@@ -0,0 +1,61 @@
+import { useEffect } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { toast } from 'react-hot-toast'
+import { subscribeRealtime, RealtimeEvent } from '../services/realtime'
+
+const notificationMessage = (notification: any) => {
+  switch (notification.action) {
+    case 'permission_request':
+      return `${notification.userName} requested file sharing permission`
+    case 'file_archived':
+      return `File ${notification.fileName || notification.maskedFileName} expired and was archived`
+    default:
+      return `${notification.userName} ${notification.action} ${notification.vehicleNumber}`
+  }
+}
+
+const paymentProofMessage = (proof: any) => {
+  if (proof.status === 'pending') return 'New payment proof to review'
+  return proof.status === 'approved' ? 'Your payment proof was approved' : 'Your payment proof was rejected'
+}
+
+// Applies pushed events while signed in: refreshes the affected queries,
+// shows a toast and ends the session on force-logout
+export function useRealtime(enabled: boolean) {
+  const queryClient = useQueryClient()
+
+  useEffect(() => {
+    if (!enabled) return
+
+    return subscribeRealtime((event: RealtimeEvent) => {
+      switch (event.type) {
+        case 'notification':
+          queryClient.invalidateQueries({ queryKey: ['notifications'] })
+          queryClient.invalidateQueries({ queryKey: ['notification-stats'] })
+          if (event.data.action === 'permission_request') {
+            queryClient.invalidateQueries({ queryKey: ['sharing-permission-requests'] })
+          }
+          // Searches arrive in bulk (batch lookups): refresh only
+          if (event.data.action !== 'searched') {
+            toast(notificationMessage(event.data), { id: event.data._id, icon: '🔔' })
+          }
+          break
+        case 'payment-proof':
+          queryClient.invalidateQueries({
+            predicate: query => /payment|proof/.test(String(query.queryKey[0]))
+          })
+          toast(paymentProofMessage(event.data), { icon: '💳' })
+          break
+        case 'agent-location':
+          queryClient.invalidateQueries({ queryKey: ['agent-locations'] })
+          break
+        case 'force-logout':
+          localStorage.removeItem('token')
+          localStorage.removeItem('user')
+          alert(event.data.message || 'You have been logged out.')
+          window.location.href = '/login'
+          break
+      }
+    })
+  }, [enabled, queryClient])
+}
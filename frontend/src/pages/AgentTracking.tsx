@@ -0,0 +1,322 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import {
+  MapPinIcon,
+  ClockIcon,
+  ArrowLeftIcon,
+  PlayIcon,
+  PauseIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+import { locationAPI } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import TrackingMap, { MapMarker } from '../components/TrackingMap';
+
+interface LastLocation {
+  latitude: number;
+  longitude: number;
+  accuracy?: number | null;
+  recordedAt: string;
+}
+
+interface TrackedAgent {
+  _id: string;
+  name: string;
+  phone?: string;
+  isActive: boolean;
+  isOnline: boolean;
+  lastSeen?: string;
+  lastLocation: LastLocation | null;
+  admin: { _id: string; name: string } | null;
+}
+
+interface Ping extends LastLocation {
+  speed?: number | null;
+}
+
+interface Verification {
+  _id: string;
+  vehicleNumber: string;
+  at: string;
+  position: { latitude: number; longitude: number; source: 'gps' | 'trail' } | null;
+}
+
+const REPLAY_STEP_MS = 300;
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const timeAgo = (value: string) => {
+  const minutes = Math.round((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+const formatTime = (value: string) => new Date(value).toLocaleTimeString();
+
+// Admin map of field agents: last known positions, daily trails and replay of "verified" actions
+export default function AgentTracking() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const replayId = searchParams.get('replay');
+  const [agentId, setAgentId] = useState<string | null>(null);
+  const [date, setDate] = useState(today());
+  const [replayIndex, setReplayIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const { data: agentsData, isLoading: agentsLoading } = useQuery({
+    queryKey: ['agent-locations'],
+    queryFn: () => locationAPI.getAgents(),
+    enabled: !!user,
+  });
+  const agents: TrackedAgent[] = agentsData?.data?.data || [];
+  const selectedAgent = agents.find(agent => agent._id === agentId) || null;
+
+  const { data: trailData, isLoading: trailLoading } = useQuery({
+    queryKey: ['agent-trail', agentId, date],
+    queryFn: () => locationAPI.getTrail(agentId!, { date, tzOffset: new Date(`${date}T00:00:00`).getTimezoneOffset() }),
+    enabled: !!agentId && !replayId,
+  });
+  const trail: Ping[] = trailData?.data?.data?.trail || [];
+  const verifications: Verification[] = trailData?.data?.data?.verifications || [];
+
+  const { data: replayData, isLoading: replayLoading } = useQuery({
+    queryKey: ['verification-replay', replayId],
+    queryFn: () => locationAPI.getReplay(replayId!),
+    enabled: !!replayId,
+  });
+  const replay = replayData?.data?.data;
+  const replayTrail: Ping[] = replay?.trail || [];
+
+  // Start the replay at the fix closest to the verification
+  useEffect(() => {
+    if (!replay) return;
+    const index = replay.position
+      ? replayTrail.findIndex((ping: Ping) => ping.recordedAt === replay.position.recordedAt)
+      : 0;
+    setReplayIndex(Math.max(0, index));
+    setPlaying(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [replay]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(() => {
+      setReplayIndex(index => {
+        if (index >= replayTrail.length - 1) {
+          setPlaying(false);
+          return index;
+        }
+        return index + 1;
+      });
+    }, REPLAY_STEP_MS);
+    return () => clearInterval(timer);
+  }, [playing, replayTrail.length]);
+
+  const openReplay = (notificationId: string) => setSearchParams({ replay: notificationId });
+  const closeReplay = () => setSearchParams({});
+
+  let markers: MapMarker[] = [];
+  let paths: { latitude: number; longitude: number }[][] = [];
+
+  if (replayId && replay) {
+    const current = replayTrail[replayIndex];
+    paths = [replayTrail];
+    if (replay.position) {
+      markers.push({
+        id: 'verified',
+        label: `Closest fix to verifying ${replay.verification.vehicleNumber}`,
+        latitude: replay.position.latitude,
+        longitude: replay.position.longitude,
+        color: '#16a34a'
+      });
+    }
+    if (current) {
+      markers.push({ id: 'replay', label: formatTime(current.recordedAt), latitude: current.latitude, longitude: current.longitude, color: '#7c3aed' });
+    }
+  } else if (selectedAgent) {
+    paths = [trail];
+    markers = verifications
+      .filter(verification => verification.position)
+      .map(verification => ({
+        id: verification._id,
+        label: `${verification.vehicleNumber} verified at ${formatTime(verification.at)}`,
+        latitude: verification.position!.latitude,
+        longitude: verification.position!.longitude,
+        color: '#16a34a',
+        onClick: () => openReplay(verification._id)
+      }));
+    const last = trail[trail.length - 1];
+    if (last) {
+      markers.push({ id: 'last', label: `Last fix ${formatTime(last.recordedAt)}`, latitude: last.latitude, longitude: last.longitude, color: '#dc2626' });
+    }
+  } else {
+    markers = agents
+      .filter(agent => agent.lastLocation)
+      .map(agent => ({
+        id: agent._id,
+        label: `${agent.name} · ${timeAgo(agent.lastLocation!.recordedAt)}`,
+        latitude: agent.lastLocation!.latitude,
+        longitude: agent.lastLocation!.longitude,
+        color: agent.isOnline ? '#dc2626' : '#6b7280',
+        onClick: () => setAgentId(agent._id)
+      }));
+  }
+
+  const isMapLoading = replayId ? replayLoading : selectedAgent ? trailLoading : agentsLoading;
+  const replayCurrent = replayTrail[replayIndex];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden">
+        <div className="bg-gradient-to-r from-blue-600 to-indigo-600 px-6 py-4">
+          <h1 className="text-lg font-bold text-white flex items-center gap-2">
+            <MapPinIcon className="h-5 w-5" />
+            Agent Tracking
+          </h1>
+          <p className="text-indigo-100 text-sm">GPS positions reported by the field agent app</p>
+        </div>
+
+        <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            {replayId ? (
+              <div className="space-y-3">
+                <button type="button" onClick={closeReplay} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline">
+                  <ArrowLeftIcon className="h-4 w-4" />
+                  Back
+                </button>
+                {replay && (
+                  <div className="border border-gray-200 rounded-xl p-4 space-y-2 text-sm">
+                    <p className="font-semibold text-gray-900">
+                      {replay.agent.name} verified <span className="font-mono">{replay.verification.vehicleNumber}</span>
+                    </p>
+                    <p className="text-gray-600">{new Date(replay.verification.at).toLocaleString()}</p>
+                    {replay.position ? (
+                      <p className="text-green-700">
+                        Closest GPS fix {Math.round(replay.position.offsetMs / 1000)} s away
+                        {replay.position.accuracy ? ` · ±${Math.round(replay.position.accuracy)} m` : ''}
+                      </p>
+                    ) : (
+                      <p className="text-amber-700">No GPS fix close to this verification</p>
+                    )}
+                    {replayTrail.length > 1 && (
+                      <div className="pt-2 space-y-2">
+                        <input
+                          type="range"
+                          min={0}
+                          max={replayTrail.length - 1}
+                          value={replayIndex}
+                          onChange={(e) => setReplayIndex(Number(e.target.value))}
+                          className="w-full"
+                        />
+                        <div className="flex items-center justify-between">
+                          <button
+                            type="button"
+                            onClick={() => {
+                              if (replayIndex >= replayTrail.length - 1) setReplayIndex(0);
+                              setPlaying(!playing);
+                            }}
+                            className="inline-flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white rounded-md text-xs hover:bg-indigo-700"
+                          >
+                            {playing ? <PauseIcon className="h-4 w-4" /> : <PlayIcon className="h-4 w-4" />}
+                            {playing ? 'Pause' : 'Play'}
+                          </button>
+                          {replayCurrent && <span className="text-xs text-gray-600">{formatTime(replayCurrent.recordedAt)}</span>}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ) : selectedAgent ? (
+              <div className="space-y-3">
+                <button type="button" onClick={() => setAgentId(null)} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline">
+                  <ArrowLeftIcon className="h-4 w-4" />
+                  All agents
+                </button>
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-semibold text-gray-900">{selectedAgent.name}</p>
+                  <input
+                    type="date"
+                    value={date}
+                    max={today()}
+                    onChange={(e) => setDate(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <p className="text-xs text-gray-500">{trail.length} GPS fix(es) on this day</p>
+                {verifications.length === 0 ? (
+                  <p className="text-sm text-gray-500">No vehicles verified on this day.</p>
+                ) : (
+                  <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl max-h-80 overflow-y-auto">
+                    {verifications.map(verification => (
+                      <button
+                        key={verification._id}
+                        type="button"
+                        onClick={() => openReplay(verification._id)}
+                        className="w-full text-left px-3 py-2 hover:bg-green-50 text-sm flex items-center justify-between gap-2"
+                      >
+                        <span className="flex items-center gap-2">
+                          <CheckCircleIcon className="h-4 w-4 text-green-600" />
+                          <span className="font-mono font-bold">{verification.vehicleNumber}</span>
+                        </span>
+                        <span className="text-xs text-gray-500">{formatTime(verification.at)} · Replay</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : agentsLoading ? (
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <ClockIcon className="h-4 w-4 animate-spin" />
+                Loading agents...
+              </div>
+            ) : agents.length === 0 ? (
+              <p className="text-sm text-gray-500">No field agents to track.</p>
+            ) : (
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl max-h-[480px] overflow-y-auto">
+                {agents.map(agent => (
+                  <button
+                    key={agent._id}
+                    type="button"
+                    onClick={() => setAgentId(agent._id)}
+                    className="w-full text-left px-3 py-2 hover:bg-blue-50 text-sm"
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-2">
+                        <span className={`w-2 h-2 rounded-full ${agent.isOnline ? 'bg-green-500' : 'bg-gray-400'}`} />
+                        <span className="font-medium text-gray-900">{agent.name}</span>
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        {agent.lastLocation ? timeAgo(agent.lastLocation.recordedAt) : 'No GPS yet'}
+                      </span>
+                    </div>
+                    {agent.admin && user?.role !== 'admin' && user?.role !== 'auditor' && (
+                      <span className="block text-xs text-gray-500">Admin: {agent.admin.name}</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="lg:col-span-2">
+            {isMapLoading ? (
+              <div className="flex items-center justify-center h-[480px] bg-gray-50 border border-gray-200 rounded-xl text-sm text-gray-500 gap-2">
+                <ClockIcon className="h-4 w-4 animate-spin" />
+                Loading map...
+              </div>
+            ) : (
+              <TrackingMap markers={markers} paths={paths} />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { toast } from 'react-hot-toast'
+import { MagnifyingGlassIcon, StarIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline'
+import { excelAPI } from '../services/api'
+
+type DuplicateKeyType = 'registration' | 'chassis'
+
+interface DuplicateLookup {
+  _id: string
+  registrationNumber?: string | null
+  chassisNumber?: string | null
+  sheetName?: string | null
+  rowNumber?: number
+}
+
+interface DuplicateFile {
+  _id: string
+  originalName?: string
+  uploadedByName?: string
+  createdAt?: string
+  lookups: DuplicateLookup[]
+}
+
+interface DuplicateGroup {
+  key: string
+  count: number
+  authoritativeFileId: string | null
+  resolvedBy: string | null
+  resolvedAt: string | null
+  files: DuplicateFile[]
+}
+
+export default function DuplicateVehicles() {
+  const queryClient = useQueryClient()
+  const [keyType, setKeyType] = useState<DuplicateKeyType>('registration')
+  const [search, setSearch] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+  const [page, setPage] = useState(1)
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search)
+      setPage(1)
+    }, 400)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  const { data, isLoading, isFetching } = useQuery({
+    queryKey: ['duplicate-vehicles', keyType, debouncedSearch, page],
+    queryFn: () => excelAPI.getDuplicates({ by: keyType, search: debouncedSearch || undefined, page, limit: 20 }),
+    keepPreviousData: true,
+  })
+  const groups: DuplicateGroup[] = data?.data?.data || []
+  const pagination = data?.data?.pagination
+
+  const markMutation = useMutation({
+    mutationFn: ({ key, fileId }: { key: string; fileId: string }) =>
+      excelAPI.setAuthoritativeFile({ by: keyType, key, fileId }),
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Authoritative file updated')
+      queryClient.invalidateQueries({ queryKey: ['duplicate-vehicles'] })
+      queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] })
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to mark authoritative file')
+    }
+  })
+
+  const clearMutation = useMutation({
+    mutationFn: (key: string) => excelAPI.clearAuthoritativeFile({ by: keyType, key }),
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Authoritative file cleared')
+      queryClient.invalidateQueries({ queryKey: ['duplicate-vehicles'] })
+      queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] })
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to clear authoritative file')
+    }
+  })
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h1 className="text-2xl font-bold text-gray-900">Duplicate Vehicles</h1>
+        <p className="text-gray-600 mt-1">
+          Vehicles that appear in more than one of your files. Mark the file agents should trust.
+        </p>
+
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <select
+            value={keyType}
+            onChange={(e) => {
+              setKeyType(e.target.value as DuplicateKeyType)
+              setPage(1)
+            }}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="registration">Group by registration number</option>
+            <option value="chassis">Group by chassis number</option>
+          </select>
+          <div className="relative">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Filter by number"
+              className="pl-10 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          {pagination && (
+            <span className="text-sm text-gray-600">
+              {pagination.total.toLocaleString()} duplicate vehicle(s)
+            </span>
+          )}
+          {isFetching && !isLoading && <span className="text-xs text-gray-400">Updating...</span>}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-500">
+          <DocumentDuplicateIcon className="h-10 w-10 mx-auto text-gray-300 mb-2" />
+          No vehicles appear in more than one file.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {groups.map(group => (
+            <div key={group.key} className="bg-white rounded-lg shadow-sm p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <div>
+                  <span className="font-mono font-bold text-gray-900">{group.key}</span>
+                  <span className="ml-2 text-sm text-gray-600">
+                    {group.count} rows in {group.files.length} files
+                  </span>
+                </div>
+                {group.authoritativeFileId && (
+                  <div className="flex items-center gap-2 text-xs text-gray-500">
+                    Resolved{group.resolvedBy ? ` by ${group.resolvedBy}` : ''}
+                    {group.resolvedAt ? ` on ${new Date(group.resolvedAt).toLocaleDateString()}` : ''}
+                    <button
+                      onClick={() => clearMutation.mutate(group.key)}
+                      disabled={clearMutation.isLoading}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {group.files.map(file => {
+                  const isAuthoritative = group.authoritativeFileId === file._id
+                  return (
+                    <div key={file._id} className={`p-3 flex flex-wrap items-center justify-between gap-2 ${isAuthoritative ? 'bg-green-50' : ''}`}>
+                      <div className="text-sm">
+                        <p className="font-medium text-gray-900">
+                          {file.originalName || 'Unknown file'}
+                          {isAuthoritative && (
+                            <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                              Authoritative
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {file.uploadedByName ? `${file.uploadedByName} · ` : ''}
+                          {file.createdAt ? `${new Date(file.createdAt).toLocaleDateString()} · ` : ''}
+                          {file.lookups.map(lookup => [
+                            lookup.sheetName ? `${lookup.sheetName} row ${lookup.rowNumber}` : `row ${lookup.rowNumber}`,
+                            keyType === 'registration' ? lookup.chassisNumber : lookup.registrationNumber
+                          ].filter(Boolean).join(' ')).join(', ')}
+                        </p>
+                      </div>
+                      {!isAuthoritative && (
+                        <button
+                          onClick={() => markMutation.mutate({ key: group.key, fileId: file._id })}
+                          disabled={markMutation.isLoading}
+                          className="flex items-center gap-1 px-3 py-1.5 text-sm text-amber-700 bg-amber-50 rounded-lg hover:bg-amber-100 disabled:opacity-50"
+                        >
+                          <StarIcon className="h-4 w-4" />
+                          Mark authoritative
+                        </button>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+          ))}
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-center gap-3">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">Page {page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
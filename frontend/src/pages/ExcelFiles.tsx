@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { toast } from 'react-hot-toast'
 import { excelAPI, usersAPI, fileStorageAPI } from '../services/api'
@@ -17,10 +17,15 @@ import {
   ExclamationTriangleIcon,
   ClockIcon,
   ArrowPathIcon,
-  PencilIcon
+  PencilIcon,
+  UserGroupIcon
 } from '@heroicons/react/24/outline'
 import { useAuth } from '../hooks/useAuth'
 import AdminAssignmentModal from '../components/AdminAssignmentModal'
+import VehicleAllocationModal from '../components/VehicleAllocationModal'
+import FileValidityModal from '../components/FileValidityModal'
+import VehicleExportButton from '../components/VehicleExportButton'
+import MaskingPolicyEditor, { MaskingPolicy, emptyMaskingPolicy } from '../components/MaskingPolicyEditor'
 
 interface ExcelFile {
   _id: string
@@ -54,6 +59,13 @@ interface ExcelFile {
   skippedRows: number
   status: 'processing' | 'completed' | 'failed' | 'partial'
   errorMessage?: string
+  revision?: number
+  lastReplacedAt?: string
+  validFrom?: string | null
+  expiresAt?: string | null
+  availability?: 'scheduled' | 'active' | 'archived'
+  archivedAt?: string | null
+  maskingPolicy?: MaskingPolicy
   createdAt: string
   updatedAt: string
 }
@@ -63,6 +75,71 @@ interface UploadForm {
   assignedTo: string
   assignedAdmins: string[]
   sharedAdmins: string[] // For admin-to-admin file sharing
+  mappingProfileId: string // Empty = auto-detect from header row
+  sheetMode: 'first' | 'all' | 'selected' // Which sheets of a multi-sheet workbook to ingest
+  selectedSheets: string[]
+  maskingPolicy: MaskingPolicy // Field masking for shared admins, auditors and field agents
+}
+
+interface StagedUploadReport {
+  stageId: string
+  filename: string
+  totalRows: number
+  canConfirm: boolean
+  sheetNames: string[]
+  availableSheets: string[]
+  sheets: Array<{ name: string; rows: number }>
+  summary: {
+    totalRows: number
+    validRows: number
+    rowsWithIssues: number
+    emptyRows: number
+    invalidRegistration: number
+    missingChassis: number
+    duplicateInFile: number
+    duplicateInOtherFiles: number
+  }
+  quota: {
+    totalLimit: number
+    usedRecords: number
+    remainingRecords: number
+    remainingAfterUpload: number
+    exceedsQuota: boolean
+    message?: string
+  }
+  rows: Array<{
+    sheetName?: string
+    rowNumber: number
+    registrationNumber: string | null
+    chassisNumber: string | null
+    issues: Array<{ code: string; message: string }>
+  }>
+  truncated: boolean
+  duplicateFiles: Array<{ _id: string; originalName: string }>
+}
+
+interface ImportJob {
+  _id: string
+  type?: 'ingest' | 'restore' | 'replace'
+  excelFileId: string
+  originalName: string
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'
+  rowsTotal: number
+  rowsProcessed: number
+  attempts: number
+  maxAttempts: number
+  cancelRequested: boolean
+  errorMessage?: string | null
+  result?: { added?: number; removed?: number; unchanged?: number } | null
+  createdAt: string
+}
+
+interface MappingProfile {
+  _id: string
+  name: string
+  description?: string
+  mappings: Array<{ sourceHeader: string; targetField: string }>
+  isGlobal: boolean
 }
 
 export default function ExcelFiles() {
@@ -72,6 +149,7 @@ export default function ExcelFiles() {
   // State for filters and pagination
   const [search, setSearch] = useState('')
   const [status, setStatus] = useState('')
+  const [availability, setAvailability] = useState('')
   const [page, setPage] = useState(1)
   const [showFilters, setShowFilters] = useState(false)
   
@@ -81,11 +159,18 @@ export default function ExcelFiles() {
     file: null,
     assignedTo: '',
     assignedAdmins: [],
-    sharedAdmins: []
+    sharedAdmins: [],
+    mappingProfileId: '',
+    sheetMode: 'first',
+    selectedSheets: [],
+    maskingPolicy: emptyMaskingPolicy()
   })
+  const [availableSheets, setAvailableSheets] = useState<string[]>([])
   const [isUploading, setIsUploading] = useState(false)
   const [uploadProgress, setUploadProgress] = useState(0)
   const [uploadStatus, setUploadStatus] = useState('')
+  const [stagedUpload, setStagedUpload] = useState<StagedUploadReport | null>(null)
+  const [isPreviewing, setIsPreviewing] = useState(false)
 
   // State for assignment modal
   const [showAssignmentModal, setShowAssignmentModal] = useState(false)
@@ -95,15 +180,22 @@ export default function ExcelFiles() {
   const [showSharingModal, setShowSharingModal] = useState(false)
   const [selectedSharingFile, setSelectedSharingFile] = useState<ExcelFile | null>(null)
   
+  // State for vehicle allocation modal
+  const [allocationFile, setAllocationFile] = useState<ExcelFile | null>(null)
+
+  // Validity window / restore modal
+  const [validityFile, setValidityFile] = useState<ExcelFile | null>(null)
+
   // State for edit sharing modal
   const [showEditSharingModal, setShowEditSharingModal] = useState(false)
   const [selectedEditFile, setSelectedEditFile] = useState<ExcelFile | null>(null)
   const [editSharedAdmins, setEditSharedAdmins] = useState<string[]>([])
+  const [editMaskingPolicy, setEditMaskingPolicy] = useState<MaskingPolicy>(emptyMaskingPolicy())
 
   // Fetch Excel files
   const { data, isLoading, error } = useQuery({
-    queryKey: ['excel-files', { search, status, page, currentUser: currentUser?.role }],
-    queryFn: () => excelAPI.getFiles({ search, status, page, limit: 10 }),
+    queryKey: ['excel-files', { search, status, availability, page, currentUser: currentUser?.role }],
+    queryFn: () => excelAPI.getFiles({ search, status, availability: availability || undefined, page, limit: 10 }),
     staleTime: 30000,
   })
 
@@ -128,18 +220,87 @@ export default function ExcelFiles() {
 
   const storageLimits = storageLimitsData?.data?.data
 
+  // Fetch column mapping profiles for upload header translation
+  const { data: mappingProfilesData } = useQuery({
+    queryKey: ['excel-mapping-profiles'],
+    queryFn: () => excelAPI.getMappingProfiles(),
+    enabled: currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin' || currentUser?.role === 'admin',
+  })
+
+  const mappingProfiles: MappingProfile[] = Array.isArray(mappingProfilesData?.data?.data) ? mappingProfilesData.data.data : []
+
+  // Background import jobs - polled while any are active, so progress resumes after a reload
+  const { data: importJobsData } = useQuery({
+    queryKey: ['excel-import-jobs'],
+    queryFn: () => excelAPI.getImportJobs({ active: true }),
+    enabled: currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin' || currentUser?.role === 'admin',
+    refetchInterval: (response: any) => (response?.data?.data?.length ? 2000 : false),
+  })
+
+  const activeImportJobs: ImportJob[] = Array.isArray(importJobsData?.data?.data) ? importJobsData.data.data : []
+  const previousImportJobIds = useRef<string[]>([])
+
+  // Report jobs that dropped out of the active list and refresh the file list
+  useEffect(() => {
+    const activeIds = activeImportJobs.map(job => job._id)
+    const finishedIds = previousImportJobIds.current.filter(id => !activeIds.includes(id))
+    previousImportJobIds.current = activeIds
+
+    if (finishedIds.length === 0) return
+
+    queryClient.invalidateQueries({ queryKey: ['excel-files'] })
+    queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] })
+    finishedIds.forEach(async (id) => {
+      try {
+        const response = await excelAPI.getImportJob(id)
+        const job: ImportJob = response.data.data
+        if (job.status === 'completed' && job.type === 'replace' && job.result) {
+          toast.success(`${job.originalName} contents replaced: ${job.result.added} added, ${job.result.removed} removed, ${job.result.unchanged} unchanged`, { duration: 5000 })
+        } else if (job.status === 'completed') {
+          toast.success(`${job.originalName} processed successfully`)
+        } else if (job.status === 'failed') {
+          toast.error(`${job.originalName} failed to process: ${job.errorMessage || 'Unknown error'}`, { duration: 6000 })
+        } else if (job.status === 'cancelled') {
+          toast(`${job.originalName} import cancelled`)
+        }
+      } catch (error) {
+        console.error('Failed to fetch import job:', error)
+      }
+    })
+  }, [importJobsData])
+
+  const [cancellingJobId, setCancellingJobId] = useState<string | null>(null)
+
+  const handleCancelImportJob = async (job: ImportJob) => {
+    const consequence = job.type === 'restore'
+      ? 'The file will stay archived.'
+      : job.type === 'replace' ? 'The file keeps its current contents.' : 'The file will be removed.'
+    if (!window.confirm(`Cancel processing of ${job.originalName}? ${consequence}`)) return
+
+    setCancellingJobId(job._id)
+    try {
+      const response = await excelAPI.cancelImportJob(job._id)
+      toast.success(response?.data?.message || 'Cancellation requested')
+      queryClient.invalidateQueries({ queryKey: ['excel-import-jobs'] })
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to cancel import')
+    } finally {
+      setCancellingJobId(null)
+    }
+  }
+
   // Mutations
   const uploadMutation = useMutation({
     mutationFn: (formData: FormData) => excelAPI.upload(formData),
     onSuccess: (response: any) => {
       queryClient.invalidateQueries({ queryKey: ['excel-files'] })
-      queryClient.invalidateQueries({ queryKey: ['excel-vehicles-fast'] })
+      queryClient.invalidateQueries({ queryKey: ['excel-import-jobs'] })
       
       // Show success message with storage type info if available
       const storageType = response?.data?.data?.storageType
-      const message = storageType === 'GCS' 
-        ? 'Excel file uploaded to cloud storage successfully' 
-        : 'Excel file uploaded successfully'
+      const message = storageType && storageType !== 'local'
+        ? 'Excel file uploaded to cloud storage and queued for processing' 
+        : 'Excel file uploaded and queued for processing'
       toast.success(message)
       
       setShowUploadModal(false)
@@ -171,6 +332,42 @@ export default function ExcelFiles() {
   })
 
   const [deletingFileId, setDeletingFileId] = useState<string | null>(null)
+  const [replacingFileId, setReplacingFileId] = useState<string | null>(null)
+
+  // Replace a file's rows with a newer version of the same sheet (only the delta is applied)
+  const replaceContentsMutation = useMutation({
+    mutationFn: ({ fileId, file }: { fileId: string; file: File }) => {
+      setReplacingFileId(fileId)
+      const formData = new FormData()
+      formData.append('excelFile', file)
+      return excelAPI.replaceFileContents(fileId, formData)
+    },
+    onSuccess: (response: any) => {
+      setReplacingFileId(null)
+      queryClient.invalidateQueries({ queryKey: ['excel-files'] })
+      queryClient.invalidateQueries({ queryKey: ['excel-import-jobs'] })
+      toast.success(response?.data?.message || 'Replacement queued', { duration: 5000 })
+    },
+    onError: (error: any) => {
+      setReplacingFileId(null)
+      toast.error(error.response?.data?.message || 'Failed to replace file contents')
+    }
+  })
+
+  const handleReplaceContents = (fileId: string, e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (!file.name.match(/\.(xlsx|xls|csv|tsv)$/i)) {
+      toast.error('Please select a valid Excel, CSV or TSV file (.xlsx, .xls, .csv, .tsv)')
+      return
+    }
+
+    if (window.confirm(`Replace the contents of this file with "${file.name}"? Only added and removed rows will be applied.`)) {
+      replaceContentsMutation.mutate({ fileId, file })
+    }
+  }
 
   const deleteMutation = useMutation({
     mutationFn: async (fileId: string) => {
@@ -250,8 +447,8 @@ export default function ExcelFiles() {
 
   // Mutation for updating shared admins
   const updateSharedAdminsMutation = useMutation({
-    mutationFn: ({ fileId, sharedAdmins }: { fileId: string; sharedAdmins: string[] }) => 
-      excelAPI.updateSharedAdmins(fileId, { sharedAdmins }),
+    mutationFn: ({ fileId, sharedAdmins, maskingPolicy }: { fileId: string; sharedAdmins: string[]; maskingPolicy: MaskingPolicy }) => 
+      excelAPI.updateSharedAdmins(fileId, { sharedAdmins, maskingPolicy }),
     onSuccess: (response: any) => {
       console.log('✅ Shared admins updated:', response.data);
       // Invalidate and refetch immediately
@@ -284,8 +481,8 @@ export default function ExcelFiles() {
     const file = e.target.files?.[0]
     if (file) {
       // Validate file type
-      if (!file.name.match(/\.(xlsx|xls)$/)) {
-        toast.error('Please select a valid Excel file (.xlsx or .xls)')
+      if (!file.name.match(/\.(xlsx|xls|csv|tsv)$/i)) {
+        toast.error('Please select a valid Excel, CSV or TSV file (.xlsx, .xls, .csv, .tsv)')
         return
       }
       
@@ -295,10 +492,114 @@ export default function ExcelFiles() {
         return
       }
 
-      setUploadForm(prev => ({ ...prev, file }))
+      // A new file invalidates any validation report for the previous one
+      if (stagedUpload) {
+        handleCancelStaged()
+      }
+
+      setUploadForm(prev => ({ ...prev, file, sheetMode: 'first', selectedSheets: [] }))
+      setAvailableSheets([])
+    }
+  }
+
+  // Changing the sheet selection invalidates the current validation report
+  const handleSheetSelectionChange = (changes: Partial<Pick<UploadForm, 'sheetMode' | 'selectedSheets'>>) => {
+    if (stagedUpload) {
+      handleCancelStaged()
+    }
+    setUploadForm(prev => ({ ...prev, ...changes }))
+  }
+
+  const buildUploadFormData = (file: File) => {
+    const formData = new FormData()
+    formData.append('excelFile', file)
+
+    if (uploadForm.mappingProfileId) {
+      formData.append('mappingProfileId', uploadForm.mappingProfileId)
+    }
+
+    if (uploadForm.sheetMode === 'all') {
+      formData.append('sheets', 'all')
+    } else if (uploadForm.sheetMode === 'selected' && uploadForm.selectedSheets.length > 0) {
+      formData.append('sheets', JSON.stringify(uploadForm.selectedSheets))
+    }
+    
+    if ((currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin') && uploadForm.assignedTo) {
+      formData.append('assignedTo', uploadForm.assignedTo)
+      if (uploadForm.assignedAdmins.length > 0) {
+        formData.append('assignedAdmins', JSON.stringify(uploadForm.assignedAdmins))
+      }
+    }
+    
+    // For admin users with sharing permission, send sharedAdmins
+    if (currentUser?.role === 'admin' && currentUser?.canShareFiles && uploadForm.sharedAdmins.length > 0) {
+      formData.append('sharedAdmins', JSON.stringify(uploadForm.sharedAdmins))
+    }
+
+    formData.append('maskingPolicy', JSON.stringify(uploadForm.maskingPolicy))
+
+    return formData
+  }
+
+  // Dry-run: validate the file on the server and stage it without saving anything
+  const handlePreview = async () => {
+    if (!uploadForm.file) {
+      toast.error('Please select a file')
+      return
+    }
+
+    if ((currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin') && !uploadForm.assignedTo) {
+      toast.error('Please select an admin to assign this file to')
+      return
+    }
+
+    setIsPreviewing(true)
+    try {
+      const response = await excelAPI.previewUpload(buildUploadFormData(uploadForm.file))
+      setStagedUpload(response.data.data)
+      setAvailableSheets(response.data.data.availableSheets || [])
+    } catch (error: any) {
+      if (error.response?.data?.availableSheets) {
+        setAvailableSheets(error.response.data.availableSheets)
+      }
+      toast.error(error.response?.data?.message || 'Failed to validate file')
+    } finally {
+      setIsPreviewing(false)
+    }
+  }
+
+  const handleConfirmStaged = async () => {
+    if (!stagedUpload) return
+
+    setIsUploading(true)
+    setUploadStatus('Saving validated file...')
+    try {
+      await excelAPI.confirmStagedUpload(stagedUpload.stageId)
+      queryClient.invalidateQueries({ queryKey: ['excel-files'] })
+      queryClient.invalidateQueries({ queryKey: ['excel-import-jobs'] })
+      toast.success('Excel file uploaded and queued for processing')
+      setStagedUpload(null)
+      setShowUploadModal(false)
+      resetUploadForm()
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to upload file')
+    } finally {
+      setIsUploading(false)
+      setUploadStatus('')
     }
   }
 
+  const handleCancelStaged = async () => {
+    if (!stagedUpload) return
+
+    try {
+      await excelAPI.cancelStagedUpload(stagedUpload.stageId)
+    } catch (error) {
+      // Staged uploads expire on their own
+    }
+    setStagedUpload(null)
+  }
+
   const handleUpload = async (e: React.FormEvent) => {
     e.preventDefault()
     
@@ -337,22 +638,7 @@ export default function ExcelFiles() {
       }, 1500)
     
     try {
-      const formData = new FormData()
-      formData.append('excelFile', uploadForm.file)
-      
-      if ((currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin') && uploadForm.assignedTo) {
-        formData.append('assignedTo', uploadForm.assignedTo)
-        if (uploadForm.assignedAdmins.length > 0) {
-          formData.append('assignedAdmins', JSON.stringify(uploadForm.assignedAdmins))
-        }
-      }
-      
-      // For admin users with sharing permission, send sharedAdmins
-      if (currentUser?.role === 'admin' && currentUser?.canShareFiles && uploadForm.sharedAdmins.length > 0) {
-        formData.append('sharedAdmins', JSON.stringify(uploadForm.sharedAdmins))
-      }
-
-      await uploadMutation.mutateAsync(formData)
+      await uploadMutation.mutateAsync(buildUploadFormData(uploadForm.file))
       
       // Complete the progress
       setUploadProgress(100)
@@ -384,8 +670,13 @@ export default function ExcelFiles() {
       file: null,
       assignedTo: '',
       assignedAdmins: [],
-      sharedAdmins: []
+      sharedAdmins: [],
+      mappingProfileId: '',
+      sheetMode: 'first',
+      selectedSheets: [],
+      maskingPolicy: emptyMaskingPolicy()
     })
+    setAvailableSheets([])
   }
 
   const handleDelete = (fileId: string) => {
@@ -394,16 +685,18 @@ export default function ExcelFiles() {
     }
   }
 
-  const handleDownloadTemplate = async () => {
+  const handleDownloadTemplate = async (profile?: MappingProfile) => {
     try {
-      const response = await excelAPI.downloadTemplate()
+      const response = await excelAPI.downloadTemplate(profile?._id)
       const blob = new Blob([response.data], { 
         type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
       })
       const url = window.URL.createObjectURL(blob)
       const link = document.createElement('a')
       link.href = url
-      link.download = 'vehicle_template.xlsx'
+      link.download = profile
+        ? `vehicle_template_${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}.xlsx`
+        : 'vehicle_template.xlsx'
       document.body.appendChild(link)
       link.click()
       document.body.removeChild(link)
@@ -597,7 +890,7 @@ export default function ExcelFiles() {
         <div className="flex space-x-3">
           <button 
             className="btn-secondary"
-            onClick={handleDownloadTemplate}
+            onClick={() => handleDownloadTemplate()}
           >
             <DocumentArrowDownIcon className="h-5 w-5" />
             Download Template
@@ -614,6 +907,49 @@ export default function ExcelFiles() {
         </div>
       </div>
 
+      {/* Background import progress */}
+      {activeImportJobs.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="flex items-center space-x-2">
+            <ArrowPathIcon className="h-5 w-5 text-blue-600 animate-spin" />
+            <h3 className="text-sm font-medium text-gray-900">Processing uploads</h3>
+          </div>
+          {activeImportJobs.map((job) => {
+            const percent = job.rowsTotal > 0 ? Math.min(100, Math.round((job.rowsProcessed / job.rowsTotal) * 100)) : 0
+            return (
+              <div key={job._id}>
+                <div className="flex justify-between items-center text-sm mb-1">
+                  <span className="text-gray-700 truncate">{job.originalName}</span>
+                  <div className="flex items-center space-x-3 flex-shrink-0">
+                    <span className="text-gray-500">
+                      {job.status === 'queued'
+                        ? (job.attempts > 0 ? `Retrying (attempt ${job.attempts + 1}/${job.maxAttempts})` : 'Queued')
+                        : job.cancelRequested
+                          ? 'Cancelling...'
+                          : `${job.rowsProcessed.toLocaleString()} / ${job.rowsTotal.toLocaleString()} rows (${percent}%)`}
+                    </span>
+                    <button
+                      onClick={() => handleCancelImportJob(job)}
+                      disabled={job.cancelRequested || cancellingJobId === job._id}
+                      className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                      title="Cancel import"
+                    >
+                      <XCircleIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
       {/* Admin File Sharing Summary */}
       {currentUser?.role === 'admin' && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -697,6 +1033,22 @@ export default function ExcelFiles() {
                   <option value="partial">Partial</option>
                 </select>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Availability</label>
+                <select
+                  value={availability}
+                  onChange={(e) => {
+                    setAvailability(e.target.value)
+                    setPage(1)
+                  }}
+                  className="input"
+                >
+                  <option value="">Active</option>
+                  <option value="scheduled">Scheduled</option>
+                  <option value="archived">Archived</option>
+                </select>
+              </div>
             </div>
           </div>
         )}
@@ -773,6 +1125,26 @@ export default function ExcelFiles() {
                             {new Date(file.createdAt).toLocaleDateString()}
                           </span>
                         </div>
+                        {(file.validFrom || file.expiresAt || file.availability === 'archived') && (
+                          <div className="flex items-center space-x-2 mt-1 text-xs">
+                            {file.availability === 'archived' ? (
+                              <span className="px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 font-medium">
+                                Archived{file.archivedAt ? ` ${new Date(file.archivedAt).toLocaleDateString()}` : ''}
+                              </span>
+                            ) : (
+                              <>
+                                {file.availability === 'scheduled' && (
+                                  <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 font-medium">Scheduled</span>
+                                )}
+                                <span className="text-gray-500">
+                                  {file.validFrom ? `Valid from ${new Date(file.validFrom).toLocaleDateString()}` : ''}
+                                  {file.validFrom && file.expiresAt ? ' · ' : ''}
+                                  {file.expiresAt ? `Expires ${new Date(file.expiresAt).toLocaleDateString()}` : ''}
+                                </span>
+                              </>
+                            )}
+                          </div>
+                        )}
                         
                         {/* Assigned Admins Display */}
                         {/* Always show for admin uploads, or if there are assigned/shared admins */}
@@ -812,6 +1184,7 @@ export default function ExcelFiles() {
                                           typeof admin === 'object' ? admin._id : admin
                                         ) || [];
                                         setEditSharedAdmins(currentSharedAdmins);
+                                        setEditMaskingPolicy(file.maskingPolicy || emptyMaskingPolicy());
                                         setSelectedEditFile(file);
                                         setShowEditSharingModal(true);
                                       }}
@@ -902,6 +1275,28 @@ export default function ExcelFiles() {
                           <EyeIcon className="h-5 w-5" />
                         </button>
                       )}
+                      {(currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin' ||
+                        (currentUser?.role === 'admin' && (file.uploadedBy._id === currentUser._id || file.assignedTo?._id === currentUser._id))) && (
+                        <button
+                          onClick={() => setValidityFile(file)}
+                          className={`p-2 ${file.availability === 'archived' ? 'text-green-600 hover:text-green-800' : 'text-yellow-600 hover:text-yellow-800'}`}
+                          title={file.availability === 'archived' ? 'Restore archived file' : 'Set valid-from / expiry dates'}
+                        >
+                          <CalendarIcon className="h-5 w-5" />
+                        </button>
+                      )}
+                      {file.availability !== 'archived' && (file.status === 'completed' || file.status === 'partial') && (
+                        <VehicleExportButton request={{ fileIds: [file._id] }} iconOnly />
+                      )}
+                      {['superSuperAdmin', 'superAdmin', 'admin'].includes(currentUser?.role || '') && file.availability !== 'archived' && (file.status === 'completed' || file.status === 'partial') && (
+                        <button
+                          onClick={() => setAllocationFile(file)}
+                          className="text-purple-600 hover:text-purple-800 p-2"
+                          title="Allocate vehicles to field agents"
+                        >
+                          <UserGroupIcon className="h-5 w-5" />
+                        </button>
+                      )}
                       {(currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin') && (
                         <button
                           onClick={() => {
@@ -914,6 +1309,26 @@ export default function ExcelFiles() {
                           <UserIcon className="h-5 w-5" />
                         </button>
                       )}
+                      {file.availability !== 'archived' && (currentUser?.role === 'superSuperAdmin' || currentUser?.role === 'superAdmin' ||
+                        (currentUser?.role === 'admin' && (file.uploadedBy._id === currentUser._id || file.assignedTo?._id === currentUser._id))) && (
+                        <label
+                          className={`p-2 ${
+                            replacingFileId === file._id
+                              ? 'text-gray-400 cursor-not-allowed'
+                              : 'text-indigo-600 hover:text-indigo-800 cursor-pointer'
+                          }`}
+                          title={replacingFileId === file._id ? 'Replacing contents...' : 'Replace contents with a newer version'}
+                        >
+                          <ArrowPathIcon className={`h-5 w-5 ${replacingFileId === file._id ? 'animate-spin' : ''}`} />
+                          <input
+                            type="file"
+                            accept=".xlsx,.xls,.csv,.tsv"
+                            className="hidden"
+                            disabled={replacingFileId === file._id}
+                            onChange={(e) => handleReplaceContents(file._id, e)}
+                          />
+                        </label>
+                      )}
                       <button
                         onClick={() => handleDelete(file._id)}
                         disabled={deleteMutation.isPending}
@@ -998,15 +1413,82 @@ export default function ExcelFiles() {
                   </label>
                   <input
                     type="file"
-                    accept=".xlsx,.xls"
+                    accept=".xlsx,.xls,.csv,.tsv"
                     onChange={handleFileChange}
                     className="input"
                     required
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Only .xlsx and .xls files up to 50MB are allowed
+                    Excel (.xlsx, .xls), CSV and TSV files up to 50MB are allowed
                   </p>
+
+                  {/* Sheet selection for multi-sheet workbooks */}
+                  <div className="mt-3">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Sheets
+                    </label>
+                    <select
+                      value={uploadForm.sheetMode}
+                      onChange={(e) => handleSheetSelectionChange({ sheetMode: e.target.value as UploadForm['sheetMode'] })}
+                      className="input"
+                    >
+                      <option value="first">First sheet only</option>
+                      <option value="all">All sheets</option>
+                      {availableSheets.length > 1 && <option value="selected">Choose sheets...</option>}
+                    </select>
+                    {uploadForm.sheetMode === 'selected' && (
+                      <div className="mt-2 space-y-1">
+                        {availableSheets.map((sheetName) => (
+                          <label key={sheetName} className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={uploadForm.selectedSheets.includes(sheetName)}
+                              onChange={(e) => handleSheetSelectionChange({
+                                selectedSheets: e.target.checked
+                                  ? [...uploadForm.selectedSheets, sheetName]
+                                  : uploadForm.selectedSheets.filter(name => name !== sheetName)
+                              })}
+                            />
+                            <span>{sheetName}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                    {availableSheets.length === 0 && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Validate the file first to pick individual sheets of a workbook
+                      </p>
+                    )}
+                  </div>
                   
+                  {/* Column Mapping Profile */}
+                  <div className="mt-3">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Column Mapping Profile
+                    </label>
+                    <select
+                      value={uploadForm.mappingProfileId}
+                      onChange={(e) => setUploadForm(prev => ({ ...prev, mappingProfileId: e.target.value }))}
+                      className="input"
+                    >
+                      <option value="">Auto-detect from header row</option>
+                      {mappingProfiles.map((profile) => (
+                        <option key={profile._id} value={profile._id}>
+                          {profile.name}{profile.isGlobal ? ' (Global)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                    {uploadForm.mappingProfileId && (
+                      <button
+                        type="button"
+                        className="text-xs text-blue-600 hover:text-blue-800 mt-1"
+                        onClick={() => handleDownloadTemplate(mappingProfiles.find(p => p._id === uploadForm.mappingProfileId))}
+                      >
+                        Download template for this profile
+                      </button>
+                    )}
+                  </div>
+
                   {/* Storage Limits Info */}
                   {storageLimits && (
                     <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
@@ -1191,6 +1673,82 @@ export default function ExcelFiles() {
                    </div>
                  )}
 
+                 <MaskingPolicyEditor
+                   value={uploadForm.maskingPolicy}
+                   onChange={(maskingPolicy) => {
+                     // The staged upload keeps the policy it was previewed with
+                     if (stagedUpload) {
+                       handleCancelStaged()
+                     }
+                     setUploadForm(prev => ({ ...prev, maskingPolicy }))
+                   }}
+                 />
+
+                 {/* Dry-run Validation Report */}
+                 {stagedUpload && (
+                   <div className="pt-4 border-t-2 border-gray-400 space-y-3">
+                     <h4 className="text-sm font-medium text-gray-900">Validation Report</h4>
+                     <div className="grid grid-cols-2 gap-2 text-xs text-gray-700">
+                       <div>Total rows: {stagedUpload.summary.totalRows.toLocaleString()}</div>
+                       <div className="text-green-700">Valid rows: {stagedUpload.summary.validRows.toLocaleString()}</div>
+                       <div>Invalid registration: {stagedUpload.summary.invalidRegistration}</div>
+                       <div>Missing chassis: {stagedUpload.summary.missingChassis}</div>
+                       <div>Duplicates in file: {stagedUpload.summary.duplicateInFile}</div>
+                       <div>In other files: {stagedUpload.summary.duplicateInOtherFiles}</div>
+                       <div>Empty rows (skipped): {stagedUpload.summary.emptyRows}</div>
+                     </div>
+                     <div className={`p-2 rounded text-xs ${stagedUpload.quota.exceedsQuota ? 'bg-red-50 text-red-700' : 'bg-blue-50 text-blue-700'}`}>
+                       {stagedUpload.quota.exceedsQuota
+                         ? stagedUpload.quota.message
+                         : `Remaining storage after upload: ${stagedUpload.quota.remainingAfterUpload.toLocaleString()} of ${stagedUpload.quota.totalLimit.toLocaleString()} records`}
+                     </div>
+                     {stagedUpload.sheets && (stagedUpload.sheetNames.length > 0 || stagedUpload.availableSheets.length > 1) && (
+                       <p className="text-xs text-gray-600">
+                         Sheets: {stagedUpload.sheets.map(sheet => `${sheet.name} (${sheet.rows.toLocaleString()} rows)`).join(', ')}
+                         {stagedUpload.availableSheets.length > stagedUpload.sheets.length &&
+                           ` - ${stagedUpload.availableSheets.length - stagedUpload.sheets.length} other sheet(s) not included`}
+                       </p>
+                     )}
+                     {stagedUpload.duplicateFiles.length > 0 && (
+                       <p className="text-xs text-gray-600">
+                         Already present in: {stagedUpload.duplicateFiles.map(file => file.originalName).join(', ')}
+                       </p>
+                     )}
+                     {stagedUpload.rows.length > 0 && (
+                       <div className="max-h-40 overflow-y-auto border border-gray-200 rounded text-xs">
+                         {stagedUpload.rows.map(row => (
+                           <div key={`${row.sheetName || ''}-${row.rowNumber}`} className="px-2 py-1 border-b border-gray-100">
+                             <span className="font-medium">{row.sheetName ? `${row.sheetName} · ` : ''}Row {row.rowNumber}</span>
+                             {row.registrationNumber && <span className="text-gray-500"> ({row.registrationNumber})</span>}
+                             : {row.issues.map(issue => issue.message).join('; ')}
+                           </div>
+                         ))}
+                         {stagedUpload.truncated && (
+                           <div className="px-2 py-1 text-gray-500">More rows have issues than can be listed.</div>
+                         )}
+                       </div>
+                     )}
+                     <div className="flex justify-end space-x-3">
+                       <button
+                         type="button"
+                         onClick={handleCancelStaged}
+                         className="btn-secondary"
+                         disabled={isUploading}
+                       >
+                         Discard
+                       </button>
+                       <button
+                         type="button"
+                         onClick={handleConfirmStaged}
+                         className="btn-primary"
+                         disabled={isUploading || !stagedUpload.canConfirm}
+                       >
+                         {isUploading ? 'Saving...' : 'Confirm Upload'}
+                       </button>
+                     </div>
+                   </div>
+                 )}
+
                                  {/* Progress Indicator */}
                  {isUploading && (
                    <div className="pt-4 border-t-2 border-gray-400">
@@ -1216,6 +1774,7 @@ export default function ExcelFiles() {
                    <button
                      type="button"
                      onClick={() => {
+                       handleCancelStaged()
                        setShowUploadModal(false)
                        resetUploadForm()
                      }}
@@ -1224,10 +1783,18 @@ export default function ExcelFiles() {
                    >
                      Cancel
                    </button>
+                   <button
+                     type="button"
+                     onClick={handlePreview}
+                     className="btn-secondary"
+                     disabled={isUploading || isPreviewing || !uploadForm.file || !!stagedUpload}
+                   >
+                     {isPreviewing ? 'Validating...' : 'Validate First'}
+                   </button>
                    <button
                      type="submit"
                      className="btn-primary"
-                     disabled={isUploading || !uploadForm.file}
+                     disabled={isUploading || !uploadForm.file || !!stagedUpload}
                    >
                      {isUploading ? (
                        <>
@@ -1398,6 +1965,9 @@ export default function ExcelFiles() {
                   <p className="text-xs text-blue-600 mt-1">
                     Selected admins will have restricted access with masked file names.
                   </p>
+                  <div className="mt-3">
+                    <MaskingPolicyEditor value={editMaskingPolicy} onChange={setEditMaskingPolicy} />
+                  </div>
                 </div>
               )}
             </div>
@@ -1419,7 +1989,8 @@ export default function ExcelFiles() {
                   if (selectedEditFile) {
                     updateSharedAdminsMutation.mutate({
                       fileId: selectedEditFile._id,
-                      sharedAdmins: editSharedAdmins
+                      sharedAdmins: editSharedAdmins,
+                      maskingPolicy: editMaskingPolicy
                     });
                   }
                 }}
@@ -1443,6 +2014,20 @@ export default function ExcelFiles() {
         file={selectedFile}
         currentUser={currentUser}
       />
+
+      {/* Vehicle Allocation Modal */}
+      <VehicleAllocationModal
+        isOpen={!!allocationFile}
+        onClose={() => setAllocationFile(null)}
+        file={allocationFile}
+      />
+
+      {/* File Validity / Restore Modal */}
+      <FileValidityModal
+        isOpen={!!validityFile}
+        onClose={() => setValidityFile(null)}
+        file={validityFile}
+      />
     </div>
   )
 } 
\ No newline at end of file
@@ -1,8 +1,11 @@
 import React, { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { inventoryAPI } from '../services/api';
 import { useAuth } from '../hooks/useAuth';
+import InventoryPhotos, { InventoryPhoto } from '../components/InventoryPhotos';
+import InventorySignatures, { InventorySignature } from '../components/InventorySignatures';
+import InventoryLifecycle, { InventoryLifecycleData, InventoryStage, STAGE_LABELS, STAGE_COLORS } from '../components/InventoryLifecycle';
 import {
   ClipboardDocumentListIcon,
   EyeIcon,
@@ -15,7 +18,7 @@ import {
   HomeIcon
 } from '@heroicons/react/24/outline';
 
-interface Inventory {
+interface Inventory extends InventoryLifecycleData {
   _id: string;
   inventoryNumber: string;
   registrationNumber: string;
@@ -55,6 +58,8 @@ interface Inventory {
   seatCovers?: string;
   wiper?: string;
   otherSpecificItems?: string;
+  photos?: InventoryPhoto[];
+  signatures?: InventorySignature[];
   vehicleId: {
     _id: string;
     registration_number: string;
@@ -78,21 +83,31 @@ export default function Inventory() {
   const { user: currentUser } = useAuth();
   const [selectedInventory, setSelectedInventory] = useState<Inventory | null>(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [stageFilter, setStageFilter] = useState<InventoryStage | ''>('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [bulkFrom, setBulkFrom] = useState('');
+  const [bulkTo, setBulkTo] = useState('');
+  const [bulkFormat, setBulkFormat] = useState<'pdf' | 'zip'>('pdf');
+  const [bulkIncludePhotos, setBulkIncludePhotos] = useState(false);
+  const [bulkDownloading, setBulkDownloading] = useState(false);
+  const queryClient = useQueryClient();
 
   // Get inventories based on user role
   const { data: inventories, isLoading } = useQuery({
-    queryKey: ['inventories', currentUser?.role],
+    queryKey: ['inventories', currentUser?.role, stageFilter, showArchived],
     queryFn: async () => {
       let response;
+      const params = { stage: stageFilter || undefined, archived: showArchived || undefined };
       switch (currentUser?.role) {
         case 'fieldAgent':
-          response = await inventoryAPI.getFieldAgentInventories();
+          response = await inventoryAPI.getFieldAgentInventories(params);
           break;
         case 'admin':
-          response = await inventoryAPI.getAdminInventories();
+          response = await inventoryAPI.getAdminInventories(params);
           break;
         case 'auditor':
-          response = await inventoryAPI.getAuditorInventories();
+          response = await inventoryAPI.getAuditorInventories(params);
           break;
         default:
           throw new Error('Invalid user role');
@@ -190,6 +205,62 @@ export default function Inventory() {
     }
   };
 
+  const toggleSelected = (inventoryId: string) => {
+    setSelectedIds(current => current.includes(inventoryId)
+      ? current.filter(id => id !== inventoryId)
+      : [...current, inventoryId]);
+  };
+
+  // Selected inventories, or every inventory seized in the date range (and stage filter)
+  const handleBulkDownload = async () => {
+    if (selectedIds.length === 0 && (!bulkFrom || !bulkTo)) {
+      toast.error('Select inventories or a seizure date range');
+      return;
+    }
+
+    setBulkDownloading(true);
+    try {
+      toast.loading(bulkFormat === 'pdf' ? 'Generating merged PDF...' : 'Generating ZIP of PDFs...', { id: 'bulk-download' });
+
+      const response = await inventoryAPI.bulkDownloadInventories({
+        format: bulkFormat,
+        includePhotos: bulkIncludePhotos,
+        ...(selectedIds.length > 0
+          ? { inventoryIds: selectedIds }
+          : { from: bulkFrom, to: bulkTo, stage: stageFilter || undefined })
+      });
+
+      const blob = new Blob([response.data], { type: bulkFormat === 'pdf' ? 'application/pdf' : 'application/zip' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `inventories-${new Date().toISOString().slice(0, 10)}.${bulkFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Download ready', { id: 'bulk-download' });
+    } catch (error: any) {
+      console.error('Bulk download error:', error);
+      // Errors arrive as an ArrayBuffer because of the binary response type
+      let message = 'Failed to download inventories';
+      try {
+        message = JSON.parse(new TextDecoder('utf-8').decode(error.response?.data)).message || message;
+      } catch (parseError) {
+        // Not a JSON error body
+      }
+      toast.error(message, { id: 'bulk-download' });
+    } finally {
+      setBulkDownloading(false);
+    }
+  };
+
+  const handleInventoryUpdated = (updated: Inventory) => {
+    setSelectedInventory(current => current ? { ...current, ...updated, fieldAgentId: current.fieldAgentId, adminId: current.adminId, vehicleId: current.vehicleId } : current);
+    queryClient.invalidateQueries({ queryKey: ['inventories'] });
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-IN', {
       day: '2-digit',
@@ -226,6 +297,95 @@ export default function Inventory() {
         </div>
       </div>
 
+      {/* Lifecycle Filters */}
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={stageFilter}
+          onChange={(e) => setStageFilter(e.target.value as InventoryStage | '')}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All stages</option>
+          {(Object.keys(STAGE_LABELS) as InventoryStage[]).map(stage => (
+            <option key={stage} value={stage}>{STAGE_LABELS[stage]}</option>
+          ))}
+        </select>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span>Show archived (closed) inventories</span>
+        </label>
+      </div>
+
+      {/* Bulk Download */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-wrap items-end gap-3">
+          {selectedIds.length > 0 ? (
+            <div className="flex items-center space-x-2 text-sm text-gray-700">
+              <span className="font-semibold">{selectedIds.length} selected</span>
+              <button
+                onClick={() => setSelectedIds([])}
+                className="text-blue-600 hover:text-blue-900"
+              >
+                Clear
+              </button>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Seized from</label>
+                <input
+                  type="date"
+                  value={bulkFrom}
+                  onChange={(e) => setBulkFrom(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Seized to</label>
+                <input
+                  type="date"
+                  value={bulkTo}
+                  onChange={(e) => setBulkTo(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </>
+          )}
+          <select
+            value={bulkFormat}
+            onChange={(e) => setBulkFormat(e.target.value as 'pdf' | 'zip')}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="pdf">One merged PDF (up to 25)</option>
+            <option value="zip">ZIP of PDFs (up to 200)</option>
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 py-2">
+            <input
+              type="checkbox"
+              checked={bulkIncludePhotos}
+              onChange={(e) => setBulkIncludePhotos(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            <span>Include photo annex</span>
+          </label>
+          <button
+            onClick={handleBulkDownload}
+            disabled={bulkDownloading}
+            className="flex items-center space-x-1 px-4 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4" />
+            <span>{bulkDownloading ? 'Generating...' : 'Bulk Download'}</span>
+          </button>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          Tick inventories below, or leave none ticked to download every inventory seized in the date range{stageFilter ? ` at stage ${STAGE_LABELS[stageFilter]}` : ''}.
+        </p>
+      </div>
+
       {/* Inventories List */}
       <div className="bg-white rounded-lg shadow">
         {inventories && inventories.length > 0 ? (
@@ -239,9 +399,19 @@ export default function Inventory() {
                   <div className="flex items-center justify-between">
                     <div className="flex-1">
                       <div className="flex items-center space-x-3 mb-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(inventory._id)}
+                          onChange={() => toggleSelected(inventory._id)}
+                          className="rounded border-gray-300"
+                          title="Select for bulk download"
+                        />
                         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                           {inventory.inventoryNumber}
                         </span>
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STAGE_COLORS[inventory.stage || 'seized']}`}>
+                          {STAGE_LABELS[inventory.stage || 'seized']}
+                        </span>
                         <span className="text-sm text-gray-500">
                           {formatDate(inventory.createdAt)}
                         </span>
@@ -627,6 +797,53 @@ export default function Inventory() {
                    </div>
                  )}
 
+                 {/* Photos */}
+                 <div className="md:col-span-2 space-y-4">
+                   <h4 className="font-bold text-gray-900 flex items-center">
+                     <SparklesIcon className="w-5 h-5 mr-2 text-blue-600" />
+                     Photos
+                   </h4>
+                   <div className="bg-white border border-gray-200 rounded-lg p-4">
+                     <InventoryPhotos
+                       inventoryId={selectedInventory._id}
+                       photos={selectedInventory.photos || []}
+                       canUpload={currentUser?.role === 'fieldAgent' || currentUser?.role === 'admin'}
+                       onUpdated={handleInventoryUpdated}
+                     />
+                   </div>
+                 </div>
+
+                 {/* Signatures */}
+                 <div className="md:col-span-2 space-y-4">
+                   <h4 className="font-bold text-gray-900 flex items-center">
+                     <UserIcon className="w-5 h-5 mr-2 text-blue-600" />
+                     Signatures
+                   </h4>
+                   <div className="bg-white border border-gray-200 rounded-lg p-4">
+                     <InventorySignatures
+                       inventoryId={selectedInventory._id}
+                       signatures={selectedInventory.signatures || []}
+                       canSign={currentUser?.role === 'fieldAgent' || currentUser?.role === 'admin'}
+                       onUpdated={handleInventoryUpdated}
+                     />
+                   </div>
+                 </div>
+
+                 {/* Lifecycle */}
+                 <div className="md:col-span-2 space-y-4">
+                   <h4 className="font-bold text-gray-900 flex items-center">
+                     <CalendarIcon className="w-5 h-5 mr-2 text-blue-600" />
+                     Lifecycle
+                   </h4>
+                   <div className="bg-white border border-gray-200 rounded-lg p-4">
+                     <InventoryLifecycle
+                       inventory={selectedInventory}
+                       userRole={currentUser?.role}
+                       onUpdated={handleInventoryUpdated}
+                     />
+                   </div>
+                 </div>
+
                  {/* Other Specific Items */}
                  {selectedInventory.otherSpecificItems && (
                    <div className="md:col-span-2 space-y-4">
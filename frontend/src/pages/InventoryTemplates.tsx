@@ -0,0 +1,433 @@
+import { useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { inventoryAPI, excelAPI } from '../services/api';
+import { getImageUrl } from '../utils/config';
+import {
+  DocumentTextIcon,
+  PlusIcon,
+  TrashIcon,
+  EyeIcon,
+  CheckIcon
+} from '@heroicons/react/24/outline';
+
+interface InventoryTemplate {
+  _id: string;
+  name: string;
+  description?: string;
+  html: string;
+  locale: string;
+  logoUrl?: string | null;
+  lenderProfiles: { _id: string; name: string }[];
+  isActive: boolean;
+  updatedAt: string;
+}
+
+interface TemplatePlaceholder {
+  name: string;
+  description: string;
+}
+
+interface TemplateForm {
+  name: string;
+  description: string;
+  html: string;
+  locale: string;
+  lenderProfiles: string[];
+  isActive: boolean;
+  logo: File | null;
+  removeLogo: boolean;
+}
+
+const LOCALES = [
+  { value: 'en-IN', label: 'English' },
+  { value: 'hi-IN', label: 'Hindi' },
+  { value: 'mr-IN', label: 'Marathi' },
+  { value: 'gu-IN', label: 'Gujarati' },
+  { value: 'ta-IN', label: 'Tamil' },
+  { value: 'te-IN', label: 'Telugu' },
+  { value: 'kn-IN', label: 'Kannada' },
+  { value: 'bn-IN', label: 'Bengali' }
+];
+
+const emptyForm = (html: string): TemplateForm => ({
+  name: '',
+  description: '',
+  html,
+  locale: 'en-IN',
+  lenderProfiles: [],
+  isActive: true,
+  logo: null,
+  removeLogo: false
+});
+
+// Admin-managed layouts of the inventory PDF, per lender or as the agency default
+export default function InventoryTemplates() {
+  const queryClient = useQueryClient();
+  const htmlRef = useRef<HTMLTextAreaElement>(null);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [form, setForm] = useState<TemplateForm | null>(null);
+  const [previewHtml, setPreviewHtml] = useState<string | null>(null);
+  const [previewInventoryNumber, setPreviewInventoryNumber] = useState<string | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['inventory-templates'],
+    queryFn: async () => {
+      const response = await inventoryAPI.getInventoryTemplates();
+      return response.data as { data: InventoryTemplate[]; placeholders: TemplatePlaceholder[]; starterHtml: string };
+    }
+  });
+
+  const { data: lenders } = useQuery({
+    queryKey: ['mapping-profiles'],
+    queryFn: async () => {
+      const response = await excelAPI.getMappingProfiles();
+      return response.data.data as { _id: string; name: string }[];
+    }
+  });
+
+  const templates = data?.data || [];
+  const selected = templates.find(template => template._id === selectedId) || null;
+
+  const saveMutation = useMutation({
+    mutationFn: async (values: TemplateForm) => {
+      const payload = new FormData();
+      payload.append('name', values.name.trim());
+      payload.append('description', values.description);
+      payload.append('html', values.html);
+      payload.append('locale', values.locale);
+      payload.append('lenderProfiles', JSON.stringify(values.lenderProfiles));
+      payload.append('isActive', String(values.isActive));
+      if (values.logo) payload.append('logo', values.logo);
+      if (values.removeLogo) payload.append('removeLogo', 'true');
+      const response = selectedId
+        ? await inventoryAPI.updateInventoryTemplate(selectedId, payload)
+        : await inventoryAPI.createInventoryTemplate(payload);
+      return response.data;
+    },
+    onSuccess: (response) => {
+      toast.success(response.message || 'Template saved');
+      queryClient.invalidateQueries({ queryKey: ['inventory-templates'] });
+      setSelectedId(response.data._id);
+      setForm(form => form && { ...form, logo: null, removeLogo: false });
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id: string) => inventoryAPI.deleteInventoryTemplate(id),
+    onSuccess: () => {
+      toast.success('Template deleted');
+      queryClient.invalidateQueries({ queryKey: ['inventory-templates'] });
+      setSelectedId(null);
+      setForm(null);
+      setPreviewHtml(null);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    }
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: (values: TemplateForm) => inventoryAPI.previewInventoryTemplate({
+      html: values.html,
+      locale: values.locale,
+      templateId: selectedId || undefined
+    }),
+    onSuccess: (response) => {
+      setPreviewHtml(response.data.data.html);
+      setPreviewInventoryNumber(response.data.data.inventoryNumber);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to preview template');
+    }
+  });
+
+  const openTemplate = (template: InventoryTemplate) => {
+    setSelectedId(template._id);
+    setForm({
+      name: template.name,
+      description: template.description || '',
+      html: template.html,
+      locale: template.locale,
+      lenderProfiles: template.lenderProfiles.map(lender => lender._id),
+      isActive: template.isActive,
+      logo: null,
+      removeLogo: false
+    });
+    setPreviewHtml(null);
+  };
+
+  const openNewTemplate = () => {
+    setSelectedId(null);
+    setForm(emptyForm(data?.starterHtml || ''));
+    setPreviewHtml(null);
+  };
+
+  // Insert a placeholder at the cursor of the HTML editor
+  const insertPlaceholder = (name: string) => {
+    if (!form) return;
+    const textarea = htmlRef.current;
+    const tag = `{{${name}}}`;
+    const start = textarea?.selectionStart ?? form.html.length;
+    const end = textarea?.selectionEnd ?? form.html.length;
+    setForm({ ...form, html: form.html.slice(0, start) + tag + form.html.slice(end) });
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + tag.length, start + tag.length);
+    });
+  };
+
+  const toggleLender = (id: string) => {
+    if (!form) return;
+    setForm({
+      ...form,
+      lenderProfiles: form.lenderProfiles.includes(id)
+        ? form.lenderProfiles.filter(lenderId => lenderId !== id)
+        : [...form.lenderProfiles, id]
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <DocumentTextIcon className="h-8 w-8 text-blue-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Inventory PDF Templates</h1>
+            <p className="text-sm text-gray-600">
+              A template for a lender is used for its vehicles; a template without lenders is your default.
+              Without an active template the standard layout is printed.
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={openNewTemplate}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+        >
+          <PlusIcon className="h-5 w-5" />
+          <span>New Template</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="bg-white rounded-lg shadow p-4 space-y-2">
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : templates.length === 0 ? (
+            <p className="text-sm text-gray-500">No templates yet</p>
+          ) : (
+            templates.map(template => (
+              <button
+                key={template._id}
+                onClick={() => openTemplate(template)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  template._id === selectedId ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">{template.name}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${template.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                    {template.isActive ? 'Active' : 'Inactive'}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {template.lenderProfiles.length > 0
+                    ? template.lenderProfiles.map(lender => lender.name).join(', ')
+                    : 'Default (all lenders)'}
+                </p>
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="lg:col-span-3 space-y-4">
+          {!form ? (
+            <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+              Select a template or create a new one
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow p-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    maxLength={100}
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Language (dates and amounts)</label>
+                  <select
+                    value={form.locale}
+                    onChange={(e) => setForm({ ...form, locale: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {LOCALES.map(locale => (
+                      <option key={locale.value} value={locale.value}>{locale.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-end">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.isActive}
+                      onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                    />
+                    <span>Active</span>
+                  </label>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  maxLength={500}
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Lenders (leave empty for your default template)</label>
+                <div className="flex flex-wrap gap-3">
+                  {(lenders || []).length === 0 && (
+                    <span className="text-sm text-gray-500">No column mapping profiles available</span>
+                  )}
+                  {(lenders || []).map(lender => (
+                    <label key={lender._id} className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.lenderProfiles.includes(lender._id)}
+                        onChange={() => toggleLender(lender._id)}
+                      />
+                      <span>{lender.name}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Logo</label>
+                <div className="flex items-center gap-4">
+                  {selected?.logoUrl && !form.removeLogo && !form.logo && (
+                    <img src={getImageUrl(selected.logoUrl)} alt="Logo" className="h-12 object-contain" />
+                  )}
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => setForm({ ...form, logo: e.target.files?.[0] || null, removeLogo: false })}
+                    className="text-sm"
+                  />
+                  {selected?.logoUrl && (
+                    <label className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.removeLogo}
+                        onChange={(e) => setForm({ ...form, removeLogo: e.target.checked, logo: null })}
+                      />
+                      <span>Remove logo</span>
+                    </label>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
+                <div className="xl:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">HTML *</label>
+                  <textarea
+                    ref={htmlRef}
+                    value={form.html}
+                    rows={24}
+                    spellCheck={false}
+                    onChange={(e) => setForm({ ...form, html: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {'{{#field}}…{{/field}}'} shows a section only when the field has a value, {'{{^field}}…{{/field}}'} only when it is empty.
+                    External images, fonts and stylesheets are not loaded in PDFs; upload the logo above and use {'{{logo}}'}.
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Placeholders (click to insert)</label>
+                  <div className="border border-gray-200 rounded-md max-h-[30rem] overflow-y-auto divide-y divide-gray-100">
+                    {(data?.placeholders || []).map(placeholder => (
+                      <button
+                        key={placeholder.name}
+                        type="button"
+                        onClick={() => insertPlaceholder(placeholder.name)}
+                        className="w-full text-left px-3 py-1.5 hover:bg-blue-50"
+                      >
+                        <span className="font-mono text-xs text-blue-700">{`{{${placeholder.name}}}`}</span>
+                        <span className="block text-xs text-gray-500">{placeholder.description}</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="flex justify-between">
+                <div>
+                  {selectedId && (
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Delete template "${selected?.name}"?`)) {
+                          deleteMutation.mutate(selectedId);
+                        }
+                      }}
+                      disabled={deleteMutation.isLoading}
+                      className="flex items-center space-x-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                      <span>Delete</span>
+                    </button>
+                  )}
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => previewMutation.mutate(form)}
+                    disabled={!form.html.trim() || previewMutation.isLoading}
+                    className="flex items-center space-x-2 px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    <EyeIcon className="h-4 w-4" />
+                    <span>{previewMutation.isLoading ? 'Rendering...' : 'Preview'}</span>
+                  </button>
+                  <button
+                    onClick={() => saveMutation.mutate(form)}
+                    disabled={!form.name.trim() || !form.html.trim() || saveMutation.isLoading}
+                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    <CheckIcon className="h-4 w-4" />
+                    <span>{saveMutation.isLoading ? 'Saving...' : 'Save'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {previewHtml && (
+            <div className="bg-white rounded-lg shadow p-4 space-y-2">
+              <p className="text-sm text-gray-600">
+                Preview with {previewInventoryNumber ? `inventory #${previewInventoryNumber}` : 'sample data'}
+              </p>
+              <iframe
+                title="Template preview"
+                sandbox=""
+                srcDoc={previewHtml}
+                className="w-full h-[50rem] border border-gray-200 rounded-md bg-white"
+              />
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
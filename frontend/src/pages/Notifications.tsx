@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Link } from 'react-router-dom'
 import { notificationsAPI } from '../services/api'
 import { useAuth } from '../hooks/useAuth'
 import {
@@ -71,7 +72,7 @@ export default function Notifications() {
       return notificationsAPI.getAll(params);
     },
     enabled: !!currentUser && ['admin', 'superAdmin', 'superSuperAdmin', 'auditor'].includes(currentUser.role),
-    refetchInterval: 30000, // Refetch every 30 seconds for real-time updates
+    // New notifications are pushed over the real-time stream (hooks/useRealtime)
   })
 
   // Fetch stats
@@ -79,7 +80,6 @@ export default function Notifications() {
     queryKey: ['notification-stats'],
     queryFn: () => notificationsAPI.getStats(),
     enabled: !!currentUser && ['admin', 'superAdmin', 'superSuperAdmin', 'auditor'].includes(currentUser.role),
-    refetchInterval: 30000,
   })
 
   // Mark as read mutation
@@ -380,41 +380,53 @@ export default function Notifications() {
                         
                         <div className="flex-1">
                           <div className="mb-1">
-                            {/* Show admin name for field agent and auditor actions */}
-                            {(notification.userRole === 'fieldAgent' || notification.userRole === 'auditor') && notification.adminName ? (
+                            {notification.action === 'file_archived' ? (
                               <>
-                                <span className="font-semibold text-navy">{notification.userName}</span>
-                                <span className="text-gray-500"> from Admin </span>
-                                <span className="font-semibold text-blue-600">{notification.adminName}</span>
-                                <span className="text-gray-500"> {notification.action} </span>
-                              </>
-                            ) : (
-                              <>
-                                <span className="font-semibold text-navy">{notification.userName}</span>
-                                <span className="text-gray-500"> {notification.action} </span>
-                              </>
-                            )}
-                            {(notification.fileName || notification.maskedFileName) && (
-                              <>
-                                <span className="text-gray-500"> vehicle from file </span>
+                                <span className="text-gray-500">File </span>
                                 <span className="font-semibold text-purple-600">
                                   {notification.fileName || notification.maskedFileName}
                                 </span>
-                                {notification.maskedFileName && notification.primaryAdminName && (
+                                <span className="text-gray-500"> expired and was archived. Restore it from Excel Files to make its vehicles searchable again.</span>
+                              </>
+                            ) : (
+                              <>
+                                {/* Show admin name for field agent and auditor actions */}
+                                {(notification.userRole === 'fieldAgent' || notification.userRole === 'auditor') && notification.adminName ? (
                                   <>
-                                    <span className="text-gray-500"> (Primary Admin: </span>
-                                    <span className="font-semibold text-blue-600">{notification.primaryAdminName}</span>
-                                    <span className="text-gray-500">)</span>
+                                    <span className="font-semibold text-navy">{notification.userName}</span>
+                                    <span className="text-gray-500"> from Admin </span>
+                                    <span className="font-semibold text-blue-600">{notification.adminName}</span>
+                                    <span className="text-gray-500"> {notification.action} </span>
+                                  </>
+                                ) : (
+                                  <>
+                                    <span className="font-semibold text-navy">{notification.userName}</span>
+                                    <span className="text-gray-500"> {notification.action} </span>
+                                  </>
+                                )}
+                                {(notification.fileName || notification.maskedFileName) && (
+                                  <>
+                                    <span className="text-gray-500"> vehicle from file </span>
+                                    <span className="font-semibold text-purple-600">
+                                      {notification.fileName || notification.maskedFileName}
+                                    </span>
+                                    {notification.maskedFileName && notification.primaryAdminName && (
+                                      <>
+                                        <span className="text-gray-500"> (Primary Admin: </span>
+                                        <span className="font-semibold text-blue-600">{notification.primaryAdminName}</span>
+                                        <span className="text-gray-500">)</span>
+                                      </>
+                                    )}
+                                    <span className="text-gray-500"> (vehicle no. </span>
                                   </>
                                 )}
-                                <span className="text-gray-500"> (vehicle no. </span>
+                                {!notification.fileName && !notification.maskedFileName && (
+                                  <span className="text-gray-500"> details of vehicle no. </span>
+                                )}
+                                <span className="font-mono font-semibold text-orange">{notification.vehicleNumber}</span>
+                                {(notification.fileName || notification.maskedFileName) && <span className="text-gray-500">)</span>}
                               </>
                             )}
-                            {!notification.fileName && !notification.maskedFileName && (
-                              <span className="text-gray-500"> details of vehicle no. </span>
-                            )}
-                            <span className="font-mono font-semibold text-orange">{notification.vehicleNumber}</span>
-                            {(notification.fileName || notification.maskedFileName) && <span className="text-gray-500">)</span>}
                           </div>
                           
                           <div className="flex items-center space-x-4 text-sm text-gray-600">
@@ -431,6 +443,15 @@ export default function Notifications() {
                               <span>{notification.location}</span>
                               <span className="ml-2 underline">view location</span>
                             </button>
+
+                            {notification.action === 'verified' && notification.userRole === 'fieldAgent' && (
+                              <Link
+                                to={`/agent-tracking?replay=${notification.id}`}
+                                className="text-green-600 hover:text-green-800 underline"
+                              >
+                                replay GPS trail
+                              </Link>
+                            )}
                           </div>
                         </div>
                       </div>
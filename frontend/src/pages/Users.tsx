@@ -39,7 +39,6 @@ const PendingPermissionRequests: React.FC<PendingPermissionRequestsProps> = ({ s
     queryKey: ['sharing-permission-requests'],
     queryFn: () => usersAPI.getSharingPermissionRequests(),
     enabled: (currentUser?.role === 'superAdmin' || currentUser?.role === 'superSuperAdmin'),
-    refetchInterval: 30000, // Refetch every 30 seconds
   })
 
   const requests = requestsData?.data?.data || []
@@ -143,7 +142,6 @@ const AdminsWithPermissionRequests: React.FC<AdminsWithPermissionRequestsProps>
     queryKey: ['sharing-permission-requests'],
     queryFn: () => usersAPI.getSharingPermissionRequests(),
     enabled: (currentUser?.role === 'superAdmin' || currentUser?.role === 'superSuperAdmin'),
-    refetchInterval: 30000, // Refetch every 30 seconds
   })
 
   const requests = requestsData?.data?.data || []
@@ -18,6 +18,13 @@ import {
   PlusIcon
 } from '@heroicons/react/24/outline'
 import { useAuth } from '../hooks/useAuth'
+import BatchPlateLookup from '../components/BatchPlateLookup'
+import MyAllocations from '../components/MyAllocations'
+import NearbyVehicles from '../components/NearbyVehicles'
+import VehicleExportButton from '../components/VehicleExportButton'
+import VehicleCaseControls, { VehicleCaseBadge } from '../components/VehicleCaseStatus'
+import { PhotoCategoryInputs, PhotoSelection, appendPhotos, countPhotos } from '../components/InventoryPhotos'
+import { SignatureFields, SignatureSelection, collectSignatures, isSignatureSelectionValid } from '../components/InventorySignatures'
 
 // Custom hook for debouncing search input
 function useDebounce(value: string, delay: number) {
@@ -36,6 +43,14 @@ function useDebounce(value: string, delay: number) {
   return debouncedValue;
 }
 
+// Value of a vehicle detail field; fields hidden by the file's masking policy come back as null
+function detailValue(vehicle: any, field: string) {
+  if (vehicle?.maskedFields?.[field] === 'hide') {
+    return 'Hidden';
+  }
+  return vehicle?.[field] || 'N/A';
+}
+
 export default function VehicleSearch() {
   const { user: currentUser } = useAuth()
   const queryClient = useQueryClient()
@@ -83,6 +98,8 @@ export default function VehicleSearch() {
     otherSpecificItems: ''
   })
   const [isCreatingInventory, setIsCreatingInventory] = useState(false)
+  const [inventoryPhotos, setInventoryPhotos] = useState<PhotoSelection>({})
+  const [inventorySignatures, setInventorySignatures] = useState<SignatureSelection>({})
   const [isPreCaching, setIsPreCaching] = useState(false)
   const [preCacheStatus, setPreCacheStatus] = useState<{ message?: string; results?: any } | null>(null)
   const [showCacheDetailsModal, setShowCacheDetailsModal] = useState(false)
@@ -128,10 +145,14 @@ export default function VehicleSearch() {
         search: searchType === 'registration_number' && (stateCode || lastFourDigits) 
           ? (lastFourDigits || debouncedSearch) 
           : debouncedSearch,
-        searchType: searchType,
+        searchType: searchType === 'fuzzy_registration' ? 'registration_number' : searchType,
         page: vehiclePage, 
         limit: 25
       };
+      // Tolerant search: folds O/0, I/1, B/8, S/5 and ranks by closeness
+      if (searchType === 'fuzzy_registration') {
+        params.fuzzy = true;
+      }
       // Add optimized search params for registration number
       if (searchType === 'registration_number') {
         if (stateCode) params.stateCode = stateCode;
@@ -234,6 +255,8 @@ export default function VehicleSearch() {
     console.log('Generating inventory for vehicle:', vehicle)
     setSelectedVehicleForInventory(vehicle)
     setShowInventoryModal(true)
+    setInventoryPhotos({})
+    setInventorySignatures({})
     // Reset form data
     setInventoryFormData({
       driverName: '',
@@ -278,6 +301,10 @@ export default function VehicleSearch() {
       toast.error('Driver name and driver number are required')
       return
     }
+    if (!isSignatureSelectionValid(inventorySignatures)) {
+      toast.error('Complete or clear each signature (the witness also needs a name)')
+      return
+    }
 
     if (!selectedVehicleForInventory?._id) {
       toast.error('Vehicle information is missing')
@@ -371,9 +398,23 @@ export default function VehicleSearch() {
 
       console.log('Creating inventory with data:', inventoryData)
 
-      const response = await inventoryAPI.createInventory(inventoryData)
+      const signatures = await collectSignatures(inventorySignatures)
+      if (signatures.length > 0) {
+        inventoryData.signatures = signatures
+      }
+
+      // Photos are sent as multipart, together with the form fields
+      let payload: any = inventoryData
+      if (countPhotos(inventoryPhotos) > 0) {
+        payload = new FormData()
+        Object.entries(inventoryData).forEach(([field, value]) =>
+          payload.append(field, typeof value === 'string' ? value : JSON.stringify(value)))
+        appendPhotos(payload, inventoryPhotos)
+      }
 
-      toast.success('Inventory created successfully!')
+      const response = await inventoryAPI.createInventory(payload)
+
+      toast.success(response.data.message || 'Inventory created successfully!')
       setShowInventoryModal(false)
       setSelectedVehicleForInventory(null)
       
@@ -460,6 +501,7 @@ export default function VehicleSearch() {
                 >
                   <option value="all">🔍 All Fields</option>
                   <option value="registration_number">🚗 Registration Number</option>
+                  <option value="fuzzy_registration">🔎 Registration (tolerant match)</option>
                   <option value="chasis_number">🔧 Chassis Number</option>
                 </select>
               </div>
@@ -563,7 +605,9 @@ export default function VehicleSearch() {
                       placeholder={
                         searchType === 'all' 
                           ? "🔍 Search anywhere in registration, chassis, or engine number..."
-                          : `🔍 Search anywhere in ${searchType.replace('_', ' ')}...`
+                          : searchType === 'fuzzy_registration'
+                            ? "🔎 Type the plate as read - O/0, I/1, B/8, S/5 and missing state code are tolerated"
+                            : `🔍 Search anywhere in ${searchType.replace('_', ' ')}...`
                       }
                       value={vehicleSearch}
                       onChange={(e) => {
@@ -752,6 +796,26 @@ export default function VehicleSearch() {
           </div>
         </div>
 
+        {/* Field agent work queue */}
+        {currentUser?.role === 'fieldAgent' && (
+          <div className="mt-6">
+            <MyAllocations onSelectVehicle={handleViewDetails} />
+          </div>
+        )}
+
+        {/* Vehicles around the user's position */}
+        <div className="mt-6">
+          <NearbyVehicles onSelectVehicle={handleViewDetails} />
+        </div>
+
+        {/* Batch Lookup */}
+        <div className="mt-6">
+          <BatchPlateLookup
+            onSelectHit={handleViewDetails}
+            canExport={['superSuperAdmin', 'superAdmin', 'admin'].includes(currentUser?.role || '')}
+          />
+        </div>
+
         {/* Results Summary */}
         {vehicleSearch.trim().length >= 3 && vehicles.length > 0 && (
           <div className="mt-6 bg-white rounded-xl shadow-lg border border-gray-200 p-6">
@@ -775,7 +839,21 @@ export default function VehicleSearch() {
                  )}
                </div>
               </div>
-              <div className="text-sm text-gray-500">
+              <div className="flex items-center gap-3 text-sm text-gray-500">
+                {/* Tolerant (fuzzy) matches are ranked in memory and cannot be exported */}
+                {['superSuperAdmin', 'superAdmin', 'admin'].includes(currentUser?.role || '') && searchType !== 'fuzzy_registration' && (
+                  <VehicleExportButton
+                    request={{
+                      search: searchType === 'registration_number' && (stateCode || lastFourDigits)
+                        ? (lastFourDigits || debouncedSearch)
+                        : debouncedSearch,
+                      searchType,
+                      stateCode: searchType === 'registration_number' && stateCode ? stateCode : undefined,
+                      lastFourDigits: searchType === 'registration_number' && lastFourDigits ? lastFourDigits : undefined
+                    }}
+                    label="Export results"
+                  />
+                )}
                 {displayPagination ? (
                   <>Showing {((vehiclePage - 1) * 20) + 1} - {Math.min(vehiclePage * 20, displayPagination.total)} of {displayPagination.total}</>
                 ) : (
@@ -849,6 +927,27 @@ export default function VehicleSearch() {
                               <SparklesIcon className="w-3 h-3 mr-1" />
                               {vehicle.dataType}
                             </span>
+                            {typeof vehicle.matchDistance === 'number' && (
+                              <span className="ml-2 inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-amber-100 text-amber-800 border border-amber-200">
+                                {vehicle.matchDistance === 0 ? 'Close match' : `${vehicle.matchDistance} character${vehicle.matchDistance > 1 ? 's' : ''} different`}
+                              </span>
+                            )}
+                            <span className="ml-2">
+                              <VehicleCaseBadge vehicleCase={vehicle.case} />
+                            </span>
+                            {vehicle.duplicates?.otherFiles > 0 && (
+                              <span className={`ml-2 inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold border ${
+                                vehicle.duplicates.isAuthoritative === true
+                                  ? 'bg-green-100 text-green-800 border-green-200'
+                                  : vehicle.duplicates.isAuthoritative === false
+                                    ? 'bg-gray-100 text-gray-500 border-gray-200'
+                                    : 'bg-orange-100 text-orange-800 border-orange-200'
+                              }`}>
+                                {vehicle.duplicates.isAuthoritative === true && 'Authoritative · '}
+                                {vehicle.duplicates.isAuthoritative === false && 'Superseded · '}
+                                Also present in {vehicle.duplicates.otherFiles} other file{vehicle.duplicates.otherFiles > 1 ? 's' : ''}
+                              </span>
+                            )}
                           </div>
                         )}
                         
@@ -1061,6 +1160,16 @@ export default function VehicleSearch() {
                     </span>
                   </div>
                 )}
+
+                {/* Recovery status */}
+                <div className="mb-6">
+                  <VehicleCaseControls
+                    vehicleId={selectedVehicle._id}
+                    vehicleCase={selectedVehicle.case}
+                    role={currentUser?.role}
+                    onUpdated={(vehicleCase) => setSelectedVehicle({ ...selectedVehicle, case: vehicleCase })}
+                  />
+                </div>
                 
                                                                    {currentUser?.role === 'fieldAgent' ? (
                     // Simplified view for field agents - including make field
@@ -1070,7 +1179,7 @@ export default function VehicleSearch() {
                         <div className="grid grid-cols-1 gap-4">
                           <div className="flex justify-between items-center py-3 border-b border-blue-200">
                             <span className="text-sm font-semibold text-blue-800">Customer Name:</span>
-                            <span className="text-sm text-blue-900 font-bold">{selectedVehicle.customer_name || 'N/A'}</span>
+                            <span className="text-sm text-blue-900 font-bold">{detailValue(selectedVehicle, 'customer_name')}</span>
                           </div>
                           <div className="flex justify-between items-center py-3 border-b border-blue-200">
                             <span className="text-sm font-semibold text-blue-800">Registration No:</span>
@@ -1171,14 +1280,14 @@ export default function VehicleSearch() {
                       
                       <div className="bg-white border border-gray-200 rounded-lg p-4">
                         <p className="text-sm font-semibold text-gray-700 mb-1">Customer Name</p>
-                        <p className="text-sm text-gray-900 font-bold">{selectedVehicle.customer_name || 'N/A'}</p>
+                        <p className="text-sm text-gray-900 font-bold">{detailValue(selectedVehicle, 'customer_name')}</p>
                       </div>
                       
                       {/* Only show loan_number if it exists in the vehicle data */}
                       {selectedVehicle.hasOwnProperty('loan_number') && (
                         <div className="bg-white border border-gray-200 rounded-lg p-4">
                           <p className="text-sm font-semibold text-gray-700 mb-1">Loan Number</p>
-                          <p className="text-sm text-gray-900 font-mono font-bold">{selectedVehicle.loan_number || 'N/A'}</p>
+                          <p className="text-sm text-gray-900 font-mono font-bold">{detailValue(selectedVehicle, 'loan_number')}</p>
                         </div>
                       )}
                       
@@ -1277,7 +1386,7 @@ export default function VehicleSearch() {
                         {selectedVehicle.hasOwnProperty('address') && (
                           <div className="bg-white border border-gray-200 rounded-lg p-4">
                             <p className="text-sm font-semibold text-gray-700 mb-1">Address</p>
-                            <p className="text-sm text-gray-900 font-bold">{selectedVehicle.address || 'N/A'}</p>
+                            <p className="text-sm text-gray-900 font-bold">{detailValue(selectedVehicle, 'address')}</p>
                           </div>
                         )}
                         
@@ -1318,9 +1427,9 @@ export default function VehicleSearch() {
                           {selectedVehicle.hasOwnProperty('first_confirmer_name') && (
                             <div className="bg-white border border-gray-200 rounded-lg p-4">
                               <p className="text-sm font-semibold text-gray-700 mb-1">1st Confirmer</p>
-                              <p className="text-sm text-gray-900 font-bold">{selectedVehicle.first_confirmer_name || 'N/A'}</p>
+                              <p className="text-sm text-gray-900 font-bold">{detailValue(selectedVehicle, 'first_confirmer_name')}</p>
                               {selectedVehicle.hasOwnProperty('first_confirmer_no') && (
-                                <p className="text-sm text-gray-600">{selectedVehicle.first_confirmer_no || 'N/A'}</p>
+                                <p className="text-sm text-gray-600">{detailValue(selectedVehicle, 'first_confirmer_no')}</p>
                               )}
                             </div>
                           )}
@@ -1328,9 +1437,9 @@ export default function VehicleSearch() {
                           {selectedVehicle.hasOwnProperty('second_confirmer_name') && (
                             <div className="bg-white border border-gray-200 rounded-lg p-4">
                               <p className="text-sm font-semibold text-gray-700 mb-1">2nd Confirmer</p>
-                              <p className="text-sm text-gray-900 font-bold">{selectedVehicle.second_confirmer_name || 'N/A'}</p>
+                              <p className="text-sm text-gray-900 font-bold">{detailValue(selectedVehicle, 'second_confirmer_name')}</p>
                               {selectedVehicle.hasOwnProperty('second_confirmer_no') && (
-                                <p className="text-sm text-gray-600">{selectedVehicle.second_confirmer_no || 'N/A'}</p>
+                                <p className="text-sm text-gray-600">{detailValue(selectedVehicle, 'second_confirmer_no')}</p>
                               )}
                             </div>
                           )}
@@ -1338,9 +1447,9 @@ export default function VehicleSearch() {
                           {selectedVehicle.hasOwnProperty('third_confirmer_name') && (
                             <div className="bg-white border border-gray-200 rounded-lg p-4">
                               <p className="text-sm font-semibold text-gray-700 mb-1">3rd Confirmer</p>
-                              <p className="text-sm text-gray-900 font-bold">{selectedVehicle.third_confirmer_name || 'N/A'}</p>
+                              <p className="text-sm text-gray-900 font-bold">{detailValue(selectedVehicle, 'third_confirmer_name')}</p>
                               {selectedVehicle.hasOwnProperty('third_confirmer_no') && (
-                                <p className="text-sm text-gray-600">{selectedVehicle.third_confirmer_no || 'N/A'}</p>
+                                <p className="text-sm text-gray-600">{detailValue(selectedVehicle, 'third_confirmer_no')}</p>
                               )}
                             </div>
                           )}
@@ -1707,6 +1816,30 @@ export default function VehicleSearch() {
                     />
                   </div>
                 </div>
+
+                {/* Photos */}
+                <div className="md:col-span-2 space-y-4">
+                  <h4 className="font-bold text-gray-900 flex items-center">
+                    <SparklesIcon className="w-5 h-5 mr-2 text-blue-600" />
+                    Photos
+                  </h4>
+                  <p className="text-sm text-gray-600">Odometer, all four sides, keys and RC book (up to 5 per category)</p>
+                  <PhotoCategoryInputs selection={inventoryPhotos} onChange={setInventoryPhotos} />
+                </div>
+
+                {/* Signatures */}
+                <div className="md:col-span-2 space-y-4">
+                  <h4 className="font-bold text-gray-900 flex items-center">
+                    <SparklesIcon className="w-5 h-5 mr-2 text-blue-600" />
+                    Signatures
+                  </h4>
+                  <p className="text-sm text-gray-600">Driver and agent sign at handover; a witness is optional. Time and GPS position are recorded with each signature.</p>
+                  <SignatureFields
+                    roles={['driver', 'fieldAgent', 'witness']}
+                    selection={inventorySignatures}
+                    onChange={setInventorySignatures}
+                  />
+                </div>
               </div>
             </div>
 
@@ -1776,6 +1909,9 @@ export default function VehicleSearch() {
                 <div className="bg-purple-50 rounded-lg p-4 border border-purple-200">
                   <p className="text-sm font-semibold text-purple-800 mb-1">Total Size</p>
                   <p className="text-2xl font-bold text-purple-900">{cacheDetails.totalSizeMB} MB</p>
+                  {cacheDetails.maxSizeMB && (
+                    <p className="text-xs text-purple-700">of {cacheDetails.maxSizeMB} MB budget ({cacheDetails.usagePercent}%)</p>
+                  )}
                 </div>
                 <div className="bg-orange-50 rounded-lg p-4 border border-orange-200">
                   <p className="text-sm font-semibold text-orange-800 mb-1">Cache TTL</p>
@@ -1783,6 +1919,32 @@ export default function VehicleSearch() {
                 </div>
               </div>
 
+              {/* Hit / Eviction Stats */}
+              {cacheDetails.stats && (
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6 text-sm">
+                  <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+                    <p className="text-gray-600">Hit Rate</p>
+                    <p className="font-bold text-gray-900">{cacheDetails.stats.hitRate !== null ? `${cacheDetails.stats.hitRate}%` : 'N/A'}</p>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+                    <p className="text-gray-600">Memory / Disk Hits</p>
+                    <p className="font-bold text-gray-900">{cacheDetails.stats.hits} / {cacheDetails.stats.diskHits}</p>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+                    <p className="text-gray-600">GCS Fetches</p>
+                    <p className="font-bold text-gray-900">{cacheDetails.stats.misses}</p>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+                    <p className="text-gray-600">Evictions</p>
+                    <p className="font-bold text-gray-900">{cacheDetails.stats.evictions}</p>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+                    <p className="text-gray-600">On Disk</p>
+                    <p className="font-bold text-gray-900">{cacheDetails.disk?.files} files, {cacheDetails.disk?.sizeMB} MB</p>
+                  </div>
+                </div>
+              )}
+
               {/* File List */}
               {cacheDetails.files.length > 0 ? (
                 <div className="space-y-3">
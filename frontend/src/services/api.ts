@@ -21,7 +21,7 @@ const getApiBaseUrl = () => {
   return (import.meta as any).env?.VITE_API_URL || 'http://localhost:5000/api';
 };
 
-const API_BASE_URL = getApiBaseUrl();
+export const API_BASE_URL = getApiBaseUrl();
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -138,15 +138,74 @@ export const excelAPI = {
       'Content-Type': 'multipart/form-data',
     },
   }),
+  previewUpload: (formData: FormData) => api.post('/excel/upload/preview', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  }),
+  getStagedUpload: (id: string) => api.get(`/excel/upload/staged/${id}`),
+  confirmStagedUpload: (id: string) => api.post(`/excel/upload/staged/${id}/confirm`),
+  cancelStagedUpload: (id: string) => api.delete(`/excel/upload/staged/${id}`),
   getFiles: (params?: any) => api.get('/excel/files', { params }),
   getFileById: (id: string) => api.get(`/excel/files/${id}`),
   deleteFile: (id: string) => api.delete(`/excel/files/${id}`),
+  replaceFileContents: (id: string, formData: FormData) => api.put(`/excel/files/${id}/contents`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  }),
+  updateFileValidity: (id: string, data: { validFrom?: string | null; expiresAt?: string | null }) =>
+    api.put(`/excel/files/${id}/validity`, data),
+  restoreFile: (id: string, data?: { expiresAt?: string | null }) => api.post(`/excel/files/${id}/restore`, data || {}),
+  getFileChanges: (id: string, params?: { sinceRevision?: number; cursorId?: string; limit?: number }) =>
+    api.get(`/excel/files/${id}/changes`, { params }),
+  getImportJobs: (params?: { active?: boolean }) => api.get('/excel/jobs', { params }),
+  getImportJob: (id: string) => api.get(`/excel/jobs/${id}`),
+  cancelImportJob: (id: string) => api.post(`/excel/jobs/${id}/cancel`),
   reassignFile: (id: string, data: { assignedTo: string }) => api.put(`/excel/files/${id}/reassign`, data),
-  updateAssignments: (id: string, data: { assignedAdmins: string[] }) => api.put(`/excel/files/${id}/update-assignments`, data),
-  updateSharedAdmins: (id: string, data: { sharedAdmins: string[] }) => api.put(`/excel/files/${id}/update-shared-admins`, data),
-  downloadTemplate: () => api.get('/excel/template', { responseType: 'blob' }),
+  // maskingPolicy: { sharedAdmin | auditor | fieldAgent: { field: 'hide' | 'partial' | 'show' } }
+  updateAssignments: (id: string, data: { assignedAdmins: string[]; maskingPolicy?: Record<string, Record<string, string>> }) =>
+    api.put(`/excel/files/${id}/update-assignments`, data),
+  updateSharedAdmins: (id: string, data: { sharedAdmins: string[]; maskingPolicy?: Record<string, Record<string, string>> }) =>
+    api.put(`/excel/files/${id}/update-shared-admins`, data),
+  exportVehicles: (data: {
+    format?: 'xlsx' | 'csv';
+    search?: string;
+    searchType?: string;
+    stateCode?: string;
+    lastFourDigits?: string;
+    fileIds?: string[];
+    registrationNumbers?: string[];
+  }) => api.post('/excel/export', data, { responseType: 'blob' }),
+  downloadTemplate: (profileId?: string) => api.get('/excel/template', { params: profileId ? { profileId } : undefined, responseType: 'blob' }),
+  getMappingProfiles: () => api.get('/excel/mapping-profiles'),
+  createMappingProfile: (data: { name: string; description?: string; mappings: Array<{ sourceHeader: string; targetField: string }> }) =>
+    api.post('/excel/mapping-profiles', data),
+  updateMappingProfile: (id: string, data: { name?: string; description?: string; mappings?: Array<{ sourceHeader: string; targetField: string }>; isActive?: boolean }) =>
+    api.put(`/excel/mapping-profiles/${id}`, data),
+  deleteMappingProfile: (id: string) => api.delete(`/excel/mapping-profiles/${id}`),
   searchVehicles: (params?: any) => api.get('/excel/vehicles', { params }),
   getVehicleDetails: (id: string) => api.get(`/excel/vehicles/${id}/details`),
+  batchLookupVehicles: (data: { items: string[]; searchType?: string; isOnline?: boolean }) =>
+    api.post('/excel/vehicles/batch-lookup', data),
+  getVehicleCase: (id: string) => api.get(`/excel/vehicles/${id}/case`),
+  updateVehicleStatus: (id: string, data: { status: string; agentId?: string; note?: string }) =>
+    api.put(`/excel/vehicles/${id}/status`, data),
+  getAllocationOptions: (fileId: string) => api.get(`/excel/files/${fileId}/allocation-options`),
+  allocateVehicles: (data: { agentId: string; fileId?: string; lookupIds?: string[]; filters?: { branch?: string[]; bucket?: string[]; pincode?: string[] }; note?: string }) =>
+    api.post('/excel/allocations', data),
+  releaseVehicles: (data: { agentId?: string; fileId?: string; lookupIds?: string[]; filters?: { branch?: string[]; bucket?: string[]; pincode?: string[] }; note?: string }) =>
+    api.post('/excel/allocations/release', data),
+  getMyAllocations: () => api.get('/excel/allocations/mine'),
+  getVehiclesNear: (params: { latitude?: number; longitude?: number; radiusKm?: number; limit?: number }) =>
+    api.get('/excel/vehicles/near', { params }),
+  getAgentAllocations: (agentId: string) => api.get('/excel/allocations', { params: { agentId } }),
+  getDuplicates: (params?: { by?: 'registration' | 'chassis'; search?: string; page?: number; limit?: number }) =>
+    api.get('/excel/duplicates', { params }),
+  setAuthoritativeFile: (data: { by: 'registration' | 'chassis'; key: string; fileId: string; note?: string }) =>
+    api.put('/excel/duplicates/authoritative', data),
+  clearAuthoritativeFile: (params: { by: 'registration' | 'chassis'; key: string }) =>
+    api.delete('/excel/duplicates/authoritative', { params }),
   preCacheFiles: () => api.post('/excel/pre-cache-files'),
   getCacheDetails: () => api.get('/excel/cache-details'),
 }
@@ -170,6 +229,14 @@ export const notificationsAPI = {
   getStats: () => api.get('/notifications/stats'),
 }
 
+// Field agent location tracking API
+export const locationAPI = {
+  getAgents: (params?: { adminId?: string }) => api.get('/location/agents', { params }),
+  getTrail: (agentId: string, params: { date: string; tzOffset?: number }) =>
+    api.get(`/location/agents/${agentId}/trail`, { params }),
+  getReplay: (notificationId: string) => api.get(`/location/verifications/${notificationId}/replay`),
+}
+
 // Payments API
 export const paymentsAPI = {
   // Admin payment management
@@ -292,14 +359,49 @@ export const backOfficeNumbersAPI = {
 
 // Inventory API
 export const inventoryAPI = {
-  getFieldAgentInventories: () => api.get('/inventory/field-agent'),
-  getAdminInventories: () => api.get('/inventory/admin'),
-  getAuditorInventories: () => api.get('/inventory/auditor'),
+  getFieldAgentInventories: (params?: { stage?: string; archived?: boolean }) => api.get('/inventory/field-agent', { params }),
+  getAdminInventories: (params?: { stage?: string; archived?: boolean }) => api.get('/inventory/admin', { params }),
+  getAuditorInventories: (params?: { stage?: string; archived?: boolean }) => api.get('/inventory/auditor', { params }),
   createInventory: (data: any) => api.post('/inventory', data),
   getInventory: (id: string) => api.get(`/inventory/${id}`),
+  // multipart: stage, note, stage fields and documents[]
+  updateInventoryStage: (id: string, data: FormData) => api.post(`/inventory/${id}/stage`, data, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  // multipart: one field per photo category (odometer, front, rear, left, right, keys, rcBook, other)
+  addInventoryPhotos: (id: string, data: FormData) => api.post(`/inventory/${id}/photos`, data, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  // signatures: [{ role, name, strokes, signedAt, latitude, longitude, accuracy }]
+  addInventorySignatures: (id: string, signatures: any[]) => api.post(`/inventory/${id}/signatures`, { signatures }),
   downloadInventory: (id: string) => api.get(`/inventory/${id}/download`, {
     responseType: 'arraybuffer'
-  })
+  }),
+  // One merged PDF or a ZIP of PDFs, for selected inventories or a seizure date range
+  bulkDownloadInventories: (data: {
+    format: 'pdf' | 'zip';
+    inventoryIds?: string[];
+    from?: string;
+    to?: string;
+    stage?: string;
+    includePhotos?: boolean;
+  }) => api.post('/inventory/bulk-download', data, {
+    responseType: 'arraybuffer',
+    timeout: 10 * 60 * 1000
+  }),
+
+  // PDF templates (admin)
+  getInventoryTemplates: () => api.get('/inventory/templates'),
+  // multipart: name, description, html, locale, lenderProfiles (JSON), isActive, logo, removeLogo
+  createInventoryTemplate: (data: FormData) => api.post('/inventory/templates', data, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  updateInventoryTemplate: (id: string, data: FormData) => api.put(`/inventory/templates/${id}`, data, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  deleteInventoryTemplate: (id: string) => api.delete(`/inventory/templates/${id}`),
+  previewInventoryTemplate: (data: { html: string; locale?: string; inventoryId?: string; templateId?: string }) =>
+    api.post('/inventory/templates/preview', data)
 }
 
 export default api 
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { API_BASE_URL } from './api'
+
+// Client for the server's real-time stream (GET /api/realtime/stream, Server-Sent Events).
+// fetch is used instead of EventSource so the token travels in the Authorization header.
+
+export interface RealtimeEvent {
+  type: 'ready' | 'notification' | 'payment-proof' | 'agent-location' | 'force-logout'
+  data: any
+}
+
+type RealtimeListener = (event: RealtimeEvent) => void
+type StatusListener = (connected: boolean) => void
+
+const RETRY_MIN_MS = 2000
+const RETRY_MAX_MS = 60000
+
+const listeners = new Set<RealtimeListener>()
+const statusListeners = new Set<StatusListener>()
+let controller: AbortController | null = null
+let retryTimer: ReturnType<typeof setTimeout> | null = null
+let retryDelay = RETRY_MIN_MS
+let connected = false
+
+const setConnected = (value: boolean) => {
+  if (connected === value) return
+  connected = value
+  statusListeners.forEach(listener => listener(value))
+}
+
+const emit = (event: RealtimeEvent) => listeners.forEach(listener => listener(event))
+
+// Parse "event: x\ndata: y" blocks; returns the unparsed remainder
+const parseEvents = (buffer: string) => {
+  const blocks = buffer.split('\n\n')
+  const rest = blocks.pop() || ''
+  blocks.forEach(block => {
+    let type = 'message'
+    const data: string[] = []
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) type = line.slice(6).trim()
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+    })
+    if (data.length === 0) return
+    try {
+      emit({ type: type as RealtimeEvent['type'], data: JSON.parse(data.join('\n')) })
+    } catch (error) {
+      console.error('Invalid real-time event:', error)
+    }
+  })
+  return rest
+}
+
+const scheduleReconnect = () => {
+  if (listeners.size === 0 || retryTimer) return
+  retryTimer = setTimeout(() => {
+    retryTimer = null
+    connect()
+  }, retryDelay)
+  retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS)
+}
+
+const connect = async () => {
+  const token = localStorage.getItem('token')
+  if (!token || controller) return
+
+  const current = new AbortController()
+  controller = current
+  try {
+    const response = await fetch(`${API_BASE_URL}/realtime/stream`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      signal: current.signal
+    })
+
+    if (response.status === 401) {
+      // Same rules as every other request: the session is over
+      const body = await response.json().catch(() => ({}))
+      emit({ type: 'force-logout', data: { message: body.message } })
+      return
+    }
+    if (!response.ok || !response.body) {
+      throw new Error(`Real-time stream failed with status ${response.status}`)
+    }
+
+    setConnected(true)
+    retryDelay = RETRY_MIN_MS
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer = parseEvents(buffer + decoder.decode(value, { stream: true }))
+    }
+  } catch (error: any) {
+    if (error?.name !== 'AbortError') {
+      console.error('Real-time stream error:', error)
+    }
+  } finally {
+    if (controller === current) {
+      controller = null
+      setConnected(false)
+      if (!current.signal.aborted) {
+        scheduleReconnect()
+      }
+    }
+  }
+}
+
+const disconnect = () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer)
+    retryTimer = null
+  }
+  controller?.abort()
+  controller = null
+  retryDelay = RETRY_MIN_MS
+  setConnected(false)
+}
+
+// Listen to real-time events; the stream stays open while anyone is subscribed
+export const subscribeRealtime = (listener: RealtimeListener) => {
+  listeners.add(listener)
+  if (listeners.size === 1) connect()
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) disconnect()
+  }
+}
+
+export const onRealtimeStatus = (listener: StatusListener) => {
+  statusListeners.add(listener)
+  listener(connected)
+  return () => {
+    statusListeners.delete(listener)
+  }
+}
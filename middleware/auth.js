@@ -2,6 +2,50 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 
+/**
+ * Why a user's session is not (or no longer) valid, or null when it is
+ * Shared by authenticateToken and the real-time channel (services/realtimeService),
+ * which re-checks open streams when sessions change.
+ * @param {Object} user - User document (isActive, role, createdBy and session fields)
+ * @param {string} sessionToken - Session token from the JWT
+ * @returns {Promise<string|null>} Error message for the client
+ */
+const getSessionError = async (user, sessionToken) => {
+  // Check if user is active
+  if (!user.isActive) {
+    return 'Account is deactivated';
+  }
+
+  // Check if user's admin is active (for field agents and auditors)
+  if ((user.role === 'fieldAgent' || user.role === 'auditor') && user.createdBy) {
+    const admin = await User.findById(user.createdBy).select('isActive');
+    if (!admin || !admin.isActive) {
+      return 'Your admin account is deactivated. Please contact support.';
+    }
+  }
+
+  // Validate session token for single-session-per-user
+  // Admin role can have multiple simultaneous sessions, so skip strict validation
+  if (user.role !== 'admin') {
+    // For non-admin roles, enforce single session
+    if (!user.currentSessionToken || !sessionToken) {
+      return 'Session expired. Please login again.';
+    }
+
+    // Check if session token matches
+    if (user.currentSessionToken !== sessionToken) {
+      return 'Session invalidated. You have been logged out from another device.';
+    }
+  }
+
+  // Check if session has expired
+  if (user.sessionExpiresAt && new Date() > user.sessionExpiresAt) {
+    return 'Session expired. Please login again.';
+  }
+
+  return null;
+};
+
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -27,67 +71,21 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
+    const sessionError = await getSessionError(user, decoded.sessionToken);
+    if (sessionError) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated'
+        message: sessionError
       });
     }
 
-    // Check if user's admin is active (for field agents and auditors)
-    if ((user.role === 'fieldAgent' || user.role === 'auditor') && user.createdBy) {
-      const admin = await User.findById(user.createdBy).select('isActive');
-      if (!admin || !admin.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Your admin account is deactivated. Please contact support.'
-        });
-      }
-    }
-
-    // Validate session token for single-session-per-user
-    // Admin role can have multiple simultaneous sessions, so skip strict validation
-    if (user.role !== 'admin') {
-      // For non-admin roles, enforce single session
-      if (!user.currentSessionToken || !decoded.sessionToken) {
-        return res.status(401).json({
-          success: false,
-          message: 'Session expired. Please login again.'
-        });
-      }
-
-      // Check if session token matches
-      if (user.currentSessionToken !== decoded.sessionToken) {
-        return res.status(401).json({
-          success: false,
-          message: 'Session invalidated. You have been logged out from another device.'
-        });
-      }
-
-      // Check if session has expired
-      if (user.sessionExpiresAt && new Date() > user.sessionExpiresAt) {
-        return res.status(401).json({
-          success: false,
-          message: 'Session expired. Please login again.'
-        });
-      }
-    } else {
-      // For admin role, only check if token is expired (allow multiple sessions)
-      if (user.sessionExpiresAt && new Date() > user.sessionExpiresAt) {
-        return res.status(401).json({
-          success: false,
-          message: 'Session expired. Please login again.'
-        });
-      }
-    }
-
     // Update last seen (but not online status on every request)
     await User.findByIdAndUpdate(user._id, {
       lastSeen: new Date()
     });
 
     req.user = user;
+    req.sessionToken = decoded.sessionToken;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -191,6 +189,7 @@ const authorizeResource = (resourceType) => {
 };
 
 module.exports = {
+  getSessionError,
   authenticateToken,
   authorizeRole,
   authorizeResource
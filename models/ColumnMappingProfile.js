@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { EXPECTED_HEADERS } = require('../utils/columnMapping');
+
+const columnMappingSchema = new mongoose.Schema({
+  sourceHeader: {
+    type: String,
+    required: [true, 'Source header is required'],
+    trim: true,
+    maxlength: 200
+  },
+  targetField: {
+    type: String,
+    required: [true, 'Target field is required'],
+    enum: EXPECTED_HEADERS
+  }
+}, { _id: false });
+
+const columnMappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  mappings: {
+    type: [columnMappingSchema],
+    validate: {
+      validator: (mappings) => mappings.length > 0,
+      message: 'At least one column mapping is required'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // Profiles created by super admins are visible to every admin
+  isGlobal: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+columnMappingProfileSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+columnMappingProfileSchema.index({ isGlobal: 1, isActive: 1 });
+
+// Profiles a user may pick: super admins see all, admins see their own plus global ones
+columnMappingProfileSchema.statics.findAccessible = function(user, filter = {}) {
+  const query = { ...filter, isActive: true };
+  if (user.role !== 'superSuperAdmin' && user.role !== 'superAdmin') {
+    query.$or = [{ createdBy: user._id }, { isGlobal: true }];
+  }
+  return this.find(query);
+};
+
+module.exports = mongoose.model('ColumnMappingProfile', columnMappingProfileSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named monotonically increasing counters (e.g. the vehicle change sequence
+ * used as the offline delta sync token)
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Reserve `count` consecutive values; returns the first reserved value
+counterSchema.statics.reserve = async function(name, count = 1) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+  return counter.seq - count + 1;
+};
+
+// Current value without incrementing (0 if the counter was never used)
+counterSchema.statics.current = async function(name) {
+  const counter = await this.findById(name).lean();
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Authoritative file for a vehicle that appears in several Excel files
+ * Keyed by the normalized (uppercase, alphanumeric only) registration or
+ * chassis number, so the choice survives file replacements and new uploads.
+ */
+const duplicateResolutionSchema = new mongoose.Schema({
+  keyType: {
+    type: String,
+    enum: ['registration', 'chassis'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  authoritativeFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  markedByName: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+duplicateResolutionSchema.index({ keyType: 1, key: 1 }, { unique: true });
+duplicateResolutionSchema.index({ authoritativeFileId: 1 });
+
+module.exports = mongoose.model('DuplicateResolution', duplicateResolutionSchema);
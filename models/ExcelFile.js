@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MASK_MODES, MASKING_ROLES, MASKABLE_FIELDS } = require('../utils/fieldMasking');
 
 const excelFileSchema = new mongoose.Schema({
   filename: {
@@ -68,6 +69,22 @@ const excelFileSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Column mapping profile used to translate the workbook's headers (null = canonical headers)
+  mappingProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ColumnMappingProfile',
+    default: null
+  },
+  // Sheets ingested from a multi-sheet workbook (empty = first sheet only)
+  sheetNames: [{
+    type: String
+  }],
+  // Format the file was uploaded in - CSV/TSV uploads are stored as .xlsx
+  sourceFormat: {
+    type: String,
+    enum: ['xlsx', 'xls', 'csv', 'tsv'],
+    default: 'xlsx'
+  },
   filePath: {
     type: String,
     required: [true, 'File path is required']
@@ -75,7 +92,64 @@ const excelFileSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Incremented every time the contents are replaced (see VehicleChange)
+  revision: {
+    type: Number,
+    default: 0
+  },
+  lastReplacedAt: {
+    type: Date,
+    default: null
+  },
+  // Optional validity window - see services/excelFileLifecycleService
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // scheduled (validFrom not reached) and archived files are not active
+  availability: {
+    type: String,
+    enum: ['scheduled', 'active', 'archived'],
+    default: 'active'
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archiveReason: {
+    type: String,
+    enum: ['expired', null],
+    default: null
+  },
+  // Last time its rows got gazetteer coordinates (null = pending, see services/vehicleGeocodingService)
+  geocodedAt: {
+    type: Date,
+    default: null
+  },
+  // Per-role masking of customer / confirmer fields - see utils/fieldMasking (empty = show all)
+  maskingPolicy: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: MASKING_ROLES,
+      required: true
+    },
+    field: {
+      type: String,
+      enum: MASKABLE_FIELDS,
+      required: true
+    },
+    mode: {
+      type: String,
+      enum: MASK_MODES,
+      required: true
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -86,6 +160,9 @@ excelFileSchema.index({ assignedTo: 1, createdAt: -1 });
 excelFileSchema.index({ assignedAdmins: 1, createdAt: -1 });
 excelFileSchema.index({ sharedAdmins: 1, createdAt: -1 });
 excelFileSchema.index({ status: 1 });
+excelFileSchema.index({ availability: 1, expiresAt: 1 });
+excelFileSchema.index({ availability: 1, validFrom: 1 });
+excelFileSchema.index({ isActive: 1, geocodedAt: 1 });
 
 // Pre-save middleware to ensure assignedTo is always the first admin in assignedAdmins
 excelFileSchema.pre('save', function(next) {
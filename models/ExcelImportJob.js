@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Persistent background job for Excel ingestion
+ * Uploads create the ExcelFile record and a queued job; workers (see
+ * services/excelJobQueue.js) claim jobs, write VehicleLookup rows and report
+ * progress here so clients can poll it - even after a page reload.
+ */
+const excelImportJobSchema = new mongoose.Schema({
+  // ingest = new upload, restore = rebuild an archived file's rows,
+  // replace = apply a new workbook to an existing file (delta)
+  type: {
+    type: String,
+    enum: ['ingest', 'restore', 'replace'],
+    default: 'ingest'
+  },
+  excelFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  rowsTotal: {
+    type: Number,
+    default: 0
+  },
+  rowsProcessed: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Not picked up before this time (retry backoff)
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  // Worker lock / heartbeat - refreshed on every progress update
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  workerId: {
+    type: String,
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  // replace jobs: the stored new workbook and how to read it
+  // { filename, fileSize, mimeType, filePath, sheetNames, sourceFormat, mappingProfile, recordCount, previousStatus }
+  replacement: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // { processedRows, failedRows, skippedRows, status } (replace: also revision, added, removed, unchanged)
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+excelImportJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+excelImportJobSchema.index({ createdBy: 1, createdAt: -1 });
+excelImportJobSchema.index({ excelFileId: 1 });
+
+// The replacement workbook location stays server-side
+excelImportJobSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.replacement;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ExcelImportJob', excelImportJobSchema);
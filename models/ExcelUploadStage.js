@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Staged Excel upload (dry-run preview)
+ * Holds the validated temp file and its validation report until the uploader
+ * confirms or cancels it. Nothing is written to ExcelFile/VehicleLookup or GCS
+ * until confirmation.
+ */
+const excelUploadStageSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required']
+  },
+  originalName: {
+    type: String,
+    required: [true, 'Original filename is required']
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Temp file on local disk (headers already rewritten to canonical names)
+  tempFilePath: {
+    type: String,
+    required: true
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedAdmins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  sharedAdmins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Copied to ExcelFile.maskingPolicy on confirmation
+  maskingPolicy: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  mappingProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ColumnMappingProfile',
+    default: null
+  },
+  // Explicit sheet selection (empty = first sheet only)
+  sheetNames: [{
+    type: String
+  }],
+  sourceFormat: {
+    type: String,
+    enum: ['xlsx', 'xls', 'csv', 'tsv'],
+    default: 'xlsx'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // { summary, quota, rows, truncated, duplicateFiles }
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+  }
+}, {
+  timestamps: true
+});
+
+excelUploadStageSchema.index({ uploadedBy: 1, createdAt: -1 });
+excelUploadStageSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('ExcelUploadStage', excelUploadStageSchema);
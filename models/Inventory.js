@@ -1,5 +1,153 @@
 const mongoose = require('mongoose');
 
+// Photos taken at seizure: odometer, the four sides, keys and RC book
+const PHOTO_CATEGORIES = ['odometer', 'front', 'rear', 'left', 'right', 'keys', 'rcBook', 'other'];
+
+const photoSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: PHOTO_CATEGORIES,
+    required: true
+  },
+  fileUrl: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  // Capture time from the photo's EXIF data (null when the image has none)
+  takenAt: {
+    type: Date,
+    default: null
+  },
+  exifDateTime: {
+    type: String,
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Acknowledgement of the seizure by the driver, the field agent and an optional witness
+const SIGNER_ROLES = ['driver', 'fieldAgent', 'witness'];
+
+const signatureSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: SIGNER_ROLES,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Stored image (PNG/JPEG as captured, or SVG rendered from drawn strokes)
+  imageUrl: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the stored image, part of the inventory content hash
+  imageHash: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['image', 'strokes'],
+    required: true
+  },
+  // Device time of signing, and where it happened
+  signedAt: {
+    type: Date,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  accuracy: {
+    type: Number,
+    default: null
+  },
+  capturedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// seized → in-yard → released (customer settlement) | auction → handed-over (to the bank)
+const INVENTORY_STAGES = ['seized', 'in-yard', 'released', 'auction', 'handed-over'];
+
+const stageDocumentSchema = new mongoose.Schema({
+  // e.g. yard receipt, release order, settlement receipt, auction report, handover receipt
+  name: {
+    type: String,
+    required: true
+  },
+  fileUrl: {
+    type: String,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const stageChangeSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: INVENTORY_STAGES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByName: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  documents: {
+    type: [stageDocumentSchema],
+    default: []
+  },
+  // Parking charges accrued in the yard up to this change
+  parkingDays: {
+    type: Number,
+    default: 0
+  },
+  parkingCharges: {
+    type: Number,
+    default: 0
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const inventorySchema = new mongoose.Schema({
   // Auto-generated fields (from vehicle data)
   vehicleId: {
@@ -27,6 +175,12 @@ const inventorySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Source lender: column mapping profile of the Excel file the vehicle came from (picks the PDF template)
+  lenderProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ColumnMappingProfile',
+    default: null
+  },
 
   // Field Agent Information
   fieldAgentId: {
@@ -153,6 +307,19 @@ const inventorySchema = new mongoose.Schema({
   otherSpecificItems: {
     type: String
   },
+  photos: {
+    type: [photoSchema],
+    default: []
+  },
+  signatures: {
+    type: [signatureSchema],
+    default: []
+  },
+  // SHA-256 of the seizure record when it was last signed (see services/inventorySignatureService)
+  signedContentHash: {
+    type: String,
+    default: null
+  },
 
   // Metadata
   seizureDate: {
@@ -162,6 +329,61 @@ const inventorySchema = new mongoose.Schema({
   inventoryNumber: {
     type: String,
     unique: true
+  },
+
+  // Lifecycle after seizure (see services/inventoryLifecycleService)
+  stage: {
+    type: String,
+    enum: INVENTORY_STAGES,
+    default: 'seized'
+  },
+  stageChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  yardIntakeAt: {
+    type: Date,
+    default: null
+  },
+  release: {
+    releasedTo: String,
+    settlementAmount: Number,
+    receiptNumber: String,
+    releasedAt: Date
+  },
+  auction: {
+    auctionDate: Date,
+    auctioneer: String,
+    reservePrice: Number,
+    saleAmount: Number,
+    buyerName: String
+  },
+  handover: {
+    handedOverTo: String,
+    bankName: String,
+    handedOverAt: Date
+  },
+  // Parking charges when the record was closed (running charges are computed until then)
+  parkingDays: {
+    type: Number,
+    default: 0
+  },
+  parkingCharges: {
+    type: Number,
+    default: 0
+  },
+  // Released or handed over; closed records are archived after INVENTORY_ARCHIVE_DAYS
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  history: {
+    type: [stageChangeSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -193,5 +415,11 @@ inventorySchema.index({ fieldAgentId: 1, createdAt: -1 });
 inventorySchema.index({ adminId: 1, createdAt: -1 });
 inventorySchema.index({ vehicleId: 1 });
 inventorySchema.index({ inventoryNumber: 1 });
+inventorySchema.index({ adminId: 1, stage: 1 });
+inventorySchema.index({ closedAt: 1, archivedAt: 1 });
+
+inventorySchema.statics.STAGES = INVENTORY_STAGES;
+inventorySchema.statics.PHOTO_CATEGORIES = PHOTO_CATEGORIES;
+inventorySchema.statics.SIGNER_ROLES = SIGNER_ROLES;
 
 module.exports = mongoose.model('Inventory', inventorySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Admin-managed HTML layout of the inventory PDF (placeholders: see services/inventoryTemplateService.js)
+const inventoryTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Admin is required']
+  },
+  html: {
+    type: String,
+    required: [true, 'Template HTML is required']
+  },
+  // Lenders (column mapping profiles of the source files) the template is used for;
+  // empty = the admin's default template
+  lenderProfiles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ColumnMappingProfile'
+  }],
+  // Dates and amounts are formatted in this locale (e.g. en-IN, hi-IN)
+  locale: {
+    type: String,
+    trim: true,
+    default: 'en-IN'
+  },
+  logoUrl: {
+    type: String,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inventoryTemplateSchema.index({ adminId: 1, name: 1 }, { unique: true });
+inventoryTemplateSchema.index({ adminId: 1, isActive: 1 });
+
+module.exports = mongoose.model('InventoryTemplate', inventoryTemplateSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// How long GPS pings are kept (days)
+const LOCATION_PING_TTL_DAYS = parseInt(process.env.LOCATION_PING_TTL_DAYS) || 30;
+
+/**
+ * GPS ping posted by the field agent mobile app
+ * Stored in a time-series collection (metaField = agent) that MongoDB expires
+ * after LOCATION_PING_TTL_DAYS. The latest fix is also kept on User.lastLocation.
+ */
+const locationPingSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When the device took the fix (not when it was uploaded - pings are buffered offline)
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Metres
+  accuracy: {
+    type: Number,
+    default: null
+  },
+  // Metres per second
+  speed: {
+    type: Number,
+    default: null
+  },
+  // Degrees from north
+  heading: {
+    type: Number,
+    default: null
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'agent',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: LOCATION_PING_TTL_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+locationPingSchema.index({ agent: 1, recordedAt: 1 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
@@ -14,7 +14,7 @@ const notificationSchema = new mongoose.Schema({
   userRole: {
     type: String,
     required: true,
-    enum: ['fieldAgent', 'auditor', 'admin']
+    enum: ['fieldAgent', 'auditor', 'admin', 'system']
   },
   
   // Admin who should receive this notification
@@ -32,7 +32,7 @@ const notificationSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['viewed', 'verified', 'searched', 'permission_request']
+    enum: ['viewed', 'verified', 'searched', 'permission_request', 'file_archived']
   },
   vehicleNumber: {
     type: String,
@@ -85,7 +85,12 @@ const notificationSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number,
     timezone: String,
-    isp: String
+    isp: String,
+    accuracy: Number, // Metres (GPS only)
+    source: {
+      type: String,
+      enum: ['ip', 'gps']
+    }
   },
   
   // Status
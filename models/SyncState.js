@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Offline delta sync state per user
+ * Every issued sync token remembers which files the client held at that point,
+ * so files that were unshared, reassigned or deleted can be sent as tombstones
+ * and newly accessible files can be announced for a full download.
+ */
+const syncSnapshotSchema = new mongoose.Schema({
+  token: {
+    type: Number,
+    required: true
+  },
+  fileIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile'
+  }],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const syncStateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Most recent snapshots (newest last); older tokens require a full resync
+  snapshots: [syncSnapshotSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SyncState', syncStateSchema);
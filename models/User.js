@@ -110,6 +110,13 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Latest GPS fix from the mobile app (see models/LocationPing)
+  lastLocation: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    recordedAt: Date
+  },
   // Session management fields for single-session-per-user
   currentSessionToken: {
     type: String,
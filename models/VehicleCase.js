@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const CASE_STATUSES = ['pending', 'assigned', 'in-progress', 'recovered', 'failed'];
+
+/**
+ * Recovery case for one vehicle of an ExcelFile
+ * Keyed by the source file and the normalized registration/chassis number
+ * (not the VehicleLookup _id, which changes when a file's contents are replaced).
+ * Vehicles without a case are implicitly "pending".
+ */
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByName: {
+    type: String,
+    default: null
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const vehicleCaseSchema = new mongoose.Schema({
+  excelFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  // Normalized (uppercase, alphanumeric only) - '' when the row has no value
+  registrationNumber: {
+    type: String,
+    default: ''
+  },
+  chassisNumber: {
+    type: String,
+    default: ''
+  },
+  // Lookup the case was last touched through (may be stale after a file replace)
+  lookupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehicleLookup',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'pending'
+  },
+  // Responsible field agent
+  assignedAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAgentName: {
+    type: String,
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  recoveredAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Inventory (seizure record) that closed the case
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    default: null
+  },
+  history: {
+    type: [statusChangeSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+vehicleCaseSchema.index({ excelFileId: 1, registrationNumber: 1, chassisNumber: 1 }, { unique: true });
+vehicleCaseSchema.index({ assignedAgent: 1, status: 1 });
+vehicleCaseSchema.index({ status: 1, statusChangedAt: -1 });
+
+vehicleCaseSchema.statics.STATUSES = CASE_STATUSES;
+
+module.exports = mongoose.model('VehicleCase', vehicleCaseSchema);
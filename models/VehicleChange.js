@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Change log for VehicleLookup rows of an ExcelFile
+ * Written when a file's contents are replaced (add/remove) or a row is
+ * allocated to / released from a field agent (allocate/unallocate), so offline
+ * clients can pull only what changed since their last sync.
+ */
+const vehicleChangeSchema = new mongoose.Schema({
+  excelFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  // Global change sequence (Counter 'vehicleChange') - the delta sync token
+  seq: {
+    type: Number,
+    required: true
+  },
+  // ExcelFile.revision that produced this change (row changes only)
+  revision: {
+    type: Number,
+    required: function() {
+      return this.op === 'add' || this.op === 'remove';
+    }
+  },
+  op: {
+    type: String,
+    enum: ['add', 'remove', 'allocate', 'unallocate'],
+    required: true
+  },
+  // Field agent of an allocate/unallocate change
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lookupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehicleLookup',
+    required: true
+  },
+  registrationNumber: {
+    type: String,
+    default: null
+  },
+  chassisNumber: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+vehicleChangeSchema.index({ excelFileId: 1, revision: 1, _id: 1 });
+vehicleChangeSchema.index({ seq: 1 });
+
+module.exports = mongoose.model('VehicleChange', vehicleChangeSchema);
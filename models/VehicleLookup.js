@@ -40,6 +40,36 @@ const vehicleLookupSchema = new mongoose.Schema({
     required: true, // STRICT: Always required, no nulls allowed
     index: true
     // Required for deletion - allows deleting all records for a specific file
+  },
+  // Only set for files ingested from an explicit sheet selection (multi-sheet
+  // workbooks) so the Excel cache can locate the original row
+  sheetName: {
+    type: String,
+    required: false
+  },
+  rowNumber: {
+    type: Number,
+    required: false
+  },
+  // Approximate position from the offline gazetteer (see services/vehicleGeocodingService)
+  // Only set when the row's address / branch could be geocoded
+  location: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number] // [longitude, latitude]
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  geoPrecision: {
+    type: String,
+    enum: ['pincode', 'city', 'region'],
+    required: false
   }
 }, {
   timestamps: false, // No createdAt/updatedAt
@@ -72,6 +102,12 @@ vehicleLookupSchema.index({ excelFileId: 1 }, {
   background: true
 });
 
+// 4. Geospatial index for "vehicles near me" (rows without location are not indexed)
+vehicleLookupSchema.index({ location: '2dsphere' }, {
+  name: 'location_2dsphere',
+  background: true
+});
+
 // REMOVED INDEXES (saves ~30-35 MB):
 // ❌ registrationNumberStateCode (derived field - removed)
 // ❌ registrationNumberLastFour (derived field - removed)
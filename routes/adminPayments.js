@@ -10,6 +10,8 @@ const PaymentQR = require('../models/PaymentQR');
 const PaymentProof = require('../models/PaymentProof');
 const User = require('../models/User');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { storeUploadedFile } = require('../services/storageService');
+const { publishPaymentProof } = require('../services/realtimeService');
 
 // Configure multer for QR code uploads
 const qrStorage = multer.diskStorage({
@@ -901,6 +903,8 @@ router.post('/:paymentId/proof',
       console.log('   Current user ID:', req.user._id);
       console.log('   Current user role:', req.user.role);
       
+      const proofImageUrl = req.file ? await storeUploadedFile(req.file, 'admin-payment-proofs') : undefined;
+
       // Prepare proof data
       const proofData = {
         paymentId: paymentId,
@@ -916,7 +920,7 @@ router.post('/:paymentId/proof',
       
       // Add image fields only if screenshot type and file exists
       if (cleanProofType === 'screenshot' && req.file) {
-        proofData.proofImageUrl = `/uploads/admin-payment-proofs/${req.file.filename}`;
+        proofData.proofImageUrl = proofImageUrl;
         proofData.proofImageName = req.file.originalname;
       }
       
@@ -939,7 +943,7 @@ router.post('/:paymentId/proof',
         
         // Add image fields only if screenshot type and file exists
         if (cleanProofType === 'screenshot' && req.file) {
-          updateData.proofImageUrl = `/uploads/admin-payment-proofs/${req.file.filename}`;
+          updateData.proofImageUrl = proofImageUrl;
           updateData.proofImageName = req.file.originalname;
         }
         
@@ -971,6 +975,8 @@ router.post('/:paymentId/proof',
         await payment.save();
       }
 
+      publishPaymentProof(proof, 'admin');
+
       res.status(201).json({
         success: true,
         message: isResubmission ? 'Payment proof resubmitted successfully' : 'Payment proof submitted successfully',
@@ -1103,6 +1109,8 @@ router.put('/proof/:proofId/review',
         }
       }
 
+      publishPaymentProof(proof, 'admin');
+
       res.json({
         success: true,
         message: `Payment proof ${status} successfully`,
@@ -6,6 +6,7 @@ const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const AppVersion = require('../models/AppVersion');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { storeUploadedFile, deleteUploadedFile, getUploadedFileUrl, isRemoteStorage } = require('../services/storageService');
 
 // Configure multer for APK file uploads
 const apkStorage = multer.diskStorage({
@@ -72,6 +73,8 @@ router.post('/upload',
 
       const { appType, version, versionCode, description, features } = req.body;
 
+      const storedFilePath = await storeUploadedFile(req.file, 'apps');
+
       // Deactivate current active version for this app type
       await AppVersion.updateMany(
         { appType, isActive: true },
@@ -84,7 +87,7 @@ router.post('/upload',
         version,
         versionCode: parseInt(versionCode),
         fileName: req.file.originalname,
-        filePath: `/uploads/apps/${req.file.filename}`,
+        filePath: storedFilePath,
         fileSize: req.file.size,
         description: description || '',
         features: features ? features.split(',').map(f => f.trim()) : [],
@@ -215,6 +218,13 @@ router.get('/download/:id', async (req, res) => {
 
     const filePath = path.join(__dirname, '..', appVersion.filePath);
     
+    // Remote storage: send the client straight to a short-lived download URL
+    if (!fs.existsSync(filePath) && isRemoteStorage()) {
+      const downloadUrl = await getUploadedFileUrl(appVersion.filePath, { downloadName: appVersion.fileName });
+      console.log(`✅ Redirecting to stored APK: ${appVersion.fileName}`);
+      return res.redirect(302, downloadUrl);
+    }
+
     if (!fs.existsSync(filePath)) {
       console.error(`❌ APK file not found at: ${filePath}`);
       return res.status(404).json({
@@ -268,10 +278,13 @@ router.delete('/versions/:id',
         });
       }
 
-      // Delete the file from server
-      const filePath = path.join(__dirname, '..', appVersion.filePath);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+      // Delete the stored file
+      try {
+        await deleteUploadedFile(appVersion.filePath);
+      } catch (deleteError) {
+        if (!deleteError.notFound) {
+          console.error('Error deleting app file:', deleteError);
+        }
       }
 
       // Delete from database
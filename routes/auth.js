@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { storeUploadedFile, deleteUploadedFile } = require('../services/storageService');
+const { revalidateSessions } = require('../services/realtimeService');
 const crypto = require('crypto');
 const multer = require('multer');
 const path = require('path');
@@ -209,6 +211,9 @@ router.post('/login', [
     // Note: Password is NOT modified, so pre-save hook will skip hashing
     await user.save();
 
+    // Sessions on other devices just ended
+    revalidateSessions([user._id]);
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -318,8 +323,8 @@ router.post('/upload-profile-image', authenticateToken, upload.single('profileIm
       });
     }
 
-    // Create the file path for the uploaded image
-    const imagePath = `/uploads/profile-images/${req.file.filename}`;
+    // Store the uploaded image (public path is the same for every storage driver)
+    const imagePath = await storeUploadedFile(req.file, 'profile-images');
 
     // Update user's profile image
     const user = await User.findByIdAndUpdate(
@@ -350,6 +355,8 @@ router.post('/upload-profile-image', authenticateToken, upload.single('profileIm
 // @access  Private
 router.delete('/remove-profile-image', authenticateToken, async (req, res) => {
   try {
+    const previousImage = req.user.profileImage;
+
     // Update user to remove profile image
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -357,6 +364,17 @@ router.delete('/remove-profile-image', authenticateToken, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Delete the stored image (best-effort)
+    if (previousImage && previousImage.startsWith('/uploads/profile-images/')) {
+      try {
+        await deleteUploadedFile(previousImage);
+      } catch (deleteError) {
+        if (!deleteError.notFound) {
+          console.error('Error deleting profile image:', deleteError);
+        }
+      }
+    }
+
     res.json({
       success: true,
       message: 'Profile image removed successfully',
@@ -483,6 +501,7 @@ router.post('/logout', authenticateToken, async (req, res) => {
     });
 
     console.log(`User ${req.user._id} logged out at ${new Date()}`);
+    revalidateSessions([req.user._id]);
 
     res.json({
       success: true,
@@ -632,6 +651,7 @@ router.post('/force-logout', authenticateToken, async (req, res) => {
     });
 
     console.log(`User ${req.user._id} force logged out at ${new Date()}`);
+    revalidateSessions([req.user._id]);
 
     res.json({
       success: true,
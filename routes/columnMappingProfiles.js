@@ -0,0 +1,267 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ColumnMappingProfile = require('../models/ColumnMappingProfile');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { EXPECTED_HEADERS, normalizeHeader } = require('../utils/columnMapping');
+
+const router = express.Router();
+
+const isSuperRole = (user) => user.role === 'superSuperAdmin' || user.role === 'superAdmin';
+
+const profileValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Profile name cannot be empty').isLength({ max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('mappings').optional().isArray({ min: 1 }).withMessage('mappings must be a non-empty array'),
+  body('mappings.*.sourceHeader').trim().notEmpty().withMessage('sourceHeader is required'),
+  body('mappings.*.targetField').isIn(EXPECTED_HEADERS).withMessage('targetField must be one of the expected headers'),
+  body('mappings').optional().custom((mappings) => {
+    const sources = mappings.map(m => normalizeHeader(m.sourceHeader));
+    if (new Set(sources).size !== sources.length) {
+      throw new Error('Each source header can only be mapped once');
+    }
+    const targets = mappings.map(m => m.targetField);
+    if (new Set(targets).size !== targets.length) {
+      throw new Error('Each target field can only be mapped once');
+    }
+    return true;
+  })
+];
+
+// Malformed ids would otherwise fail as a CastError (500)
+const checkProfileId = (req, res) => {
+  if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return true;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Invalid mapping profile ID'
+  });
+  return false;
+};
+
+// Only the creator (or a super admin) may change a profile
+const loadEditableProfile = async (req, res) => {
+  if (!checkProfileId(req, res)) return null;
+
+  const profile = await ColumnMappingProfile.findById(req.params.id);
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      message: 'Mapping profile not found'
+    });
+    return null;
+  }
+  if (!isSuperRole(req.user) && profile.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only modify mapping profiles you created'
+    });
+    return null;
+  }
+  return profile;
+};
+
+// @desc    List column mapping profiles
+// @route   GET /api/excel/mapping-profiles
+// @access  Private (SuperSuperAdmin, SuperAdmin, Admin)
+router.get('/',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const profiles = await ColumnMappingProfile.findAccessible(req.user)
+        .populate('createdBy', 'name email role')
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: profiles,
+        expectedHeaders: EXPECTED_HEADERS
+      });
+    } catch (error) {
+      console.error('Get mapping profiles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Get a single column mapping profile
+// @route   GET /api/excel/mapping-profiles/:id
+// @access  Private (SuperSuperAdmin, SuperAdmin, Admin)
+router.get('/:id',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      if (!checkProfileId(req, res)) return;
+
+      const [profile] = await ColumnMappingProfile.findAccessible(req.user, { _id: req.params.id })
+        .populate('createdBy', 'name email role');
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mapping profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Get mapping profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Create a column mapping profile
+// @route   POST /api/excel/mapping-profiles
+// @access  Private (SuperSuperAdmin, SuperAdmin, Admin)
+router.post('/',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('name').exists().withMessage('Profile name is required'),
+    body('mappings').exists().withMessage('mappings are required'),
+    ...profileValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const { name, description, mappings } = req.body;
+
+      const existing = await ColumnMappingProfile.findOne({ createdBy: req.user._id, name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a mapping profile with this name'
+        });
+      }
+
+      const profile = await ColumnMappingProfile.create({
+        name,
+        description,
+        mappings: mappings.map(m => ({ sourceHeader: m.sourceHeader, targetField: m.targetField })),
+        createdBy: req.user._id,
+        isGlobal: isSuperRole(req.user)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Mapping profile created successfully',
+        data: profile
+      });
+    } catch (error) {
+      console.error('Create mapping profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Update a column mapping profile
+// @route   PUT /api/excel/mapping-profiles/:id
+// @access  Private (Creator, SuperSuperAdmin, SuperAdmin)
+router.put('/:id',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    ...profileValidators,
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const profile = await loadEditableProfile(req, res);
+      if (!profile) return;
+
+      const { name, description, mappings, isActive } = req.body;
+
+      if (name !== undefined && name !== profile.name) {
+        const existing = await ColumnMappingProfile.findOne({ createdBy: profile.createdBy, name });
+        if (existing) {
+          return res.status(400).json({
+            success: false,
+            message: 'A mapping profile with this name already exists'
+          });
+        }
+        profile.name = name;
+      }
+      if (description !== undefined) profile.description = description;
+      if (mappings !== undefined) {
+        profile.mappings = mappings.map(m => ({ sourceHeader: m.sourceHeader, targetField: m.targetField }));
+      }
+      if (isActive !== undefined) profile.isActive = isActive;
+
+      await profile.save();
+
+      res.json({
+        success: true,
+        message: 'Mapping profile updated successfully',
+        data: profile
+      });
+    } catch (error) {
+      console.error('Update mapping profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Delete a column mapping profile
+// @route   DELETE /api/excel/mapping-profiles/:id
+// @access  Private (Creator, SuperSuperAdmin, SuperAdmin)
+router.delete('/:id',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const profile = await loadEditableProfile(req, res);
+      if (!profile) return;
+
+      await profile.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Mapping profile deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete mapping profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -12,20 +12,67 @@ const VehicleLookup = require('../models/VehicleLookup');
 const User = require('../models/User');
 const FileStorageSettings = require('../models/FileStorageSettings');
 const UserStorageLimit = require('../models/UserStorageLimit');
+const ColumnMappingProfile = require('../models/ColumnMappingProfile');
+const ExcelUploadStage = require('../models/ExcelUploadStage');
+const VehicleChange = require('../models/VehicleChange');
+const Counter = require('../models/Counter');
+const SyncState = require('../models/SyncState');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
-const { uploadFileToGCS, deleteFileFromGCS, getFileBufferFromGCS, isGCSConfigured } = require('../services/gcsService');
+const { deleteFile, isStoredFile, isStorageConfigured, getStorageDriverName } = require('../services/storageService');
 const { getVehicleDataFromExcel, getMultipleVehicleDataFromExcel, searchVehiclesInExcel, clearCacheForFile, preCacheExcelFiles, getCacheDetails } = require('../services/excelCacheService');
-const { parseRegistrationNumber, buildStateCodeSearchQuery, INDIAN_STATE_CODES } = require('../utils/registrationNumberParser');
+const {
+  parseRegistrationNumber,
+  buildStateCodeSearchQuery,
+  buildRegistrationSearchQuery,
+  buildFuzzyRegistrationQuery,
+  rankFuzzyRegistrationMatches,
+  INDIAN_STATE_CODES
+} = require('../utils/registrationNumberParser');
+const { EXPECTED_HEADERS, buildTemplateHeaders } = require('../utils/columnMapping');
+const { getMaskingRole, normalizeMaskingPolicy, maskingPolicyToObject, applyMaskingPolicy } = require('../utils/fieldMasking');
+const {
+  getUploadFormat,
+  readUploadWorkbook,
+  resolveUploadHeaders,
+  applyHeaderResolution,
+  saveUploadWorkbook,
+  checkStorageQuota,
+  formatQuotaExceededMessage,
+  buildValidationReport,
+  createUploadedFile,
+  storeReplacementWorkbook,
+  abandonReplacement,
+  VEHICLE_CHANGE_COUNTER
+} = require('../services/excelIngestionService');
+const { enqueueExcelImport, cancelExcelImport, onImportJobFinished } = require('../services/excelJobQueue');
+const ExcelImportJob = require('../models/ExcelImportJob');
+const { restoreExcelFile, onFileAvailabilityChanged } = require('../services/excelFileLifecycleService');
+const Notification = require('../models/Notification');
+const { publishNotifications } = require('../services/realtimeService');
+const { getRequestLocation, buildActionNotifications } = require('../services/actionNotificationService');
+const VehicleCase = require('../models/VehicleCase');
+const { summarizeCase, getCasesForLookups, getCaseForLookup, updateCaseStatus, allocateCases, releaseCases, getAgentQueue } = require('../services/vehicleCaseService');
+const { hasFilters, findLookupsForFilters, getAllocationOptions } = require('../services/vehicleAllocationService');
+const {
+  KEY_FIELDS: DUPLICATE_KEY_FIELDS,
+  getDuplicateGroups,
+  getDuplicateSummaries,
+  setAuthoritativeFile,
+  clearAuthoritativeFile,
+  clearResolutionsForFile,
+  storedVariants
+} = require('../services/vehicleDuplicateService');
+const { EXPORT_ROW_LIMIT, EXPORT_FORMATS, buildExportRows, writeExportFile } = require('../services/vehicleExportService');
 
 const router = express.Router();
 
-// Check GCS configuration
-if (!isGCSConfigured()) {
-  console.warn('⚠️  WARNING: GCS is not configured. Excel uploads will use local storage.');
-  console.warn('⚠️  Please set GCS_PROJECT_ID, GCS_BUCKET_NAME, and GCS credentials for optimized storage.');
+// Check storage configuration
+if (!isStorageConfigured()) {
+  console.warn(`⚠️  WARNING: ${getStorageDriverName()} storage is not configured. Excel uploads will stay in the temp folder.`);
+  console.warn('⚠️  Please check STORAGE_DRIVER and its GCS_* / S3_* settings.');
 }
 
-// Configure multer for temporary file storage (will be uploaded to GCS)
+// Configure multer for temporary file storage (moved to file storage after parsing)
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
     const uploadDir = path.join(__dirname, '../uploads/excel/temp');
@@ -43,12 +90,14 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  // Check file type
+  // Check file type - browsers report CSV/TSV under several MIME types, so the extension decides
   if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-      file.mimetype === 'application/vnd.ms-excel') {
+      file.mimetype === 'application/vnd.ms-excel' ||
+      getUploadFormat(file.originalname) === 'csv' ||
+      getUploadFormat(file.originalname) === 'tsv') {
     cb(null, true);
   } else {
-    cb(new Error('Only Excel files (.xlsx, .xls) are allowed'), false);
+    cb(new Error('Only Excel (.xlsx, .xls), CSV (.csv) and TSV (.tsv) files are allowed'), false);
   }
 };
 
@@ -61,31 +110,295 @@ const upload = multer({
   }
 });
 
-// Expected Excel headers
-const EXPECTED_HEADERS = [
-  'registration_number',
-  'first_confirmer_name',
-  'first_confirmer_no',
-  'second_confirmer_name',
-  'second_confirmer_no',
-  'third_confirmer_name',
-  'third_confirmer_no',
-  'loan_number',
-  'make',
-  'chasis_number',
-  'engine_number',
-  'emi',
-  'pos',
-  'bucket',
-  'customer_name',
-  'address',
-  'branch',
-  'sec_17',
-  'seasoning',
-  'tbr',
-  'allocation',
-  'model',
-  'product_name'
+/**
+ * Resolve who an upload is assigned to / shared with from the request body
+ * @returns {Promise<Object>} { assignedTo, assignedAdmins, sharedAdmins, maskingPolicy } or { error: { status, message } }
+ */
+async function resolveUploadAssignment(req) {
+  // Determine assigned admins
+  let assignedTo = req.user._id;
+  let assignedAdmins = [req.user._id];
+  let sharedAdmins = []; // Admin-to-admin file sharing
+  
+  if (req.user.role === 'superSuperAdmin' || req.user.role === 'superAdmin') {
+    if (!req.body.assignedTo) {
+      return { error: { status: 400, message: 'Admin assignment is required for super admin uploads' } };
+    }
+    
+    // Handle multiple admin assignments
+    let adminIds = [req.body.assignedTo];
+    
+    if (req.body.assignedAdmins) {
+      try {
+        // Parse JSON string if it's sent as string
+        const assignedAdmins = typeof req.body.assignedAdmins === 'string' 
+          ? JSON.parse(req.body.assignedAdmins) 
+          : req.body.assignedAdmins;
+        
+        if (Array.isArray(assignedAdmins)) {
+          adminIds = assignedAdmins;
+        }
+      } catch (error) {
+        console.error('Error parsing assignedAdmins:', error);
+        adminIds = [req.body.assignedTo];
+      }
+    }
+    
+    // Verify all assigned admins exist and are active
+    const assignedAdminUsers = await User.find({
+      _id: { $in: adminIds },
+      role: 'admin',
+      isActive: true
+    });
+    
+    if (assignedAdminUsers.length !== adminIds.length) {
+      return { error: { status: 400, message: 'One or more assigned admins are invalid or inactive' } };
+    }
+    
+    assignedTo = req.body.assignedTo; // Primary admin (first in the list)
+    assignedAdmins = adminIds;
+  } else if (req.user.role === 'admin') {
+    // Admin uploading their own file - check if they want to share with other admins
+    if (req.body.sharedAdmins) {
+      // Check if admin has sharing permission
+      const currentUser = await User.findById(req.user._id).select('canShareFiles');
+      if (!currentUser.canShareFiles) {
+        return { error: { status: 403, message: 'You do not have permission to share files with other admins. Please request permission from super admin.' } };
+      }
+
+      // Parse sharedAdmins if it's a string
+      let sharedAdminIds = [];
+      try {
+        sharedAdminIds = typeof req.body.sharedAdmins === 'string' 
+          ? JSON.parse(req.body.sharedAdmins) 
+          : req.body.sharedAdmins;
+        
+        if (!Array.isArray(sharedAdminIds)) {
+          return { error: { status: 400, message: 'sharedAdmins must be an array' } };
+        }
+
+        // Remove self from shared admins (admin is already the primary admin)
+        sharedAdminIds = sharedAdminIds.filter(id => id.toString() !== req.user._id.toString());
+
+        if (sharedAdminIds.length > 0) {
+          // Verify all shared admins exist and are active
+          const sharedAdminUsers = await User.find({
+            _id: { $in: sharedAdminIds },
+            role: 'admin',
+            isActive: true
+          });
+          
+          if (sharedAdminUsers.length !== sharedAdminIds.length) {
+            return { error: { status: 400, message: 'One or more shared admins are invalid or inactive' } };
+          }
+
+          sharedAdmins = sharedAdminIds;
+        }
+      } catch (error) {
+        console.error('Error parsing sharedAdmins:', error);
+        return { error: { status: 400, message: 'Invalid sharedAdmins format' } };
+      }
+    }
+  }
+
+  // Field masking for the admins / auditors / field agents the file is shared with
+  const maskingPolicy = normalizeMaskingPolicy(req.body.maskingPolicy);
+  if (!maskingPolicy) {
+    return { error: { status: 400, message: 'Invalid masking policy' } };
+  }
+
+  return { assignedTo, assignedAdmins, sharedAdmins, maskingPolicy };
+}
+
+/**
+ * Parse the sheet selection of an upload: "all", a JSON array or a comma separated list of sheet names
+ * @returns {string|Array|null} null = first sheet only
+ */
+function parseSheetSelection(value) {
+  if (!value) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value : null;
+  }
+  if (value === 'all') {
+    return 'all';
+  }
+
+  let names;
+  try {
+    names = JSON.parse(value);
+  } catch (error) {
+    names = value.split(',');
+  }
+  names = (Array.isArray(names) ? names : [names]).map(name => String(name).trim()).filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Read an uploaded workbook and resolve its headers (mapping profile / auto-detect)
+ * CSV/TSV uploads are converted to .xlsx; req.file is updated accordingly.
+ * @param {Object} req - Request with req.file and req.body.sheets / mappingProfileId
+ * @param {Array} defaultSheets - Sheet selection used when the request has none (optional)
+ * @returns {Promise<Object>} { workbook, mappingProfile, sourceFormat } or { error: { status, body } }
+ */
+async function prepareUploadedWorkbook(req, defaultSheets = null) {
+  const sourceFormat = getUploadFormat(req.file.originalname);
+  const workbook = readUploadWorkbook(req.file.path, {
+    format: sourceFormat,
+    sheets: parseSheetSelection(req.body.sheets) || defaultSheets
+  });
+
+  if (workbook.error) {
+    return { error: { status: 400, body: { message: workbook.error, availableSheets: workbook.availableSheets } } };
+  }
+
+  if (workbook.recordCount < 1) {
+    return { error: { status: 400, body: { message: 'Excel file must contain at least headers and one data row' } } };
+  }
+
+  if (req.body.mappingProfileId && !mongoose.Types.ObjectId.isValid(req.body.mappingProfileId)) {
+    return { error: { status: 400, body: { message: 'Invalid mapping profile ID' } } };
+  }
+
+  let mappingProfile = null;
+  let headersChanged = false;
+
+  for (const sheet of workbook.sheets) {
+    const sheetResult = await resolveUploadHeaders({
+      user: req.user,
+      headers: sheet.headers,
+      mappingProfileId: req.body.mappingProfileId
+    });
+
+    if (sheetResult.profileNotFound) {
+      return { error: { status: 400, body: { message: 'Mapping profile not found or not accessible' } } };
+    }
+
+    // Validate headers
+    if (sheetResult.resolution.missingHeaders.length > 0) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            message: workbook.sheets.length > 1 ? `Invalid Excel headers in sheet "${sheet.name}"` : 'Invalid Excel headers',
+            missingHeaders: sheetResult.resolution.missingHeaders,
+            expectedHeaders: EXPECTED_HEADERS,
+            mappingProfile: sheetResult.mappingProfile ? sheetResult.mappingProfile.name : undefined,
+            sheet: workbook.sheets.length > 1 ? sheet.name : undefined
+          }
+        }
+      };
+    }
+
+    mappingProfile = mappingProfile || sheetResult.mappingProfile;
+    headersChanged = applyHeaderResolution({ ...sheet, resolution: sheetResult.resolution }) || headersChanged;
+  }
+
+  if (headersChanged || sourceFormat === 'csv' || sourceFormat === 'tsv') {
+    await saveUploadWorkbook({ workbook: workbook.workbook, file: req.file, format: sourceFormat });
+  }
+
+  return { workbook, mappingProfile, sourceFormat };
+}
+
+// Remove a multer temp file that will not be processed
+async function discardUploadedFile(file) {
+  try {
+    await fs.unlink(file.path);
+  } catch (unlinkError) {
+    console.error('Error deleting file:', unlinkError);
+  }
+}
+
+// Clear search caches after new data is added for an uploader and its assigned admins
+function clearUploadCaches(userId, assignedAdmins) {
+  clearSearchCache();
+  clearUserCache(userId.toString());
+  // Clear cache for all assigned admins
+  if (assignedAdmins && assignedAdmins.length > 0) {
+    assignedAdmins.forEach(adminId => {
+      clearUserCache(adminId.toString());
+    });
+  }
+}
+
+/**
+ * Store an upload, create its ExcelFile and queue the ingestion job
+ * @returns {Promise<Object>} Response payload for the client
+ */
+async function queueUploadedFile({ user, file, assignment, mappingProfile, recordCount, sheetNames, sourceFormat }) {
+  const { excelFile, storageType } = await createUploadedFile({
+    user,
+    file,
+    assignment,
+    mappingProfile,
+    recordCount,
+    sheetNames,
+    sourceFormat
+  });
+  const job = await enqueueExcelImport({ excelFile, user });
+
+  return {
+    jobId: job._id,
+    fileId: excelFile._id,
+    filename: file.originalname,
+    totalRows: recordCount,
+    sheetNames: excelFile.sheetNames,
+    status: job.status,
+    storageType,
+    mappingProfile: mappingProfile ? { _id: mappingProfile._id, name: mappingProfile.name } : null
+  };
+}
+
+// New rows become searchable once their ingestion job finishes
+onImportJobFinished(async (job) => {
+  try {
+    const excelFile = await ExcelFile.findById(job.excelFileId).select('uploadedBy assignedAdmins sharedAdmins');
+    clearFileAccessCache();
+    if (excelFile) {
+      clearUploadCaches(excelFile.uploadedBy, [...excelFile.assignedAdmins, ...(excelFile.sharedAdmins || [])]);
+    } else {
+      clearSearchCache();
+    }
+  } catch (error) {
+    console.error('Error clearing caches after import job:', error);
+  }
+});
+
+// Scheduled files going live and expired files being archived change what users can search
+onFileAvailabilityChanged((excelFile) => {
+  clearFileAccessCache();
+  clearUploadCaches(excelFile.uploadedBy, [...excelFile.assignedAdmins, ...(excelFile.sharedAdmins || [])]);
+});
+
+// Validators shared by direct and staged (preview) uploads
+const uploadValidators = [
+  body('assignedTo').optional().custom((value, { req }) => {
+    // SuperSuperAdmin and SuperAdmin must assign to at least one admin
+    if ((req.user.role === 'superSuperAdmin' || req.user.role === 'superAdmin') && !value) {
+      throw new Error('Admin assignment is required for super admin uploads');
+    }
+    return true;
+  }),
+  body('assignedAdmins').optional().custom((value, { req }) => {
+    if (value) {
+      // Handle both string and array formats
+      if (typeof value === 'string') {
+        try {
+          const parsed = JSON.parse(value);
+          if (!Array.isArray(parsed)) {
+            throw new Error('assignedAdmins must be an array');
+          }
+        } catch (error) {
+          throw new Error('assignedAdmins must be a valid JSON array');
+        }
+      } else if (!Array.isArray(value)) {
+        throw new Error('assignedAdmins must be an array');
+      }
+    }
+    return true;
+  })
 ];
 
 // @desc    Upload Excel file
@@ -95,33 +408,7 @@ router.post('/upload',
   authenticateToken, 
   authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
   upload.single('excelFile'),
-  [
-    body('assignedTo').optional().custom((value, { req }) => {
-      // SuperSuperAdmin and SuperAdmin must assign to at least one admin
-      if ((req.user.role === 'superSuperAdmin' || req.user.role === 'superAdmin') && !value) {
-        throw new Error('Admin assignment is required for super admin uploads');
-      }
-      return true;
-    }),
-    body('assignedAdmins').optional().custom((value, { req }) => {
-      if (value) {
-        // Handle both string and array formats
-        if (typeof value === 'string') {
-          try {
-            const parsed = JSON.parse(value);
-            if (!Array.isArray(parsed)) {
-              throw new Error('assignedAdmins must be an array');
-            }
-          } catch (error) {
-            throw new Error('assignedAdmins must be a valid JSON array');
-          }
-        } else if (!Array.isArray(value)) {
-          throw new Error('assignedAdmins must be an array');
-        }
-      }
-      return true;
-    })
-  ],
+  uploadValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -140,421 +427,360 @@ router.post('/upload',
         });
       }
 
-      // Determine assigned admins
-      let assignedTo = req.user._id;
-      let assignedAdmins = [req.user._id];
-      let sharedAdmins = []; // Admin-to-admin file sharing
-      
-      if (req.user.role === 'superSuperAdmin' || req.user.role === 'superAdmin') {
-        if (!req.body.assignedTo) {
-          return res.status(400).json({
-            success: false,
-            message: 'Admin assignment is required for super admin uploads'
-          });
-        }
-        
-        // Handle multiple admin assignments
-        let adminIds = [req.body.assignedTo];
-        
-        if (req.body.assignedAdmins) {
-          try {
-            // Parse JSON string if it's sent as string
-            const assignedAdmins = typeof req.body.assignedAdmins === 'string' 
-              ? JSON.parse(req.body.assignedAdmins) 
-              : req.body.assignedAdmins;
-            
-            if (Array.isArray(assignedAdmins)) {
-              adminIds = assignedAdmins;
-            }
-          } catch (error) {
-            console.error('Error parsing assignedAdmins:', error);
-            adminIds = [req.body.assignedTo];
-          }
-        }
-        
-        // Verify all assigned admins exist and are active
-        const assignedAdminUsers = await User.find({
-          _id: { $in: adminIds },
-          role: 'admin',
-          isActive: true
+      const assignment = await resolveUploadAssignment(req);
+      if (assignment.error) {
+        return res.status(assignment.error.status).json({
+          success: false,
+          message: assignment.error.message
         });
-        
-        if (assignedAdminUsers.length !== adminIds.length) {
-          return res.status(400).json({
-            success: false,
-            message: 'One or more assigned admins are invalid or inactive'
-          });
-        }
-        
-        assignedTo = req.body.assignedTo; // Primary admin (first in the list)
-        assignedAdmins = adminIds;
-      } else if (req.user.role === 'admin') {
-        // Admin uploading their own file - check if they want to share with other admins
-        if (req.body.sharedAdmins) {
-          // Check if admin has sharing permission
-          const currentUser = await User.findById(req.user._id).select('canShareFiles');
-          if (!currentUser.canShareFiles) {
-            return res.status(403).json({
-              success: false,
-              message: 'You do not have permission to share files with other admins. Please request permission from super admin.'
-            });
-          }
-
-          // Parse sharedAdmins if it's a string
-          let sharedAdminIds = [];
-          try {
-            sharedAdminIds = typeof req.body.sharedAdmins === 'string' 
-              ? JSON.parse(req.body.sharedAdmins) 
-              : req.body.sharedAdmins;
-            
-            if (!Array.isArray(sharedAdminIds)) {
-              return res.status(400).json({
-                success: false,
-                message: 'sharedAdmins must be an array'
-              });
-            }
+      }
 
-            // Remove self from shared admins (admin is already the primary admin)
-            sharedAdminIds = sharedAdminIds.filter(id => id.toString() !== req.user._id.toString());
+      const prepared = await prepareUploadedWorkbook(req);
+      if (prepared.error) {
+        return res.status(prepared.error.status).json({
+          success: false,
+          ...prepared.error.body
+        });
+      }
+      const { workbook, mappingProfile, sourceFormat } = prepared;
 
-            if (sharedAdminIds.length > 0) {
-              // Verify all shared admins exist and are active
-              const sharedAdminUsers = await User.find({
-                _id: { $in: sharedAdminIds },
-                role: 'admin',
-                isActive: true
-              });
-              
-              if (sharedAdminUsers.length !== sharedAdminIds.length) {
-                return res.status(400).json({
-                  success: false,
-                  message: 'One or more shared admins are invalid or inactive'
-                });
-              }
+      // Check storage limit - Individual limit takes priority over role limit
+      const recordCount = workbook.recordCount;
+      const quota = await checkStorageQuota(req.user, recordCount);
 
-              sharedAdmins = sharedAdminIds;
-            }
-          } catch (error) {
-            console.error('Error parsing sharedAdmins:', error);
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid sharedAdmins format'
-            });
-          }
-        }
+      if (!quota) {
+        return res.status(400).json({
+          success: false,
+          message: 'File storage settings not found for your role. Please contact administrator.'
+        });
       }
 
-      // Read Excel file with streaming approach
-      const workbook = XLSX.readFile(req.file.path, { 
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-        cellStyles: false
-      });
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Get the range of data
-      const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-      const totalRows = range.e.r + 1; // +1 because range is 0-based
-      
-      if (totalRows < 2) {
+      if (quota.exceedsQuota) {
         return res.status(400).json({
           success: false,
-          message: 'Excel file must contain at least headers and one data row'
+          message: formatQuotaExceededMessage(quota, req.user.role),
+          totalLimit: quota.totalLimit,
+          usedRecords: quota.usedRecords,
+          remainingRecords: quota.remainingRecords,
+          fileRecords: quota.fileRecords,
+          limitType: quota.limitType
         });
       }
 
-      // Read headers first
-      const headers = [];
-      for (let col = range.s.c; col <= range.e.c; col++) {
-        const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
-        const cell = worksheet[cellAddress];
-        headers[col] = cell ? cell.v : null;
-      }
+      const result = await queueUploadedFile({
+        user: req.user,
+        file: req.file,
+        assignment,
+        mappingProfile,
+        recordCount,
+        sheetNames: workbook.sheetNames,
+        sourceFormat
+      });
 
-      // Validate headers
-      const missingHeaders = EXPECTED_HEADERS.filter(header => !headers.includes(header));
+      res.status(202).json({
+        success: true,
+        message: 'Excel file uploaded and queued for processing',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Excel upload error:', error);
       
-      if (missingHeaders.length > 0) {
-        return res.status(400).json({
+      // Clean up uploaded file if error occurs
+      if (req.file) {
+        try {
+          await fs.unlink(req.file.path);
+        } catch (unlinkError) {
+          console.error('Error deleting file:', unlinkError);
+        }
+      }
+
+      // Handle MongoDB quota errors
+      if (error.message && error.message.includes('space quota')) {
+        return res.status(507).json({
           success: false,
-          message: 'Invalid Excel headers',
-          missingHeaders: missingHeaders,
-          expectedHeaders: EXPECTED_HEADERS
+          message: 'MongoDB storage quota exceeded. Please contact administrator to upgrade storage plan.',
+          error: 'STORAGE_QUOTA_EXCEEDED'
         });
       }
 
-      // Check storage limit - Individual limit takes priority over role limit
-      const recordCount = totalRows - 1; // Exclude header row
-      const userRole = req.user.role;
-      
-      // First, check if user has individual custom limit
-      let userStorageLimit = await UserStorageLimit.findOne({ 
-        userId: req.user._id, 
-        isActive: true 
+      res.status(500).json({
+        success: false,
+        message: 'Server error during file upload',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+    }
+  }
+);
 
-      let totalRecordLimit;
-      let limitType = 'role'; // 'individual' or 'role'
+// Load a staged upload owned by the current user
+const loadStagedUpload = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid staged upload ID'
+    });
+    return null;
+  }
 
-      if (userStorageLimit) {
-        // User has custom individual limit
-        totalRecordLimit = userStorageLimit.totalRecordLimit;
-        limitType = 'individual';
-      } else {
-        // Fall back to role-based limit
-        const storageSettings = await FileStorageSettings.findOne({ 
-          role: userRole, 
-          isActive: true 
-        });
+  const stage = await ExcelUploadStage.findOne({
+    _id: req.params.id,
+    uploadedBy: req.user._id
+  }).populate('mappingProfile', 'name');
 
-        if (!storageSettings) {
-          return res.status(400).json({
-            success: false,
-            message: 'File storage settings not found for your role. Please contact administrator.'
-          });
-        }
+  if (!stage) {
+    res.status(404).json({
+      success: false,
+      message: 'Staged upload not found'
+    });
+    return null;
+  }
 
-        totalRecordLimit = storageSettings.totalRecordLimit;
-        limitType = 'role';
-      }
+  return stage;
+};
 
-      // Calculate current usage for this user
-      const currentUsage = await ExcelFile.aggregate([
-        {
-          $match: {
-            uploadedBy: req.user._id,
-            status: { $in: ['completed', 'partial'] }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalRecords: { $sum: '$totalRows' }
-          }
-        }
-      ]);
+// Shape a staged upload for API responses
+const formatStagedUpload = (stage) => ({
+  stageId: stage._id,
+  filename: stage.originalName,
+  totalRows: stage.totalRows,
+  mappingProfile: stage.mappingProfile ? { _id: stage.mappingProfile._id, name: stage.mappingProfile.name } : null,
+  sheetNames: stage.sheetNames,
+  sourceFormat: stage.sourceFormat,
+  expiresAt: stage.expiresAt,
+  canConfirm: !stage.report?.quota?.exceedsQuota,
+  ...stage.report
+});
 
-      const usedRecords = currentUsage.length > 0 ? currentUsage[0].totalRecords : 0;
-      const remainingRecords = Math.max(0, totalRecordLimit - usedRecords);
+// @desc    Dry-run an Excel upload: validate every row and stage the file without writing anything
+// @route   POST /api/excel/upload/preview
+// @access  Private (SuperSuperAdmin, SuperAdmin, Admin)
+router.post('/upload/preview',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  upload.single('excelFile'),
+  uploadValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (req.file) await discardUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
 
-      if (recordCount > remainingRecords) {
-        const limitTypeText = limitType === 'individual' ? 'individual' : `role (${userRole})`;
+      if (!req.file) {
         return res.status(400).json({
           success: false,
-          message: `Total record limit exceeded. Your ${limitTypeText} limit is ${totalRecordLimit.toLocaleString()} records. You have used ${usedRecords.toLocaleString()} records and can upload maximum ${remainingRecords.toLocaleString()} more records. File contains ${recordCount.toLocaleString()} records.`,
-          totalLimit: totalRecordLimit,
-          usedRecords: usedRecords,
-          remainingRecords: remainingRecords,
-          fileRecords: recordCount,
-          limitType: limitType
+          message: 'No file uploaded'
         });
       }
 
-      // OPTIMIZED STORAGE: Upload file to GCS if configured, otherwise use local storage
-      let gcsFileUrl = null;
-      if (isGCSConfigured()) {
-        try {
-          const gcsFileName = `excel/${Date.now()}-${req.file.filename}`;
-          gcsFileUrl = await uploadFileToGCS(req.file.path, gcsFileName);
-          console.log(`✅ File uploaded to GCS: ${gcsFileUrl.substring(0, 80)}...`);
-        } catch (gcsError) {
-          console.error('❌ GCS upload failed, falling back to local storage:', gcsError.message);
-          // Continue with local storage
-        }
+      const assignment = await resolveUploadAssignment(req);
+      if (assignment.error) {
+        await discardUploadedFile(req.file);
+        return res.status(assignment.error.status).json({
+          success: false,
+          message: assignment.error.message
+        });
       }
 
-      // Create ExcelFile record (store GCS URL if available, otherwise local path)
-      const excelFile = await ExcelFile.create({
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        fileSize: req.file.size,
-        mimeType: req.file.mimetype,
-        uploadedBy: req.user._id,
-        assignedTo: assignedTo,
-        assignedAdmins: assignedAdmins,
-        sharedAdmins: sharedAdmins, // Admin-to-admin file sharing
-        totalRows: recordCount,
-        filePath: gcsFileUrl || req.file.path // Store GCS URL if available
-      });
-
-      // OPTIMIZED STORAGE: Extract ONLY registrationNumber and chassisNumber to MongoDB
-      // All other data remains in GCS Excel file (or local file if GCS not configured)
-      const chunkSize = 1000;
-      let processedRows = 0;
-      let failedRows = 0;
-      let skippedRows = 0;
+      const prepared = await prepareUploadedWorkbook(req);
+      if (prepared.error) {
+        await discardUploadedFile(req.file);
+        return res.status(prepared.error.status).json({
+          success: false,
+          ...prepared.error.body
+        });
+      }
+      const { workbook, mappingProfile, sourceFormat } = prepared;
 
-      // Find column indices for registration_number and chasis_number
-      const regColIndex = headers.indexOf('registration_number');
-      const chassisColIndex = headers.indexOf('chasis_number');
+      const recordCount = workbook.recordCount;
+      const quota = await checkStorageQuota(req.user, recordCount);
+      if (!quota) {
+        await discardUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: 'File storage settings not found for your role. Please contact administrator.'
+        });
+      }
 
-      // Process rows in chunks
-      for (let startRow = 1; startRow < totalRows; startRow += chunkSize) {
-        const endRow = Math.min(startRow + chunkSize - 1, totalRows - 1);
-        const bulkOps = [];
-        
-        for (let row = startRow; row <= endRow; row++) {
-          const rowNumber = row + 1; // +1 because we start from row 2 (after header)
-          
-          // Get registration_number and chasis_number cells
-          const regCellAddress = XLSX.utils.encode_cell({ r: row, c: regColIndex });
-          const chassisCellAddress = XLSX.utils.encode_cell({ r: row, c: chassisColIndex });
-          const regCell = worksheet[regCellAddress];
-          const chassisCell = worksheet[chassisCellAddress];
-          
-          const registrationNumber = regCell ? regCell.v?.toString().trim() : null;
-          const chassisNumber = chassisCell ? chassisCell.v?.toString().trim() : null;
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      const report = await buildValidationReport({ ...workbook, accessibleFileIds });
 
-          // Skip if both are empty
-          if (!registrationNumber && !chassisNumber) {
-            skippedRows++;
-            continue;
-          }
+      // Name the files that already contain some of these vehicles (respecting filename masking)
+      const duplicateFiles = await ExcelFile.find({ _id: { $in: report.duplicateFileIds } })
+        .select('originalName filename uploadedBy assignedTo')
+        .populate('uploadedBy', 'role')
+        .lean();
 
-          // Store registrationNumber and chassisNumber in MongoDB (VehicleLookup)
-          // Other data stored in GCS (Excel file)
-          if (gcsFileUrl) {
-            // Store search keys in VehicleLookup with file reference for easy deletion
-            bulkOps.push({
-              insertOne: {
-                document: {
-                  registrationNumber: registrationNumber || null,
-                  chassisNumber: chassisNumber || null,
-                  excelFileId: excelFile._id // Required for deletion by file
-                }
-              }
-            });
-          } else {
-            // ✅ PRODUCTION: GCS is REQUIRED - no ExcelVehicle writes
-            // Store registration/chassis in VehicleLookup only (full data in GCS)
-            bulkOps.push({
-              insertOne: {
-                document: {
-                  registrationNumber: registrationNumber || null,
-                  chassisNumber: chassisNumber || null,
-                  excelFileId: excelFile._id
-                }
-              }
-            });
-          }
+      const stage = await ExcelUploadStage.create({
+        uploadedBy: req.user._id,
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        fileSize: req.file.size,
+        mimeType: req.file.mimetype,
+        tempFilePath: req.file.path,
+        assignedTo: assignment.assignedTo,
+        assignedAdmins: assignment.assignedAdmins,
+        sharedAdmins: assignment.sharedAdmins,
+        maskingPolicy: assignment.maskingPolicy,
+        mappingProfile: mappingProfile ? mappingProfile._id : null,
+        sheetNames: workbook.sheetNames,
+        sourceFormat,
+        totalRows: recordCount,
+        report: {
+          availableSheets: workbook.availableSheets,
+          sheets: workbook.sheets.map(sheet => ({ name: sheet.name, rows: Math.max(0, sheet.totalRows - 1) })),
+          summary: report.summary,
+          quota: {
+            ...quota,
+            message: quota.exceedsQuota ? formatQuotaExceededMessage(quota, req.user.role) : undefined
+          },
+          rows: report.rows,
+          truncated: report.truncated,
+          duplicateFiles: duplicateFiles.map(file => {
+            const visible = getExcelFileWithVisibility({ user: req.user, file, userAdmin: null });
+            return { _id: file._id, originalName: visible.originalName };
+          })
         }
+      });
+      stage.mappingProfile = mappingProfile;
 
-        // Execute bulk operations
-        // ✅ PRODUCTION: Only VehicleLookup writes (full data stored in GCS)
-        if (bulkOps.length > 0) {
-          try {
-            // ✅ PRODUCTION: GCS is REQUIRED - no fallback to ExcelVehicle
-            if (!gcsFileUrl) {
-              throw new Error('GCS configuration required. Please configure GCS_PROJECT_ID, GCS_BUCKET_NAME, and GCS credentials.');
-            }
-            
-            // All bulkOps are VehicleLookup operations (excelFileId present)
-            const vehicleLookupOps = bulkOps.filter(op => op.insertOne.document.excelFileId);
-            if (vehicleLookupOps.length > 0) {
-              const result = await VehicleLookup.bulkWrite(vehicleLookupOps, { 
-                ordered: false, // Continue on errors
-                w: 1
-              });
-              processedRows += result.insertedCount;
-              
-              // Handle any write errors (should be rare now that we allow duplicates)
-              if (result.writeErrors && result.writeErrors.length > 0) {
-                // Log only non-duplicate errors (duplicates are now allowed, so 11000 shouldn't occur)
-                const nonDuplicateErrors = result.writeErrors.filter(err => err.code !== 11000);
-                failedRows += nonDuplicateErrors.length;
-                if (nonDuplicateErrors.length > 0) {
-                  console.log(`⚠️  Chunk ${Math.floor(startRow / chunkSize) + 1}: ${nonDuplicateErrors.length} entries failed to insert`);
-                }
-              }
-            }
-          } catch (error) {
-            // Only log unexpected errors (not duplicate key errors since duplicates are now allowed)
-            if (error.code !== 11000) {
-              console.error(`Chunk ${Math.floor(startRow / chunkSize) + 1} error:`, error.message);
-            }
-            failedRows += bulkOps.length;
-          }
-        }
+      console.log(`🧪 Staged upload ${stage._id}: ${report.summary.rowsWithIssues} of ${report.summary.totalRows} rows have issues`);
 
-        // Update progress every 5 chunks
-        if ((Math.floor(startRow / chunkSize) + 1) % 5 === 0 || endRow >= totalRows - 1) {
-          await ExcelFile.findByIdAndUpdate(excelFile._id, {
-            processedRows: processedRows,
-            failedRows: failedRows,
-            skippedRows: skippedRows,
-            status: 'processing'
-          });
-        }
+      res.json({
+        success: true,
+        message: 'Validation report generated. Nothing has been saved yet - confirm or cancel the staged upload.',
+        data: formatStagedUpload(stage)
+      });
 
-        // Force garbage collection every 10 chunks to free memory
-        if ((Math.floor(startRow / chunkSize) + 1) % 10 === 0) {
-          if (global.gc) {
-            global.gc();
-          }
-        }
-      }
+    } catch (error) {
+      console.error('Excel upload preview error:', error);
+      if (req.file) await discardUploadedFile(req.file);
 
-      // Update ExcelFile with final results
-      const status = failedRows === 0 ? 'completed' : 
-                    processedRows === 0 ? 'failed' : 'partial';
-      
-      await ExcelFile.findByIdAndUpdate(excelFile._id, {
-        processedRows,
-        failedRows,
-        skippedRows,
-        status,
-        errorMessage: failedRows > 0 ? `Failed to process ${failedRows} rows` : null
+      res.status(500).json({
+        success: false,
+        message: 'Server error during upload preview',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+    }
+  }
+);
 
-      // Delete temporary local file if uploaded to GCS
-      if (gcsFileUrl && req.file) {
-        try {
-          await fs.unlink(req.file.path);
-          console.log(`✅ Deleted temporary local file: ${req.file.path}`);
-        } catch (unlinkError) {
-          console.error('Error deleting temp file:', unlinkError);
+// @desc    Get the validation report of a staged upload
+// @route   GET /api/excel/upload/staged/:id
+// @access  Private (Uploader)
+router.get('/upload/staged/:id',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const stage = await loadStagedUpload(req, res);
+      if (!stage) return;
+
+      res.json({
+        success: true,
+        data: formatStagedUpload(stage)
+      });
+    } catch (error) {
+      console.error('Get staged upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Confirm a staged upload (stores the file and writes VehicleLookup rows)
+// @route   POST /api/excel/upload/staged/:id/confirm
+// @access  Private (Uploader)
+router.post('/upload/staged/:id/confirm',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const stage = await loadStagedUpload(req, res);
+      if (!stage) return;
+
+      let workbook;
+      try {
+        if (stage.expiresAt < new Date()) {
+          throw new Error('Staged upload expired');
         }
+        workbook = readUploadWorkbook(stage.tempFilePath, {
+          format: getUploadFormat(stage.tempFilePath),
+          sheets: stage.sheetNames.length > 0 ? stage.sheetNames : null
+        });
+        if (workbook.error) {
+          throw new Error(workbook.error);
+        }
+      } catch (readError) {
+        await stage.deleteOne();
+        return res.status(410).json({
+          success: false,
+          message: 'Staged upload has expired. Please upload the file again.'
+        });
       }
 
-      // Clear search cache after new data upload
-      clearSearchCache();
-      clearUserCache(req.user._id.toString());
-      // Clear cache for all assigned admins
-      if (assignedAdmins && assignedAdmins.length > 0) {
-        assignedAdmins.forEach(adminId => {
-          clearUserCache(adminId.toString());
+      // Usage may have changed since the preview - check the quota again
+      const quota = await checkStorageQuota(req.user, stage.totalRows);
+      if (!quota) {
+        return res.status(400).json({
+          success: false,
+          message: 'File storage settings not found for your role. Please contact administrator.'
+        });
+      }
+
+      if (quota.exceedsQuota) {
+        return res.status(400).json({
+          success: false,
+          message: formatQuotaExceededMessage(quota, req.user.role),
+          totalLimit: quota.totalLimit,
+          usedRecords: quota.usedRecords,
+          remainingRecords: quota.remainingRecords,
+          fileRecords: quota.fileRecords,
+          limitType: quota.limitType
         });
       }
 
-      res.status(201).json({
+      const assignment = {
+        assignedTo: stage.assignedTo,
+        assignedAdmins: stage.assignedAdmins,
+        sharedAdmins: stage.sharedAdmins,
+        maskingPolicy: stage.maskingPolicy
+      };
+
+      const result = await queueUploadedFile({
+        user: req.user,
+        file: {
+          path: stage.tempFilePath,
+          filename: stage.filename,
+          originalname: stage.originalName,
+          size: stage.fileSize,
+          mimetype: stage.mimeType
+        },
+        assignment,
+        mappingProfile: stage.mappingProfile,
+        recordCount: workbook.recordCount,
+        sheetNames: workbook.sheetNames,
+        sourceFormat: stage.sourceFormat
+      });
+
+      await stage.deleteOne();
+
+      res.status(202).json({
         success: true,
-        message: gcsFileUrl ? 'Excel file uploaded to GCS and processed successfully' : 'Excel file uploaded and processed successfully',
-        data: {
-          fileId: excelFile._id,
-          filename: req.file.originalname,
-          totalRows: recordCount,
-          processedRows,
-          failedRows,
-          skippedRows,
-          status,
-          storageType: gcsFileUrl ? 'GCS' : 'local',
-          gcsFileUrl: gcsFileUrl || undefined
-        }
+        message: 'Excel file uploaded and queued for processing',
+        data: result
       });
 
     } catch (error) {
-      console.error('Excel upload error:', error);
-      
-      // Clean up uploaded file if error occurs
-      if (req.file) {
-        try {
-          await fs.unlink(req.file.path);
-        } catch (unlinkError) {
-          console.error('Error deleting file:', unlinkError);
-        }
-      }
+      console.error('Confirm staged upload error:', error);
 
       // Handle MongoDB quota errors
       if (error.message && error.message.includes('space quota')) {
@@ -574,6 +800,163 @@ router.post('/upload',
   }
 );
 
+// @desc    Cancel a staged upload (discards the temp file)
+// @route   DELETE /api/excel/upload/staged/:id
+// @access  Private (Uploader)
+router.delete('/upload/staged/:id',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const stage = await loadStagedUpload(req, res);
+      if (!stage) return;
+
+      try {
+        await fs.unlink(stage.tempFilePath);
+      } catch (unlinkError) {
+        console.error('Error deleting staged file:', unlinkError.message);
+      }
+      await stage.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Staged upload cancelled'
+      });
+    } catch (error) {
+      console.error('Cancel staged upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Only the job creator (or a super admin) may see or cancel an import job
+const loadImportJob = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid import job ID'
+    });
+    return null;
+  }
+
+  const job = await ExcelImportJob.findById(req.params.id);
+  const isSuper = req.user.role === 'superSuperAdmin' || req.user.role === 'superAdmin';
+  if (!job || (!isSuper && job.createdBy.toString() !== req.user._id.toString())) {
+    res.status(404).json({
+      success: false,
+      message: 'Import job not found'
+    });
+    return null;
+  }
+  return job;
+};
+
+// @desc    List active and recent Excel import jobs
+// @route   GET /api/excel/jobs?active=true
+// @access  Private (SuperSuperAdmin, SuperAdmin, Admin)
+router.get('/jobs',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.user.role !== 'superSuperAdmin' && req.user.role !== 'superAdmin') {
+        filter.createdBy = req.user._id;
+      }
+
+      if (req.query.active === 'true') {
+        filter.status = { $in: ['queued', 'running'] };
+      } else {
+        // Active jobs plus anything finished in the last 24 hours
+        filter.$or = [
+          { status: { $in: ['queued', 'running'] } },
+          { finishedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+        ];
+      }
+
+      const jobs = await ExcelImportJob.find(filter)
+        .select('-replacement')
+        .populate('createdBy', 'name email role')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean();
+
+      res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Get import jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Get an Excel import job (progress polling)
+// @route   GET /api/excel/jobs/:id
+// @access  Private (Creator, SuperSuperAdmin, SuperAdmin)
+router.get('/jobs/:id',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const job = await loadImportJob(req, res);
+      if (!job) return;
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Get import job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Cancel an Excel import job (the partially imported file is removed)
+// @route   POST /api/excel/jobs/:id/cancel
+// @access  Private (Creator, SuperSuperAdmin, SuperAdmin)
+router.post('/jobs/:id/cancel',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const job = await loadImportJob(req, res);
+      if (!job) return;
+
+      const updatedJob = await cancelExcelImport(job._id);
+      if (!updatedJob) {
+        return res.status(400).json({
+          success: false,
+          message: `Import job is already ${job.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: updatedJob.status === 'cancelled' ? 'Import job cancelled' : 'Cancellation requested',
+        data: updatedJob
+      });
+    } catch (error) {
+      console.error('Cancel import job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
 // ============================================================================
 // FILENAME VISIBILITY HELPER FUNCTIONS (SINGLE SOURCE OF TRUTH)
 // ============================================================================
@@ -683,6 +1066,25 @@ const getExcelFileWithVisibility = ({ user, file, userAdmin }) => {
   }
 };
 
+/**
+ * Applies the file's masking policy (hide / partial / show per role) to vehicle fields
+ * Uses the same owner rules as the filename: the primary admin is never masked.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Current user object (req.user)
+ * @param {Object} params.file - ExcelFile object with maskingPolicy, assignedTo, uploadedBy / uploaderRole
+ * @param {Object} params.userAdmin - Admin object if user is auditor/fieldAgent (null otherwise)
+ * @param {Object} params.vehicle - Vehicle fields keyed by canonical header
+ * @returns {Object} - Vehicle with masked fields (plus maskedFields when anything was masked)
+ */
+const maskVehicleFields = ({ user, file, userAdmin, vehicle }) => {
+  if (!file.maskingPolicy || file.maskingPolicy.length === 0) {
+    return vehicle;
+  }
+  const maskingRole = getMaskingRole(user, canSeeRealFilename({ user, file, userAdmin }));
+  return applyMaskingPolicy(vehicle, file.maskingPolicy, maskingRole);
+};
+
 // Legacy function kept for backward compatibility (deprecated - use getExcelFileWithVisibility instead)
 const maskFilename = (originalName, uploadedByRole, currentUserRole) => {
   // This function is deprecated but kept for any edge cases
@@ -780,14 +1182,15 @@ router.get('/files',
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-      const { status, search } = req.query;
+      const { status, search, availability } = req.query;
 
       // Build aggregation pipeline
       const pipeline = [
         // Match stage for initial filtering
         {
           $match: {
-            isActive: true,
+            // Scheduled and archived files are inactive - list them only when asked for
+            ...(['scheduled', 'archived'].includes(availability) ? { availability } : { isActive: true }),
             ...(status && { status }),
             ...(req.user.role === 'admin' && {
               // Admin can only see:
@@ -938,6 +1341,12 @@ router.get('/files',
             status: 1,
             errorMessage: 1,
             filePath: 1,
+            validFrom: 1,
+            expiresAt: 1,
+            availability: 1,
+            archivedAt: 1,
+            archiveReason: 1,
+            maskingPolicy: 1,
             createdAt: 1,
             updatedAt: 1,
             uploadedBy: {
@@ -994,6 +1403,8 @@ router.get('/files',
           file: file,
           userAdmin: userAdmin
         });
+        // { role: { field: mode } } as edited in the sharing forms
+        fileWithVisibility.maskingPolicy = maskingPolicyToObject(file.maskingPolicy);
         
         // ============================================================
         // 🛡️ HIDE ASSIGNED ADMINS FROM NON-PRIMARY ADMINS
@@ -1136,11 +1547,23 @@ router.delete('/files/:id',
         });
       }
 
+      // Stop any import still writing rows for this file
+      await ExcelImportJob.updateMany(
+        { excelFileId: excelFile._id, status: { $in: ['queued', 'running'] } },
+        { cancelRequested: true }
+      );
+      await ExcelImportJob.updateMany(
+        { excelFileId: excelFile._id, status: 'queued' },
+        { status: 'cancelled', finishedAt: new Date() }
+      );
+
       /* 1️⃣ DELETE Mongo lookup data (MOST IMPORTANT) */
       const lookupResult = await VehicleLookup.deleteMany({
         excelFileId: excelFile._id
       });
       console.log(`🗑️ Deleted ${lookupResult.deletedCount || 0} VehicleLookup records for file ${excelFile._id}`);
+      await VehicleChange.deleteMany({ excelFileId: excelFile._id });
+      await clearResolutionsForFile(excelFile._id);
 
       /* 2️⃣ DELETE VehicleLookup records (ExcelVehicle removed - no longer used) */
 
@@ -1156,18 +1579,18 @@ router.delete('/files/:id',
       }
       console.log(`✅ Deleted ExcelFile record: ${excelFile._id}`);
 
-      /* 4️⃣ DELETE GCS FILE (BEST-EFFORT, NEVER BLOCK) */
-      if (excelFile.filePath && excelFile.filePath.includes('storage.googleapis.com')) {
+      /* 4️⃣ DELETE STORED FILE (BEST-EFFORT, NEVER BLOCK) */
+      if (isStoredFile(excelFile.filePath)) {
         try {
-          await deleteFileFromGCS(excelFile.filePath);
-          console.log('✅ GCS file deleted');
+          await deleteFile(excelFile.filePath);
+          console.log('✅ Stored file deleted');
           // Clear Excel cache for this file
           clearCacheForFile(excelFile.filePath);
         } catch (err) {
-          if (err.code === 404) {
-            console.warn('⚠️ GCS file already missing, skipping');
+          if (err.notFound) {
+            console.warn('⚠️ Stored file already missing, skipping');
           } else {
-            console.error('❌ GCS delete failed:', err.message);
+            console.error('❌ Stored file delete failed:', err.message);
           }
           // ❗ NEVER THROW - Continue execution
         }
@@ -1215,32 +1638,459 @@ router.delete('/files/:id',
   }
 );
 
-// @desc    Update shared admins for Excel file (Admin only - for files they uploaded)
-// @route   PUT /api/excel/files/:id/update-shared-admins
-// @access  Private (admin)
-router.put('/files/:id/update-shared-admins',
+// Reject malformed file ids before the upload is written to disk
+const checkFileIdParam = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid file ID'
+    });
+  }
+  next();
+};
+
+// @desc    Replace the contents of an Excel file (queued; delta: only added/removed rows are written)
+// @route   PUT /api/excel/files/:id/contents
+// @access  Private (SuperSuperAdmin, SuperAdmin, uploader or primary admin)
+router.put('/files/:id/contents',
   authenticateToken,
-  authorizeRole('admin'),
-  [
-    body('sharedAdmins').custom((value, { req }) => {
-      if (value === undefined || value === null) {
-        throw new Error('sharedAdmins is required');
-      }
-      
-      // Handle both string and array formats
-      let adminArray;
-      if (typeof value === 'string') {
-        try {
-          adminArray = JSON.parse(value);
-        } catch (error) {
-          throw new Error('sharedAdmins must be a valid JSON array');
-        }
-      } else {
-        adminArray = value;
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  checkFileIdParam,
+  upload.single('excelFile'),
+  async (req, res) => {
+    // Set once the new workbook is stored (the temp upload then belongs to the job)
+    let replacement = null;
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
       }
-      
-      if (!Array.isArray(adminArray)) {
-        throw new Error('sharedAdmins must be an array');
+
+      const excelFile = await ExcelFile.findOne({ _id: req.params.id, isActive: true });
+      if (!excelFile) {
+        await discardUploadedFile(req.file);
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found'
+        });
+      }
+
+      // Only the uploader or the primary admin may replace contents (shared admins may not)
+      if (req.user.role === 'admin' &&
+          excelFile.uploadedBy.toString() !== req.user._id.toString() &&
+          excelFile.assignedTo.toString() !== req.user._id.toString()) {
+        await discardUploadedFile(req.file);
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (excelFile.status === 'processing') {
+        await discardUploadedFile(req.file);
+        return res.status(409).json({
+          success: false,
+          message: 'This file is still being processed. Please wait for the import to finish.'
+        });
+      }
+
+      // Reuse the file's mapping profile unless another one is given
+      if (!req.body.mappingProfileId && excelFile.mappingProfile) {
+        req.body.mappingProfileId = excelFile.mappingProfile.toString();
+      }
+
+      // Reuse the file's sheet selection unless another one is given
+      const prepared = await prepareUploadedWorkbook(req, excelFile.sheetNames.length > 0 ? excelFile.sheetNames : null);
+      if (prepared.error) {
+        await discardUploadedFile(req.file);
+        return res.status(prepared.error.status).json({
+          success: false,
+          ...prepared.error.body
+        });
+      }
+      const { workbook, mappingProfile, sourceFormat } = prepared;
+
+      // Only growth counts against the uploader's storage limit
+      const additionalRecords = workbook.recordCount - excelFile.totalRows;
+      if (additionalRecords > 0) {
+        const uploader = await User.findById(excelFile.uploadedBy).select('_id role');
+        const quota = await checkStorageQuota(uploader, additionalRecords);
+        if (quota && quota.exceedsQuota) {
+          await discardUploadedFile(req.file);
+          return res.status(400).json({
+            success: false,
+            message: formatQuotaExceededMessage(quota, uploader.role),
+            totalLimit: quota.totalLimit,
+            usedRecords: quota.usedRecords,
+            remainingRecords: quota.remainingRecords,
+            fileRecords: quota.fileRecords,
+            limitType: quota.limitType
+          });
+        }
+      }
+
+      // Lock the file: only one import or replace may touch its rows at a time
+      const lockedFile = await ExcelFile.findOneAndUpdate(
+        { _id: excelFile._id, isActive: true, status: { $ne: 'processing' } },
+        { status: 'processing' }
+      );
+      if (!lockedFile) {
+        await discardUploadedFile(req.file);
+        return res.status(409).json({
+          success: false,
+          message: 'This file is still being processed. Please wait for the import to finish.'
+        });
+      }
+
+      try {
+        replacement = await storeReplacementWorkbook({
+          file: req.file,
+          mappingProfile,
+          workbook,
+          sourceFormat,
+          previousStatus: lockedFile.status
+        });
+        const job = await enqueueExcelImport({ excelFile, user: req.user, type: 'replace', replacement });
+
+        res.status(202).json({
+          success: true,
+          message: 'Replacement queued. The new contents become searchable once the job finishes.',
+          data: {
+            jobId: job._id,
+            fileId: excelFile._id,
+            totalRows: workbook.recordCount,
+            status: job.status
+          }
+        });
+      } catch (queueError) {
+        // Nothing was changed yet: unlock the file and drop the new workbook
+        await abandonReplacement(excelFile._id, replacement || { previousStatus: lockedFile.status });
+        throw queueError;
+      }
+
+    } catch (error) {
+      console.error('Replace Excel file contents error:', error);
+
+      if (req.file && !replacement) {
+        await discardUploadedFile(req.file);
+      }
+
+      // Handle MongoDB quota errors
+      if (error.message && error.message.includes('space quota')) {
+        return res.status(507).json({
+          success: false,
+          message: 'MongoDB storage quota exceeded. Please contact administrator to upgrade storage plan.',
+          error: 'STORAGE_QUOTA_EXCEEDED'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while replacing file contents',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Only super admins, the uploader or the primary admin manage a file's validity (shared admins may not)
+function canManageFileValidity(user, excelFile) {
+  return user.role !== 'admin' ||
+    excelFile.uploadedBy.toString() === user._id.toString() ||
+    excelFile.assignedTo.toString() === user._id.toString();
+}
+
+// @desc    Set the validity window of an Excel file
+// @route   PUT /api/excel/files/:id/validity
+// @access  Private (SuperSuperAdmin, SuperAdmin, uploader or primary admin)
+router.put('/files/:id/validity',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('validFrom').optional({ nullable: true }).isISO8601().withMessage('validFrom must be a date'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a date')
+      .custom((value, { req }) => {
+        if (value && new Date(value) <= new Date()) {
+          throw new Error('Expiry must be in the future');
+        }
+        if (value && req.body.validFrom && new Date(value) <= new Date(req.body.validFrom)) {
+          throw new Error('Expiry must be after the valid-from date');
+        }
+        return true;
+      })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const excelFile = await ExcelFile.findById(req.params.id);
+      if (!excelFile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found'
+        });
+      }
+
+      if (!canManageFileValidity(req.user, excelFile)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (excelFile.availability === 'archived') {
+        return res.status(400).json({
+          success: false,
+          message: 'This file is archived. Restore it to set a new validity window.'
+        });
+      }
+
+      const validFrom = req.body.validFrom ? new Date(req.body.validFrom) : null;
+      const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+      const isScheduled = !!validFrom && validFrom > new Date();
+
+      const updatedFile = await ExcelFile.findByIdAndUpdate(excelFile._id, {
+        validFrom,
+        expiresAt,
+        availability: isScheduled ? 'scheduled' : 'active',
+        isActive: !isScheduled
+      }, { new: true });
+
+      if (isScheduled !== (excelFile.availability === 'scheduled')) {
+        clearFileAccessCache();
+        clearUploadCaches(req.user._id, [excelFile.uploadedBy, ...excelFile.assignedAdmins, ...(excelFile.sharedAdmins || [])]);
+      }
+
+      res.json({
+        success: true,
+        message: isScheduled
+          ? `File scheduled to become active on ${validFrom.toLocaleDateString()}`
+          : 'Validity window updated',
+        data: {
+          _id: updatedFile._id,
+          validFrom: updatedFile.validFrom,
+          expiresAt: updatedFile.expiresAt,
+          availability: updatedFile.availability
+        }
+      });
+
+    } catch (error) {
+      console.error('Update Excel file validity error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Restore an archived Excel file (rebuilds its rows from the archived workbook)
+// @route   POST /api/excel/files/:id/restore
+// @access  Private (SuperSuperAdmin, SuperAdmin, uploader or primary admin)
+router.post('/files/:id/restore',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a date')
+      .custom((value) => {
+        if (value && new Date(value) <= new Date()) {
+          throw new Error('Expiry must be in the future');
+        }
+        return true;
+      })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const excelFile = await ExcelFile.findById(req.params.id);
+      if (!excelFile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found'
+        });
+      }
+
+      if (!canManageFileValidity(req.user, excelFile)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const job = await restoreExcelFile({
+        excelFile,
+        user: req.user,
+        expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null
+      });
+      if (!job) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only archived files can be restored'
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Restore queued. The file becomes searchable once its rows are rebuilt.',
+        data: {
+          jobId: job._id,
+          fileId: excelFile._id,
+          status: job.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Restore Excel file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Get rows added/removed from an Excel file since a revision
+// @route   GET /api/excel/files/:id/changes?sinceRevision=&cursorId=&limit=
+// @access  Private (All roles with access to the file)
+router.get('/files/:id/changes',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sinceRevision = parseInt(req.query.sinceRevision) || 0;
+      const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+      const cursorId = req.query.cursorId;
+
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      if (!accessibleFileIds.some(id => id.toString() === req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found'
+        });
+      }
+
+      const excelFile = await ExcelFile.findById(req.params.id).select('_id revision lastReplacedAt').lean();
+      if (!excelFile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found'
+        });
+      }
+
+      const changeQuery = {
+        excelFileId: excelFile._id,
+        revision: { $gt: sinceRevision }
+      };
+      if (cursorId && mongoose.Types.ObjectId.isValid(cursorId)) {
+        changeQuery._id = { $gt: new mongoose.Types.ObjectId(cursorId) };
+      }
+
+      const changes = await VehicleChange.find(changeQuery)
+        .select('revision op lookupId registrationNumber chassisNumber createdAt')
+        .sort({ _id: 1 })
+        .limit(limit)
+        .lean();
+
+      res.json({
+        success: true,
+        data: {
+          fileId: excelFile._id,
+          sinceRevision,
+          currentRevision: excelFile.revision || 0,
+          lastReplacedAt: excelFile.lastReplacedAt,
+          changes
+        },
+        pagination: {
+          limit,
+          nextCursorId: changes.length > 0 ? changes[changes.length - 1]._id.toString() : null,
+          hasMore: changes.length === limit
+        }
+      });
+    } catch (error) {
+      console.error('Get Excel file changes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Optional maskingPolicy in sharing requests ({ role: { field: mode } } - see utils/fieldMasking)
+const maskingPolicyValidator = body('maskingPolicy').optional({ nullable: true }).custom((value) => {
+  if (!normalizeMaskingPolicy(value)) {
+    throw new Error('maskingPolicy must map sharedAdmin/auditor/fieldAgent to { field: hide | partial | show }');
+  }
+  return true;
+});
+
+/**
+ * Set a file's masking policy from a sharing request (no-op when the request has none)
+ * @returns {boolean} - true if the policy changed
+ */
+const setFileMaskingPolicy = (excelFile, input) => {
+  if (input === undefined) {
+    return false;
+  }
+  const maskingPolicy = normalizeMaskingPolicy(input);
+  if (JSON.stringify(maskingPolicy) === JSON.stringify(normalizeMaskingPolicy(excelFile.maskingPolicy || []))) {
+    return false;
+  }
+  excelFile.maskingPolicy = maskingPolicy;
+  return true;
+};
+
+// Offline clients hold masked rows: drop the file from their delta sync snapshots
+// so the next delta announces it in filesAdded and it is downloaded again in full
+async function resyncFileForClients(fileId) {
+  await SyncState.updateMany(
+    { 'snapshots.fileIds': fileId },
+    { $pull: { 'snapshots.$[].fileIds': fileId } }
+  );
+}
+
+// @desc    Update shared admins for Excel file (Admin only - for files they uploaded)
+// @route   PUT /api/excel/files/:id/update-shared-admins
+// @access  Private (admin)
+router.put('/files/:id/update-shared-admins',
+  authenticateToken,
+  authorizeRole('admin'),
+  [
+    body('sharedAdmins').custom((value, { req }) => {
+      if (value === undefined || value === null) {
+        throw new Error('sharedAdmins is required');
+      }
+      
+      // Handle both string and array formats
+      let adminArray;
+      if (typeof value === 'string') {
+        try {
+          adminArray = JSON.parse(value);
+        } catch (error) {
+          throw new Error('sharedAdmins must be a valid JSON array');
+        }
+      } else {
+        adminArray = value;
+      }
+      
+      if (!Array.isArray(adminArray)) {
+        throw new Error('sharedAdmins must be an array');
       }
       
       // Validate each admin ID
@@ -1252,7 +2102,8 @@ router.put('/files/:id/update-shared-admins',
       }
       
       return true;
-    })
+    }),
+    maskingPolicyValidator
   ],
   async (req, res) => {
     try {
@@ -1389,8 +2240,14 @@ router.put('/files/:id/update-shared-admins',
       // Update shared admins (explicitly set to array to ensure proper saving)
       excelFile.sharedAdmins = sharedAdminObjectIds;
       excelFile.markModified('sharedAdmins'); // Explicitly mark as modified for Mongoose
+      const maskingPolicyChanged = setFileMaskingPolicy(excelFile, req.body.maskingPolicy);
       await excelFile.save();
 
+      if (maskingPolicyChanged) {
+        await resyncFileForClients(excelFile._id);
+        console.log(`🎭 Updated masking policy for file ${fileId}`);
+      }
+
       console.log(`✅ Updated shared admins for file ${fileId}:`, {
         previous: previousSharedAdmins,
         new: sharedAdminIds,
@@ -1533,7 +2390,8 @@ router.put('/files/:id/update-assignments',
       }
       
       return true;
-    })
+    }),
+    maskingPolicyValidator
   ],
   async (req, res) => {
     try {
@@ -1659,8 +2517,14 @@ router.put('/files/:id/update-assignments',
       // Update assignments
       excelFile.assignedAdmins = assignedAdmins;
       excelFile.assignedTo = assignedAdmins[0]; // Keep first admin as primary
+      const maskingPolicyChanged = setFileMaskingPolicy(excelFile, req.body.maskingPolicy);
       await excelFile.save();
 
+      if (maskingPolicyChanged) {
+        await resyncFileForClients(excelFile._id);
+        console.log(`🎭 Updated masking policy for file ${excelFile._id}`);
+      }
+
       // Populate the updated file for response
       await excelFile.populate('assignedAdmins', 'name email');
 
@@ -2032,7 +2896,7 @@ router.post('/pre-cache-files',
         _id: { $in: accessibleFileIds },
         isActive: true
       })
-      .select('_id originalName filename filePath')
+      .select('_id originalName filename filePath sheetNames')
       .lean();
 
       // LEVEL 4: Get accessible GCS files (no gcsFileUrl in VehicleLookup)
@@ -2043,7 +2907,7 @@ router.post('/pre-cache-files',
       
       const accessibleGcsUrls = accessibleFiles
         .map(file => file.filePath)
-        .filter(url => url && (url.includes('storage.googleapis.com') || url.includes('gcs')));
+        .filter(url => isStoredFile(url));
       
       // LEVEL 4: No need to query VehicleLookup for file URLs - we already have them from ExcelFile
       // Just get the unique GCS URLs
@@ -2052,7 +2916,7 @@ router.post('/pre-cache-files',
       // LEVEL 4: Map GCS URLs to files (gcsFileUrl removed from VehicleLookup)
       const fileGcsMap = new Map();
       excelFiles.forEach(file => {
-        if (file.filePath && (file.filePath.includes('storage.googleapis.com') || file.filePath.includes('gcs'))) {
+        if (isStoredFile(file.filePath)) {
           fileGcsMap.set(file._id.toString(), file.filePath);
         }
       });
@@ -2065,7 +2929,7 @@ router.post('/pre-cache-files',
           ...file,
           gcsFileUrl: gcsFileUrl // Derived from ExcelFile.filePath
         };
-      }).filter(file => file.gcsFileUrl && file.gcsFileUrl.includes('storage.googleapis.com'));
+      }).filter(file => isStoredFile(file.gcsFileUrl));
 
       console.log(`📁 Found ${filesToCache.length} files to cache (out of ${excelFiles.length} accessible files)`);
 
@@ -2095,7 +2959,7 @@ router.get('/cache-details',
   authenticateToken,
   async (req, res) => {
     try {
-      const cacheDetails = getCacheDetails();
+      const cacheDetails = await getCacheDetails();
       res.json({
         success: true,
         cache: cacheDetails
@@ -2214,9 +3078,66 @@ router.post('/cleanup-orphaned',
   }
 );
 
+/**
+ * VehicleLookup query for a (non-fuzzy) vehicle search term
+ * Shared by the vehicle search and the export.
+ * @param {Object} params - { searchTerm, searchType, stateCode, lastFourDigits } as in GET /vehicles
+ * @returns {Object} MongoDB filter (without the file access filter)
+ */
+function buildLookupSearchQuery({ searchTerm, searchType, stateCode, lastFourDigits }) {
+  const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let query = {};
+
+  if (searchType === 'registration_number') {
+    if (stateCode || lastFourDigits) {
+      const searchDigits = lastFourDigits || (searchTerm.match(/\d{1,4}$/) ? searchTerm.match(/\d{1,4}$/)[0] : null);
+      
+      if (searchDigits && searchDigits.length >= 1) {
+        const stateCodeQuery = buildStateCodeSearchQuery(stateCode || 'ALL', searchDigits);
+        if (stateCodeQuery) {
+          query = { ...stateCodeQuery };
+        } else {
+          query.registrationNumber = { $regex: escapedTerm, $options: 'i' };
+        }
+      } else {
+        query.registrationNumber = { $regex: escapedTerm, $options: 'i' };
+      }
+    } else {
+      const registrationQuery = buildRegistrationSearchQuery(searchTerm);
+      if (registrationQuery) {
+        query = registrationQuery;
+      } else {
+        query.registrationNumber = { $regex: escapedTerm, $options: 'i' };
+      }
+    }
+  } else if (searchType === 'chasis_number') {
+    query.chassisNumber = { $regex: escapedTerm, $options: 'i' };
+  } else {
+    const registrationQuery = buildRegistrationSearchQuery(searchTerm);
+    if (registrationQuery) {
+      query.$or = [
+        registrationQuery,
+        { chassisNumber: { $regex: escapedTerm, $options: 'i' } }
+      ];
+    } else {
+      query.$or = [
+        { registrationNumber: { $regex: escapedTerm, $options: 'i' } },
+        { chassisNumber: { $regex: escapedTerm, $options: 'i' } }
+      ];
+    }
+  }
+
+  return query;
+}
+
+// Upper bound on lookups ranked in memory for a tolerant (fuzzy) search
+const FUZZY_CANDIDATE_LIMIT = 2000;
+
 // @desc    ULTRA-FAST vehicle search - Phase 1: List only (reg + chassis)
 // @route   GET /api/excel/vehicles  
 // @access  Private (All roles)
+// Pass fuzzy=true for OCR-tolerant registration matching (O/0, I/1, B/8, S/5,
+// optional state code) ranked by edit distance
 router.get('/vehicles',
   authenticateToken,
   async (req, res) => {
@@ -2224,6 +3145,7 @@ router.get('/vehicles',
       const page = parseInt(req.query.page) || 1;
       const limit = Math.min(parseInt(req.query.limit) || 20, 1000); // Increased to show all results
       const { search, searchType, stateCode, lastFourDigits } = req.query;
+      const fuzzy = req.query.fuzzy === 'true' && searchType !== 'chasis_number';
 
       // Validate search termrr
       if (!search || search.trim().length < 3) {
@@ -2279,50 +3201,9 @@ router.get('/vehicles',
       const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
       // Build search query
-      let searchQuery = {};
-
-      if (searchType === 'registration_number') {
-        if (stateCode || lastFourDigits) {
-          const searchDigits = lastFourDigits || (searchTerm.match(/\d{1,4}$/) ? searchTerm.match(/\d{1,4}$/)[0] : null);
-          
-          if (searchDigits && searchDigits.length >= 1) {
-            const stateCodeQuery = buildStateCodeSearchQuery(stateCode || 'ALL', searchDigits);
-            if (stateCodeQuery) {
-              searchQuery = { ...stateCodeQuery };
-            } else {
-              searchQuery.registrationNumber = { $regex: escapedTerm, $options: 'i' };
-            }
-          } else {
-            searchQuery.registrationNumber = { $regex: escapedTerm, $options: 'i' };
-          }
-        } else {
-          const parsed = parseRegistrationNumber(searchTerm);
-          if (parsed) {
-            const regexPattern = `^${parsed.stateCode}.*${parsed.lastFourDigits}$`;
-            searchQuery = {
-              registrationNumber: { $regex: regexPattern, $options: 'i' }
-            };
-          } else {
-            searchQuery.registrationNumber = { $regex: escapedTerm, $options: 'i' };
-          }
-        }
-      } else if (searchType === 'chasis_number') {
-        searchQuery.chassisNumber = { $regex: escapedTerm, $options: 'i' };
-      } else {
-        const parsed = parseRegistrationNumber(searchTerm);
-        if (parsed) {
-          const regexPattern = `^${parsed.stateCode}.*${parsed.lastFourDigits}$`;
-          searchQuery.$or = [
-            { registrationNumber: { $regex: regexPattern, $options: 'i' } },
-            { chassisNumber: { $regex: escapedTerm, $options: 'i' } }
-          ];
-        } else {
-          searchQuery.$or = [
-            { registrationNumber: { $regex: escapedTerm, $options: 'i' } },
-            { chassisNumber: { $regex: escapedTerm, $options: 'i' } }
-          ];
-        }
-      }
+      const searchQuery = fuzzy
+        ? buildFuzzyRegistrationQuery(searchTerm) || { registrationNumber: { $regex: escapedTerm, $options: 'i' } }
+        : buildLookupSearchQuery({ searchTerm, searchType, stateCode, lastFourDigits });
 
       // Add file access filter (CRITICAL SECURITY)
       const mongoose = require('mongoose');
@@ -2336,15 +3217,29 @@ router.get('/vehicles',
       // ============================================================
       // ⚡ FETCH MINIMAL DATA: Only reg + chassis + fileId
       // ============================================================
-      const [totalCount, lookups] = await Promise.all([
-        VehicleLookup.countDocuments(finalSearchQuery),
-        VehicleLookup.find(finalSearchQuery)
-          .select('registrationNumber chassisNumber excelFileId _id')
-          .sort({ registrationNumber: 1 })
-          .skip((page - 1) * limit)
-          .limit(limit)
-          .lean()
-      ]);
+      let totalCount;
+      let lookups;
+
+      if (fuzzy) {
+        // Rank every candidate before paginating so the closest matches come first
+        const candidates = await VehicleLookup.find(finalSearchQuery)
+          .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+          .limit(FUZZY_CANDIDATE_LIMIT)
+          .lean();
+        const ranked = rankFuzzyRegistrationMatches(searchTerm, candidates);
+        totalCount = ranked.length;
+        lookups = ranked.slice((page - 1) * limit, page * limit);
+      } else {
+        [totalCount, lookups] = await Promise.all([
+          VehicleLookup.countDocuments(finalSearchQuery),
+          VehicleLookup.find(finalSearchQuery)
+            .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+            .sort({ registrationNumber: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean()
+        ]);
+      }
 
       // ============================================================
       // 📦 FETCH FILE METADATA (for filename visibility)
@@ -2400,6 +3295,11 @@ router.get('/vehicles',
       // ============================================================
 // 🎭 APPLY VISIBILITY RULES (filename masking)
 // ============================================================
+// Recovery status of each hit (vehicles without a case are pending)
+const casesByLookupId = await getCasesForLookups(lookups);
+// Other accessible files holding the same vehicle
+const duplicatesByLookupId = await getDuplicateSummaries(lookups, accessibleFileObjectIds);
+
 const results = lookups.map(lookup => {
   const excelFile = fileMap.get(lookup.excelFileId?.toString());
   if (!excelFile) return null;
@@ -2442,6 +3342,9 @@ const results = lookups.map(lookup => {
       originalName: excelFileWithVisibility.originalName,
       filename: excelFileWithVisibility.filename
     },
+    ...(fuzzy && { matchDistance: lookup.matchDistance }),
+    case: summarizeCase(casesByLookupId.get(lookup._id.toString())),
+    duplicates: duplicatesByLookupId.get(lookup._id.toString()) || { otherFiles: 0, isAuthoritative: null },
     // ✅ CRITICAL: Store metadata for sorting (not visible to user)
     _internalMetadata: {
       excelFileId: excelFile._id.toString(),
@@ -2456,6 +3359,11 @@ const results = lookups.map(lookup => {
 
 // ✅ FIXED SORTING - Own data first (priority 0), then others (priority 1)
 results.sort((a, b) => {
+  // Tolerant search: closest matches first, then the usual ordering
+  if (fuzzy && a.matchDistance !== b.matchDistance) {
+    return a.matchDistance - b.matchDistance;
+  }
+
   // Reconstruct vehicle object for getSearchPriority (using metadata)
   const vehicleA = {
     excel_file: {
@@ -2519,7 +3427,8 @@ results.forEach(result => {
           resultsCount: results.length,
           totalResults: totalCount,
           phase: 'PHASE_1_FAST_LIST',
-          searchType: searchType === 'all' ? 'multi-field' : searchType
+          searchType: searchType === 'all' ? 'multi-field' : searchType,
+          fuzzy
         }
       });
 
@@ -2534,6 +3443,304 @@ results.forEach(result => {
   }
 );
 
+// Batch plate lookup limits
+const BATCH_LOOKUP_MAX_ITEMS = 500;
+const BATCH_LOOKUP_CHUNK_SIZE = 100;
+const BATCH_LOOKUP_MAX_HITS_PER_ITEM = 20;
+
+/**
+ * Build the Mongo conditions and an in-memory matcher for one batch item, so
+ * a chunk of items can be resolved with a single query and the results
+ * mapped back to the item(s) they matched
+ */
+function buildBatchLookupItem(value, searchType) {
+  const normalized = value.trim().toUpperCase();
+  const exactPattern = `^${normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+  const conditions = [];
+
+  if (searchType !== 'chasis_number') {
+    const registrationQuery = buildRegistrationSearchQuery(normalized) || {
+      registrationNumber: { $regex: exactPattern, $options: 'i' }
+    };
+    conditions.push(...(registrationQuery.$or || [registrationQuery]));
+  }
+  if (searchType !== 'registration_number') {
+    conditions.push({ chassisNumber: { $regex: exactPattern, $options: 'i' } });
+  }
+
+  const tests = conditions.map(condition => {
+    const [field, { $regex, $options }] = Object.entries(condition)[0];
+    const regex = new RegExp($regex, $options);
+    return lookup => Boolean(lookup[field]) && regex.test(lookup[field]);
+  });
+
+  return {
+    normalized,
+    conditions,
+    matches: lookup => tests.some(test => test(lookup))
+  };
+}
+
+// @desc    Batch plate lookup - resolve many registration/chassis numbers at once
+// @route   POST /api/excel/vehicles/batch-lookup
+// @access  Private (All roles)
+// Body: { items: [String], searchType?: 'all' | 'registration_number' | 'chasis_number', isOnline? }
+// Logs one "searched" notification (fan-out as in log-action) per hit.
+router.post('/vehicles/batch-lookup',
+  authenticateToken,
+  [
+    body('items')
+      .isArray({ min: 1, max: BATCH_LOOKUP_MAX_ITEMS })
+      .withMessage(`items must be an array of 1-${BATCH_LOOKUP_MAX_ITEMS} plate or chassis numbers`),
+    body('searchType').optional().isIn(['all', 'registration_number', 'chasis_number'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const startTime = Date.now();
+      const searchType = req.body.searchType || 'all';
+
+      // One result per submitted item (input order); repeated numbers are searched once
+      const results = req.body.items.map(item => ({
+        query: item === null || item === undefined ? '' : item.toString(),
+        found: false,
+        hits: []
+      }));
+      const itemsByKey = new Map();
+      results.forEach(result => {
+        const value = result.query.trim();
+        if (value.length < 3) {
+          result.error = 'Enter at least 3 characters';
+          return;
+        }
+        const key = value.toUpperCase();
+        if (!itemsByKey.has(key)) {
+          itemsByKey.set(key, { ...buildBatchLookupItem(value, searchType), results: [] });
+        }
+        itemsByKey.get(key).results.push(result);
+      });
+      const items = [...itemsByKey.values()];
+
+      // 🚨 SECURITY: only files this user can search
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      const accessibleFileObjectIds = accessibleFileIds.map(id => new mongoose.Types.ObjectId(id));
+
+      // ============================================================
+      // ⚡ Resolve against VehicleLookup, one query per chunk of items
+      // ============================================================
+      const hitsByItem = new Map();
+      if (accessibleFileObjectIds.length > 0) {
+        for (let i = 0; i < items.length; i += BATCH_LOOKUP_CHUNK_SIZE) {
+          const chunk = items.slice(i, i + BATCH_LOOKUP_CHUNK_SIZE);
+          const lookups = await VehicleLookup.find({
+            excelFileId: { $in: accessibleFileObjectIds },
+            $or: chunk.flatMap(item => item.conditions)
+          })
+            .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+            .limit(chunk.length * BATCH_LOOKUP_MAX_HITS_PER_ITEM)
+            .lean();
+
+          for (const lookup of lookups) {
+            for (const item of chunk) {
+              if (!item.matches(lookup)) continue;
+              const itemHits = hitsByItem.get(item) || [];
+              if (itemHits.length < BATCH_LOOKUP_MAX_HITS_PER_ITEM) {
+                itemHits.push(lookup);
+                hitsByItem.set(item, itemHits);
+              }
+            }
+          }
+        }
+      }
+
+      // ============================================================
+      // 📦 File metadata, data type and filename visibility
+      // ============================================================
+      const allHits = [...new Map([...hitsByItem.values()].flat().map(lookup => [lookup._id.toString(), lookup])).values()];
+      const fileIds = [...new Set(allHits.map(lookup => lookup.excelFileId.toString()))];
+      const excelFiles = await ExcelFile.find({
+        _id: { $in: fileIds.map(id => new mongoose.Types.ObjectId(id)) },
+        isActive: true
+      })
+        .select('_id originalName filename uploadedBy assignedTo assignedAdmins sharedAdmins createdAt filePath sheetNames maskingPolicy')
+        .lean();
+      const fileMap = new Map(excelFiles.map(file => [file._id.toString(), file]));
+
+      const uploaderIds = [...new Set(excelFiles.map(f => f.uploadedBy?.toString()).filter(Boolean))];
+      const primaryAdminIds = [...new Set(excelFiles.map(f => f.assignedTo?.toString()).filter(Boolean))];
+      const users = await User.find({ _id: { $in: [...uploaderIds, ...primaryAdminIds] } })
+        .select('_id role name')
+        .lean();
+      const userMap = new Map(users.map(u => [u._id.toString(), u]));
+
+      let userAdmin = null;
+      if ((req.user.role === 'auditor' || req.user.role === 'fieldAgent') && req.user.createdBy) {
+        userAdmin = await User.findById(req.user.createdBy).select('_id role name');
+      }
+
+      // ============================================================
+      // 📄 Base details from the Excel files (one read per file)
+      // ============================================================
+      const detailsByLookup = new Map();
+      for (const excelFile of excelFiles) {
+        if (!isStoredFile(excelFile.filePath)) continue;
+        const fileLookups = allHits.filter(lookup => lookup.excelFileId.toString() === excelFile._id.toString());
+        try {
+          const vehicleDataArray = await searchVehiclesInExcel(excelFile.filePath, fileLookups, { sheetNames: excelFile.sheetNames });
+          fileLookups.forEach((lookup, index) => {
+            if (vehicleDataArray[index]) {
+              detailsByLookup.set(lookup._id.toString(), vehicleDataArray[index]);
+            }
+          });
+        } catch (error) {
+          console.error(`Batch lookup: failed to read ${excelFile.originalName}:`, error.message);
+        }
+      }
+
+      const formatHit = (lookup) => {
+        const excelFile = fileMap.get(lookup.excelFileId.toString());
+        if (!excelFile) return null;
+
+        const uploader = userMap.get(excelFile.uploadedBy?.toString());
+        const uploaderRole = uploader?.role;
+        let dataType;
+        if (uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin') {
+          dataType = userMap.get(excelFile.assignedTo?.toString())?.name || 'ADMIN';
+        } else if (uploaderRole === 'admin') {
+          dataType = uploader?.name || 'ADMIN';
+        } else {
+          dataType = 'SELF DATA';
+        }
+
+        const excelFileWithVisibility = getExcelFileWithVisibility({
+          user: req.user,
+          file: { ...excelFile, uploaderRole },
+          userAdmin
+        });
+        const vehicleData = detailsByLookup.get(lookup._id.toString());
+
+        // Only the base fields every role may see; full details stay behind /vehicles/:id/details
+        const baseFields = maskVehicleFields({
+          user: req.user,
+          file: { ...excelFile, uploaderRole },
+          userAdmin,
+          vehicle: {
+            registration_number: vehicleData?.registration_number || lookup.registrationNumber,
+            chasis_number: vehicleData?.chasis_number || lookup.chassisNumber,
+            engine_number: vehicleData?.engine_number,
+            customer_name: vehicleData?.customer_name,
+            make: vehicleData?.make
+          }
+        });
+        return {
+          _id: lookup._id,
+          ...baseFields,
+          dataType,
+          excel_file: {
+            _id: excelFileWithVisibility._id,
+            originalName: excelFileWithVisibility.originalName,
+            filename: excelFileWithVisibility.filename
+          }
+        };
+      };
+
+      items.forEach(item => {
+        const hits = (hitsByItem.get(item) || []).map(formatHit).filter(Boolean);
+        item.results.forEach(result => {
+          result.found = hits.length > 0;
+          result.hits = hits;
+        });
+      });
+
+      // ============================================================
+      // 🔔 One consolidated "searched" notification per hit
+      // ============================================================
+      let notificationsCreated = 0;
+      const loggedHits = allHits.filter(lookup => fileMap.has(lookup.excelFileId.toString()));
+      const canLog = ['fieldAgent', 'auditor', 'admin'].includes(req.user.role) &&
+        (req.user.role === 'admin' || userAdmin);
+
+      if (canLog && loggedHits.length > 0) {
+        try {
+          const { ipAddress, location } = await getRequestLocation(req);
+          const notifications = [];
+
+          for (const excelFile of excelFiles) {
+            const fileHits = loggedHits.filter(lookup => lookup.excelFileId.toString() === excelFile._id.toString());
+            if (fileHits.length === 0) continue;
+
+            // Recipients depend only on the file, so build them once and stamp each hit
+            const uploader = userMap.get(excelFile.uploadedBy?.toString());
+            const templates = await buildActionNotifications({
+              user: req.user,
+              userAdmin,
+              excelFile: { ...excelFile, uploadedBy: { _id: excelFile.uploadedBy, role: uploader?.role } },
+              action: 'searched',
+              vehicleNumber: '',
+              vehicleId: null,
+              ipAddress,
+              location,
+              isOnline: req.body.isOnline
+            });
+
+            fileHits.forEach(lookup => {
+              templates.forEach(template => {
+                notifications.push({
+                  ...template,
+                  vehicleNumber: lookup.registrationNumber || lookup.chassisNumber || 'Unknown',
+                  vehicleId: lookup._id
+                });
+              });
+            });
+          }
+
+          if (notifications.length > 0) {
+            publishNotifications(await Notification.insertMany(notifications));
+            notificationsCreated = notifications.length;
+          }
+        } catch (error) {
+          // Logging must not fail the lookup itself
+          console.error('Batch lookup notification error:', error);
+        }
+      }
+
+      const foundCount = results.filter(result => result.found).length;
+      const queryTime = Date.now() - startTime;
+      console.log(`⚡ Batch lookup of ${results.length} items completed in ${queryTime}ms (${foundCount} found, ${allHits.length} hits)`);
+
+      res.json({
+        success: true,
+        message: `${foundCount} of ${results.length} items found`,
+        data: results,
+        summary: {
+          requested: results.length,
+          searched: items.length,
+          found: foundCount,
+          hits: allHits.length,
+          notificationsCreated
+        },
+        performance: {
+          queryTime: `${queryTime}ms`
+        }
+      });
+    } catch (error) {
+      console.error('Batch lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
 // @desc    Get full vehicle details - Phase 2: Details on demand
 // @route   GET /api/excel/vehicles/:id/details
 // @access  Private (All roles)
@@ -2585,7 +3792,7 @@ router.get('/vehicles/:id/details',
 
       // Get Excel file metadata
       const excelFile = await ExcelFile.findById(lookup.excelFileId)
-        .select('_id originalName filename uploadedBy assignedTo assignedAdmins sharedAdmins createdAt filePath')
+        .select('_id originalName filename uploadedBy assignedTo assignedAdmins sharedAdmins createdAt filePath sheetNames maskingPolicy')
         .lean();
 
       if (!excelFile) {
@@ -2603,15 +3810,15 @@ router.get('/vehicles/:id/details',
       // ⚡ PHASE 2: Fetch FULL data from GCS (ONE file, ONE row)
       // ============================================================
       const gcsFileUrl = excelFile.filePath;
-      if (!gcsFileUrl || (!gcsFileUrl.includes('storage.googleapis.com') && !gcsFileUrl.includes('gcs'))) {
+      if (!isStoredFile(gcsFileUrl)) {
         return res.status(404).json({
           success: false,
-          message: 'Vehicle data not available (GCS not configured)'
+          message: 'Vehicle data not available (file storage not configured)'
         });
       }
 
       // Search this ONE file for this ONE vehicle
-      const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, [lookup]);
+      const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, [lookup], { sheetNames: excelFile.sheetNames });
       const vehicleData = vehicleDataArray[0];
 
       if (!vehicleData) {
@@ -2679,7 +3886,8 @@ router.get('/vehicles/:id/details',
         excel_file: excelFileWithVisibility,
         createdAt: vehicleData.createdAt,
         rowNumber: vehicleData.rowNumber,
-        dataType: dataType
+        dataType: dataType,
+        case: summarizeCase(await getCaseForLookup(lookup))
       };
 
       // All fields (full data)
@@ -2791,6 +3999,14 @@ router.get('/vehicles/:id/details',
         result = { ...baseFields, excel_file: { _id: excelFile._id } };
       }
 
+      // Per-file masking policy (customer / confirmer fields) on top of the field-level access
+      result = maskVehicleFields({
+        user: req.user,
+        file: { ...excelFile, uploaderRole },
+        userAdmin,
+        vehicle: result
+      });
+
       const queryTime = Date.now() - startTime;
       console.log(`⚡ PHASE 2 details fetched in ${queryTime}ms for vehicle ${id}`);
 
@@ -2801,21 +4017,1136 @@ router.get('/vehicles/:id/details',
           queryTime: `${queryTime}ms`,
           phase: 'PHASE_2_DETAILS_ON_DEMAND'
         }
-      });
+      });
+
+    } catch (error) {
+      console.error('🔥 Details fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch vehicle details',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Find a lookup the user can access (null = missing or no access)
+async function findAccessibleLookup(user, lookupId) {
+  if (!mongoose.Types.ObjectId.isValid(lookupId)) {
+    return null;
+  }
+  const accessibleFileIds = await getAccessibleFileIdsForUser(user);
+  return VehicleLookup.findOne({
+    _id: lookupId,
+    excelFileId: { $in: accessibleFileIds }
+  }).lean();
+}
+
+// @desc    Get the recovery case (status + history) of a vehicle
+// @route   GET /api/excel/vehicles/:id/case
+// @access  Private (All roles)
+router.get('/vehicles/:id/case',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const lookup = await findAccessibleLookup(req.user, req.params.id);
+      if (!lookup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found or access denied'
+        });
+      }
+
+      const vehicleCase = await getCaseForLookup(lookup);
+
+      res.json({
+        success: true,
+        data: vehicleCase || {
+          excelFileId: lookup.excelFileId,
+          lookupId: lookup._id,
+          status: 'pending',
+          history: []
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching vehicle case:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Update the recovery status of a vehicle
+// @route   PUT /api/excel/vehicles/:id/status
+// @access  Private (Admins: any status; field agents: in-progress / failed)
+// Body: { status, agentId? (required for "assigned"), note? }
+// "recovered" is normally set by creating an Inventory record.
+router.put('/vehicles/:id/status',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin', 'fieldAgent'),
+  [
+    body('status').isIn(VehicleCase.STATUSES).withMessage(`Status must be one of: ${VehicleCase.STATUSES.join(', ')}`),
+    body('agentId').optional({ nullable: true }).isMongoId().withMessage('Invalid agent ID'),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const { status, agentId, note } = req.body;
+
+      const lookup = await findAccessibleLookup(req.user, req.params.id);
+      if (!lookup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found or access denied'
+        });
+      }
+
+      const currentCase = await getCaseForLookup(lookup);
+      let agent = null;
+
+      if (req.user.role === 'fieldAgent') {
+        if (status !== 'in-progress' && status !== 'failed') {
+          return res.status(403).json({
+            success: false,
+            message: status === 'recovered'
+              ? 'Create an inventory record to mark a vehicle as recovered'
+              : 'Field agents can only mark vehicles as in-progress or failed'
+          });
+        }
+        if (currentCase?.assignedAgent && currentCase.assignedAgent.toString() !== req.user._id.toString()) {
+          return res.status(403).json({
+            success: false,
+            message: `Vehicle is assigned to ${currentCase.assignedAgentName || 'another agent'}`
+          });
+        }
+        agent = { _id: req.user._id, name: req.user.name };
+      } else if (status === 'assigned') {
+        if (!agentId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Agent is required to assign a vehicle'
+          });
+        }
+        agent = await findAllocatableAgent(req.user, agentId);
+        if (!agent) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid field agent'
+          });
+        }
+      }
+
+      const updatedCase = await updateCaseStatus({
+        lookup,
+        status,
+        user: req.user,
+        agent,
+        note: note || null
+      });
+
+      if (!updatedCase) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change status from ${currentCase?.status || 'pending'} to ${status}`
+        });
+      }
+
+      console.log(`🚗 Vehicle case ${updatedCase._id}: ${currentCase?.status || 'pending'} → ${status} by ${req.user.name}`);
+
+      res.json({
+        success: true,
+        message: `Vehicle marked as ${status}`,
+        data: updatedCase
+      });
+    } catch (error) {
+      console.error('Error updating vehicle status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Active field agent the user may allocate vehicles to (admins: only their own agents)
+async function findAllocatableAgent(user, agentId) {
+  if (!mongoose.Types.ObjectId.isValid(agentId)) {
+    return null;
+  }
+  const agentUser = await User.findOne({ _id: agentId, role: 'fieldAgent', isActive: true }).select('_id name createdBy').lean();
+  if (!agentUser || (user.role === 'admin' && agentUser.createdBy?.toString() !== user._id.toString())) {
+    return null;
+  }
+  return { _id: agentUser._id, name: agentUser.name };
+}
+
+// File the user may allocate from; selecting by column values needs branch/bucket/address to be visible to them
+async function findAllocationFile(user, fileId, { byColumns = true } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(fileId)) {
+    return null;
+  }
+  const accessibleFileIds = await getAccessibleFileIdsForUser(user);
+  if (!accessibleFileIds.some(id => id.toString() === fileId.toString())) {
+    return null;
+  }
+  const excelFile = await ExcelFile.findOne({ _id: fileId, isActive: true })
+    .select('_id originalName filePath sheetNames uploadedBy status')
+    .populate('uploadedBy', 'role')
+    .lean();
+  if (!excelFile) {
+    return null;
+  }
+  if (byColumns && (!isStoredFile(excelFile.filePath) || !getVisibleFields(user.role, excelFile.uploadedBy?.role).branch)) {
+    return null;
+  }
+  return excelFile;
+}
+
+// @desc    Branch / bucket / pincode values of a file for allocation filters
+// @route   GET /api/excel/files/:id/allocation-options
+// @access  Private (superSuperAdmin, superAdmin, admin)
+router.get('/files/:id/allocation-options',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const excelFile = await findAllocationFile(req.user, req.params.id);
+      if (!excelFile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found or access denied'
+        });
+      }
+
+      const options = await getAllocationOptions(excelFile);
+
+      res.json({
+        success: true,
+        data: {
+          fileId: excelFile._id,
+          ...options
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching allocation options:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Resolve the vehicles of an allocate/release request: explicit lookupIds, or a file filtered by branch/bucket/pincode
+async function resolveAllocationLookups(user, { fileId, lookupIds, filters }) {
+  if (Array.isArray(lookupIds) && lookupIds.length > 0) {
+    const accessibleFileIds = await getAccessibleFileIdsForUser(user);
+    return VehicleLookup.find({
+      _id: { $in: lookupIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+      excelFileId: { $in: accessibleFileIds }
+    })
+      .select('registrationNumber chassisNumber excelFileId _id')
+      .lean();
+  }
+
+  const byColumns = hasFilters(filters);
+  const excelFile = await findAllocationFile(user, fileId, { byColumns });
+  if (!excelFile) {
+    return null;
+  }
+  if (!byColumns) {
+    return VehicleLookup.find({ excelFileId: excelFile._id })
+      .select('registrationNumber chassisNumber excelFileId _id')
+      .lean();
+  }
+  return findLookupsForFilters(excelFile, filters);
+}
+
+const allocationValidators = [
+  body('fileId').optional({ nullable: true }).isMongoId().withMessage('Invalid file ID'),
+  body('lookupIds').optional({ nullable: true }).isArray({ max: 5000 }).withMessage('lookupIds must be an array of at most 5000 IDs'),
+  body('filters').optional({ nullable: true }).isObject().withMessage('filters must be an object'),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  body().custom(value => {
+    if (!value.fileId && !(Array.isArray(value.lookupIds) && value.lookupIds.length > 0)) {
+      throw new Error('Either fileId or lookupIds is required');
+    }
+    return true;
+  })
+];
+
+// @desc    Allocate vehicles (by ID, or a file subset by branch / bucket / pincode) to a field agent
+// @route   POST /api/excel/allocations
+// @access  Private (superSuperAdmin, superAdmin, admin)
+// Body: { agentId, lookupIds? | fileId + filters? { branch, bucket, pincode }, note? }
+router.post('/allocations',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('agentId').isMongoId().withMessage('Valid agent ID is required'),
+    ...allocationValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const { agentId, note } = req.body;
+
+      const agent = await findAllocatableAgent(req.user, agentId);
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid field agent'
+        });
+      }
+
+      const lookups = await resolveAllocationLookups(req.user, req.body);
+      if (!lookups) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found or access denied'
+        });
+      }
+
+      // Only vehicles the agent can see in search
+      const agentFileIds = new Set((await getExcelFileIdsForFieldAgent(agent._id)).map(id => id.toString()));
+      const allocatable = lookups.filter(lookup => agentFileIds.has(lookup.excelFileId.toString()));
+
+      const result = await allocateCases({
+        lookups: allocatable,
+        agent,
+        user: req.user,
+        note: note || null
+      });
+      result.inaccessible = lookups.length - allocatable.length;
+
+      console.log(`📌 ${req.user.name} allocated ${result.allocated} vehicles to ${agent.name} (${result.unchanged} unchanged, ${result.skipped} recovered, ${result.inaccessible} not visible to agent)`);
+
+      res.json({
+        success: true,
+        message: `${result.allocated} vehicle(s) allocated to ${agent.name}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error allocating vehicles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Release allocated vehicles back to pending
+// @route   POST /api/excel/allocations/release
+// @access  Private (superSuperAdmin, superAdmin, admin)
+// Body: { lookupIds? | fileId + filters?, agentId? (only this agent's allocations), note? }
+router.post('/allocations/release',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('agentId').optional({ nullable: true }).isMongoId().withMessage('Invalid agent ID'),
+    ...allocationValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const { agentId, note } = req.body;
+
+      const lookups = await resolveAllocationLookups(req.user, req.body);
+      if (!lookups) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found or access denied'
+        });
+      }
+
+      const released = await releaseCases({
+        lookups,
+        user: req.user,
+        agentId: agentId || null,
+        note: note || null
+      });
+
+      console.log(`📌 ${req.user.name} released ${released} allocated vehicles`);
+
+      res.json({
+        success: true,
+        message: `${released} vehicle(s) released`,
+        data: { released }
+      });
+    } catch (error) {
+      console.error('Error releasing vehicles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Work queue rows: base vehicle details (role visibility applied) in queue order
+async function buildAllocationQueue(agentId, user) {
+  const accessibleFileIds = await getAccessibleFileIdsForUser(user);
+  const cases = await getAgentQueue(agentId, accessibleFileIds);
+  if (cases.length === 0) {
+    return [];
+  }
+
+  const lookups = await VehicleLookup.find({ _id: { $in: cases.map(vehicleCase => vehicleCase.lookupId).filter(Boolean) } })
+    .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+    .lean();
+  const vehicles = await shapeSyncVehicles(await loadSyncVehicles(lookups), user);
+  const vehiclesByLookupId = new Map(vehicles.map(vehicle => [vehicle.lookupId.toString(), vehicle]));
+
+  return cases
+    .map(vehicleCase => {
+      const vehicle = vehiclesByLookupId.get(vehicleCase.lookupId?.toString());
+      if (!vehicle) return null;
+      return {
+        ...vehicle,
+        _id: vehicle.lookupId,
+        case: summarizeCase(vehicleCase),
+        assignedAt: vehicleCase.assignedAt
+      };
+    })
+    .filter(Boolean);
+}
+
+// @desc    The current field agent's allocated vehicles (in-progress first, then oldest allocation)
+// @route   GET /api/excel/allocations/mine
+// @access  Private (fieldAgent)
+router.get('/allocations/mine',
+  authenticateToken,
+  authorizeRole('fieldAgent'),
+  async (req, res) => {
+    try {
+      const queue = await buildAllocationQueue(req.user._id, req.user);
+
+      res.json({
+        success: true,
+        data: queue
+      });
+    } catch (error) {
+      console.error('Error fetching my allocations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+const NEARBY_SCAN_LIMIT = 1000; // Nearest lookups considered before recovered vehicles are dropped
+
+// @desc    Active, un-recovered vehicles around the user's reported position, nearest first
+//          (vehicle positions are approximate - see services/vehicleGeocodingService)
+// @route   GET /api/excel/vehicles/near?latitude=&longitude=&radiusKm=&limit=
+// @access  Private (All roles)
+router.get('/vehicles/near',
+  authenticateToken,
+  [
+    query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    query('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    query('radiusKm').optional().isFloat({ min: 0.1, max: 100 }).withMessage('Radius must be between 0.1 and 100 km'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      let coordinates = req.user.location?.coordinates;
+      if (req.query.latitude !== undefined && req.query.longitude !== undefined) {
+        coordinates = [parseFloat(req.query.longitude), parseFloat(req.query.latitude)];
+        // Remember the reported position (used when the app asks without one)
+        await User.updateOne({ _id: req.user._id }, { $set: { 'location.coordinates': coordinates } });
+      }
+      if (!coordinates || coordinates.length !== 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Location is required to find nearby vehicles'
+        });
+      }
+
+      const radiusKm = parseFloat(req.query.radiusKm) || 5;
+      const limit = parseInt(req.query.limit) || 50;
+      const position = { latitude: coordinates[1], longitude: coordinates[0] };
+
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      if (accessibleFileIds.length === 0) {
+        return res.json({
+          success: true,
+          data: [],
+          position,
+          radiusKm
+        });
+      }
+
+      const candidates = await VehicleLookup.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates },
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query: { excelFileId: { $in: accessibleFileIds.map(id => new mongoose.Types.ObjectId(id)) } }
+          }
+        },
+        { $limit: NEARBY_SCAN_LIMIT },
+        { $project: { registrationNumber: 1, chassisNumber: 1, excelFileId: 1, sheetName: 1, rowNumber: 1, location: 1, geoPrecision: 1, distance: 1 } }
+      ]);
+
+      const casesByLookupId = await getCasesForLookups(candidates);
+      const nearby = candidates
+        .filter(lookup => casesByLookupId.get(lookup._id.toString())?.status !== 'recovered')
+        .slice(0, limit);
+
+      const vehicles = await shapeSyncVehicles(await loadSyncVehicles(nearby), req.user);
+      const vehiclesByLookupId = new Map(vehicles.map(vehicle => [vehicle.lookupId.toString(), vehicle]));
+
+      const data = nearby
+        .map(lookup => {
+          const vehicle = vehiclesByLookupId.get(lookup._id.toString());
+          if (!vehicle) return null;
+          return {
+            ...vehicle,
+            _id: lookup._id,
+            distanceKm: Math.round(lookup.distance / 10) / 100,
+            geoPrecision: lookup.geoPrecision,
+            position: {
+              latitude: lookup.location.coordinates[1],
+              longitude: lookup.location.coordinates[0]
+            },
+            case: summarizeCase(casesByLookupId.get(lookup._id.toString()))
+          };
+        })
+        .filter(Boolean);
+
+      res.json({
+        success: true,
+        data,
+        position,
+        radiusKm
+      });
+    } catch (error) {
+      console.error('Error fetching nearby vehicles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Work queue of a field agent
+// @route   GET /api/excel/allocations?agentId=
+// @access  Private (superSuperAdmin, superAdmin, admin - own agents only)
+router.get('/allocations',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const agent = await findAllocatableAgent(req.user, req.query.agentId);
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid field agent'
+        });
+      }
+
+      const queue = await buildAllocationQueue(agent._id, req.user);
+
+      res.json({
+        success: true,
+        data: {
+          agent,
+          vehicles: queue
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching agent allocations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Vehicles present in more than one accessible file, grouped by normalized registration / chassis number
+// @route   GET /api/excel/duplicates?by=registration|chassis&search=&page=&limit=
+// @access  Private (superSuperAdmin, superAdmin, admin)
+router.get('/duplicates',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const keyType = req.query.by === 'chassis' ? 'chassis' : 'registration';
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      const { total, groups } = await getDuplicateGroups({
+        fileIds: accessibleFileIds.map(id => new mongoose.Types.ObjectId(id)),
+        keyType,
+        search: req.query.search || '',
+        page,
+        limit
+      });
+
+      // File names with the usual visibility rules
+      const fileIds = [...new Set(groups.flatMap(group => group.fileIds.map(id => id.toString())))];
+      const excelFiles = await ExcelFile.find({ _id: { $in: fileIds } })
+        .select('_id originalName filename uploadedBy assignedTo createdAt')
+        .populate('uploadedBy', 'role name')
+        .lean();
+      const fileMap = new Map(excelFiles.map(file => {
+        const visibleFile = getExcelFileWithVisibility({ user: req.user, file, userAdmin: null });
+        return [file._id.toString(), {
+          _id: file._id,
+          originalName: visibleFile.originalName,
+          uploadedByName: file.uploadedBy?.name,
+          createdAt: file.createdAt
+        }];
+      }));
+
+      const data = groups.map(group => ({
+        key: group.key,
+        count: group.count,
+        authoritativeFileId: group.resolution?.authoritativeFileId || null,
+        resolvedBy: group.resolution?.markedByName || null,
+        resolvedAt: group.resolution?.updatedAt || null,
+        files: group.fileIds.map(fileId => ({
+          ...fileMap.get(fileId.toString()),
+          _id: fileId,
+          lookups: group.lookups.filter(lookup => lookup.excelFileId.toString() === fileId.toString())
+        }))
+      }));
+
+      res.json({
+        success: true,
+        data,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching duplicate vehicles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Mark the authoritative file of a duplicate vehicle
+// @route   PUT /api/excel/duplicates/authoritative
+// @access  Private (superSuperAdmin, superAdmin, admin)
+// Body: { by: registration|chassis, key, fileId, note? }
+router.put('/duplicates/authoritative',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('by').isIn(Object.keys(DUPLICATE_KEY_FIELDS)).withMessage('by must be registration or chassis'),
+    body('key').isString().trim().notEmpty().withMessage('Key is required'),
+    body('fileId').isMongoId().withMessage('Valid file ID is required'),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const { by, key, fileId, note } = req.body;
+
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      if (!accessibleFileIds.some(id => id.toString() === fileId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Excel file not found or access denied'
+        });
+      }
+
+      const resolution = await setAuthoritativeFile({
+        keyType: by,
+        key,
+        fileId: new mongoose.Types.ObjectId(fileId),
+        user: req.user,
+        note: note || null
+      });
+
+      if (!resolution) {
+        return res.status(400).json({
+          success: false,
+          message: 'The selected file does not contain this vehicle'
+        });
+      }
+
+      console.log(`⭐ ${req.user.name} marked file ${fileId} authoritative for ${by} ${resolution.key}`);
+
+      res.json({
+        success: true,
+        message: 'Authoritative file updated',
+        data: resolution
+      });
+    } catch (error) {
+      console.error('Error marking authoritative file:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Clear the authoritative file of a duplicate vehicle
+// @route   DELETE /api/excel/duplicates/authoritative?by=&key=
+// @access  Private (superSuperAdmin, superAdmin, admin)
+router.delete('/duplicates/authoritative',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  async (req, res) => {
+    try {
+      const keyType = req.query.by === 'chassis' ? 'chassis' : 'registration';
+      if (!req.query.key) {
+        return res.status(400).json({
+          success: false,
+          message: 'Key is required'
+        });
+      }
+
+      const cleared = await clearAuthoritativeFile({ keyType, key: req.query.key });
+
+      res.json({
+        success: true,
+        message: cleared ? 'Authoritative file cleared' : 'No authoritative file was set'
+      });
+    } catch (error) {
+      console.error('Error clearing authoritative file:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+/**
+ * Resolve VehicleLookup rows to full vehicle rows from their Excel files (offline sync)
+ * Each file is searched once with only its own lookups.
+ * @param {Array} lookups - VehicleLookup rows (registrationNumber, chassisNumber, excelFileId, _id)
+ * @returns {Promise<Array>} Vehicle rows with excel_file, uploaderRole, uploaderName and maskingPolicy
+ */
+async function loadSyncVehicles(lookups) {
+  // ✅ STEP 3: Group lookups by excelFileId BEFORE hitting GCS
+  const lookupsByFileId = new Map();
+  lookups.forEach(lookup => {
+    const fileId = lookup.excelFileId?.toString();
+    if (!fileId) return; // Skip lookups without excelFileId
+    
+    if (!lookupsByFileId.has(fileId)) {
+      lookupsByFileId.set(fileId, []);
+    }
+    lookupsByFileId.get(fileId).push(lookup);
+  });
+
+  // ✅ STEP 4: Resolve filePath from ExcelFile (derive GCS path, NEVER from VehicleLookup)
+  const fileIds = Array.from(lookupsByFileId.keys());
+  const excelFiles = await ExcelFile.find({ 
+    _id: { $in: fileIds.map(id => new mongoose.Types.ObjectId(id)) },
+    isActive: true 
+  })
+    .select('_id originalName filename uploadedBy assignedTo assignedAdmins createdAt filePath sheetNames maskingPolicy')
+    .lean();
+
+  // Create maps: fileId → filePath, filePath → ExcelFile
+  const fileIdToPathMap = new Map();
+  const excelFileMap = new Map();
+  excelFiles.forEach(file => {
+    const fileId = file._id.toString();
+    fileIdToPathMap.set(fileId, file.filePath);
+    excelFileMap.set(file.filePath, file);
+  });
+
+  // Get uploaders
+  const uploaderIds = [...new Set(excelFiles.map(f => f.uploadedBy?.toString()).filter(Boolean))];
+  const uploaders = await User.find({ _id: { $in: uploaderIds } })
+    .select('_id role name')
+    .lean();
+
+  const uploaderMap = new Map();
+  uploaders.forEach(uploader => {
+    uploaderMap.set(uploader._id.toString(), uploader);
+  });
+
+  // Get primary admins (assignedTo) for dataType
+  const primaryAdminIds = [...new Set(excelFiles.map(f => f.assignedTo?.toString()).filter(Boolean))];
+  const primaryAdminMap = new Map();
+  if (primaryAdminIds.length > 0) {
+    const primaryAdmins = await User.find({ _id: { $in: primaryAdminIds.map(id => new mongoose.Types.ObjectId(id)) } })
+      .select('_id name')
+      .lean();
+    primaryAdmins.forEach(admin => {
+      primaryAdminMap.set(admin._id.toString(), admin.name);
+    });
+  }
+
+  // ✅ STEP 5: Group lookups by filePath (only search each file with its own lookups)
+  const lookupsByFile = new Map(); // Map: gcsFileUrl → lookups[]
+  lookupsByFileId.forEach((fileLookups, fileId) => {
+    const gcsFileUrl = fileIdToPathMap.get(fileId);
+    if (isStoredFile(gcsFileUrl)) {
+      lookupsByFile.set(gcsFileUrl, fileLookups);
+    }
+  });
+
+  // ✅ STEP 5: Search each file ONCE with only its own lookups
+  const gcsFetchPromises = Array.from(lookupsByFile.entries()).map(async ([gcsFileUrl, fileLookups]) => {
+    try {
+      // Search Excel file for matching vehicles
+      const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, fileLookups, {
+        sheetNames: excelFileMap.get(gcsFileUrl)?.sheetNames
+      });
+      
+      return fileLookups.map((lookup, index) => {
+        const vehicleData = vehicleDataArray[index];
+        if (vehicleData) {
+          const excelFile = excelFileMap.get(gcsFileUrl);
+          const uploader = excelFile ? uploaderMap.get(excelFile.uploadedBy?.toString()) : null;
+          
+          // Parse registration number at runtime for offline search (Level 3)
+          const regParsed = vehicleData.registration_number ? parseRegistrationNumber(vehicleData.registration_number) : null;
+          
+          return {
+            ...vehicleData,
+            lookupId: lookup._id,
+            registration_number: vehicleData.registration_number || vehicleData.registrationNumber || lookup.registrationNumber,
+            chasis_number: vehicleData.chasis_number || vehicleData.chassisNumber || lookup.chassisNumber,
+            // RUNTIME PARSED FIELDS for fast offline search (Level 3)
+            registrationNumberStateCode: regParsed ? regParsed.stateCode : null,
+            registrationNumberLastFour: regParsed ? regParsed.lastFourDigits : null,
+            excel_file: excelFile ? {
+              _id: excelFile._id,
+              filename: excelFile.filename,
+              originalName: excelFile.originalName,
+              uploadedBy: excelFile.uploadedBy,
+              assignedTo: excelFile.assignedTo,
+              assignedAdmins: excelFile.assignedAdmins,
+              createdAt: excelFile.createdAt
+            } : null,
+            uploaderRole: uploader?.role,
+            uploaderName: uploader?.name,
+            maskingPolicy: excelFile?.maskingPolicy || []
+          };
+        }
+        return null;
+      }).filter(Boolean);
+    } catch (error) {
+      console.error(`Error searching vehicles in ${gcsFileUrl}:`, error.message);
+      return [];
+    }
+  });
+
+  const vehicleArrays = await Promise.all(gcsFetchPromises);
+  return vehicleArrays.flat();
+}
+
+/**
+ * Apply role-based field and filename visibility to offline sync rows
+ * Rows the user may not see are dropped, the file's masking policy is applied
+ * and own data is sorted first.
+ * @param {Array} vehicles - Rows from loadSyncVehicles
+ * @param {Object} user - Current user (req.user)
+ * @returns {Promise<Array>} Shaped rows
+ */
+async function shapeSyncVehicles(vehicles, user) {
+  // Pre-fetch user admin info for auditors and field agents
+  let userAdmin = null;
+  if (user.role === 'auditor' || user.role === 'fieldAgent') {
+    if (user.createdBy) {
+      userAdmin = await User.findById(user.createdBy).select('_id role');
+    }
+  }
+
+  // Get primary admin map for sync endpoint (if vehicles exist)
+  let syncPrimaryAdminMap = new Map();
+  if (vehicles.length > 0) {
+    const syncPrimaryAdminIds = [...new Set(vehicles.map(v => v.excel_file?.assignedTo?.toString()).filter(Boolean))];
+    if (syncPrimaryAdminIds.length > 0) {
+      const syncPrimaryAdmins = await User.find({ _id: { $in: syncPrimaryAdminIds.map(id => new mongoose.Types.ObjectId(id)) } })
+        .select('_id name')
+        .lean();
+      syncPrimaryAdmins.forEach(admin => {
+        syncPrimaryAdminMap.set(admin._id.toString(), admin.name);
+      });
+    }
+  }
+
+  // Apply role-based field visibility filtering for sync
+  const filteredVehicles = vehicles.map(vehicle => {
+    const uploaderRole = vehicle.uploaderRole;
+    const userRole = user.role;
+    
+    // Determine data type label - show primary admin name instead of "SUPER ADMIN DATA"
+    let dataType;
+    if (uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin') {
+      // Get primary admin name from excel_file.assignedTo
+      const primaryAdminId = vehicle.excel_file?.assignedTo?.toString();
+      const primaryAdminName = primaryAdminId ? syncPrimaryAdminMap.get(primaryAdminId) : null;
+      dataType = primaryAdminName || 'ADMIN';
+    } else if (uploaderRole === 'admin') {
+      if (userRole === 'admin' && vehicle.excel_file.uploadedBy === user._id.toString()) {
+        dataType = 'SELF DATA'; // Admin viewing their own uploaded file
+      } else {
+        // Show admin's name
+        dataType = vehicle.uploaderName || 'ADMIN';
+      }
+    } else {
+      dataType = 'SELF DATA';
+    }
+
+    // Apply filename visibility using centralized helper
+    const syncExcelFileWithVisibility = getExcelFileWithVisibility({
+      user: user,
+      file: {
+        ...vehicle.excel_file,
+        uploaderRole: uploaderRole // Add uploaderRole for helper function
+      },
+      userAdmin: userAdmin
+    });
+
+    // Parse registration number at runtime for offline search (Level 3)
+    const regParsed = vehicle.registration_number ? parseRegistrationNumber(vehicle.registration_number) : null;
+    
+    // Base fields that are always visible
+    const baseFields = {
+      registration_number: vehicle.registration_number,
+      chasis_number: vehicle.chasis_number,
+      engine_number: vehicle.engine_number,
+      customer_name: vehicle.customer_name,
+      make: vehicle.make,
+      excel_file: syncExcelFileWithVisibility,
+      createdAt: vehicle.createdAt,
+      rowNumber: vehicle.rowNumber,
+      lookupId: vehicle.lookupId, // Stable row identity used by delta sync tombstones
+      dataType: dataType,
+      // RUNTIME PARSED FIELDS for fast offline search (Level 3 - no stored fields)
+      registrationNumberStateCode: regParsed ? regParsed.stateCode : null,
+      registrationNumberLastFour: regParsed ? regParsed.lastFourDigits : null
+    };
+
+    // All fields for full access
+    const allFields = {
+      ...baseFields,
+      customer_phone: vehicle.customer_phone,
+      customer_email: vehicle.customer_email,
+      address: vehicle.address,
+      branch: vehicle.branch,
+      loan_number: vehicle.loan_number,
+      model: vehicle.model,
+      emi: vehicle.emi,
+      pos: vehicle.pos,
+      bucket: vehicle.bucket,
+      sec_17: vehicle.sec_17,
+      seasoning: vehicle.seasoning,
+      allocation: vehicle.allocation,
+      product_name: vehicle.product_name,
+      first_confirmer_name: vehicle.first_confirmer_name,
+      first_confirmer_no: vehicle.first_confirmer_no,
+      second_confirmer_name: vehicle.second_confirmer_name,
+      second_confirmer_no: vehicle.second_confirmer_no,
+      third_confirmer_name: vehicle.third_confirmer_name,
+      third_confirmer_no: vehicle.third_confirmer_no,
+      assigned_to: vehicle.assigned_to,
+      file_name: vehicle.file_name,
+      // OPTIMIZED FIELDS already included in baseFields
+    };
+
+    // Apply field visibility rules based on requirements (same as search endpoint)
+    const primaryAdminId = vehicle.excel_file.assignedTo?.toString();
+    const uploadedById = vehicle.excel_file.uploadedBy?.toString();
+    const currentUserId = user._id.toString();
+    const isSuperAdminUpload = uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin';
+    const isAdminUpload = uploaderRole === 'admin';
+
+    // Base fields with no filename (for restricted access)
+    // Keep IDs so offline primary-admin detection works without exposing filenames
+    const baseFieldsWithFile = {
+      ...baseFields,
+      excel_file: {
+        _id: vehicle.excel_file._id,
+        uploadedBy: vehicle.excel_file.uploadedBy,
+        assignedTo: vehicle.excel_file.assignedTo
+        // No filename for restricted access
+      }
+    };
+
+    // All fields with proper filename visibility
+    const allFieldsWithFile = {
+      ...allFields,
+      excel_file: syncExcelFileWithVisibility
+    };
+
+    // ========== SUPER ADMIN UPLOAD FLOW ==========
+    if (isSuperAdminUpload) {
+      if (userRole === 'superSuperAdmin' || userRole === 'superAdmin') {
+        // Super Admin: All data + file name
+        return allFieldsWithFile;
+      } else if (userRole === 'admin') {
+        const isPrimaryAdmin = currentUserId === primaryAdminId;
+        if (isPrimaryAdmin) {
+          // Primary Admin: All data + file name
+          return allFieldsWithFile;
+        } else {
+          // Assigned Admin (non-primary): Restricted data only + masked file name
+          return {
+            ...baseFields,
+            excel_file: syncExcelFileWithVisibility
+          };
+        }
+      } else if (userRole === 'auditor') {
+        if (userAdmin) {
+          const isPrimaryAdminAuditor = userAdmin._id.toString() === primaryAdminId;
+          if (isPrimaryAdminAuditor) {
+            // Primary Admin's Auditor: All data + file name
+            return allFieldsWithFile;
+          } else {
+            // Assigned Admin's Auditor: Restricted data only + masked file name
+            return {
+              ...baseFields,
+              excel_file: syncExcelFileWithVisibility
+            };
+          }
+        }
+        // Fallback: Restricted data + no file name
+        return baseFieldsWithFile;
+      } else if (userRole === 'fieldAgent') {
+        // Field Agent: Always restricted data + NO file name
+        return baseFieldsWithFile;
+      }
+    }
+    
+    // ========== ADMIN UPLOAD FLOW ==========
+    if (isAdminUpload) {
+      if (userRole === 'superSuperAdmin' || userRole === 'superAdmin') {
+        // Super Admin: All data + file name
+        return allFieldsWithFile;
+      } else if (userRole === 'admin') {
+        const isOwner = currentUserId === uploadedById;
+        if (isOwner) {
+          // Owner Admin: All data + file name
+          return allFieldsWithFile;
+        } else {
+          // Non-owner Admin: NO ACCESS - should not see this file at all
+          return null; // Will be filtered out
+        }
+      } else if (userRole === 'auditor') {
+        if (userAdmin) {
+          const isOwnerAuditor = userAdmin._id.toString() === uploadedById;
+          if (isOwnerAuditor) {
+            // Owner Admin's Auditor: All data + file name
+            return allFieldsWithFile;
+          } else {
+            // Non-owner Admin's Auditor: NO ACCESS
+            return null; // Will be filtered out
+          }
+        }
+        // Fallback: NO ACCESS
+        return null;
+      } else if (userRole === 'fieldAgent') {
+        if (userAdmin) {
+          const isOwnerFieldAgent = userAdmin._id.toString() === uploadedById;
+          if (isOwnerFieldAgent) {
+            // Owner Admin's Field Agent: Restricted data + NO file name
+            return baseFieldsWithFile;
+          } else {
+            // Non-owner Admin's Field Agent: NO ACCESS
+            return null; // Will be filtered out
+          }
+        }
+        // Fallback: NO ACCESS
+        return null;
+      }
+    }
 
-    } catch (error) {
-      console.error('🔥 Details fetch error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to fetch vehicle details',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+    // Default fallback - restricted data + no file name
+    return baseFieldsWithFile;
+  }).map((shapedVehicle, index) => shapedVehicle && maskVehicleFields({
+    user,
+    file: {
+      ...vehicles[index].excel_file,
+      uploaderRole: vehicles[index].uploaderRole,
+      maskingPolicy: vehicles[index].maskingPolicy
+    },
+    userAdmin,
+    vehicle: shapedVehicle
+  })).filter(vehicle => vehicle !== null); // Filter out null vehicles (no access)
+
+  // Sort by priority: own data first (priority 0), then others (priority 1)
+  // Stable secondary sort by createdAt desc for same priority
+  filteredVehicles.sort((a, b) => {
+    const priorityA = getSearchPriority({ vehicle: a, user: user, userAdmin: userAdmin });
+    const priorityB = getSearchPriority({ vehicle: b, user: user, userAdmin: userAdmin });
+    
+    // Primary sort: by priority (0 = own data first)
+    if (priorityA !== priorityB) {
+      return priorityA - priorityB;
     }
-  }
-);
+    
+    // Secondary sort: by createdAt desc (newest first) for stable ordering
+    const createdAtA = a.createdAt ? new Date(a.createdAt).getTime() : 0;
+    const createdAtB = b.createdAt ? new Date(b.createdAt).getTime() : 0;
+    return createdAtB - createdAtA; // Descending (newest first)
+  });
+
+  return filteredVehicles;
+}
 
 // @desc    Get all vehicles for offline sync
-// @route   GET /api/excel/vehicles/sync
+// @route   GET /api/excel/vehicles/sync?cursorId=&fileIds=
 // @access  Private (All roles)
 router.get('/vehicles/sync',
   authenticateToken,
@@ -2841,6 +5172,12 @@ router.get('/vehicles/sync',
         accessibleFileIds = allFiles.map(file => file._id);
       }
 
+      // Optional: only sync specific files (used by delta sync for newly accessible files)
+      if (req.query.fileIds) {
+        const requestedFileIds = req.query.fileIds.split(',').map(id => id.trim());
+        accessibleFileIds = accessibleFileIds.filter(id => requestedFileIds.includes(id.toString()));
+      }
+
       // Build query for all accessible vehicles
       const baseQuery = {
         isActive: true
@@ -2866,7 +5203,7 @@ router.get('/vehicles/sync',
       let totalCount = 0;
 
       // Try VehicleLookup first (optimized storage)
-      if (isGCSConfigured()) {
+      if (isStorageConfigured()) {
         try {
           // ✅ STEP 1: Get accessible file IDs (already done above)
           // ✅ STEP 2: Build lookup query WITH excelFileId filter (CRITICAL)
@@ -2902,119 +5239,13 @@ router.get('/vehicles/sync',
           // CURSOR-BASED PAGINATION: Use _id index (always indexed, no sorting needed)
           // ✅ STEP 2: Select only fields that exist in VehicleLookup schema
           const lookups = await VehicleLookup.find(lookupQuery)
-            .select('registrationNumber chassisNumber excelFileId _id') // ✅ Fixed: removed gcsFileUrl
+            .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id') // ✅ Fixed: removed gcsFileUrl
             .sort({ _id: 1 }) // Sort by _id (indexed, fast, no memory)
             .limit(limit)
             .lean();
 
           if (lookups.length > 0) {
-            // ✅ STEP 3: Group lookups by excelFileId BEFORE hitting GCS
-            const lookupsByFileId = new Map();
-            lookups.forEach(lookup => {
-              const fileId = lookup.excelFileId?.toString();
-              if (!fileId) return; // Skip lookups without excelFileId
-              
-              if (!lookupsByFileId.has(fileId)) {
-                lookupsByFileId.set(fileId, []);
-              }
-              lookupsByFileId.get(fileId).push(lookup);
-            });
-
-            // ✅ STEP 4: Resolve filePath from ExcelFile (derive GCS path, NEVER from VehicleLookup)
-            const fileIds = Array.from(lookupsByFileId.keys());
-            const excelFiles = await ExcelFile.find({ 
-              _id: { $in: fileIds.map(id => new mongoose.Types.ObjectId(id)) },
-              isActive: true 
-            })
-              .select('_id originalName filename uploadedBy assignedTo assignedAdmins createdAt filePath')
-              .lean();
-
-            // Create maps: fileId → filePath, filePath → ExcelFile
-            const fileIdToPathMap = new Map();
-            const excelFileMap = new Map();
-            excelFiles.forEach(file => {
-              const fileId = file._id.toString();
-              fileIdToPathMap.set(fileId, file.filePath);
-              excelFileMap.set(file.filePath, file);
-            });
-
-            // Get uploaders
-            const uploaderIds = [...new Set(excelFiles.map(f => f.uploadedBy?.toString()).filter(Boolean))];
-            const uploaders = await User.find({ _id: { $in: uploaderIds } })
-              .select('_id role name')
-              .lean();
-
-            const uploaderMap = new Map();
-            uploaders.forEach(uploader => {
-              uploaderMap.set(uploader._id.toString(), uploader);
-            });
-
-            // Get primary admins (assignedTo) for dataType
-            const primaryAdminIds = [...new Set(excelFiles.map(f => f.assignedTo?.toString()).filter(Boolean))];
-            const primaryAdminMap = new Map();
-            if (primaryAdminIds.length > 0) {
-              const primaryAdmins = await User.find({ _id: { $in: primaryAdminIds.map(id => new mongoose.Types.ObjectId(id)) } })
-                .select('_id name')
-                .lean();
-              primaryAdmins.forEach(admin => {
-                primaryAdminMap.set(admin._id.toString(), admin.name);
-              });
-            }
-
-            // ✅ STEP 5: Group lookups by filePath (only search each file with its own lookups)
-            const lookupsByFile = new Map(); // Map: gcsFileUrl → lookups[]
-            lookupsByFileId.forEach((fileLookups, fileId) => {
-              const gcsFileUrl = fileIdToPathMap.get(fileId);
-              if (gcsFileUrl && (gcsFileUrl.includes('storage.googleapis.com') || gcsFileUrl.includes('gcs'))) {
-                lookupsByFile.set(gcsFileUrl, fileLookups);
-              }
-            });
-
-            // ✅ STEP 5: Search each file ONCE with only its own lookups
-            const gcsFetchPromises = Array.from(lookupsByFile.entries()).map(async ([gcsFileUrl, fileLookups]) => {
-              try {
-                // Search Excel file for matching vehicles
-                const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, fileLookups);
-                
-                return fileLookups.map((lookup, index) => {
-                  const vehicleData = vehicleDataArray[index];
-                  if (vehicleData) {
-                    const excelFile = excelFileMap.get(gcsFileUrl);
-                    const uploader = excelFile ? uploaderMap.get(excelFile.uploadedBy?.toString()) : null;
-                    
-                    // Parse registration number at runtime for offline search (Level 3)
-                    const regParsed = vehicleData.registration_number ? parseRegistrationNumber(vehicleData.registration_number) : null;
-                    
-                    return {
-                      ...vehicleData,
-                      registration_number: vehicleData.registration_number || vehicleData.registrationNumber || lookup.registrationNumber,
-                      chasis_number: vehicleData.chasis_number || vehicleData.chassisNumber || lookup.chassisNumber,
-                      // RUNTIME PARSED FIELDS for fast offline search (Level 3)
-                      registrationNumberStateCode: regParsed ? regParsed.stateCode : null,
-                      registrationNumberLastFour: regParsed ? regParsed.lastFourDigits : null,
-                      excel_file: excelFile ? {
-                        _id: excelFile._id,
-                        filename: excelFile.filename,
-                        originalName: excelFile.originalName,
-                        uploadedBy: excelFile.uploadedBy,
-                        assignedTo: excelFile.assignedTo,
-                        assignedAdmins: excelFile.assignedAdmins,
-                        createdAt: excelFile.createdAt
-                      } : null,
-                      uploaderRole: uploader?.role,
-                      uploaderName: uploader?.name
-                    };
-                  }
-                  return null;
-                }).filter(Boolean);
-              } catch (error) {
-                console.error(`Error searching vehicles in ${gcsFileUrl}:`, error.message);
-                return [];
-              }
-            });
-
-            const vehicleArrays = await Promise.all(gcsFetchPromises);
-            vehicles = vehicleArrays.flat();
+            vehicles = await loadSyncVehicles(lookups);
             
             // Get last _id for cursor-based pagination (next page)
             let nextCursorId = null;
@@ -3042,234 +5273,7 @@ router.get('/vehicles/sync',
 
       console.log(`✅ Found ${vehicles.length} vehicles for offline sync (page ${page}, limit ${limit})`);
 
-      // Pre-fetch user admin info for auditors and field agents
-      let userAdmin = null;
-      if (req.user.role === 'auditor' || req.user.role === 'fieldAgent') {
-        if (req.user.createdBy) {
-          userAdmin = await User.findById(req.user.createdBy).select('_id role');
-        }
-      }
-
-      // Get primary admin map for sync endpoint (if vehicles exist)
-      let syncPrimaryAdminMap = new Map();
-      if (vehicles.length > 0) {
-        const syncPrimaryAdminIds = [...new Set(vehicles.map(v => v.excel_file?.assignedTo?.toString()).filter(Boolean))];
-        if (syncPrimaryAdminIds.length > 0) {
-          const syncPrimaryAdmins = await User.find({ _id: { $in: syncPrimaryAdminIds.map(id => new mongoose.Types.ObjectId(id)) } })
-            .select('_id name')
-            .lean();
-          syncPrimaryAdmins.forEach(admin => {
-            syncPrimaryAdminMap.set(admin._id.toString(), admin.name);
-          });
-        }
-      }
-
-      // Apply role-based field visibility filtering for sync
-      const filteredVehicles = vehicles.map(vehicle => {
-        const uploaderRole = vehicle.uploaderRole;
-        const userRole = req.user.role;
-        
-        // Determine data type label - show primary admin name instead of "SUPER ADMIN DATA"
-        let dataType;
-        if (uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin') {
-          // Get primary admin name from excel_file.assignedTo
-          const primaryAdminId = vehicle.excel_file?.assignedTo?.toString();
-          const primaryAdminName = primaryAdminId ? syncPrimaryAdminMap.get(primaryAdminId) : null;
-          dataType = primaryAdminName || 'ADMIN';
-        } else if (uploaderRole === 'admin') {
-          if (userRole === 'admin' && vehicle.excel_file.uploadedBy === req.user._id.toString()) {
-            dataType = 'SELF DATA'; // Admin viewing their own uploaded file
-          } else {
-            // Show admin's name
-            dataType = vehicle.uploaderName || 'ADMIN';
-          }
-        } else {
-          dataType = 'SELF DATA';
-        }
-
-        // Apply filename visibility using centralized helper
-        const syncExcelFileWithVisibility = getExcelFileWithVisibility({
-          user: req.user,
-          file: {
-            ...vehicle.excel_file,
-            uploaderRole: uploaderRole // Add uploaderRole for helper function
-          },
-          userAdmin: userAdmin
-        });
-
-        // Parse registration number at runtime for offline search (Level 3)
-        const regParsed = vehicle.registration_number ? parseRegistrationNumber(vehicle.registration_number) : null;
-        
-        // Base fields that are always visible
-        const baseFields = {
-          registration_number: vehicle.registration_number,
-          chasis_number: vehicle.chasis_number,
-          engine_number: vehicle.engine_number,
-          customer_name: vehicle.customer_name,
-          make: vehicle.make,
-          excel_file: syncExcelFileWithVisibility,
-          createdAt: vehicle.createdAt,
-          rowNumber: vehicle.rowNumber,
-          dataType: dataType,
-          // RUNTIME PARSED FIELDS for fast offline search (Level 3 - no stored fields)
-          registrationNumberStateCode: regParsed ? regParsed.stateCode : null,
-          registrationNumberLastFour: regParsed ? regParsed.lastFourDigits : null
-        };
-
-        // All fields for full access
-        const allFields = {
-          ...baseFields,
-          customer_phone: vehicle.customer_phone,
-          customer_email: vehicle.customer_email,
-          address: vehicle.address,
-          branch: vehicle.branch,
-          loan_number: vehicle.loan_number,
-          model: vehicle.model,
-          emi: vehicle.emi,
-          pos: vehicle.pos,
-          bucket: vehicle.bucket,
-          sec_17: vehicle.sec_17,
-          seasoning: vehicle.seasoning,
-          allocation: vehicle.allocation,
-          product_name: vehicle.product_name,
-          first_confirmer_name: vehicle.first_confirmer_name,
-          first_confirmer_no: vehicle.first_confirmer_no,
-          second_confirmer_name: vehicle.second_confirmer_name,
-          second_confirmer_no: vehicle.second_confirmer_no,
-          third_confirmer_name: vehicle.third_confirmer_name,
-          third_confirmer_no: vehicle.third_confirmer_no,
-          assigned_to: vehicle.assigned_to,
-          file_name: vehicle.file_name,
-          // OPTIMIZED FIELDS already included in baseFields
-        };
-
-        // Apply field visibility rules based on requirements (same as search endpoint)
-        const primaryAdminId = vehicle.excel_file.assignedTo?.toString();
-        const uploadedById = vehicle.excel_file.uploadedBy?.toString();
-        const currentUserId = req.user._id.toString();
-        const isSuperAdminUpload = uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin';
-        const isAdminUpload = uploaderRole === 'admin';
-
-        // Base fields with no filename (for restricted access)
-        // Keep IDs so offline primary-admin detection works without exposing filenames
-        const baseFieldsWithFile = {
-          ...baseFields,
-          excel_file: {
-            _id: vehicle.excel_file._id,
-            uploadedBy: vehicle.excel_file.uploadedBy,
-            assignedTo: vehicle.excel_file.assignedTo
-            // No filename for restricted access
-          }
-        };
-
-        // All fields with proper filename visibility
-        const allFieldsWithFile = {
-          ...allFields,
-          excel_file: syncExcelFileWithVisibility
-        };
-
-        // ========== SUPER ADMIN UPLOAD FLOW ==========
-        if (isSuperAdminUpload) {
-          if (userRole === 'superSuperAdmin' || userRole === 'superAdmin') {
-            // Super Admin: All data + file name
-            return allFieldsWithFile;
-          } else if (userRole === 'admin') {
-            const isPrimaryAdmin = currentUserId === primaryAdminId;
-            if (isPrimaryAdmin) {
-              // Primary Admin: All data + file name
-              return allFieldsWithFile;
-            } else {
-              // Assigned Admin (non-primary): Restricted data only + masked file name
-              return {
-                ...baseFields,
-                excel_file: syncExcelFileWithVisibility
-              };
-            }
-          } else if (userRole === 'auditor') {
-            if (userAdmin) {
-              const isPrimaryAdminAuditor = userAdmin._id.toString() === primaryAdminId;
-              if (isPrimaryAdminAuditor) {
-                // Primary Admin's Auditor: All data + file name
-                return allFieldsWithFile;
-              } else {
-                // Assigned Admin's Auditor: Restricted data only + masked file name
-                return {
-                  ...baseFields,
-                  excel_file: syncExcelFileWithVisibility
-                };
-              }
-            }
-            // Fallback: Restricted data + no file name
-            return baseFieldsWithFile;
-          } else if (userRole === 'fieldAgent') {
-            // Field Agent: Always restricted data + NO file name
-            return baseFieldsWithFile;
-          }
-        }
-        
-        // ========== ADMIN UPLOAD FLOW ==========
-        if (isAdminUpload) {
-          if (userRole === 'superSuperAdmin' || userRole === 'superAdmin') {
-            // Super Admin: All data + file name
-            return allFieldsWithFile;
-          } else if (userRole === 'admin') {
-            const isOwner = currentUserId === uploadedById;
-            if (isOwner) {
-              // Owner Admin: All data + file name
-              return allFieldsWithFile;
-            } else {
-              // Non-owner Admin: NO ACCESS - should not see this file at all
-              return null; // Will be filtered out
-            }
-          } else if (userRole === 'auditor') {
-            if (userAdmin) {
-              const isOwnerAuditor = userAdmin._id.toString() === uploadedById;
-              if (isOwnerAuditor) {
-                // Owner Admin's Auditor: All data + file name
-                return allFieldsWithFile;
-              } else {
-                // Non-owner Admin's Auditor: NO ACCESS
-                return null; // Will be filtered out
-              }
-            }
-            // Fallback: NO ACCESS
-            return null;
-          } else if (userRole === 'fieldAgent') {
-            if (userAdmin) {
-              const isOwnerFieldAgent = userAdmin._id.toString() === uploadedById;
-              if (isOwnerFieldAgent) {
-                // Owner Admin's Field Agent: Restricted data + NO file name
-                return baseFieldsWithFile;
-              } else {
-                // Non-owner Admin's Field Agent: NO ACCESS
-                return null; // Will be filtered out
-              }
-            }
-            // Fallback: NO ACCESS
-            return null;
-          }
-        }
-
-        // Default fallback - restricted data + no file name
-        return baseFieldsWithFile;
-      }).filter(vehicle => vehicle !== null); // Filter out null vehicles (no access)
-
-      // Sort by priority: own data first (priority 0), then others (priority 1)
-      // Stable secondary sort by createdAt desc for same priority
-      filteredVehicles.sort((a, b) => {
-        const priorityA = getSearchPriority({ vehicle: a, user: req.user, userAdmin: userAdmin });
-        const priorityB = getSearchPriority({ vehicle: b, user: req.user, userAdmin: userAdmin });
-        
-        // Primary sort: by priority (0 = own data first)
-        if (priorityA !== priorityB) {
-          return priorityA - priorityB;
-        }
-        
-        // Secondary sort: by createdAt desc (newest first) for stable ordering
-        const createdAtA = a.createdAt ? new Date(a.createdAt).getTime() : 0;
-        const createdAtB = b.createdAt ? new Date(b.createdAt).getTime() : 0;
-        return createdAtB - createdAtA; // Descending (newest first)
-      });
+      const filteredVehicles = await shapeSyncVehicles(vehicles, req.user);
 
       // OPTIMIZED: Include cursor for next page (cursor-based pagination)
       // This avoids MongoDB memory consumption from sorting
@@ -3301,6 +5305,200 @@ router.get('/vehicles/sync',
   }
 );
 
+// Delta sync tuning
+const SYNC_SNAPSHOTS_KEPT = 5; // Older tokens require a full resync
+const SYNC_SETTLE_MS = 30 * 1000; // How long a gap in the change sequence may still be in flight
+
+// Record the file set a client holds for a token (keeps the newest snapshots only)
+async function saveSyncSnapshot(userId, token, fileIds) {
+  const state = await SyncState.findOne({ userId }) || new SyncState({ userId, snapshots: [] });
+  state.snapshots = state.snapshots.filter(snapshot => snapshot.token !== token);
+  state.snapshots.push({ token, fileIds, issuedAt: new Date() });
+  if (state.snapshots.length > SYNC_SNAPSHOTS_KEPT) {
+    state.snapshots = state.snapshots.slice(-SYNC_SNAPSHOTS_KEPT);
+  }
+  await state.save();
+}
+
+// Allocation feed entry for offline clients
+const formatAllocationChange = (change) => ({
+  op: change.op,
+  lookupId: change.lookupId,
+  excelFileId: change.excelFileId,
+  agentId: change.agentId,
+  registrationNumber: change.registrationNumber,
+  chassisNumber: change.chassisNumber,
+  seq: change.seq
+});
+
+// A field agent's open allocations in some files, as allocate entries (files the client downloads in full)
+async function getCurrentAllocationEntries(user, fileIds) {
+  if (user.role !== 'fieldAgent' || fileIds.length === 0) {
+    return [];
+  }
+  const openCases = await getAgentQueue(user._id, fileIds);
+  return openCases
+    .filter(vehicleCase => vehicleCase.lookupId)
+    .map(vehicleCase => ({
+      op: 'allocate',
+      lookupId: vehicleCase.lookupId,
+      excelFileId: vehicleCase.excelFileId,
+      agentId: vehicleCase.assignedAgent,
+      registrationNumber: vehicleCase.registrationNumber,
+      chassisNumber: vehicleCase.chassisNumber,
+      seq: null
+    }));
+}
+
+// @desc    Delta sync: rows added/removed since a sync token (tombstones for removals),
+//          plus allocate/unallocate changes (field agents only get their own)
+// @route   GET /api/excel/vehicles/sync/delta?token=&limit=
+// @access  Private (All roles)
+router.get('/vehicles/sync/delta',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 1000, 2000);
+      const token = req.query.token !== undefined ? parseInt(req.query.token) : null;
+
+      // Files the user can sync right now (files still being ingested are announced once complete;
+      // files whose contents are being replaced keep syncing through their change records)
+      const accessibleFileIds = await getAccessibleFileIdsForUser(req.user);
+      const replacingFileIds = await ExcelImportJob.distinct('excelFileId', {
+        type: 'replace',
+        status: { $in: ['queued', 'running'] },
+        excelFileId: { $in: accessibleFileIds }
+      });
+      const syncableFiles = await ExcelFile.find({
+        _id: { $in: accessibleFileIds },
+        isActive: true,
+        $or: [
+          { status: { $ne: 'processing' } },
+          { _id: { $in: replacingFileIds } }
+        ]
+      }).select('_id').lean();
+      const currentFileIds = syncableFiles.map(file => file._id.toString());
+
+      const state = token !== null && !isNaN(token) ? await SyncState.findOne({ userId: req.user._id }).lean() : null;
+      const snapshot = state ? state.snapshots.find(s => s.token === token) : null;
+
+      // No token, or a token we no longer know: the client must download everything again
+      if (!snapshot) {
+        const newToken = await Counter.current(VEHICLE_CHANGE_COUNTER);
+        await saveSyncSnapshot(req.user._id, newToken, currentFileIds);
+        const allocations = await getCurrentAllocationEntries(req.user, currentFileIds);
+
+        return res.json({
+          success: true,
+          data: {
+            token: String(newToken),
+            resetRequired: true,
+            filesAdded: currentFileIds,
+            filesRemoved: [],
+            added: [],
+            removed: [],
+            allocations,
+            hasMore: false
+          },
+          message: token === null ? 'Sync token issued - download the listed files' : 'Sync token expired - full resync required'
+        });
+      }
+
+      const previousFileIds = snapshot.fileIds.map(id => id.toString());
+      const previousSet = new Set(previousFileIds);
+      const currentSet = new Set(currentFileIds);
+
+      // File-level changes: unshared / reassigned / deleted files become tombstones,
+      // newly accessible files must be downloaded in full via /vehicles/sync?fileIds=
+      const filesRemoved = previousFileIds.filter(id => !currentSet.has(id));
+      const filesAdded = currentFileIds.filter(id => !previousSet.has(id));
+
+      // Row-level changes in files the client already has, in sequence order
+      const changes = await VehicleChange.find({ seq: { $gt: token } })
+        .sort({ seq: 1 })
+        .limit(limit)
+        .lean();
+
+      // Stop at a gap that may still be written (seq reserved but not yet inserted)
+      const now = Date.now();
+      const settledChanges = [];
+      let expectedSeq = token + 1;
+      for (const change of changes) {
+        if (change.seq !== expectedSeq && now - new Date(change.createdAt).getTime() < SYNC_SETTLE_MS) {
+          break;
+        }
+        settledChanges.push(change);
+        expectedSeq = change.seq + 1;
+      }
+
+      const relevantChanges = settledChanges.filter(change => {
+        const fileId = change.excelFileId.toString();
+        return currentSet.has(fileId) && previousSet.has(fileId);
+      });
+
+      // Allocation changes in files the client has, plus the current allocations of newly added files
+      const allocations = [
+        ...relevantChanges
+          .filter(change => change.op === 'allocate' || change.op === 'unallocate')
+          .filter(change => req.user.role !== 'fieldAgent' || change.agentId?.toString() === req.user._id.toString())
+          .map(formatAllocationChange),
+        ...await getCurrentAllocationEntries(req.user, filesAdded)
+      ];
+
+      // Tombstones for removed rows
+      const removed = relevantChanges
+        .filter(change => change.op === 'remove')
+        .map(change => ({
+          lookupId: change.lookupId,
+          excelFileId: change.excelFileId,
+          registrationNumber: change.registrationNumber,
+          chassisNumber: change.chassisNumber,
+          seq: change.seq
+        }));
+
+      // Added rows with full (visibility-filtered) data; rows removed again are skipped
+      const addedLookupIds = relevantChanges
+        .filter(change => change.op === 'add')
+        .map(change => change.lookupId);
+      let added = [];
+      if (addedLookupIds.length > 0) {
+        const lookups = await VehicleLookup.find({ _id: { $in: addedLookupIds } })
+          .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+          .lean();
+        const vehicles = await loadSyncVehicles(lookups);
+        added = await shapeSyncVehicles(vehicles, req.user);
+      }
+
+      const newToken = settledChanges.length > 0 ? settledChanges[settledChanges.length - 1].seq : token;
+      await saveSyncSnapshot(req.user._id, newToken, currentFileIds);
+
+      console.log(`🔄 Delta sync for ${req.user._id}: token ${token} → ${newToken}, +${added.length} -${removed.length}, ${allocations.length} allocation changes, files +${filesAdded.length} -${filesRemoved.length}`);
+
+      res.json({
+        success: true,
+        data: {
+          token: String(newToken),
+          resetRequired: false,
+          filesAdded,
+          filesRemoved,
+          added,
+          removed,
+          allocations,
+          hasMore: settledChanges.length === limit
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error in delta sync:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve sync changes',
+        error: error.message
+      });
+    }
+  }
+);
+
 // @desc    Check if there are new files/data updates available for sync
 // @route   GET /api/excel/vehicles/sync/check-updates
 // @access  Private (All roles)
@@ -3640,25 +5838,193 @@ async function getExcelFileIdsForAuditor(auditorId) {
 }
 
 
+// Accessible file IDs for any role (super admins see every active file)
+async function getAccessibleFileIdsForUser(user) {
+  if (user.role === 'admin') {
+    return getExcelFileIdsForAdmin(user._id);
+  }
+  if (user.role === 'fieldAgent') {
+    return getExcelFileIdsForFieldAgent(user._id);
+  }
+  if (user.role === 'auditor') {
+    return getExcelFileIdsForAuditor(user._id);
+  }
+  if (user.role === 'superAdmin' || user.role === 'superSuperAdmin') {
+    const cacheKey = `super_admin_files`;
+    const cached = searchCache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+      return cached.data;
+    }
+    const allFiles = await ExcelFile.find({ isActive: true }).select('_id').lean();
+    const fileIds = allFiles.map(file => file._id);
+    searchCache.set(cacheKey, {
+      data: fileIds,
+      timestamp: Date.now()
+    });
+    return fileIds;
+  }
+  return [];
+}
+
+// Columns shown to users who may not see a file's full details (see GET /vehicles/:id/details)
+const EXPORT_BASE_FIELDS = ['registration_number', 'chasis_number', 'engine_number', 'customer_name', 'make'];
+
+// @desc    Export vehicles with full details as XLSX or CSV
+//          (search hits, whole files or a list of registration numbers)
+// @route   POST /api/excel/export
+// @access  Private (SuperSuperAdmin, SuperAdmin, Admin)
+router.post('/export',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
+  [
+    body('format').optional().isIn(EXPORT_FORMATS).withMessage(`format must be one of ${EXPORT_FORMATS.join(', ')}`),
+    body('search').optional({ nullable: true }).isString().trim().isLength({ min: 3 }).withMessage('Search must be at least 3 characters'),
+    body('fileIds').optional({ nullable: true }).isArray({ max: 500 }).withMessage('fileIds must be an array of at most 500 IDs'),
+    body('fileIds.*').isMongoId().withMessage('Invalid file ID'),
+    body('registrationNumbers').optional({ nullable: true }).isArray({ max: 5000 }).withMessage('registrationNumbers must be an array of at most 5000 values'),
+    body().custom((value) => {
+      if (!value.search && !(value.fileIds && value.fileIds.length) && !(value.registrationNumbers && value.registrationNumbers.length)) {
+        throw new Error('Provide a search term, file IDs or registration numbers');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const { search, searchType, stateCode, lastFourDigits, fileIds, registrationNumbers } = req.body;
+      const format = req.body.format || 'xlsx';
+
+      // 🚨 SECURITY: only files the user can search
+      const accessibleFileIds = (await getAccessibleFileIdsForUser(req.user)).map(id => id.toString());
+      const targetFileIds = fileIds && fileIds.length > 0
+        ? fileIds.filter(id => accessibleFileIds.includes(id.toString()))
+        : accessibleFileIds;
+
+      if (targetFileIds.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No accessible files to export'
+        });
+      }
+
+      const conditions = [{ excelFileId: { $in: targetFileIds.map(id => new mongoose.Types.ObjectId(id)) } }];
+      if (registrationNumbers && registrationNumbers.length > 0) {
+        conditions.push({ registrationNumber: { $in: registrationNumbers.flatMap(storedVariants) } });
+      }
+      if (search) {
+        conditions.push(buildLookupSearchQuery({ searchTerm: search, searchType, stateCode, lastFourDigits }));
+      }
+      const exportQuery = conditions.length > 1 ? { $and: conditions } : conditions[0];
+
+      const total = await VehicleLookup.countDocuments(exportQuery);
+      if (total === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No vehicles match the export criteria'
+        });
+      }
+      if (total > EXPORT_ROW_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          message: `Export is limited to ${EXPORT_ROW_LIMIT.toLocaleString()} vehicles (${total.toLocaleString()} matched). Please narrow it down.`
+        });
+      }
+
+      const lookups = await VehicleLookup.find(exportQuery)
+        .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+        .sort({ excelFileId: 1, sheetName: 1, rowNumber: 1 })
+        .lean();
+
+      const excelFiles = await ExcelFile.find({
+        _id: { $in: [...new Set(lookups.map(lookup => lookup.excelFileId.toString()))] },
+        isActive: true
+      })
+        .select('_id originalName filename uploadedBy assignedTo assignedAdmins sharedAdmins filePath sheetNames maskingPolicy')
+        .populate('uploadedBy', 'name role')
+        .lean();
+
+      // Same filename and field masking as search, details and notifications
+      const files = new Map();
+      excelFiles.forEach(excelFile => {
+        const canSeeReal = canSeeRealFilename({ user: req.user, file: excelFile, userAdmin: null });
+        files.set(excelFile._id.toString(), {
+          excelFile,
+          fileName: getExcelFileWithVisibility({ user: req.user, file: excelFile, userAdmin: null }).originalName,
+          uploaderName: excelFile.uploadedBy?.name || null,
+          visibleFields: new Set(canSeeReal ? EXPECTED_HEADERS : EXPORT_BASE_FIELDS),
+          maskRow: (row) => maskVehicleFields({ user: req.user, file: excelFile, userAdmin: null, vehicle: row })
+        });
+      });
+
+      const rows = await buildExportRows({ lookups, files });
+      const { buffer, contentType, extension } = writeExportFile(rows, format);
+      const filename = `vehicles_export_${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+      console.log(`📤 ${req.user.name} exported ${rows.length} vehicles from ${files.size} files (${extension})`);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buffer);
+
+    } catch (error) {
+      console.error('Vehicle export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
 
-// @desc    Download Excel template
-// @route   GET /api/excel/template
+// @desc    Download Excel template (optionally using a mapping profile's header names)
+// @route   GET /api/excel/template?profileId=
 // @access  Private (SuperAdmin, Admin)
 router.get('/template',
   authenticateToken,
   authorizeRole('superSuperAdmin', 'superAdmin', 'admin'),
   async (req, res) => {
     try {
+      let templateHeaders = EXPECTED_HEADERS;
+      let templateFilename = 'vehicle_template.xlsx';
+
+      if (req.query.profileId) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.profileId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid mapping profile ID'
+          });
+        }
+        const [profile] = await ColumnMappingProfile.findAccessible(req.user, { _id: req.query.profileId });
+        if (!profile) {
+          return res.status(404).json({
+            success: false,
+            message: 'Mapping profile not found'
+          });
+        }
+        templateHeaders = buildTemplateHeaders(profile.mappings);
+        const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        templateFilename = `vehicle_template_${slug || 'profile'}.xlsx`;
+      }
+
       // Create template workbook
       const workbook = XLSX.utils.book_new();
-      const worksheet = XLSX.utils.aoa_to_sheet([EXPECTED_HEADERS]);
+      const worksheet = XLSX.utils.aoa_to_sheet([templateHeaders]);
       
       // Add sample row
-      const sampleRow = EXPECTED_HEADERS.map(() => 'Sample Data');
+      const sampleRow = templateHeaders.map(() => 'Sample Data');
       XLSX.utils.sheet_add_aoa(worksheet, [sampleRow], { origin: 'A2' });
 
       // Set column widths
-      const colWidths = EXPECTED_HEADERS.map(() => ({ width: 15 }));
+      const colWidths = templateHeaders.map(() => ({ width: 15 }));
       worksheet['!cols'] = colWidths;
 
       XLSX.utils.book_append_sheet(workbook, worksheet, 'Vehicle Data');
@@ -3667,7 +6033,7 @@ router.get('/template',
       const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', 'attachment; filename="vehicle_template.xlsx"');
+      res.setHeader('Content-Disposition', `attachment; filename="${templateFilename}"`);
       res.send(buffer);
 
     } catch (error) {
@@ -3732,35 +6098,46 @@ router.get('/vehicles/by-reg/:registrationNumber',
       })
       .lean();
 
-      if (lookup && isGCSConfigured()) {
+      if (lookup && isStorageConfigured()) {
         // LEVEL 4: Find ExcelFile that contains this vehicle by searching accessible files
 
         // Get accessible GCS files
         const accessibleFiles = await ExcelFile.find({ 
           _id: { $in: accessibleFileIds },
           isActive: true 
-        }).select('filePath').lean();
+        })
+          .select('filePath sheetNames uploadedBy assignedTo maskingPolicy')
+          .populate('uploadedBy', 'role')
+          .lean();
         
-        const accessibleGcsUrls = accessibleFiles
-          .map(file => file.filePath)
-          .filter(url => url && (url.includes('storage.googleapis.com') || url.includes('gcs')));
+        const accessibleGcsFiles = accessibleFiles
+          .filter(file => isStoredFile(file.filePath));
+
+        const userAdmin = req.user.role === 'auditor' && req.user.createdBy
+          ? await User.findById(req.user.createdBy).select('_id role').lean()
+          : null;
 
         // Search accessible files for matching vehicle
-        for (const gcsFileUrl of accessibleGcsUrls) {
+        for (const file of accessibleGcsFiles) {
           try {
             // Search Excel file for this registration number
-            const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, [lookup]);
+            const vehicleDataArray = await searchVehiclesInExcel(file.filePath, [lookup], { sheetNames: file.sheetNames });
             if (vehicleDataArray && vehicleDataArray[0]) {
               const vehicleData = vehicleDataArray[0];
-              vehicle = {
-                registration_number: vehicleData.registration_number || lookup.registrationNumber,
-                make: vehicleData.make || '',
-                model: vehicleData.model || '',
-                bank: vehicleData.bank || '',
-                customer_name: vehicleData.customer_name || '',
-                loan_number: vehicleData.loan_number || '',
-                status: vehicleData.status || ''
-              };
+              vehicle = maskVehicleFields({
+                user: req.user,
+                file,
+                userAdmin,
+                vehicle: {
+                  registration_number: vehicleData.registration_number || lookup.registrationNumber,
+                  make: vehicleData.make || '',
+                  model: vehicleData.model || '',
+                  bank: vehicleData.bank || '',
+                  customer_name: vehicleData.customer_name || '',
+                  loan_number: vehicleData.loan_number || '',
+                  status: vehicleData.status || ''
+                }
+              });
               break; // Found it, stop searching
             }
           } catch (error) {
@@ -3794,7 +6171,8 @@ router.get('/vehicles/by-reg/:registrationNumber',
           bank: vehicle.bank || '',
           customer_name: vehicle.customer_name || '',
           loan_number: vehicle.loan_number || '',
-          status: vehicle.status || ''
+          status: vehicle.status || '',
+          ...(vehicle.maskedFields && { maskedFields: vehicle.maskedFields })
         }
       });
 
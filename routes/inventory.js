@@ -1,4 +1,8 @@
 const express = require('express');
+const multer = require('multer');
+const archiver = require('archiver');
+const path = require('path');
+const fs = require('fs');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
 const Inventory = require('../models/Inventory');
 const User = require('../models/User');
@@ -6,13 +10,314 @@ const User = require('../models/User');
 const VehicleLookup = require('../models/VehicleLookup');
 const ExcelFile = require('../models/ExcelFile');
 const { searchVehiclesInExcel } = require('../services/excelCacheService');
-const puppeteer = require('puppeteer');
+const { isStoredFile, storeUploadedFile, getUploadedFileBuffer, getUploadedFileLink } = require('../services/storageService');
+const { updateCaseStatus } = require('../services/vehicleCaseService');
+const { canTransition, transitionInventory, withParkingCharges } = require('../services/inventoryLifecycleService');
+const { normalizeSignatures, getSignatureError, computeContentHash, addSignatures } = require('../services/inventorySignatureService');
+const { findInventoryTemplate, renderInventoryTemplate } = require('../services/inventoryTemplateService');
+const { renderPdf, isPdfBusyError, mergePdfs } = require('../services/pdfRenderService');
+const { getPhotoTakenAt } = require('../utils/exifTimestamp');
 
 
 const router = express.Router();
 
+// Configure multer for documents attached to lifecycle transitions (yard receipts, release orders...)
+const documentStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = path.join(__dirname, '..', 'uploads', 'inventory-documents');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'inventory-document-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const documentUpload = multer({
+  storage: documentStorage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image and PDF files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 5
+  }
+});
+
+// Configure multer for seizure photos: one form field per category (odometer, front, rear, ...)
+const photoStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = path.join(__dirname, '..', 'uploads', 'inventory-photos');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'inventory-photo-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const photoUpload = multer({
+  storage: photoStorage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 20,
+    fieldSize: 4 * 1024 * 1024 // signatures field: JSON with image data URIs
+  }
+}).fields(Inventory.PHOTO_CATEGORIES.map(category => ({ name: category, maxCount: 5 })));
+
+const MAX_PHOTOS_PER_INVENTORY = 40;
+const EXIF_HEADER_BYTES = 128 * 1024; // EXIF sits in the first (at most 64KB) segment of a JPEG
+const PHOTO_ANNEX_LIMIT = 24;
+
+const PHOTO_LABELS = {
+  odometer: 'Odometer',
+  front: 'Front',
+  rear: 'Rear',
+  left: 'Left Side',
+  right: 'Right Side',
+  keys: 'Keys',
+  rcBook: 'RC Book',
+  other: 'Other'
+};
+
+// Multer files of a request, from .array() or .fields()
+const uploadedFiles = (req) => (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+// Read the EXIF capture time from the start of a multer temp file
+async function readPhotoTakenAt(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(EXIF_HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, EXIF_HEADER_BYTES, 0);
+    return getPhotoTakenAt(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+// Store the uploaded photos (files are kept as taken, EXIF included) and build their records
+async function storeInventoryPhotos(req) {
+  const photos = [];
+  for (const category of Inventory.PHOTO_CATEGORIES) {
+    for (const file of req.files?.[category] || []) {
+      const exif = await readPhotoTakenAt(file.path);
+      photos.push({
+        category,
+        fileUrl: await storeUploadedFile(file, 'inventory-photos'),
+        originalName: file.originalname,
+        takenAt: exif?.takenAt || null,
+        exifDateTime: exif?.exifDateTime || null,
+        uploadedBy: req.user._id
+      });
+    }
+  }
+  return photos;
+}
+
+// Photos embedded in the PDF annex as data URIs (missing files are skipped)
+async function loadPhotoAnnex(inventory) {
+  const annex = [];
+  for (const photo of (inventory.photos || []).slice(0, PHOTO_ANNEX_LIMIT)) {
+    try {
+      const buffer = await getUploadedFileBuffer(photo.fileUrl);
+      const extension = path.extname(photo.fileUrl).slice(1).toLowerCase();
+      const mimeType = extension === 'jpg' ? 'image/jpeg' : `image/${extension || 'jpeg'}`;
+      annex.push({
+        label: PHOTO_LABELS[photo.category] || photo.category,
+        takenAt: photo.takenAt,
+        src: `data:${mimeType};base64,${buffer.toString('base64')}`
+      });
+    } catch (error) {
+      console.error(`Error loading inventory photo ${photo.fileUrl}:`, error.message);
+    }
+  }
+  return annex;
+}
+
+const SIGNER_LABELS = {
+  driver: 'Driver',
+  fieldAgent: 'Agent',
+  witness: 'Witness'
+};
+
+// Signatures embedded in the PDF as data URIs, by role (missing files are skipped)
+async function loadSignatureImages(inventory) {
+  const images = {};
+  for (const signature of inventory.signatures || []) {
+    try {
+      const buffer = await getUploadedFileBuffer(signature.imageUrl);
+      const extension = path.extname(signature.imageUrl).slice(1).toLowerCase();
+      const mimeType = { svg: 'image/svg+xml', png: 'image/png' }[extension] || 'image/jpeg';
+      images[signature.role] = {
+        name: signature.name,
+        signedAt: signature.signedAt,
+        latitude: signature.latitude,
+        longitude: signature.longitude,
+        src: `data:${mimeType};base64,${buffer.toString('base64')}`
+      };
+    } catch (error) {
+      console.error(`Error loading inventory signature ${signature.imageUrl}:`, error.message);
+    }
+  }
+  return images;
+}
+
+// Photos, signatures and content hash printed on an inventory's PDF
+async function loadPdfOptions(inventory, { includePhotos = true } = {}) {
+  return {
+    photos: includePhotos ? await loadPhotoAnnex(inventory) : [],
+    signatures: await loadSignatureImages(inventory),
+    contentHash: computeContentHash(inventory)
+  };
+}
+
+// PDF HTML of an inventory: the admin's template for its lender or their default template,
+// else the built-in layout (also when a template fails to render)
+async function renderInventoryHTML(inventory, options) {
+  try {
+    const { template, lender } = await findInventoryTemplate(inventory);
+    if (template) {
+      return await renderInventoryTemplate(template, inventory, { ...options, lenderName: lender?.name });
+    }
+  } catch (error) {
+    console.error(`Error rendering PDF template for inventory ${inventory.inventoryNumber}, using the default layout:`, error);
+  }
+  return generateInventoryHTML(inventory, options);
+}
+
+// Inventory as returned by the API: running parking charges, and photo, signature and
+// stage document links the browser can open (signed URLs when storage is remote)
+async function toInventoryResponse(inventory) {
+  const data = withParkingCharges(inventory);
+  const withLink = async (file) => ({ ...file, fileUrl: await getUploadedFileLink(file.fileUrl) });
+
+  if (data.signatures) {
+    data.signatures = await Promise.all(data.signatures.map(async signature => ({
+      ...signature,
+      imageUrl: await getUploadedFileLink(signature.imageUrl)
+    })));
+  }
+  if (data.photos) {
+    data.photos = await Promise.all(data.photos.map(withLink));
+  }
+  if (data.history) {
+    data.history = await Promise.all(data.history.map(async change => ({
+      ...change,
+      documents: await Promise.all((change.documents || []).map(withLink))
+    })));
+  }
+  return data;
+}
+
+// Lifecycle filter of the inventory lists: ?stage=in-yard, ?archived=true for archived records
+function getLifecycleFilter(query) {
+  const filter = { archivedAt: query.archived === 'true' ? { $ne: null } : null };
+  if (query.stage && Inventory.STAGES.includes(query.stage)) {
+    filter.stage = query.stage === 'seized' ? { $in: ['seized', null] } : query.stage;
+  }
+  return filter;
+}
+
+// Stage changes: field agents on their own inventories, admins on their agents' inventories
+function canManageInventory(user, inventory) {
+  if (user.role === 'fieldAgent') {
+    return inventory.fieldAgentId.toString() === user._id.toString();
+  }
+  return user.role === 'admin' && inventory.adminId.toString() === user._id.toString();
+}
+
+// Remove multer temp files of a request that is rejected
+function discardUploads(req) {
+  uploadedFiles(req).forEach(file => {
+    fs.unlink(file.path, (error) => {
+      if (error) console.error('Error deleting rejected upload:', error);
+    });
+  });
+}
+
+const BULK_PDF_LIMIT = 25; // Inventories merged into one PDF
+const BULK_ZIP_LIMIT = 200; // Inventories in one ZIP of PDFs
+
+// Resolve once emitter fires event; reject on its error or close events or when the download is cancelled
+function waitFor(emitter, event, signal) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      emitter.removeListener(event, onEvent);
+      emitter.removeListener('error', onError);
+      emitter.removeListener('close', onClose);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onEvent = (value) => {
+      cleanup();
+      resolve(value);
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onClose = () => onError(new Error('Download closed'));
+    const onAbort = () => onError(new Error('Download cancelled'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    emitter.once(event, onEvent);
+    emitter.once('error', onError);
+    emitter.once('close', onClose);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Add a file to a ZIP piped to output and wait until the archive has taken it and
+// the output has caught up, so only about one PDF is held in memory at a time
+async function appendToArchive(archive, output, data, name, signal) {
+  const added = waitFor(archive, 'entry', signal);
+  archive.append(data, { name, date: new Date() });
+  await added;
+  while (output.writableNeedDrain) {
+    await waitFor(output, 'drain', signal);
+  }
+}
+
+// Inventories a user may download: their own (field agent), their agents' (admin)
+// or their admin's agents' (auditor)
+async function getDownloadScope(user) {
+  if (user.role === 'fieldAgent') {
+    return { fieldAgentId: user._id };
+  }
+  if (user.role === 'admin') {
+    return { adminId: user._id };
+  }
+  const auditor = await User.findById(user._id).select('createdBy').lean();
+  return auditor?.createdBy ? { adminId: auditor.createdBy } : null;
+}
+
+const toAmount = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
 // Helper function to generate HTML template for inventory PDF
-function generateInventoryHTML(inventory) {
+// options.photos: [{ label, takenAt, src }] rendered as a photo annex (see loadPhotoAnnex)
+// options.signatures: { role: { name, signedAt, latitude, longitude, src } } (see loadSignatureImages)
+// options.contentHash: current content hash, printed in the footer
+function generateInventoryHTML(inventory, options = {}) {
+  const photos = options.photos || [];
+  const signatures = options.signatures || {};
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     try {
@@ -26,12 +331,47 @@ function generateInventoryHTML(inventory) {
     }
   };
 
+  const formatDateTime = (dateString) => {
+    try {
+      return new Date(dateString).toLocaleString('en-IN', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    } catch (error) {
+      return 'N/A';
+    }
+  };
+
   // Sanitize all inventory data to prevent HTML injection and handle undefined values
   const safeValue = (value) => {
     if (value === null || value === undefined || value === '') return 'N/A';
     return String(value).replace(/[<>]/g, ''); // Basic HTML sanitization
   };
 
+  // A signature box: the captured signature with who, when and where, or an empty space
+  const signatureBox = (role, label, placeholder) => {
+    const signature = signatures[role];
+    if (!signature) {
+      return `
+            <div class="signature-box">
+              <div class="signature-space">${placeholder}</div>
+              <div class="signature-line"></div>
+              <div class="signature-label">${label}</div>
+            </div>`;
+    }
+    return `
+            <div class="signature-box">
+              <img class="signature-image" src="${signature.src}" alt="${label}">
+              <div class="signature-line"></div>
+              <div class="signature-label">${label}</div>
+              <div class="signature-details">${safeValue(signature.name)}</div>
+              <div class="signature-details">${formatDateTime(signature.signedAt)} | ${signature.latitude.toFixed(5)}, ${signature.longitude.toFixed(5)}</div>
+            </div>`;
+  };
+
     return `
     <!DOCTYPE html>
     <html>
@@ -151,6 +491,51 @@ function generateInventoryHTML(inventory) {
             color: #333;
             text-transform: uppercase;
           }
+          .signature-image {
+            width: 100%;
+            height: 60px;
+            object-fit: contain;
+            margin-bottom: 8px;
+          }
+          .signature-details {
+            font-size: 10px;
+            color: #555;
+            margin-top: 2px;
+          }
+          .content-hash {
+            font-size: 10px;
+            word-break: break-all;
+          }
+          .content-hash-warning {
+            color: #b91c1c;
+            font-weight: bold;
+          }
+          .photo-annex {
+            page-break-before: always;
+          }
+          .photo-grid {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+          }
+          .photo-item {
+            width: calc(50% - 4px);
+            page-break-inside: avoid;
+            border: 1px solid #ddd;
+            padding: 4px;
+            box-sizing: border-box;
+          }
+          .photo-item img {
+            width: 100%;
+            height: 300px;
+            object-fit: contain;
+            background-color: #fafafa;
+          }
+          .photo-caption {
+            font-size: 12px;
+            color: #333;
+            margin-top: 3px;
+          }
         @media print {
           body { margin: 0; }
         }
@@ -326,27 +711,40 @@ function generateInventoryHTML(inventory) {
 
                            <div class="signature-section">
           <div class="signature-row">
-            <div class="signature-box">
-              <div class="signature-space">Signature Space</div>
-              <div class="signature-line"></div>
-              <div class="signature-label">Driver Sign</div>
-            </div>
+            ${signatureBox('driver', 'Driver Sign', 'Signature Space')}
             <div class="signature-box">
               <div class="signature-space">Signature & Stamp Space</div>
               <div class="signature-line"></div>
               <div class="signature-label">Yard Sign & Stamp</div>
             </div>
-            <div class="signature-box">
-              <div class="signature-space">Signature & Stamp Space</div>
-              <div class="signature-line"></div>
-              <div class="signature-label">Agent Sign & Stamp</div>
-            </div>
+            ${signatureBox('fieldAgent', 'Agent Sign & Stamp', 'Signature & Stamp Space')}
+            ${signatures.witness ? signatureBox('witness', 'Witness Sign', 'Signature Space') : ''}
           </div>
         </div>
 
        <div class="footer">
          <p>Generated by: ${safeValue(inventory.fieldAgentName)} | Inventory #${safeValue(inventory.inventoryNumber)}</p>
+         ${options.contentHash ? `
+         <p class="content-hash">Content hash (SHA-256): ${options.contentHash}</p>
+         ${inventory.signedContentHash && inventory.signedContentHash !== options.contentHash ? `
+         <p class="content-hash content-hash-warning">Record changed after signing (signed hash: ${inventory.signedContentHash})</p>
+         ` : ''}
+         ` : ''}
        </div>
+
+      ${photos.length > 0 ? `
+      <div class="photo-annex">
+        <div class="section-title">Annexure: Vehicle Photos</div>
+        <div class="photo-grid">
+          ${photos.map(photo => `
+          <div class="photo-item">
+            <img src="${photo.src}" alt="${safeValue(photo.label)}">
+            <div class="photo-caption"><strong>${safeValue(photo.label)}</strong> | Taken: ${photo.takenAt ? formatDateTime(photo.takenAt) : 'N/A'}</div>
+          </div>
+          `).join('')}
+        </div>
+      </div>
+      ` : ''}
     </body>
     </html>
   `;
@@ -356,7 +754,8 @@ function generateInventoryHTML(inventory) {
 router.get('/field-agent', authenticateToken, authorizeRole('fieldAgent'), async (req, res) => {
   try {
     const inventories = await Inventory.find({ 
-      fieldAgentId: req.user._id 
+      fieldAgentId: req.user._id,
+      ...getLifecycleFilter(req.query)
     })
     // Note: vehicleId references VehicleLookup, but all vehicle data is stored directly in Inventory
     // Populate is optional since we already have registrationNumber, customerName, make, etc. stored
@@ -365,7 +764,7 @@ router.get('/field-agent', authenticateToken, authorizeRole('fieldAgent'), async
     
     res.json({
       success: true,
-      data: inventories
+      data: await Promise.all(inventories.map(toInventoryResponse))
     });
   } catch (error) {
     console.error('Error fetching field agent inventories:', error);
@@ -388,7 +787,8 @@ router.get('/admin', authenticateToken, authorizeRole('admin'), async (req, res)
     const fieldAgentIds = fieldAgents.map(agent => agent._id);
     
     const inventories = await Inventory.find({ 
-      fieldAgentId: { $in: fieldAgentIds }
+      fieldAgentId: { $in: fieldAgentIds },
+      ...getLifecycleFilter(req.query)
     })
     // Note: vehicleId references VehicleLookup, but all vehicle data is stored directly in Inventory
     // Populate is optional since we already have registrationNumber, customerName, make, etc. stored
@@ -398,7 +798,7 @@ router.get('/admin', authenticateToken, authorizeRole('admin'), async (req, res)
     
     res.json({
       success: true,
-      data: inventories
+      data: await Promise.all(inventories.map(toInventoryResponse))
     });
   } catch (error) {
     console.error('Error fetching admin inventories:', error);
@@ -431,7 +831,8 @@ router.get('/auditor', authenticateToken, authorizeRole('auditor'), async (req,
     const fieldAgentIds = fieldAgents.map(agent => agent._id);
     
     const inventories = await Inventory.find({ 
-      fieldAgentId: { $in: fieldAgentIds }
+      fieldAgentId: { $in: fieldAgentIds },
+      ...getLifecycleFilter(req.query)
     })
     // Note: vehicleId references VehicleLookup, but all vehicle data is stored directly in Inventory
     // Populate is optional since we already have registrationNumber, customerName, make, etc. stored
@@ -442,7 +843,7 @@ router.get('/auditor', authenticateToken, authorizeRole('auditor'), async (req,
     
     res.json({
       success: true,
-      data: inventories
+      data: await Promise.all(inventories.map(toInventoryResponse))
     });
   } catch (error) {
     console.error('Error fetching auditor inventories:', error);
@@ -454,7 +855,7 @@ router.get('/auditor', authenticateToken, authorizeRole('auditor'), async (req,
 });
 
 // Create new inventory (field agent only)
-router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res) => {
+router.post('/', authenticateToken, authorizeRole('fieldAgent'), photoUpload, async (req, res) => {
   try {
     const {
       vehicleId,
@@ -488,17 +889,30 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
 
     // Validate required fields
     if (!vehicleId || !driverName || !driverNumber) {
+      discardUploads(req);
       return res.status(400).json({
         success: false,
         message: 'Vehicle ID, driver name, and driver number are required'
       });
     }
 
+    // Signatures captured with the form (optional, JSON string in multipart requests)
+    const signatures = req.body.signatures ? normalizeSignatures(req.body.signatures) : [];
+    const signatureError = signatures ? getSignatureError({ signatures: [] }, signatures, req.user) : 'Invalid signatures';
+    if (signatureError) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: signatureError
+      });
+    }
+
     // ✅ PRODUCTION: Get vehicle data from VehicleLookup + GCS
     const mongoose = require('mongoose');
     
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      discardUploads(req);
       return res.status(400).json({
         success: false,
         message: 'Invalid vehicle ID'
@@ -508,6 +922,7 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
     // Find the lookup
     const lookup = await VehicleLookup.findById(vehicleId).lean();
     if (!lookup) {
+      discardUploads(req);
       return res.status(404).json({
         success: false,
         message: 'Vehicle not found'
@@ -516,30 +931,33 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
 
     // Get Excel file to access GCS URL
     const excelFile = await ExcelFile.findById(lookup.excelFileId)
-      .select('filePath')
+      .select('filePath sheetNames mappingProfile')
       .lean();
 
     if (!excelFile || !excelFile.filePath) {
+      discardUploads(req);
       return res.status(404).json({
         success: false,
         message: 'Vehicle data file not found'
       });
     }
 
-    // Check if GCS is configured
+    // Check the workbook is in file storage
     const gcsFileUrl = excelFile.filePath;
-    if (!gcsFileUrl || (!gcsFileUrl.includes('storage.googleapis.com') && !gcsFileUrl.includes('gcs'))) {
+    if (!isStoredFile(gcsFileUrl)) {
+      discardUploads(req);
       return res.status(404).json({
         success: false,
-        message: 'Vehicle data not available (GCS not configured)'
+        message: 'Vehicle data not available (file storage not configured)'
       });
     }
 
     // Fetch vehicle data from GCS (ONE file, ONE row)
-    const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, [lookup]);
+    const vehicleDataArray = await searchVehiclesInExcel(gcsFileUrl, [lookup], { sheetNames: excelFile.sheetNames });
     const vehicleData = vehicleDataArray[0];
 
     if (!vehicleData) {
+      discardUploads(req);
       return res.status(404).json({
         success: false,
         message: 'Vehicle details not found in Excel file'
@@ -552,6 +970,7 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
     // Get field agent's admin
     const fieldAgent = await User.findById(req.user._id).populate('createdBy');
     if (!fieldAgent || !fieldAgent.createdBy) {
+      discardUploads(req);
       return res.status(404).json({
         success: false,
         message: 'Field agent not associated with any admin'
@@ -560,6 +979,9 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
 
     // Allow multiple inventories for the same vehicle (removed duplicate check)
 
+    // Seizure photos (multipart requests only)
+    const photos = await storeInventoryPhotos(req);
+
     const newInventory = new Inventory({
       vehicleId,
       registrationNumber: vehicle.registration_number || 'N/A',
@@ -567,6 +989,7 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
       make: vehicle.make || 'N/A',
       chasisNumber: vehicle.chasis_number || 'N/A',
       engineNumber: vehicle.engine_number || 'N/A',
+      lenderProfile: excelFile.mappingProfile || null,
       fieldAgentId: req.user._id,
       fieldAgentName: req.user.name,
               fieldAgentPhone: req.user.phone, // Using actual phone number
@@ -597,14 +1020,46 @@ router.post('/', authenticateToken, authorizeRole('fieldAgent'), async (req, res
       battery: battery || undefined,
       seatCovers: seatCovers || undefined,
       wiper: wiper || undefined,
-      otherSpecificItems: otherSpecificItems || undefined
+      otherSpecificItems: otherSpecificItems || undefined,
+      photos,
+      history: [{
+        stage: 'seized',
+        changedBy: req.user._id,
+        changedByName: req.user.name
+      }]
     });
 
     await newInventory.save();
 
+    // Signatures are stored once the inventory number exists, as it is part of the signed content
+    let signatureWarning = null;
+    if (signatures.length > 0) {
+      try {
+        await addSignatures({ inventory: newInventory, signatures, user: req.user });
+      } catch (signatureSaveError) {
+        console.error('Error saving inventory signatures:', signatureSaveError);
+        signatureWarning = 'Inventory created, but the signatures could not be saved. Please add them again.';
+      }
+    }
+
+    // Close the vehicle's recovery case (the inventory is saved either way)
+    try {
+      await updateCaseStatus({
+        lookup,
+        status: 'recovered',
+        user: req.user,
+        agent: { _id: req.user._id, name: req.user.name },
+        note: `Inventory ${newInventory.inventoryNumber}`,
+        inventoryId: newInventory._id,
+        force: true
+      });
+    } catch (caseError) {
+      console.error('Error marking vehicle case as recovered:', caseError);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Inventory created successfully',
+      message: signatureWarning || 'Inventory created successfully',
       data: newInventory
     });
   } catch (error) {
@@ -661,7 +1116,7 @@ router.get('/:id', authenticateToken, authorizeRole('fieldAgent', 'admin', 'audi
 
     res.json({
       success: true,
-      data: inventory
+      data: await toInventoryResponse(inventory)
     });
   } catch (error) {
     console.error('Error fetching inventory:', error);
@@ -672,6 +1127,386 @@ router.get('/:id', authenticateToken, authorizeRole('fieldAgent', 'admin', 'audi
   }
 });
 
+// Move an inventory to its next lifecycle stage (yard intake, release, auction, handover)
+// multipart/form-data: stage, note, stage fields and up to 5 documents
+router.post('/:id/stage', authenticateToken, authorizeRole('fieldAgent', 'admin'), documentUpload.array('documents', 5), async (req, res) => {
+  try {
+    const { stage, note } = req.body;
+    const requiredFields = {
+      released: ['releasedTo', 'Released to is required'],
+      auction: ['auctionDate', 'Auction date is required'],
+      'handed-over': ['handedOverTo', 'Handed over to is required']
+    };
+    const auctionDate = req.body.auctionDate ? new Date(req.body.auctionDate) : undefined;
+
+    let validationMessage = null;
+    if (!Inventory.STAGES.includes(stage)) {
+      validationMessage = 'Invalid stage';
+    } else if (requiredFields[stage] && !req.body[requiredFields[stage][0]]) {
+      validationMessage = requiredFields[stage][1];
+    } else if (['settlementAmount', 'reservePrice', 'saleAmount'].some(field => toAmount(req.body[field]) !== undefined && !(toAmount(req.body[field]) >= 0))) {
+      validationMessage = 'Amounts must be positive numbers';
+    } else if (auctionDate && isNaN(auctionDate.getTime())) {
+      validationMessage = 'Invalid auction date';
+    }
+    if (validationMessage) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: validationMessage
+      });
+    }
+
+    const mongoose = require('mongoose');
+    const inventory = mongoose.Types.ObjectId.isValid(req.params.id) ? await Inventory.findById(req.params.id) : null;
+    if (!inventory) {
+      discardUploads(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory not found'
+      });
+    }
+
+    if (!canManageInventory(req.user, inventory)) {
+      discardUploads(req);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!canTransition(req.user, inventory, stage)) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move inventory from ${inventory.stage || 'seized'} to ${stage}`
+      });
+    }
+
+    const documents = [];
+    for (const file of req.files || []) {
+      documents.push({
+        name: file.originalname,
+        fileUrl: await storeUploadedFile(file, 'inventory-documents')
+      });
+    }
+
+    const updatedInventory = await transitionInventory({
+      inventory,
+      stage,
+      user: req.user,
+      note: note || null,
+      documents,
+      details: {
+        parkingYardName: req.body.parkingYardName,
+        parkingExpensesPerDay: req.body.parkingExpensesPerDay,
+        releasedTo: req.body.releasedTo,
+        settlementAmount: toAmount(req.body.settlementAmount),
+        receiptNumber: req.body.receiptNumber,
+        auctionDate,
+        auctioneer: req.body.auctioneer,
+        reservePrice: toAmount(req.body.reservePrice),
+        saleAmount: toAmount(req.body.saleAmount),
+        buyerName: req.body.buyerName,
+        handedOverTo: req.body.handedOverTo,
+        bankName: req.body.bankName
+      }
+    });
+
+    console.log(`🚚 Inventory ${updatedInventory.inventoryNumber} moved to ${stage} by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: 'Inventory stage updated successfully',
+      data: await toInventoryResponse(updatedInventory)
+    });
+  } catch (error) {
+    console.error('Error updating inventory stage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add seizure photos to an inventory (field agent who seized it, or their admin)
+// multipart/form-data: one field per category (odometer, front, rear, left, right, keys, rcBook, other)
+router.post('/:id/photos', authenticateToken, authorizeRole('fieldAgent', 'admin'), photoUpload, async (req, res) => {
+  try {
+    const files = uploadedFiles(req);
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No photos uploaded'
+      });
+    }
+
+    const mongoose = require('mongoose');
+    const inventory = mongoose.Types.ObjectId.isValid(req.params.id) ? await Inventory.findById(req.params.id) : null;
+    if (!inventory) {
+      discardUploads(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory not found'
+      });
+    }
+
+    if (!canManageInventory(req.user, inventory)) {
+      discardUploads(req);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (inventory.photos.length + files.length > MAX_PHOTOS_PER_INVENTORY) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: `An inventory can have at most ${MAX_PHOTOS_PER_INVENTORY} photos`
+      });
+    }
+
+    const photos = await storeInventoryPhotos(req);
+    inventory.photos.push(...photos);
+    await inventory.save();
+
+    console.log(`📷 ${photos.length} photo(s) added to inventory ${inventory.inventoryNumber} by ${req.user.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${photos.length} photo(s) added successfully`,
+      data: await toInventoryResponse(inventory)
+    });
+  } catch (error) {
+    console.error('Error adding inventory photos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add signatures to an inventory (field agent who seized it, or their admin)
+// Body: { signatures: [{ role: driver | fieldAgent | witness, name, image | strokes, signedAt, latitude, longitude, accuracy }] }
+router.post('/:id/signatures', authenticateToken, authorizeRole('fieldAgent', 'admin'), async (req, res) => {
+  try {
+    const signatures = normalizeSignatures(req.body.signatures);
+    if (!signatures) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid signatures'
+      });
+    }
+
+    const mongoose = require('mongoose');
+    const inventory = mongoose.Types.ObjectId.isValid(req.params.id) ? await Inventory.findById(req.params.id) : null;
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory not found'
+      });
+    }
+
+    if (!canManageInventory(req.user, inventory)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const signatureError = getSignatureError(inventory, signatures, req.user);
+    if (signatureError) {
+      return res.status(400).json({
+        success: false,
+        message: signatureError
+      });
+    }
+
+    await addSignatures({ inventory, signatures, user: req.user });
+
+    console.log(`✍️ ${signatures.map(signature => signature.role).join(', ')} signed inventory ${inventory.inventoryNumber} (captured by ${req.user.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Signatures added successfully',
+      data: await toInventoryResponse(inventory)
+    });
+  } catch (error) {
+    console.error('Error adding inventory signatures:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download many inventories as one merged PDF or a ZIP of PDFs (month-end submission to banks)
+// Body: { format: pdf | zip, inventoryIds: [...] or from / to (seizure dates), stage, includePhotos }
+router.post('/bulk-download', authenticateToken, authorizeRole('fieldAgent', 'admin', 'auditor'), async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { format, inventoryIds, from, to, stage } = req.body;
+    // Photo annexes are opt-in for the merged PDF, which is held in memory as a whole
+    const includePhotos = req.body.includePhotos === undefined
+      ? format === 'zip'
+      : req.body.includePhotos === true || req.body.includePhotos === 'true';
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    let validationMessage = null;
+    if (!['pdf', 'zip'].includes(format)) {
+      validationMessage = 'Format must be pdf or zip';
+    } else if (inventoryIds !== undefined && (!Array.isArray(inventoryIds) || inventoryIds.length === 0 || !inventoryIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      validationMessage = 'inventoryIds must be a list of inventory IDs';
+    } else if (inventoryIds === undefined && (!fromDate || !toDate)) {
+      validationMessage = 'Select inventories or a date range';
+    } else if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime())) || (fromDate && toDate && fromDate > toDate)) {
+      validationMessage = 'Invalid date range';
+    } else if (stage && !Inventory.STAGES.includes(stage)) {
+      validationMessage = 'Invalid stage';
+    }
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage
+      });
+    }
+
+    const scope = await getDownloadScope(req.user);
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const filter = { ...scope };
+    if (inventoryIds) {
+      filter._id = { $in: inventoryIds };
+    } else {
+      // The whole "to" day is included
+      filter.seizureDate = { $gte: fromDate, $lt: new Date(toDate.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    if (stage) {
+      filter.stage = stage === 'seized' ? { $in: ['seized', null] } : stage;
+    }
+
+    const limit = format === 'pdf' ? BULK_PDF_LIMIT : BULK_ZIP_LIMIT;
+    const count = await Inventory.countDocuments(filter);
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No inventories found'
+      });
+    }
+    if (count > limit) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${limit} inventories can be downloaded as ${format === 'pdf' ? 'one PDF' : 'a ZIP'} (${count} selected); narrow the selection`
+      });
+    }
+
+    // Stop rendering (and give pool pages back) when the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
+    const { signal } = abortController;
+
+    const inventories = await Inventory.find(filter)
+      .populate('vehicleId', 'registrationNumber chassisNumber')
+      .populate('fieldAgentId', 'name email')
+      .populate('adminId', 'name')
+      .sort({ seizureDate: 1, inventoryNumber: 1 });
+    const dateLabel = new Date().toISOString().slice(0, 10);
+    console.log(`📚 Bulk ${format.toUpperCase()} of ${inventories.length} inventories requested by ${req.user.name}`);
+
+    if (format === 'pdf') {
+      // Each inventory is rendered on its own page of the pool, then the PDFs are joined
+      let pdfBuffer;
+      try {
+        const pdfs = [];
+        for (const inventory of inventories) {
+          const html = await renderInventoryHTML(inventory, await loadPdfOptions(inventory, { includePhotos }));
+          pdfs.push(await renderPdf(html, { signal }));
+        }
+        pdfBuffer = await mergePdfs(pdfs);
+      } catch (pdfError) {
+        if (signal.aborted) {
+          console.log('Bulk PDF download cancelled by the client');
+          return;
+        }
+        console.error('Bulk PDF generation error:', pdfError);
+        return res.status(isPdfBusyError(pdfError) ? 503 : 500).json({
+          success: false,
+          message: isPdfBusyError(pdfError) ? pdfError.message : 'PDF generation failed'
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="inventories-${dateLabel}.pdf"`);
+      res.setHeader('Content-Length', pdfBuffer.length.toString());
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.end(pdfBuffer);
+    }
+
+    // ZIP: PDFs are rendered one at a time and streamed; failures are listed in errors.txt
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="inventories-${dateLabel}.zip"`);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    // PDFs are already compressed: store them (archiver switches to ZIP64 when needed)
+    const archive = archiver('zip', { store: true });
+    archive.on('error', (archiveError) => console.error('Bulk ZIP archive error:', archiveError.message));
+    archive.pipe(res);
+    const failures = [];
+    try {
+      for (const inventory of inventories) {
+        if (signal.aborted) {
+          throw new Error('Download cancelled');
+        }
+        let pdf;
+        try {
+          const html = await renderInventoryHTML(inventory, await loadPdfOptions(inventory, { includePhotos }));
+          pdf = await renderPdf(html, { signal });
+        } catch (inventoryError) {
+          if (signal.aborted) throw inventoryError;
+          console.error(`Error rendering inventory ${inventory.inventoryNumber} for bulk ZIP:`, inventoryError.message);
+          failures.push(`${inventory.inventoryNumber || inventory._id}: ${inventoryError.message}`);
+          continue;
+        }
+        await appendToArchive(archive, res, pdf, `inventory-${inventory.inventoryNumber || inventory._id}.pdf`, signal);
+      }
+      if (failures.length > 0) {
+        await appendToArchive(archive, res, Buffer.from(`PDFs that could not be generated:\n${failures.join('\n')}\n`), 'errors.txt', signal);
+      }
+      await archive.finalize();
+    } catch (zipError) {
+      archive.abort();
+      if (signal.aborted) {
+        console.log('Bulk ZIP download cancelled by the client');
+        return;
+      }
+      // Headers are sent: the only way to report the failure is to abort the download
+      console.error('Bulk ZIP download error:', zipError);
+      res.destroy(zipError);
+    }
+  } catch (error) {
+    console.error('Error generating bulk download:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate download'
+    });
+  }
+});
+
 // Download inventory as PDF
 router.get('/:id/download', authenticateToken, authorizeRole('fieldAgent', 'admin', 'auditor'), async (req, res) => {
   try {
@@ -716,146 +1551,36 @@ router.get('/:id/download', authenticateToken, authorizeRole('fieldAgent', 'admi
     }
 
     // Generate HTML content for the PDF
-    const htmlContent = generateInventoryHTML(inventory);
-
-         // Launch Puppeteer and generate PDF
-     let browser;
-     try {
-       console.log('Launching Puppeteer...');
-       browser = await puppeteer.launch({
-         headless: 'new',
-         args: [
-           '--no-sandbox',
-           '--disable-setuid-sandbox',
-           '--disable-dev-shm-usage',
-           '--disable-gpu',
-           '--no-first-run',
-           '--disable-web-security',
-           '--disable-features=VizDisplayCompositor',
-           '--disable-background-timer-throttling',
-           '--disable-backgrounding-occluded-windows',
-           '--disable-renderer-backgrounding',
-           '--disable-extensions',
-           '--disable-plugins',
-           '--disable-images',
-           '--run-all-compositor-stages-before-draw',
-           '--disable-ipc-flooding-protection'
-         ],
-         timeout: 60000
-       });
-
-            console.log('Creating new page...');
-      const page = await browser.newPage();
-      
-      // Set viewport and other page settings
-      await page.setViewport({
-        width: 1200,
-        height: 800,
-        deviceScaleFactor: 1
-      });
-
-      // Set longer timeout for navigation
-      page.setDefaultTimeout(60000);
-      page.setDefaultNavigationTimeout(60000);
-
-      console.log('Setting HTML content...');
-      console.log('HTML content length:', htmlContent.length);
-      
-      // Set content with proper waiting
-      await page.setContent(htmlContent, { 
-        waitUntil: ['load', 'domcontentloaded', 'networkidle0'],
-        timeout: 60000 
-      });
-      
-      console.log('Waiting for page to be ready...');
-      
-      // Wait for any CSS to be applied
-      await page.waitForFunction(() => {
-        return document.readyState === 'complete';
-      }, { timeout: 30000 });
-
-      // Additional wait for rendering
-      await page.evaluate(() => {
-        return new Promise(resolve => {
-          if (document.readyState === 'complete') {
-            setTimeout(resolve, 2000); // Wait 2 seconds for CSS to apply
-          } else {
-            window.addEventListener('load', () => {
-              setTimeout(resolve, 2000);
-            });
-          }
-        });
-      });
-       
-       console.log('Generating PDF...');
-       // Generate PDF with enhanced options
-               const pdfBuffer = await page.pdf({
-          format: 'A4',
-          margin: {
-            top: '5mm',
-            right: '5mm',
-            bottom: '5mm',
-            left: '5mm'
-          },
-          printBackground: true,
-          displayHeaderFooter: false,
-          preferCSSPageSize: false,
-          timeout: 60000,
-          // Add these options for better PDF generation
-          omitBackground: false,
-          tagged: false,
-          scale: 0.85
-        });
-
-      // Verify PDF buffer is not empty
-      if (!pdfBuffer || pdfBuffer.length === 0) {
-        throw new Error('Generated PDF is empty');
-      }
-
-      console.log(`PDF generated successfully. Size: ${pdfBuffer.length} bytes`);
-
-      // Validate PDF by checking magic bytes (raw byte values)
-      const pdfMagicBytes = pdfBuffer.slice(0, 4);
-      const rawBytes = Array.from(pdfMagicBytes);
-      console.log('PDF magic bytes check - Raw bytes:', rawBytes);
-      
-      // Check raw byte values: % = 37, P = 80, D = 68, F = 70
-      if (rawBytes[0] !== 37 || rawBytes[1] !== 80 || rawBytes[2] !== 68 || rawBytes[3] !== 70) {
-        console.error('Invalid PDF magic bytes. Expected: [37,80,68,70] (%PDF), Got:', rawBytes);
-        throw new Error('Generated file is not a valid PDF');
-      }
-      
-      console.log('PDF validation passed - valid PDF file generated');
-
-      // Set response headers for PDF download
-      const filename = `inventory-${inventory.inventoryNumber || inventory._id}.pdf`;
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      res.setHeader('Content-Length', pdfBuffer.length.toString());
-      res.setHeader('Cache-Control', 'no-cache');
-      
-      // Send the PDF buffer using res.end() for binary data
-      return res.end(pdfBuffer);
+    const htmlContent = await renderInventoryHTML(inventory, await loadPdfOptions(inventory));
 
+    let pdfBuffer;
+    try {
+      pdfBuffer = await renderPdf(htmlContent);
     } catch (pdfError) {
       console.error('PDF generation error:', pdfError);
-      
-      // If PDF generation fails, return error
+      if (isPdfBusyError(pdfError)) {
+        return res.status(503).json({
+          success: false,
+          message: pdfError.message
+        });
+      }
       return res.status(500).json({
         success: false,
         message: 'PDF generation failed'
       });
-      
-    } finally {
-      if (browser) {
-        try {
-          await browser.close();
-        } catch (closeError) {
-          console.error('Error closing browser:', closeError);
-        }
-      }
     }
 
+    console.log(`PDF generated successfully. Size: ${pdfBuffer.length} bytes`);
+
+    // Set response headers for PDF download
+    const filename = `inventory-${inventory.inventoryNumber || inventory._id}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdfBuffer.length.toString());
+    res.setHeader('Cache-Control', 'no-cache');
+
+    // Send the PDF buffer using res.end() for binary data
+    return res.end(pdfBuffer);
   } catch (error) {
     console.error('Error generating PDF:', error);
     res.status(500).json({
@@ -879,5 +1604,6 @@ router.get('/:id/download', authenticateToken, authorizeRole('fieldAgent', 'admi
 
 module.exports = {
   router,
-  generateInventoryHTML
+  generateInventoryHTML,
+  loadPdfOptions
 };
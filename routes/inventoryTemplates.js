@@ -0,0 +1,409 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const InventoryTemplate = require('../models/InventoryTemplate');
+const ColumnMappingProfile = require('../models/ColumnMappingProfile');
+const Inventory = require('../models/Inventory');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { storeUploadedFile, getUploadedFileLink } = require('../services/storageService');
+const {
+  TEMPLATE_PLACEHOLDERS,
+  STARTER_TEMPLATE,
+  getTemplateError,
+  isValidLocale,
+  renderInventoryTemplate,
+  resolveLender
+} = require('../services/inventoryTemplateService');
+const { loadPdfOptions } = require('./inventory');
+
+const router = express.Router();
+
+// Configure multer for template logo uploads
+const logoStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = path.join(__dirname, '..', 'uploads', 'inventory-templates');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'template-logo-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const logoUpload = multer({
+  storage: logoStorage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
+// Shown in the preview when the admin has no inventory yet
+const SAMPLE_INVENTORY = {
+  inventoryNumber: 'INV-SAMPLE',
+  registrationNumber: 'MH12AB1234',
+  customerName: 'Sample Customer',
+  make: 'Sample Make',
+  chasisNumber: 'MA1AB2CD3EF456789',
+  engineNumber: 'EN12345678',
+  fieldAgentName: 'Sample Agent',
+  fieldAgentPhone: '9999999999',
+  driverName: 'Sample Driver',
+  driverNumber: '8888888888',
+  seizureDate: new Date(),
+  createdAt: new Date(),
+  parkingYardName: 'Sample Yard',
+  parkingExpensesPerDay: '250',
+  keyAvailability: 'available',
+  stage: 'in-yard',
+  signatures: []
+};
+
+// lenderProfiles arrive as an array (JSON) or a JSON string (multipart)
+const parseLenderProfiles = (value) => {
+  if (value === undefined) return undefined;
+  try {
+    const ids = typeof value === 'string' ? JSON.parse(value || '[]') : value;
+    return Array.isArray(ids) && ids.every(id => mongoose.Types.ObjectId.isValid(id)) ? [...new Set(ids.map(String))] : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const templateValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Template name cannot be empty').isLength({ max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('html').optional().custom((html) => {
+    const templateError = getTemplateError(html);
+    if (templateError) {
+      throw new Error(templateError);
+    }
+    return true;
+  }),
+  body('locale').optional().trim().custom((locale) => {
+    if (!isValidLocale(locale)) {
+      throw new Error('Unsupported locale');
+    }
+    return true;
+  }),
+  body('lenderProfiles').optional().custom((value) => {
+    if (!parseLenderProfiles(value)) {
+      throw new Error('lenderProfiles must be a list of mapping profile IDs');
+    }
+    return true;
+  }),
+  body('isActive').optional().isIn([true, false, 'true', 'false']).withMessage('isActive must be a boolean')
+];
+
+// Remove the multer temp file of a rejected request
+const discardUpload = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, (error) => {
+      if (error) console.error('Error deleting rejected upload:', error);
+    });
+  }
+};
+
+// Lenders must be mapping profiles the admin can use
+const checkLenderProfiles = async (user, ids) => {
+  if (!ids || ids.length === 0) return true;
+  const profiles = await ColumnMappingProfile.findAccessible(user, { _id: { $in: ids } }).select('_id');
+  return profiles.length === ids.length;
+};
+
+// Only the owning admin may change a template
+const loadOwnTemplate = async (req, res) => {
+  const template = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await InventoryTemplate.findOne({ _id: req.params.id, adminId: req.user._id })
+    : null;
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+  return template;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  discardUpload(req);
+  res.status(400).json({
+    success: false,
+    message: errors.array()[0].msg || 'Validation error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @desc    List the admin's inventory PDF templates
+// @route   GET /api/inventory/templates
+// @access  Private (Admin)
+router.get('/',
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const templates = await InventoryTemplate.find({ adminId: req.user._id })
+        .populate('lenderProfiles', 'name')
+        .sort({ name: 1 });
+
+      // Logos are not public uploads: hand out a link the editor can show
+      const data = await Promise.all(templates.map(async template => ({
+        ...template.toJSON(),
+        logoUrl: await getUploadedFileLink(template.logoUrl)
+      })));
+
+      res.json({
+        success: true,
+        data,
+        placeholders: TEMPLATE_PLACEHOLDERS,
+        starterHtml: STARTER_TEMPLATE
+      });
+    } catch (error) {
+      console.error('Get inventory templates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Render a template (saved or being edited) for one of the admin's inventories
+// @route   POST /api/inventory/templates/preview
+// @access  Private (Admin)
+router.post('/preview',
+  authenticateToken,
+  authorizeRole('admin'),
+  [
+    body('html').exists().withMessage('Template HTML is required'),
+    body('inventoryId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid inventory ID'),
+    body('templateId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid template ID'),
+    ...templateValidators
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { html, locale, inventoryId, templateId } = req.body;
+
+      const inventory = inventoryId
+        ? await Inventory.findOne({ _id: inventoryId, adminId: req.user._id })
+        : await Inventory.findOne({ adminId: req.user._id }).sort({ createdAt: -1 });
+      if (inventoryId && !inventory) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inventory not found'
+        });
+      }
+
+      // The saved logo of the template being edited
+      const savedTemplate = templateId
+        ? await InventoryTemplate.findOne({ _id: templateId, adminId: req.user._id }).select('logoUrl').lean()
+        : null;
+
+      const options = inventory ? await loadPdfOptions(inventory) : {};
+      const lender = inventory ? await resolveLender(inventory) : null;
+      const rendered = await renderInventoryTemplate(
+        { html, locale, logoUrl: savedTemplate?.logoUrl },
+        inventory || { ...SAMPLE_INVENTORY, adminName: req.user.name },
+        { ...options, lenderName: lender?.name }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          html: rendered,
+          inventoryNumber: inventory ? inventory.inventoryNumber : null
+        }
+      });
+    } catch (error) {
+      console.error('Preview inventory template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Create an inventory PDF template
+// @route   POST /api/inventory/templates
+// @access  Private (Admin)
+router.post('/',
+  authenticateToken,
+  authorizeRole('admin'),
+  logoUpload.single('logo'),
+  [
+    body('name').exists().withMessage('Template name is required'),
+    body('html').exists().withMessage('Template HTML is required'),
+    ...templateValidators
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { name, description, html, locale, isActive } = req.body;
+      const lenderProfiles = parseLenderProfiles(req.body.lenderProfiles) || [];
+
+      if (!(await checkLenderProfiles(req.user, lenderProfiles))) {
+        discardUpload(req);
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown lender mapping profile'
+        });
+      }
+
+      const existing = await InventoryTemplate.findOne({ adminId: req.user._id, name });
+      if (existing) {
+        discardUpload(req);
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a template with this name'
+        });
+      }
+
+      const template = await InventoryTemplate.create({
+        name,
+        description,
+        html,
+        locale: locale || undefined,
+        lenderProfiles,
+        isActive: isActive === undefined ? true : String(isActive) === 'true',
+        logoUrl: req.file ? await storeUploadedFile(req.file, 'inventory-templates') : null,
+        adminId: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      console.log(`🖨️ Inventory template "${template.name}" created by ${req.user.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('Create inventory template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Update an inventory PDF template
+// @route   PUT /api/inventory/templates/:id
+// @access  Private (Admin, owner)
+router.put('/:id',
+  authenticateToken,
+  authorizeRole('admin'),
+  logoUpload.single('logo'),
+  [
+    ...templateValidators,
+    body('removeLogo').optional().isIn([true, false, 'true', 'false']).withMessage('removeLogo must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const template = await loadOwnTemplate(req, res);
+      if (!template) {
+        discardUpload(req);
+        return;
+      }
+
+      const { name, description, html, locale, isActive, removeLogo } = req.body;
+      const lenderProfiles = parseLenderProfiles(req.body.lenderProfiles);
+
+      if (!(await checkLenderProfiles(req.user, lenderProfiles))) {
+        discardUpload(req);
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown lender mapping profile'
+        });
+      }
+
+      if (name !== undefined && name !== template.name) {
+        const existing = await InventoryTemplate.findOne({ adminId: req.user._id, name });
+        if (existing) {
+          discardUpload(req);
+          return res.status(400).json({
+            success: false,
+            message: 'A template with this name already exists'
+          });
+        }
+        template.name = name;
+      }
+      if (description !== undefined) template.description = description;
+      if (html !== undefined) template.html = html;
+      if (locale) template.locale = locale;
+      if (lenderProfiles !== undefined) template.lenderProfiles = lenderProfiles;
+      if (isActive !== undefined) template.isActive = String(isActive) === 'true';
+      if (req.file) {
+        template.logoUrl = await storeUploadedFile(req.file, 'inventory-templates');
+      } else if (String(removeLogo) === 'true') {
+        template.logoUrl = null;
+      }
+      template.updatedBy = req.user._id;
+
+      await template.save();
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('Update inventory template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Delete an inventory PDF template
+// @route   DELETE /api/inventory/templates/:id
+// @access  Private (Admin, owner)
+router.delete('/:id',
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const template = await loadOwnTemplate(req, res);
+      if (!template) return;
+
+      await template.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete inventory template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
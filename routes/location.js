@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { normalizePings, recordPings, getTrail, findNearestPing, getReplay } = require('../services/agentLocationService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field agents the user may track: admins their own, auditors their admin's, super admins all
+function getTrackableAgentFilter(user) {
+  const filter = { role: 'fieldAgent', isDeleted: { $ne: true } };
+  if (user.role === 'admin') {
+    filter.createdBy = user._id;
+  } else if (user.role === 'auditor') {
+    filter.createdBy = user.createdBy;
+  }
+  return filter;
+}
+
+async function findTrackableAgent(user, agentId) {
+  if (!mongoose.Types.ObjectId.isValid(agentId)) {
+    return null;
+  }
+  return User.findOne({ ...getTrackableAgentFilter(user), _id: agentId })
+    .select('_id name phone')
+    .lean();
+}
+
+// @desc    Upload GPS pings from the mobile app (batched, may include pings buffered offline)
+// @route   POST /api/location/pings
+// @access  Private (fieldAgent)
+router.post('/pings',
+  authenticateToken,
+  authorizeRole('fieldAgent'),
+  [
+    body('pings').isArray({ min: 1, max: 500 }).withMessage('Pings must be a list of 1 to 500 positions')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const pings = normalizePings(req.body.pings);
+      if (!pings) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location pings'
+        });
+      }
+
+      const { stored, lastLocation } = await recordPings(req.user, pings);
+
+      res.json({
+        success: true,
+        message: `${stored} location ping(s) stored`,
+        data: { stored, lastLocation }
+      });
+    } catch (error) {
+      console.error('Error storing location pings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Last known GPS position of the field agents the user manages
+// @route   GET /api/location/agents?adminId=
+// @access  Private (superSuperAdmin, superAdmin, admin, auditor)
+router.get('/agents',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin', 'auditor'),
+  async (req, res) => {
+    try {
+      const filter = getTrackableAgentFilter(req.user);
+      if (['superSuperAdmin', 'superAdmin'].includes(req.user.role) && req.query.adminId) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.adminId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid admin'
+          });
+        }
+        filter.createdBy = req.query.adminId;
+      }
+
+      const agents = await User.find(filter)
+        .select('_id name phone isActive isOnline lastSeen lastLocation createdBy')
+        .populate('createdBy', 'name')
+        .sort({ name: 1 })
+        .lean();
+
+      res.json({
+        success: true,
+        data: agents.map(agent => ({
+          _id: agent._id,
+          name: agent.name,
+          phone: agent.phone,
+          isActive: agent.isActive,
+          isOnline: agent.isOnline,
+          lastSeen: agent.lastSeen,
+          lastLocation: agent.lastLocation?.recordedAt ? agent.lastLocation : null,
+          admin: agent.createdBy ? { _id: agent.createdBy._id, name: agent.createdBy.name } : null
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching agent locations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    A field agent's GPS trail for one day, with the vehicles they verified that day
+// @route   GET /api/location/agents/:agentId/trail?date=YYYY-MM-DD&tzOffset=
+// @access  Private (superSuperAdmin, superAdmin, admin, auditor)
+router.get('/agents/:agentId/trail',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin', 'auditor'),
+  [
+    query('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+    // Minutes, as returned by the browser's Date#getTimezoneOffset
+    query('tzOffset').optional().isInt({ min: -840, max: 840 }).withMessage('Invalid timezone offset')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: errors.array()
+        });
+      }
+
+      const agent = await findTrackableAgent(req.user, req.params.agentId);
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid field agent'
+        });
+      }
+
+      const [year, month, day] = req.query.date.split('-').map(Number);
+      const from = new Date(Date.UTC(year, month - 1, day) + (parseInt(req.query.tzOffset) || 0) * 60 * 1000);
+      const to = new Date(from.getTime() + DAY_MS - 1);
+
+      const [trail, notifications] = await Promise.all([
+        getTrail(agent._id, from, to),
+        Notification.find({ user: agent._id, action: 'verified', createdAt: { $gte: from, $lte: to } })
+          .select('_id vehicleNumber createdAt location')
+          .sort({ createdAt: 1 })
+          .lean()
+      ]);
+
+      // Each action is stored once per recipient: keep one entry per vehicle and moment
+      const verifications = [];
+      const seen = new Set();
+      notifications.forEach(notification => {
+        const key = `${notification.vehicleNumber}|${Math.floor(new Date(notification.createdAt).getTime() / 1000)}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        // GPS fix logged with the action, otherwise the closest ping of the trail
+        const gpsLocation = notification.location?.source === 'gps' ? notification.location : null;
+        const position = gpsLocation || findNearestPing(trail, notification.createdAt);
+        verifications.push({
+          _id: notification._id,
+          vehicleNumber: notification.vehicleNumber,
+          at: notification.createdAt,
+          position: position
+            ? { latitude: position.latitude, longitude: position.longitude, source: gpsLocation ? 'gps' : 'trail' }
+            : null
+        });
+      });
+
+      res.json({
+        success: true,
+        data: {
+          agent,
+          from,
+          to,
+          trail,
+          verifications
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching agent trail:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @desc    Where a field agent was when they marked a vehicle verified
+// @route   GET /api/location/verifications/:notificationId/replay
+// @access  Private (superSuperAdmin, superAdmin, admin, auditor)
+router.get('/verifications/:notificationId/replay',
+  authenticateToken,
+  authorizeRole('superSuperAdmin', 'superAdmin', 'admin', 'auditor'),
+  async (req, res) => {
+    try {
+      const notification = mongoose.Types.ObjectId.isValid(req.params.notificationId)
+        ? await Notification.findOne({ _id: req.params.notificationId, action: 'verified' })
+          .select('_id user vehicleNumber createdAt location')
+          .lean()
+        : null;
+      const agent = notification ? await findTrackableAgent(req.user, notification.user) : null;
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification'
+        });
+      }
+
+      const { trail, position } = await getReplay(agent._id, notification.createdAt);
+
+      res.json({
+        success: true,
+        data: {
+          agent,
+          verification: {
+            _id: notification._id,
+            vehicleNumber: notification.vehicleNumber,
+            at: notification.createdAt,
+            loggedLocation: notification.location
+          },
+          position,
+          trail
+        }
+      });
+    } catch (error) {
+      console.error('Error replaying verification:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
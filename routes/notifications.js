@@ -5,18 +5,11 @@ const User = require('../models/User');
 const ExcelVehicle = require('../models/ExcelVehicle');
 const ExcelFile = require('../models/ExcelFile');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
-const { getLocationFromIP, getRealIP } = require('../services/geolocation');
-const crypto = require('crypto');
+const { getRequestLocation, buildActionNotifications } = require('../services/actionNotificationService');
+const { publishNotifications } = require('../services/realtimeService');
 
 const router = express.Router();
 
-// Helper function to mask filename
-const maskFilename = (originalName) => {
-  const hash = crypto.createHash('md5').update(originalName).digest('hex').substring(0, 8);
-  const extension = originalName.split('.').pop();
-  return `FILE_${hash.toUpperCase()}.${extension}`;
-};
-
 // @desc    Log vehicle view/verification/search action
 // @route   POST /api/notifications/log-action
 // @access  Private (fieldAgent, auditor, admin)
@@ -44,24 +37,8 @@ router.post('/log-action',
       }
 
       // Get IP address and location
-      const ipAddress = getRealIP(req);
-      console.log(`🔍 Getting location for IP: ${ipAddress} (User: ${user.name}, Role: ${user.role})`);
-      
-      let location;
-      try {
-        location = await getLocationFromIP(ipAddress);
-      } catch (error) {
-        console.error('Location lookup failed:', error);
-        location = {
-          city: 'Unknown',
-          region: 'Unknown',
-          country: 'Unknown',
-          latitude: null,
-          longitude: null,
-          timezone: 'Unknown',
-          isp: 'Unknown'
-        };
-      }
+      const { ipAddress, location } = await getRequestLocation(req);
+      console.log(`🔍 Got location for IP: ${ipAddress} (User: ${user.name}, Role: ${user.role})`);
 
       // Get file information if vehicleId or excelFileId is provided
       let excelFile = null;
@@ -75,338 +52,68 @@ router.post('/log-action',
         }
       }
 
-      if (excelFile) {
-        const uploaderRole = excelFile.uploadedBy?.role || 'admin';
-        const primaryAdminId = excelFile.assignedTo;
-        const sharedAdmins = excelFile.sharedAdmins || []; // Admin-to-admin file sharing
-        const isSuperAdminUpload = uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin';
-        const isAdminUpload = uploaderRole === 'admin';
-        
-        // Determine who should receive notifications and what file name to show
-        if (user.role === 'fieldAgent' || user.role === 'auditor') {
-          // Field Agent or Auditor search
-          const userAdmin = await User.findById(user.createdBy);
-          
-          if (!userAdmin) {
-            return res.status(400).json({
-              success: false,
-              message: 'User not assigned to any admin'
-            });
-          }
-
-          const isPrimaryAdmin = userAdmin._id.toString() === primaryAdminId.toString();
-          const isOwnerAdmin = !isSuperAdminUpload && userAdmin._id.toString() === excelFile.uploadedBy._id.toString();
-          const isSharedAdmin = isAdminUpload && sharedAdmins.some(adminId => adminId.toString() === userAdmin._id.toString());
-
-          // Get primary admin name when masked file name will be used
-          let primaryAdminName = null;
-          if (!isPrimaryAdmin && !isOwnerAdmin && primaryAdminId) {
-            const primaryAdmin = await User.findById(primaryAdminId).select('name').lean();
-            primaryAdminName = primaryAdmin?.name || null;
-          }
+      // Field agents and auditors report to the admin who created them
+      let userAdmin = null;
+      if (user.role === 'fieldAgent' || user.role === 'auditor') {
+        userAdmin = await User.findById(user.createdBy);
+        if (!userAdmin) {
+          return res.status(400).json({
+            success: false,
+            message: 'User not assigned to any admin'
+          });
+        }
+      }
 
-          // Create notifications
-          const notifications = [];
+      const notifications = await buildActionNotifications({
+        user,
+        userAdmin,
+        excelFile,
+        action,
+        vehicleNumber,
+        vehicleId,
+        ipAddress,
+        location,
+        isOnline
+      });
 
-          // Notification to Admin (always)
-          const adminNotificationData = {
-            user: req.user._id,
-            userName: user.name,
-            userRole: user.role,
-            admin: userAdmin._id,
-            adminName: userAdmin.name, // Add admin name for field agent/auditor actions
+      const savedNotifications = notifications.length > 0
+        ? await Notification.insertMany(notifications)
+        : [];
+      publishNotifications(savedNotifications);
+
+      if (!excelFile) {
+        res.json({
+          success: true,
+          message: 'Action logged successfully',
+          data: {
+            ...(savedNotifications[0] && { id: savedNotifications[0]._id }),
             action,
-            vehicleNumber,
-            vehicleId: vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null,
-            excelFileId: excelFile._id,
-            primaryAdminId: primaryAdminId,
-            primaryAdminName: primaryAdminName, // Primary admin name (for masked file notifications)
-            fileUploaderRole: uploaderRole,
-            ipAddress,
-            location,
-            isOnline: isOnline !== undefined ? isOnline : true // Default to true if not provided (backward compatibility)
-          };
-
-          // Set file name based on admin's access
-          if (isPrimaryAdmin || isOwnerAdmin) {
-            adminNotificationData.fileName = excelFile.originalName;
-            adminNotificationData.primaryAdminName = null; // Not needed for real filename
-          } else {
-            adminNotificationData.maskedFileName = maskFilename(excelFile.originalName);
+            vehicleNumber
           }
-
-          notifications.push(adminNotificationData);
-
-          // If field agent searches, also notify auditor
-          if (user.role === 'fieldAgent') {
-            const auditors = await User.find({
-              createdBy: userAdmin._id,
-              role: 'auditor',
-              isActive: true
-            });
-
-            for (const auditor of auditors) {
-              const auditorNotificationData = {
-                ...adminNotificationData,
-                admin: auditor._id,
-                primaryAdminName: primaryAdminName // Include primary admin name for masked file notifications
-              };
-              // Auditor sees same file name as their admin
-              if (isPrimaryAdmin || isOwnerAdmin) {
-                auditorNotificationData.fileName = excelFile.originalName;
-                auditorNotificationData.primaryAdminName = null; // Not needed for real filename
-              } else {
-                auditorNotificationData.maskedFileName = maskFilename(excelFile.originalName);
-              }
-              notifications.push(auditorNotificationData);
-            }
-          }
-
-          // If SuperAdmin upload and not primary admin, also notify primary admin and their auditors
-          if (isSuperAdminUpload && !isPrimaryAdmin) {
-            const primaryAdmin = await User.findById(primaryAdminId);
-            if (primaryAdmin) {
-              // Notify primary admin
-              const primaryAdminNotificationData = {
-                user: req.user._id,
-                userName: user.name,
-                userRole: user.role,
-                admin: primaryAdminId,
-                adminName: userAdmin.name, // Add admin name (the assigned admin whose field agent/auditor performed action)
-                action,
-                vehicleNumber,
-                vehicleId: vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null,
-                excelFileId: excelFile._id,
-                primaryAdminId: primaryAdminId,
-                fileUploaderRole: uploaderRole,
-                fileName: excelFile.originalName, // Primary admin sees real file name
-                ipAddress,
-                location,
-                isOnline: true
-              };
-              notifications.push(primaryAdminNotificationData);
-
-              // Notify primary admin's auditors
-              const primaryAuditors = await User.find({
-                createdBy: primaryAdminId,
-                role: 'auditor',
-                isActive: true
-              });
-
-              for (const auditor of primaryAuditors) {
-                const auditorNotificationData = {
-                  ...primaryAdminNotificationData,
-                  admin: auditor._id,
-                  fileName: excelFile.originalName // Auditors of primary admin see real file name
-                };
-                notifications.push(auditorNotificationData);
-              }
-            }
-          }
-
-          // If Admin upload and shared admin's field agent/auditor, also notify primary admin and their auditors
-          if (isAdminUpload && isSharedAdmin && !isOwnerAdmin) {
-            const primaryAdmin = await User.findById(excelFile.uploadedBy._id);
-            if (primaryAdmin) {
-              // Notify primary admin (file owner) with full details
-              const primaryAdminNotificationData = {
-                user: req.user._id,
-                userName: user.name,
-                userRole: user.role,
-                admin: excelFile.uploadedBy._id,
-                adminName: userAdmin.name, // Shared admin name
-                action,
-                vehicleNumber,
-                vehicleId: vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null,
-                excelFileId: excelFile._id,
-                primaryAdminId: excelFile.uploadedBy._id,
-                fileUploaderRole: uploaderRole,
-                fileName: excelFile.originalName, // Primary admin sees real file name
-                ipAddress,
-                location,
-                isOnline: true
-              };
-              notifications.push(primaryAdminNotificationData);
-
-              // Notify primary admin's auditors with full details
-              const primaryAuditors = await User.find({
-                createdBy: excelFile.uploadedBy._id,
-                role: 'auditor',
-                isActive: true
-              });
-
-              for (const auditor of primaryAuditors) {
-                const auditorNotificationData = {
-                  ...primaryAdminNotificationData,
-                  admin: auditor._id,
-                  fileName: excelFile.originalName // Auditors of primary admin see real file name
-                };
-                notifications.push(auditorNotificationData);
-              }
-            }
-          }
-
-          // Save all notifications
-          const savedNotifications = await Notification.insertMany(notifications);
-
-          res.json({
-            success: true,
-            message: 'Action logged successfully',
-            data: {
-              notificationsCreated: savedNotifications.length,
-              action,
-              vehicleNumber,
-              location: location.city && location.city !== 'Unknown' 
-                ? `${location.city}, ${location.region}, ${location.country}`
-                : 'Location not available'
-            }
-          });
-
-        } else if (user.role === 'admin') {
-          // Admin search
-          const isPrimaryAdmin = user._id.toString() === primaryAdminId.toString();
-          const isOwnerAdmin = isAdminUpload && user._id.toString() === excelFile.uploadedBy._id.toString();
-          const isSharedAdmin = isAdminUpload && sharedAdmins.some(adminId => adminId.toString() === user._id.toString());
-          const notifications = [];
-
-          if (isSuperAdminUpload && !isPrimaryAdmin) {
-            // SuperAdmin upload - notify primary admin and their auditors
-            const primaryAdmin = await User.findById(primaryAdminId);
-            if (primaryAdmin) {
-              const primaryAdminNotificationData = {
-                user: req.user._id,
-                userName: user.name,
-                userRole: 'admin',
-                admin: primaryAdminId,
-                action: 'searched',
-                vehicleNumber,
-                vehicleId: vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null,
-                excelFileId: excelFile._id,
-                primaryAdminId: primaryAdminId,
-                fileUploaderRole: uploaderRole,
-                fileName: excelFile.originalName, // Primary admin sees real file name
-                ipAddress,
-                location,
-                isOnline: true
-              };
-              notifications.push(primaryAdminNotificationData);
-
-              // Notify primary admin's auditors
-              const primaryAuditors = await User.find({
-                createdBy: primaryAdminId,
-                role: 'auditor',
-                isActive: true
-              });
-
-              for (const auditor of primaryAuditors) {
-                const auditorNotificationData = {
-                  ...primaryAdminNotificationData,
-                  admin: auditor._id,
-                  fileName: excelFile.originalName // Auditors see real file name
-                };
-                notifications.push(auditorNotificationData);
-              }
-            }
-          } else if (isAdminUpload && isSharedAdmin && !isOwnerAdmin) {
-            // Shared admin search - notify primary admin (file owner) and their auditors with full details
-            const primaryAdmin = await User.findById(excelFile.uploadedBy._id);
-            if (primaryAdmin) {
-              const primaryAdminNotificationData = {
-                user: req.user._id,
-                userName: user.name,
-                userRole: 'admin',
-                admin: excelFile.uploadedBy._id,
-                action: 'searched',
-                vehicleNumber,
-                vehicleId: vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null,
-                excelFileId: excelFile._id,
-                primaryAdminId: excelFile.uploadedBy._id,
-                fileUploaderRole: uploaderRole,
-                fileName: excelFile.originalName, // Primary admin sees real file name
-                ipAddress,
-                location,
-                isOnline: true
-              };
-              notifications.push(primaryAdminNotificationData);
-
-              // Notify primary admin's auditors
-              const primaryAuditors = await User.find({
-                createdBy: excelFile.uploadedBy._id,
-                role: 'auditor',
-                isActive: true
-              });
-
-              for (const auditor of primaryAuditors) {
-                const auditorNotificationData = {
-                  ...primaryAdminNotificationData,
-                  admin: auditor._id,
-                  fileName: excelFile.originalName // Auditors see real file name
-                };
-                notifications.push(auditorNotificationData);
-              }
-            }
-          }
-
-          if (notifications.length > 0) {
-            await Notification.insertMany(notifications);
+        });
+      } else if (user.role === 'admin') {
+        res.json({
+          success: true,
+          message: 'Action logged successfully',
+          data: {
+            notificationsCreated: savedNotifications.length,
+            action: 'searched',
+            vehicleNumber
           }
-
-          res.json({
-            success: true,
-            message: 'Action logged successfully',
-            data: {
-              notificationsCreated: notifications.length,
-              action: 'searched',
-              vehicleNumber
-            }
-          });
-        }
+        });
       } else {
-        // No file information - create basic notification
-        if (user.role === 'fieldAgent' || user.role === 'auditor') {
-          const userAdmin = await User.findById(user.createdBy);
-          if (!userAdmin) {
-            return res.status(400).json({
-              success: false,
-              message: 'User not assigned to any admin'
-            });
-          }
-
-          const notificationData = {
-            user: req.user._id,
-            userName: user.name,
-            userRole: user.role,
-            admin: userAdmin._id,
-            adminName: userAdmin.name, // Add admin name for field agent/auditor actions
+        res.json({
+          success: true,
+          message: 'Action logged successfully',
+          data: {
+            notificationsCreated: savedNotifications.length,
             action,
             vehicleNumber,
-            vehicleId: vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null,
-            ipAddress,
-            location,
-            isOnline: isOnline !== undefined ? isOnline : true // Default to true if not provided (backward compatibility)
-          };
-
-          const notification = await Notification.create(notificationData);
-
-          res.json({
-            success: true,
-            message: 'Action logged successfully',
-            data: {
-              id: notification._id,
-              action,
-              vehicleNumber
-            }
-          });
-        } else {
-          res.json({
-            success: true,
-            message: 'Action logged successfully',
-            data: {
-              action,
-              vehicleNumber
-            }
-          });
-        }
+            location: location.city && location.city !== 'Unknown' 
+              ? `${location.city}, ${location.region}, ${location.country}`
+              : 'Location not available'
+          }
+        });
       }
 
     } catch (error) {
@@ -3,6 +3,7 @@ const router = express.Router()
 const UserOTP = require('../models/UserOTP')
 const User = require('../models/User')
 const { authenticateToken, authorizeRole } = require('../middleware/auth')
+const { revalidateSessions } = require('../services/realtimeService')
 
 // @desc    Generate OTP for a user (Admin only)
 // @route   POST /api/otp/generate
@@ -350,6 +351,9 @@ router.post('/verify', async (req, res) => {
     // Save again to persist the new session token
     await user.save();
 
+    // Sessions on other devices just ended
+    revalidateSessions([user._id]);
+
     res.json({
       success: true,
       message: 'OTP verified successfully',
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { storeUploadedFile } = require('../services/storageService');
+const { publishPaymentProof } = require('../services/realtimeService');
 const PaymentQR = require('../models/PaymentQR');
 const PaymentProof = require('../models/PaymentProof');
 const Payment = require('../models/Payment');
@@ -532,13 +534,15 @@ router.post('/proof', authenticateToken, (req, res, next) => {
         });
       }
     
+      const proofImageUrl = req.file ? await storeUploadedFile(req.file, 'payment-proofs') : undefined;
+
           // Create or update payment proof
       let paymentProof;
       
       if (existingProof && existingProof.status === 'rejected') {
         // Update existing rejected proof
         existingProof.proofType = cleanProofType;
-        existingProof.proofImageUrl = req.file ? `/uploads/payment-proofs/${req.file.filename}` : undefined;
+        existingProof.proofImageUrl = proofImageUrl;
         existingProof.proofImageName = req.file ? req.file.filename : undefined;
         existingProof.transactionNumber = cleanProofType === 'transaction_number' ? transactionNumber : undefined;
         existingProof.paymentDate = new Date(paymentDate);
@@ -557,7 +561,7 @@ router.post('/proof', authenticateToken, (req, res, next) => {
           userId: req.user._id,
           adminId: payment.adminId,
           proofType: cleanProofType,
-          proofImageUrl: req.file ? `/uploads/payment-proofs/${req.file.filename}` : undefined,
+          proofImageUrl,
           proofImageName: req.file ? req.file.originalname : undefined,
           transactionNumber: cleanProofType === 'transaction_number' ? transactionNumber : undefined,
           paymentDate: new Date(paymentDate),
@@ -567,6 +571,7 @@ router.post('/proof', authenticateToken, (req, res, next) => {
       }
     
     await paymentProof.save();
+    publishPaymentProof(paymentProof, 'user');
     
     res.json({
       success: true,
@@ -742,6 +747,8 @@ router.put('/proof/:proofId/review', authenticateToken, authorizeRole('superSupe
       }
     }
     
+    publishPaymentProof(proof, 'user');
+
     res.json({
       success: true,
       message: `Payment proof ${status} successfully`,
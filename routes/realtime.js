@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { openStream } = require('../services/realtimeService');
+
+const router = express.Router();
+
+// @desc    Server-Sent Events stream of notifications, payment proof updates and force-logout
+//          events for the current session (see services/realtimeService)
+// @route   GET /api/realtime/stream
+// @access  Private (All roles)
+router.get('/stream', authenticateToken, (req, res) => {
+  try {
+    openStream(req, res);
+  } catch (error) {
+    console.error('Error opening real-time stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
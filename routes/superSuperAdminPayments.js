@@ -10,6 +10,8 @@ const PaymentQR = require('../models/PaymentQR');
 const PaymentProof = require('../models/PaymentProof');
 const User = require('../models/User');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { storeUploadedFile } = require('../services/storageService');
+const { publishPaymentProof } = require('../services/realtimeService');
 
 // Configure multer for SuperSuperAdmin QR code uploads
 const superSuperAdminQrStorage = multer.diskStorage({
@@ -720,6 +722,7 @@ router.post('/:paymentId/proof',
 
       // Clean and validate proofType
       const cleanProofType = proofType === 'screenshot' ? 'screenshot' : 'transaction_number';
+      const proofImageUrl = req.file ? await storeUploadedFile(req.file, 'super-admin-payment-proofs') : undefined;
       
       let proof;
       let isResubmission = false;
@@ -738,7 +741,7 @@ router.post('/:paymentId/proof',
         
         // Update image fields if screenshot type and file exists
         if (cleanProofType === 'screenshot' && req.file) {
-          proof.proofImageUrl = `/uploads/super-admin-payment-proofs/${req.file.filename}`;
+          proof.proofImageUrl = proofImageUrl;
           proof.proofImageName = req.file.originalname;
         }
         
@@ -760,7 +763,7 @@ router.post('/:paymentId/proof',
         
         // Add image fields only if screenshot type and file exists
         if (cleanProofType === 'screenshot' && req.file) {
-          proofData.proofImageUrl = `/uploads/super-admin-payment-proofs/${req.file.filename}`;
+          proofData.proofImageUrl = proofImageUrl;
           proofData.proofImageName = req.file.originalname;
         }
         
@@ -772,6 +775,8 @@ router.post('/:paymentId/proof',
         await payment.save();
       }
 
+      publishPaymentProof(proof, 'superAdmin');
+
       res.status(201).json({
         success: true,
         message: isResubmission ? 'Payment proof resubmitted successfully' : 'Payment proof submitted successfully',
@@ -913,6 +918,8 @@ router.put('/proof/:proofId/review',
         }
       }
 
+      publishPaymentProof(proof, 'superAdmin');
+
       res.json({
         success: true,
         message: `Payment proof ${status} successfully`,
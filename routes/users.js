@@ -5,6 +5,7 @@ const ExcelFile = require('../models/ExcelFile');
 const ExcelVehicle = require('../models/ExcelVehicle');
 const fs = require('fs').promises;
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { revalidateSessions, publishNotifications } = require('../services/realtimeService');
 
 const router = express.Router();
 
@@ -192,7 +193,7 @@ router.post('/request-sharing-permission',
         adminName: admin.name
       }));
 
-      await Notification.insertMany(notifications);
+      publishNotifications(await Notification.insertMany(notifications));
 
       res.json({
         success: true,
@@ -945,6 +946,11 @@ router.put('/:id/status',
         { new: true }
       ).select('-password');
 
+      if (!isActive) {
+        // Log out the deactivated users (cascades included) on open streams
+        revalidateSessions();
+      }
+
       res.json({
         success: true,
         message: affectedMessage || `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -1059,7 +1065,7 @@ router.delete('/:id',
         try {
           // ExcelFile is already imported at the top
           const VehicleLookup = require('../models/VehicleLookup');
-          const { deleteFileFromGCS } = require('../services/gcsService');
+          const { deleteFile } = require('../services/storageService');
           
           // Find all files where this admin is the primary admin (assignedTo)
           const filesToDelete = await ExcelFile.find({ 
@@ -1080,7 +1086,7 @@ router.delete('/:id',
                 // 1. Delete from GCS (if filePath exists and is valid)
                 if (file.filePath) {
                   try {
-                    await deleteFileFromGCS(file.filePath);
+                    await deleteFile(file.filePath);
                     gcsDeletedCount++;
                     console.log(`✅ Deleted file from GCS: ${file.originalName} (${file.filePath})`);
                   } catch (gcsError) {
@@ -1124,6 +1130,9 @@ router.delete('/:id',
         }
       }
 
+      // Log out the deleted users on open streams
+      revalidateSessions();
+
       res.json({
         success: true,
         message: 'User deleted successfully'
@@ -12,6 +12,7 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const excelRoutes = require('./routes/excel');
+const columnMappingProfileRoutes = require('./routes/columnMappingProfiles');
 const otpRoutes = require('./routes/otp');
 const notificationRoutes = require('./routes/notifications');
 const moneyRoutes = require('./routes/money');
@@ -30,8 +31,14 @@ const app = express();
 const User = require('./models/User');
 const PaymentProof = require('./models/PaymentProof');
 const Notification = require('./models/Notification');
-const Inventory = require('./models/Inventory');
-const fs = require('fs').promises;
+const { cleanupExpiredStagedUploads } = require('./services/excelIngestionService');
+const { startExcelJobWorkers } = require('./services/excelJobQueue');
+const { runExcelFileLifecycle } = require('./services/excelFileLifecycleService');
+const { runVehicleGeocoding } = require('./services/vehicleGeocodingService');
+const { archiveClosedInventories } = require('./services/inventoryLifecycleService');
+const { warmCacheFromDisk } = require('./services/excelCacheService');
+const { deleteUploadedFile, remoteUploadsHandler } = require('./services/storageService');
+const ExcelFile = require('./models/ExcelFile');
 
 // Security middleware
 app.use(helmet({
@@ -40,6 +47,13 @@ app.use(helmet({
 
   // Keep COEP off in dev unless you really need it
   crossOriginEmbedderPolicy: false,
+
+  // Agent tracking map tiles (frontend VITE_MAP_TILE_URL)
+  contentSecurityPolicy: {
+    directives: {
+      'img-src': ["'self'", 'data:', 'blob:', process.env.MAP_TILE_ORIGIN || 'https://tile.openstreetmap.org']
+    }
+  },
 }));
 app.use(compression());
 
@@ -187,7 +201,7 @@ app.use('/uploads', (req, res, next) => {
   }
   
   next();
-}, express.static(path.join(__dirname, 'uploads')));
+}, express.static(path.join(__dirname, 'uploads')), remoteUploadsHandler);
 
 // Serve React app static files
 app.use(express.static(path.join(__dirname, 'frontend', 'dist')));
@@ -205,8 +219,11 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/otp', otpRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/excel/mapping-profiles', authenticateToken, columnMappingProfileRoutes);
 app.use('/api/excel', authenticateToken, excelRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/location', authenticateToken, require('./routes/location'));
 app.use('/api/money', authenticateToken, moneyRoutes);
 app.use('/api/payments', authenticateToken, paymentRoutes);
 app.use('/api/payment-qr', authenticateToken, require('./routes/paymentQR'));
@@ -215,6 +232,7 @@ app.use('/api/admin-payments', authenticateToken, require('./routes/adminPayment
 app.use('/api/super-super-admin-payments', authenticateToken, require('./routes/superSuperAdminPayments'));
 app.use('/api/app-management', require('./routes/appManagement'));
 app.use('/api/back-office-numbers', authenticateToken, backOfficeNumberRoutes);
+app.use('/api/inventory/templates', authenticateToken, require('./routes/inventoryTemplates'));
 app.use('/api/inventory', authenticateToken, inventoryRoutes.router);
 
 
@@ -260,6 +278,11 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB();
+    startExcelJobWorkers();
+    // Warm the Excel cache from disk in the background (does not delay startup)
+    ExcelFile.find({ isActive: true }).select('filePath sheetNames').lean()
+      .then(files => warmCacheFromDisk(files))
+      .catch(error => console.error('Excel cache warm start error:', error));
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
@@ -335,8 +358,13 @@ setInterval(async () => {
           }
 
           // Delete the image file
-          const imagePath = path.join(__dirname, 'uploads', uploadDir, actualFileName);
-          await fs.unlink(imagePath);
+          try {
+            await deleteUploadedFile(`/uploads/${uploadDir}/${actualFileName}`);
+          } catch (deleteError) {
+            if (!deleteError.notFound) {
+              throw deleteError;
+            }
+          }
           console.log(`✅ Deleted payment proof image: ${actualFileName} from ${uploadDir}`);
 
           // Update the proof record to remove image references
@@ -405,49 +433,20 @@ setTimeout(() => {
 // setInterval(cleanupOldNotifications, 1 * 60 * 1000); // Run every 1 minute for testing
 setInterval(cleanupOldNotifications, 24 * 60 * 60 * 1000); // Run every 24 hours for production
 
-// Cleanup inventories older than 30 days
-const cleanupOldInventories = async () => {
-  try {
-    // Calculate date 30 days ago
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    
-    console.log(`🔍 Checking for inventories older than: ${thirtyDaysAgo.toISOString()}`);
-    console.log(`🔍 Current time: ${new Date().toISOString()}`);
-    
-    // First, check how many inventories exist and their dates
-    const allInventories = await Inventory.find({}).select('createdAt').lean();
-    console.log(`📊 Total inventories in database: ${allInventories.length}`);
-    
-    if (allInventories.length > 0) {
-      const oldestInventory = allInventories.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
-      const newestInventory = allInventories.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
-      console.log(`📅 Oldest inventory: ${oldestInventory.createdAt}`);
-      console.log(`📅 Newest inventory: ${newestInventory.createdAt}`);
-    }
-    
-    // Find and delete inventories older than 30 days
-    const result = await Inventory.deleteMany({
-      createdAt: { $lt: thirtyDaysAgo }
-    });
-    
-    if (result.deletedCount > 0) {
-      console.log(`🗑️ Successfully deleted ${result.deletedCount} inventories older than 30 days`);
-    } else {
-      console.log('✅ No old inventories to delete (all inventories are newer than 30 days)');
-    }
-  } catch (error) {
-    console.error('❌ Error cleaning up old inventories:', error);
-  }
-};
+// Archive inventories closed (released or handed over) for more than INVENTORY_ARCHIVE_DAYS
+setTimeout(archiveClosedInventories, 6000); // Wait 6 seconds after server starts to ensure DB is connected
+setInterval(archiveClosedInventories, 24 * 60 * 60 * 1000); // Run every 24 hours
 
-// Run inventory cleanup immediately on server start (for testing)
-setTimeout(() => {
-  console.log('🚀 Running initial inventory cleanup...');
-  cleanupOldInventories();
-}, 6000); // Wait 6 seconds after server starts to ensure DB is connected
+// Cleanup staged (previewed but never confirmed) Excel uploads every hour
+setInterval(cleanupExpiredStagedUploads, 60 * 60 * 1000);
+
+// Activate scheduled Excel files and archive expired ones every 15 minutes
+setTimeout(runExcelFileLifecycle, 7000); // Wait 7 seconds after server starts to ensure DB is connected
+setInterval(runExcelFileLifecycle, 15 * 60 * 1000);
 
-// Run inventory cleanup periodically (every 24 hours)
-setInterval(cleanupOldInventories, 24 * 60 * 60 * 1000); // Run every 24 hours
+// Give newly ingested Excel rows gazetteer coordinates every 5 minutes
+setTimeout(runVehicleGeocoding, 9000);
+setInterval(runVehicleGeocoding, 5 * 60 * 1000);
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
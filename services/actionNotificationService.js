@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { getLocationFromIP, getRealIP } = require('./geolocation');
+const { getRecentGpsLocation } = require('./agentLocationService');
+
+/**
+ * Builds the admin/auditor notifications for a vehicle action
+ * (viewed / verified / searched) performed by a field agent, auditor or admin.
+ * Shared by POST /api/notifications/log-action and the batch plate lookup.
+ */
+
+// Helper function to mask filename
+const maskFilename = (originalName) => {
+  const hash = crypto.createHash('md5').update(originalName).digest('hex').substring(0, 8);
+  const extension = originalName.split('.').pop();
+  return `FILE_${hash.toUpperCase()}.${extension}`;
+};
+
+/**
+ * Resolve the caller's IP address and location (never throws)
+ * A recent GPS fix from the mobile app replaces the IP coordinates, which are
+ * unreliable on mobile networks.
+ * @returns {Promise<Object>} { ipAddress, location }
+ */
+async function getRequestLocation(req) {
+  const ipAddress = getRealIP(req);
+
+  let location;
+  try {
+    location = await getLocationFromIP(ipAddress);
+  } catch (error) {
+    console.error('Location lookup failed:', error);
+    location = {
+      city: 'Unknown',
+      region: 'Unknown',
+      country: 'Unknown',
+      latitude: null,
+      longitude: null,
+      timezone: 'Unknown',
+      isp: 'Unknown'
+    };
+  }
+
+  const gpsLocation = getRecentGpsLocation(req.user);
+  location = gpsLocation
+    ? { ...location, latitude: gpsLocation.latitude, longitude: gpsLocation.longitude, accuracy: gpsLocation.accuracy, source: 'gps' }
+    : { ...location, source: 'ip' };
+
+  return { ipAddress, location };
+}
+
+// Notification copies for every active auditor created by an admin
+async function buildAuditorCopies(adminId, notificationData) {
+  const auditors = await User.find({
+    createdBy: adminId,
+    role: 'auditor',
+    isActive: true
+  });
+
+  return auditors.map(auditor => ({
+    ...notificationData,
+    admin: auditor._id
+  }));
+}
+
+/**
+ * Build (but do not save) the notifications for one action
+ * @param {Object} params
+ * @param {Object} params.user - Acting user (fieldAgent, auditor or admin)
+ * @param {Object} params.userAdmin - Admin who created the field agent/auditor (required for those roles)
+ * @param {Object} params.excelFile - ExcelFile with uploadedBy populated (role), or null
+ * @param {string} params.action - viewed | verified | searched (admins always log searched)
+ * @returns {Promise<Array>} Notification documents ready for insertMany
+ */
+async function buildActionNotifications({
+  user,
+  userAdmin,
+  excelFile,
+  action,
+  vehicleNumber,
+  vehicleId,
+  ipAddress,
+  location,
+  isOnline
+}) {
+  const validVehicleId = vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? vehicleId : null;
+  const notifications = [];
+
+  if (!excelFile) {
+    // No file information - basic notification to the user's admin
+    if (user.role === 'fieldAgent' || user.role === 'auditor') {
+      notifications.push({
+        user: user._id,
+        userName: user.name,
+        userRole: user.role,
+        admin: userAdmin._id,
+        adminName: userAdmin.name,
+        action,
+        vehicleNumber,
+        vehicleId: validVehicleId,
+        ipAddress,
+        location,
+        isOnline: isOnline !== undefined ? isOnline : true // Default to true if not provided (backward compatibility)
+      });
+    }
+    return notifications;
+  }
+
+  const uploaderRole = excelFile.uploadedBy?.role || 'admin';
+  const primaryAdminId = excelFile.assignedTo;
+  const sharedAdmins = excelFile.sharedAdmins || []; // Admin-to-admin file sharing
+  const isSuperAdminUpload = uploaderRole === 'superAdmin' || uploaderRole === 'superSuperAdmin';
+  const isAdminUpload = uploaderRole === 'admin';
+
+  if (user.role === 'fieldAgent' || user.role === 'auditor') {
+    const isPrimaryAdmin = userAdmin._id.toString() === primaryAdminId.toString();
+    const isOwnerAdmin = !isSuperAdminUpload && userAdmin._id.toString() === excelFile.uploadedBy._id.toString();
+    const isSharedAdmin = isAdminUpload && sharedAdmins.some(adminId => adminId.toString() === userAdmin._id.toString());
+
+    // Get primary admin name when masked file name will be used
+    let primaryAdminName = null;
+    if (!isPrimaryAdmin && !isOwnerAdmin && primaryAdminId) {
+      const primaryAdmin = await User.findById(primaryAdminId).select('name').lean();
+      primaryAdminName = primaryAdmin?.name || null;
+    }
+
+    // Notification to Admin (always)
+    const adminNotificationData = {
+      user: user._id,
+      userName: user.name,
+      userRole: user.role,
+      admin: userAdmin._id,
+      adminName: userAdmin.name,
+      action,
+      vehicleNumber,
+      vehicleId: validVehicleId,
+      excelFileId: excelFile._id,
+      primaryAdminId: primaryAdminId,
+      primaryAdminName: primaryAdminName, // Primary admin name (for masked file notifications)
+      fileUploaderRole: uploaderRole,
+      ipAddress,
+      location,
+      isOnline: isOnline !== undefined ? isOnline : true // Default to true if not provided (backward compatibility)
+    };
+
+    // Set file name based on admin's access
+    if (isPrimaryAdmin || isOwnerAdmin) {
+      adminNotificationData.fileName = excelFile.originalName;
+      adminNotificationData.primaryAdminName = null; // Not needed for real filename
+    } else {
+      adminNotificationData.maskedFileName = maskFilename(excelFile.originalName);
+    }
+
+    notifications.push(adminNotificationData);
+
+    // If field agent searches, also notify auditor (same file name as their admin)
+    if (user.role === 'fieldAgent') {
+      notifications.push(...await buildAuditorCopies(userAdmin._id, adminNotificationData));
+    }
+
+    // If SuperAdmin upload and not primary admin, also notify primary admin and their auditors
+    if (isSuperAdminUpload && !isPrimaryAdmin) {
+      const primaryAdmin = await User.findById(primaryAdminId);
+      if (primaryAdmin) {
+        const primaryAdminNotificationData = {
+          user: user._id,
+          userName: user.name,
+          userRole: user.role,
+          admin: primaryAdminId,
+          adminName: userAdmin.name, // The assigned admin whose field agent/auditor performed the action
+          action,
+          vehicleNumber,
+          vehicleId: validVehicleId,
+          excelFileId: excelFile._id,
+          primaryAdminId: primaryAdminId,
+          fileUploaderRole: uploaderRole,
+          fileName: excelFile.originalName, // Primary admin sees real file name
+          ipAddress,
+          location,
+          isOnline: true
+        };
+        notifications.push(primaryAdminNotificationData);
+        notifications.push(...await buildAuditorCopies(primaryAdminId, primaryAdminNotificationData));
+      }
+    }
+
+    // If Admin upload and shared admin's field agent/auditor, also notify primary admin and their auditors
+    if (isAdminUpload && isSharedAdmin && !isOwnerAdmin) {
+      const primaryAdmin = await User.findById(excelFile.uploadedBy._id);
+      if (primaryAdmin) {
+        const primaryAdminNotificationData = {
+          user: user._id,
+          userName: user.name,
+          userRole: user.role,
+          admin: excelFile.uploadedBy._id,
+          adminName: userAdmin.name, // Shared admin name
+          action,
+          vehicleNumber,
+          vehicleId: validVehicleId,
+          excelFileId: excelFile._id,
+          primaryAdminId: excelFile.uploadedBy._id,
+          fileUploaderRole: uploaderRole,
+          fileName: excelFile.originalName, // Primary admin sees real file name
+          ipAddress,
+          location,
+          isOnline: true
+        };
+        notifications.push(primaryAdminNotificationData);
+        notifications.push(...await buildAuditorCopies(excelFile.uploadedBy._id, primaryAdminNotificationData));
+      }
+    }
+
+    return notifications;
+  }
+
+  if (user.role === 'admin') {
+    const isPrimaryAdmin = user._id.toString() === primaryAdminId.toString();
+    const isOwnerAdmin = isAdminUpload && user._id.toString() === excelFile.uploadedBy._id.toString();
+    const isSharedAdmin = isAdminUpload && sharedAdmins.some(adminId => adminId.toString() === user._id.toString());
+
+    // SuperAdmin upload: notify primary admin. Shared admin search: notify the file owner.
+    let ownerId = null;
+    if (isSuperAdminUpload && !isPrimaryAdmin) {
+      ownerId = primaryAdminId;
+    } else if (isAdminUpload && isSharedAdmin && !isOwnerAdmin) {
+      ownerId = excelFile.uploadedBy._id;
+    }
+
+    if (ownerId) {
+      const owner = await User.findById(ownerId);
+      if (owner) {
+        const ownerNotificationData = {
+          user: user._id,
+          userName: user.name,
+          userRole: 'admin',
+          admin: ownerId,
+          action: 'searched',
+          vehicleNumber,
+          vehicleId: validVehicleId,
+          excelFileId: excelFile._id,
+          primaryAdminId: ownerId,
+          fileUploaderRole: uploaderRole,
+          fileName: excelFile.originalName, // Owner sees real file name
+          ipAddress,
+          location,
+          isOnline: true
+        };
+        notifications.push(ownerNotificationData);
+        notifications.push(...await buildAuditorCopies(ownerId, ownerNotificationData));
+      }
+    }
+  }
+
+  return notifications;
+}
+
+module.exports = {
+  maskFilename,
+  getRequestLocation,
+  buildActionNotifications
+};
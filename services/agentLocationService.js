@@ -0,0 +1,158 @@
+const LocationPing = require('../models/LocationPing');
+const User = require('../models/User');
+const { sendToUsers } = require('./realtimeService');
+
+/**
+ * Field agent GPS tracking
+ * The mobile app posts batches of pings (buffered while offline); they are kept
+ * in the LocationPing time-series collection for its TTL and the newest fix is
+ * mirrored on User.lastLocation for the admin map and for action logging.
+ */
+
+const MAX_PINGS_PER_BATCH = 500;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // Device clocks ahead of the server
+const GPS_FRESH_MS = 10 * 60 * 1000; // lastLocation newer than this replaces IP geolocation
+const REPLAY_BEFORE_MS = 30 * 60 * 1000;
+const REPLAY_AFTER_MS = 10 * 60 * 1000;
+const REPLAY_MATCH_MS = 15 * 60 * 1000; // Furthest ping still accepted as "where the agent was"
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Validate and normalize a batch of pings
+ * @param {Array} pings - [{ latitude, longitude, accuracy, speed, heading, recordedAt }]
+ * @returns {Array|null} Pings sorted by recordedAt, or null when the batch is invalid
+ */
+function normalizePings(pings) {
+  if (!Array.isArray(pings) || pings.length === 0 || pings.length > MAX_PINGS_PER_BATCH) {
+    return null;
+  }
+
+  const ttlMs = LocationPing.schema.options.expireAfterSeconds * 1000;
+  const now = Date.now();
+  const normalized = [];
+
+  for (const ping of pings) {
+    const latitude = toNumber(ping?.latitude);
+    const longitude = toNumber(ping?.longitude);
+    const recordedAt = new Date(ping?.recordedAt);
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+      !Number.isFinite(longitude) || Math.abs(longitude) > 180 ||
+      isNaN(recordedAt.getTime()) || recordedAt.getTime() > now + MAX_CLOCK_SKEW_MS) {
+      return null;
+    }
+    // Older than the TTL: would expire immediately
+    if (recordedAt.getTime() < now - ttlMs) {
+      continue;
+    }
+    normalized.push({
+      latitude,
+      longitude,
+      accuracy: toNumber(ping.accuracy),
+      speed: toNumber(ping.speed),
+      heading: toNumber(ping.heading),
+      recordedAt
+    });
+  }
+
+  return normalized.sort((a, b) => a.recordedAt - b.recordedAt);
+}
+
+/**
+ * Store a field agent's pings and update their last known position
+ * @param {Object} agent - Field agent (req.user)
+ * @param {Array} pings - Output of normalizePings
+ * @returns {Promise<Object>} { stored, lastLocation }
+ */
+async function recordPings(agent, pings) {
+  if (pings.length === 0) {
+    return { stored: 0, lastLocation: agent.lastLocation || null };
+  }
+
+  await LocationPing.insertMany(pings.map(ping => ({ ...ping, agent: agent._id })));
+
+  const newest = pings[pings.length - 1];
+  const lastLocation = {
+    latitude: newest.latitude,
+    longitude: newest.longitude,
+    accuracy: newest.accuracy,
+    recordedAt: newest.recordedAt
+  };
+  // Late uploads of old pings must not move the agent back in time
+  const updated = await User.updateOne(
+    {
+      _id: agent._id,
+      $or: [
+        { 'lastLocation.recordedAt': { $exists: false } },
+        { 'lastLocation.recordedAt': { $lt: newest.recordedAt } }
+      ]
+    },
+    { $set: { lastLocation, 'location.coordinates': [newest.longitude, newest.latitude] } }
+  );
+
+  if (updated.modifiedCount > 0 && agent.createdBy) {
+    sendToUsers([agent.createdBy], 'agent-location', { agentId: agent._id, lastLocation });
+  }
+
+  return { stored: pings.length, lastLocation: updated.modifiedCount > 0 ? lastLocation : agent.lastLocation };
+}
+
+/**
+ * GPS position to log an action with, when the agent's last fix is recent
+ * @param {Object} user - Acting user (req.user)
+ * @returns {Object|null} { latitude, longitude, accuracy, recordedAt }
+ */
+function getRecentGpsLocation(user) {
+  const lastLocation = user?.lastLocation;
+  if (!lastLocation?.recordedAt || Date.now() - new Date(lastLocation.recordedAt).getTime() > GPS_FRESH_MS) {
+    return null;
+  }
+  return lastLocation;
+}
+
+/**
+ * Pings of an agent in a time range, oldest first
+ */
+async function getTrail(agentId, from, to) {
+  return LocationPing.find({ agent: agentId, recordedAt: { $gte: from, $lte: to } })
+    .select('-_id latitude longitude accuracy speed heading recordedAt')
+    .sort({ recordedAt: 1 })
+    .lean();
+}
+
+/**
+ * Ping of a trail closest to a moment
+ * @returns {Object|null} Ping with offsetMs, or null when none is within REPLAY_MATCH_MS
+ */
+function findNearestPing(trail, at) {
+  const time = new Date(at).getTime();
+  let nearest = null;
+  trail.forEach(ping => {
+    const offsetMs = Math.abs(new Date(ping.recordedAt).getTime() - time);
+    if (offsetMs <= REPLAY_MATCH_MS && (!nearest || offsetMs < nearest.offsetMs)) {
+      nearest = { ...ping, offsetMs };
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Where an agent was at a moment: the trail around it and the closest ping
+ * @param {ObjectId} agentId - Field agent
+ * @param {Date} at - Moment to replay (e.g. a "verified" notification)
+ * @returns {Promise<Object>} { trail, position } - position is null without a ping close enough
+ */
+async function getReplay(agentId, at) {
+  const time = new Date(at).getTime();
+  const trail = await getTrail(agentId, new Date(time - REPLAY_BEFORE_MS), new Date(time + REPLAY_AFTER_MS));
+  return { trail, position: findNearestPing(trail, at) };
+}
+
+module.exports = {
+  normalizePings,
+  recordPings,
+  getRecentGpsLocation,
+  getTrail,
+  findNearestPing,
+  getReplay
+};
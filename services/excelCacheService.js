@@ -1,129 +1,414 @@
 const XLSX = require('xlsx');
-const { getFileBufferFromGCS } = require('./gcsService');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const { getFileBuffer, isStoredFile } = require('./storageService');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
 /**
  * Excel Cache Service
  * Caches parsed Excel files in memory to avoid re-parsing GCS files
  * This dramatically speeds up search results that need full vehicle data
+ *
+ * Memory is bounded by a byte budget with least-recently-used eviction.
+ * Parsed rows are also persisted to local disk (gzipped, column-compact) so a
+ * restart warms from disk instead of refetching every file from GCS.
  */
 
 // IN-MEMORY CACHE: Does NOT use MongoDB storage
-// All Excel file caching is stored in Node.js memory (Map object) - cleared on server restart
-// This dramatically speeds up searches without increasing MongoDB storage
-// Cache structure: { gcsFileUrl: { data: [...rows], regIndex: Map, chassisIndex: Map, timestamp: Date } }
+// Map iteration order is the LRU order: every hit re-inserts the entry at the end
+// Cache structure: { gcsFileUrl: { data: [...rows], regIndex: Map, chassisIndex: Map, combinedIndex: Map, rowIndex: Map, sheetNames, sizeBytes, timestamp, lastAccessedAt } }
 const excelCache = new Map();
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours - Excel files don't change often
+const MAX_CACHE_BYTES = (parseInt(process.env.EXCEL_CACHE_MAX_MB, 10) || 512) * 1024 * 1024;
+const MAX_DISK_BYTES = (parseInt(process.env.EXCEL_CACHE_DISK_MAX_MB, 10) || 2048) * 1024 * 1024;
+const CACHE_DIR = process.env.EXCEL_CACHE_DIR || path.join(__dirname, '../uploads/cache/excel');
+const DISK_FORMAT_VERSION = 1;
+// Parsed rows take several times their serialized size once indexed in memory
+const MEMORY_OVERHEAD_FACTOR = 3;
+
+const cacheStats = {
+  hits: 0,
+  diskHits: 0,
+  misses: 0,
+  evictions: 0,
+  diskWrites: 0,
+  diskErrors: 0,
+  warmedFromDisk: 0,
+  startedAt: Date.now()
+};
+let cacheBytes = 0;
+
+const WORKBOOK_READ_OPTIONS = {
+  cellDates: true,
+  cellNF: false,
+  cellText: false,
+  cellStyles: false
+};
+
+// Key of a row in rowIndex - sheet name + Excel row number (header is row 1)
+const rowLocationKey = (sheetName, rowNumber) => `${sheetName}!${rowNumber}`;
+
+const normalizeKey = (value) => (value || '').toString().trim().toUpperCase();
+
+const sameSheetNames = (a, b) => (a || []).join('\u0000') === (b || []).join('\u0000');
+
+const cacheFilePath = (gcsFileUrl) =>
+  path.join(CACHE_DIR, `${crypto.createHash('sha1').update(gcsFileUrl).digest('hex')}.json.gz`);
 
 /**
- * Get full vehicle data from Excel file (cached)
- * @param {string} gcsFileUrl - GCS URL of Excel file
- * @param {number} rowNumber - Row number (1-based, excluding header)
- * @returns {Promise<Object>} Vehicle data object with all fields
+ * Parse the ingested sheets of a workbook into a compact column layout
+ * (headers once per sheet, rows as value arrays) - the on-disk format
+ * @param {Buffer} buffer - Workbook contents
+ * @param {Array} sheetNames - ExcelFile.sheetNames (empty = first sheet only)
+ * @returns {Array} [{ name, headers, rows: [[rowNumber, ...values]] }]
  */
-async function getVehicleDataFromExcel(gcsFileUrl, rowNumber) {
-  try {
-    // Check cache first
-    const cached = excelCache.get(gcsFileUrl);
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-      // Cache hit - return row data
-      // IMPORTANT: rowNumber = row + 1 where row starts from 1 (Excel row 2, first data row)
-      // So: Excel row 2 -> rowNumber = 2, and rows[0] = Excel row 2
-      // Therefore: rows[rowNumber - 2] gives us the correct row
-      const arrayIndex = rowNumber - 2;
-      const rowData = arrayIndex >= 0 && arrayIndex < cached.data.length ? cached.data[arrayIndex] : null;
-      if (rowData) {
-        return rowData;
-      }
-      throw new Error(`Row ${rowNumber} not found in cached Excel file (arrayIndex: ${arrayIndex}, total rows: ${cached.data.length})`);
-    }
+function parseWorkbookSheets(buffer, sheetNames) {
+  const workbook = XLSX.read(buffer, WORKBOOK_READ_OPTIONS);
+  const names = sheetNames && sheetNames.length > 0
+    ? sheetNames.filter(name => workbook.Sheets[name])
+    : [workbook.SheetNames[0]];
 
-    // Cache miss - fetch and parse Excel file from GCS
-    const fetchStartTime = Date.now();
-    console.log(`📥 Fetching Excel file from GCS: ${gcsFileUrl}`);
-    const buffer = await getFileBufferFromGCS(gcsFileUrl);
-    const fetchTime = Date.now() - fetchStartTime;
-    console.log(`⏱️  GCS fetch time: ${fetchTime}ms`);
-    
-    // Parse Excel file
-    const workbook = XLSX.read(buffer, {
-      cellDates: true,
-      cellNF: false,
-      cellText: false,
-      cellStyles: false
-    });
-    
-    const sheetName = workbook.SheetNames[0];
+  return names.map(sheetName => {
     const worksheet = workbook.Sheets[sheetName];
-    
-    // Get headers
     const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-    const headers = [];
+
+    // Only columns with a header are kept
+    const columns = [];
     for (let col = range.s.c; col <= range.e.c; col++) {
-      const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
-      const cell = worksheet[cellAddress];
-      headers[col] = cell ? cell.v : null;
+      const cell = worksheet[XLSX.utils.encode_cell({ r: 0, c: col })];
+      if (cell && cell.v) {
+        columns.push({ col, header: cell.v });
+      }
     }
 
-    // Parse all rows into array of objects
     const rows = [];
     for (let row = 1; row <= range.e.r; row++) {
-      const rowData = {};
-      for (let col = range.s.c; col <= range.e.c; col++) {
-        const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-        const cell = worksheet[cellAddress];
-        const header = headers[col];
-        if (header) {
-          rowData[header] = cell ? cell.v : null;
-        }
+      const values = [row + 1]; // Excel row number (header is row 1)
+      for (const { col } of columns) {
+        const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: col })];
+        values.push(cell ? cell.v : null);
       }
-      rows.push(rowData);
+      rows.push(values);
     }
 
-    // Create indexed lookups for fast O(1) search
-    const regIndex = new Map(); // registration_number -> row data
-    const chassisIndex = new Map(); // chassis_number -> row data
-    const combinedIndex = new Map(); // "reg|chassis" -> row data (for exact matches)
-    
-    rows.forEach((row, index) => {
-      const reg = (row.registration_number || row.registrationNumber || '').toString().trim().toUpperCase();
-      const chassis = (row.chasis_number || row.chassisNumber || '').toString().trim().toUpperCase();
-      
+    return { name: sheetName, headers: columns.map(column => column.header), rows };
+  });
+}
+
+/**
+ * Build rows and search indexes from compact sheets
+ * @returns {Object} Cache entry { data, regIndex, chassisIndex, combinedIndex, rowIndex, timestamp }
+ */
+function buildCacheEntry(sheets, timestamp = Date.now()) {
+  const rows = [];
+  const regIndex = new Map(); // Map<regNumber, Array<rowData>> - stores ALL matches
+  const chassisIndex = new Map(); // Map<chassisNumber, Array<rowData>> - stores ALL matches
+  const combinedIndex = new Map(); // Map<reg|chassis, Array<rowData>> - stores ALL matches
+  const rowIndex = new Map(); // Map<sheet!rowNumber, rowData> - original row location
+
+  const addToIndex = (index, key, rowData) => {
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(rowData);
+  };
+
+  for (const sheet of sheets) {
+    for (const [rowNumber, ...values] of sheet.rows) {
+      const rowData = {};
+      sheet.headers.forEach((header, i) => {
+        rowData[header] = values[i] === undefined ? null : values[i];
+      });
+      rows.push(rowData);
+      rowIndex.set(rowLocationKey(sheet.name, rowNumber), rowData);
+
+      // Build indexes while parsing (O(n) one-time cost)
+      // IMPORTANT: Store ALL matches, not just the last one (multiple vehicles can have same reg/chassis)
+      const reg = normalizeKey(rowData.registration_number || rowData.registrationNumber);
+      const chassis = normalizeKey(rowData.chasis_number || rowData.chassisNumber);
+
       if (reg) {
-        regIndex.set(reg, row);
+        addToIndex(regIndex, reg, rowData);
         if (chassis) {
-          combinedIndex.set(`${reg}|${chassis}`, row);
+          addToIndex(combinedIndex, `${reg}|${chassis}`, rowData);
         }
       }
       if (chassis) {
-        chassisIndex.set(chassis, row);
+        addToIndex(chassisIndex, chassis, rowData);
       }
-    });
+    }
+  }
 
-    // Cache the parsed data with indexes
-    const parseTime = Date.now() - fetchStartTime;
-    excelCache.set(gcsFileUrl, {
-      data: rows,
-      regIndex,
-      chassisIndex,
-      combinedIndex,
-      timestamp: Date.now()
-    });
+  return {
+    data: rows,
+    regIndex,
+    chassisIndex,
+    combinedIndex,
+    rowIndex,
+    timestamp
+  };
+}
+
+// Dates are the only non-JSON cell values (cellDates: true)
+function serializeSheets(gcsFileUrl, sheetNames, sheets, timestamp) {
+  return JSON.stringify({
+    version: DISK_FORMAT_VERSION,
+    gcsFileUrl,
+    sheetNames: sheetNames || [],
+    timestamp,
+    sheets
+  }, function (key, value) {
+    return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+  });
+}
 
-      // Only log in development or for large files
-      if (process.env.NODE_ENV === 'development' || rows.length > 10000) {
-        console.log(`✅ Cached Excel file: ${gcsFileUrl.split('/').pop()} (${rows.length} rows, ${regIndex.size} reg keys, ${chassisIndex.size} chassis keys) - Total time: ${parseTime}ms`);
+function deserializeSheets(json) {
+  return JSON.parse(json, (key, value) =>
+    value && typeof value === 'object' && typeof value.$date === 'string' ? new Date(value.$date) : value
+  );
+}
+
+// Insert (or refresh) an entry and evict least-recently-used entries over budget
+function storeInMemory(gcsFileUrl, entry) {
+  removeFromMemory(gcsFileUrl);
+  entry.lastAccessedAt = Date.now();
+  excelCache.set(gcsFileUrl, entry);
+  cacheBytes += entry.sizeBytes;
+
+  for (const [key, candidate] of excelCache) {
+    if (cacheBytes <= MAX_CACHE_BYTES || key === gcsFileUrl) {
+      break;
+    }
+    removeFromMemory(key);
+    cacheStats.evictions++;
+    console.log(`♻️  Evicted Excel cache entry: ${key.split('/').pop()} (${(candidate.sizeBytes / 1024 / 1024).toFixed(1)} MB)`);
+  }
+}
+
+function removeFromMemory(gcsFileUrl) {
+  const existing = excelCache.get(gcsFileUrl);
+  if (existing) {
+    cacheBytes -= existing.sizeBytes;
+    excelCache.delete(gcsFileUrl);
+  }
+}
+
+// Move a hit to the most-recently-used position
+function touch(gcsFileUrl, entry) {
+  excelCache.delete(gcsFileUrl);
+  entry.lastAccessedAt = Date.now();
+  excelCache.set(gcsFileUrl, entry);
+}
+
+/**
+ * Persist a parsed file to disk (atomic rename), then trim the disk cache
+ */
+async function persistToDisk(gcsFileUrl, serialized) {
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const target = cacheFilePath(gcsFileUrl);
+    const tempPath = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, await gzip(serialized));
+    await fs.rename(tempPath, target);
+    cacheStats.diskWrites++;
+    await pruneDiskCache();
+  } catch (error) {
+    cacheStats.diskErrors++;
+    console.error(`❌ Failed to persist Excel cache for ${gcsFileUrl.split('/').pop()}:`, error.message);
+  }
+}
+
+/**
+ * Load a parsed file from disk
+ * @returns {Promise<Object|null>} Cache entry, or null when missing, expired or for other sheets
+ */
+async function loadFromDisk(gcsFileUrl, sheetNames) {
+  const filePath = cacheFilePath(gcsFileUrl);
+  let compressed;
+  try {
+    compressed = await fs.readFile(filePath);
+  } catch (error) {
+    return null; // Not persisted
+  }
+
+  try {
+    const serialized = (await gunzip(compressed)).toString('utf8');
+    const stored = deserializeSheets(serialized);
+    if (stored.version !== DISK_FORMAT_VERSION ||
+        stored.gcsFileUrl !== gcsFileUrl ||
+        !sameSheetNames(stored.sheetNames, sheetNames) ||
+        Date.now() - stored.timestamp >= CACHE_TTL) {
+      await removeFromDisk(gcsFileUrl);
+      return null;
+    }
+
+    const entry = buildCacheEntry(stored.sheets, stored.timestamp);
+    entry.sheetNames = stored.sheetNames;
+    entry.sizeBytes = Buffer.byteLength(serialized) * MEMORY_OVERHEAD_FACTOR;
+    entry.persisted = true;
+    return entry;
+  } catch (error) {
+    cacheStats.diskErrors++;
+    console.error(`❌ Corrupt Excel cache file for ${gcsFileUrl.split('/').pop()}, discarding:`, error.message);
+    await removeFromDisk(gcsFileUrl);
+    return null;
+  }
+}
+
+async function removeFromDisk(gcsFileUrl) {
+  try {
+    await fs.unlink(cacheFilePath(gcsFileUrl));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Failed to remove Excel cache file for ${gcsFileUrl.split('/').pop()}:`, error.message);
+    }
+  }
+}
+
+// Remove the oldest cache files once the directory exceeds its disk budget
+async function pruneDiskCache() {
+  const files = await listDiskCacheFiles();
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+
+  for (const file of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+    if (total <= MAX_DISK_BYTES) {
+      break;
+    }
+    try {
+      await fs.unlink(file.path);
+      total -= file.size;
+    } catch (error) {
+      console.error(`❌ Failed to prune Excel cache file ${file.path}:`, error.message);
+    }
+  }
+}
+
+async function listDiskCacheFiles() {
+  let names;
+  try {
+    names = await fs.readdir(CACHE_DIR);
+  } catch (error) {
+    return [];
+  }
+
+  const files = [];
+  for (const name of names.filter(n => n.endsWith('.json.gz'))) {
+    try {
+      const filePath = path.join(CACHE_DIR, name);
+      const stat = await fs.stat(filePath);
+      files.push({ path: filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch (error) {
+      // Removed concurrently
+    }
+  }
+  return files;
+}
+
+/**
+ * Fetch a file from GCS, parse it, cache it in memory and persist it to disk
+ */
+async function fetchAndCache(gcsFileUrl, sheetNames) {
+  const fetchStartTime = Date.now();
+  // Only log in development or for first-time fetches
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`📥 Fetching Excel file from storage: ${gcsFileUrl.split('/').pop()}`);
+  }
+  const buffer = await getFileBuffer(gcsFileUrl);
+  const fetchTime = Date.now() - fetchStartTime;
+  // Only log slow fetches (>5 seconds) or in development
+  if (process.env.NODE_ENV === 'development' || fetchTime > 5000) {
+    console.log(`⏱️  Storage fetch time: ${fetchTime}ms`);
+  }
+
+  const timestamp = Date.now();
+  const sheets = parseWorkbookSheets(buffer, sheetNames);
+  const serialized = serializeSheets(gcsFileUrl, sheetNames, sheets, timestamp);
+  const entry = buildCacheEntry(sheets, timestamp);
+  entry.sheetNames = sheetNames || [];
+  entry.sizeBytes = Buffer.byteLength(serialized) * MEMORY_OVERHEAD_FACTOR;
+  entry.persisted = true;
+  storeInMemory(gcsFileUrl, entry);
+
+  // Disk write happens in the background; a failure only costs a GCS refetch later
+  persistToDisk(gcsFileUrl, serialized);
+
+  return { entry, fetchTime };
+}
+
+/**
+ * Get the cache entry for a file: memory, then disk, then GCS
+ * @param {string} gcsFileUrl - GCS URL of Excel file
+ * @param {Array} sheetNames - ExcelFile.sheetNames (empty = first sheet only)
+ * @returns {Promise<Object>} Cache entry
+ */
+async function loadCacheEntry(gcsFileUrl, sheetNames) {
+  const cached = excelCache.get(gcsFileUrl);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL && sameSheetNames(cached.sheetNames, sheetNames)) {
+    cacheStats.hits++;
+    touch(gcsFileUrl, cached);
+    // Only log in development
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`✅ Using cached Excel file: ${gcsFileUrl.split('/').pop()} (${cached.data.length} rows)`);
+    }
+    return cached;
+  }
+
+  const fromDisk = await loadFromDisk(gcsFileUrl, sheetNames);
+  if (fromDisk) {
+    cacheStats.diskHits++;
+    storeInMemory(gcsFileUrl, fromDisk);
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`💾 Loaded Excel cache from disk: ${gcsFileUrl.split('/').pop()} (${fromDisk.data.length} rows)`);
+    }
+    return fromDisk;
+  }
+
+  // Cache miss - fetch and parse
+  cacheStats.misses++;
+  const startTime = Date.now();
+  const { entry } = await fetchAndCache(gcsFileUrl, sheetNames);
+
+  // Only log in development or for large files
+  if (process.env.NODE_ENV === 'development' || entry.data.length > 10000) {
+    console.log(`✅ Cached Excel file: ${gcsFileUrl.split('/').pop()} (${entry.data.length} rows, ${entry.regIndex.size} reg keys, ${entry.chassisIndex.size} chassis keys) - Total time: ${Date.now() - startTime}ms`);
+  }
+
+  return entry;
+}
+
+/**
+ * Get full vehicle data from Excel file (cached)
+ * @param {string} gcsFileUrl - GCS URL of Excel file
+ * @param {number} rowNumber - Row number (1-based, excluding header)
+ * @param {Object} options - { sheetNames, sheetName } for multi-sheet files (optional)
+ * @returns {Promise<Object>} Vehicle data object with all fields
+ */
+async function getVehicleDataFromExcel(gcsFileUrl, rowNumber, options = {}) {
+  try {
+    const entry = await loadCacheEntry(gcsFileUrl, options.sheetNames);
+
+    if (options.sheetName) {
+      const rowData = entry.rowIndex.get(rowLocationKey(options.sheetName, rowNumber));
+      if (rowData) {
+        return rowData;
       }
+      throw new Error(`Row ${rowNumber} not found in sheet "${options.sheetName}"`);
+    }
 
-    // Return requested row
     // IMPORTANT: rowNumber = row + 1 where row starts from 1 (Excel row 2, first data row)
     // So: Excel row 2 -> rowNumber = 2, and rows[0] = Excel row 2
     // Therefore: rows[rowNumber - 2] gives us the correct row
     const arrayIndex = rowNumber - 2;
-    const rowData = arrayIndex >= 0 && arrayIndex < rows.length ? rows[arrayIndex] : null;
+    const rowData = arrayIndex >= 0 && arrayIndex < entry.data.length ? entry.data[arrayIndex] : null;
     if (!rowData) {
-      throw new Error(`Row ${rowNumber} not found in Excel file (arrayIndex: ${arrayIndex}, total rows: ${rows.length})`);
+      throw new Error(`Row ${rowNumber} not found in Excel file (arrayIndex: ${arrayIndex}, total rows: ${entry.data.length})`);
     }
-    
+
     return rowData;
   } catch (error) {
     console.error(`❌ Error getting vehicle data from Excel:`, error);
@@ -133,132 +418,41 @@ async function getVehicleDataFromExcel(gcsFileUrl, rowNumber) {
 
 /**
  * Search for vehicles in Excel file by registration/chassis number (Level 2: No rowNumber)
+ * Lookups from multi-sheet files carry sheetName + rowNumber; the original row
+ * is used when it still holds the same vehicle, otherwise the key indexes are.
  * @param {string} gcsFileUrl - GCS URL of Excel file
  * @param {Object[]} lookups - Array of lookup objects with registrationNumber and/or chassisNumber
+ * @param {Object} options - { sheetNames } from the ExcelFile (optional)
  * @returns {Promise<Object[]>} Array of vehicle data objects matching the lookups
  */
-async function searchVehiclesInExcel(gcsFileUrl, lookups) {
+async function searchVehiclesInExcel(gcsFileUrl, lookups, options = {}) {
   try {
     // Get cached or fetch Excel file
-    const cached = excelCache.get(gcsFileUrl);
-    let rows, regIndex, chassisIndex, combinedIndex;
-    
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-      // Cache hit - use cached data and indexes
-      rows = cached.data;
-      regIndex = cached.regIndex;
-      chassisIndex = cached.chassisIndex;
-      combinedIndex = cached.combinedIndex;
-      // Only log in development
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`✅ Using cached Excel file: ${gcsFileUrl.split('/').pop()} (${rows.length} rows)`);
-      }
-    } else {
-      // Cache miss - fetch and parse
-      const fetchStartTime = Date.now();
-      // Only log in development or for first-time fetches
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`📥 Fetching Excel file from GCS: ${gcsFileUrl.split('/').pop()}`);
-      }
-      const buffer = await getFileBufferFromGCS(gcsFileUrl);
-      const fetchTime = Date.now() - fetchStartTime;
-      // Only log slow fetches (>5 seconds) or in development
-      if (process.env.NODE_ENV === 'development' || fetchTime > 5000) {
-        console.log(`⏱️  GCS fetch time: ${fetchTime}ms`);
-      }
-      const workbook = XLSX.read(buffer, {
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-        cellStyles: false
-      });
-      
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-      
-      const headers = [];
-      for (let col = range.s.c; col <= range.e.c; col++) {
-        const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
-        const cell = worksheet[cellAddress];
-        headers[col] = cell ? cell.v : null;
-      }
-
-      rows = [];
-      regIndex = new Map(); // Map<regNumber, Array<rowData>> - stores ALL matches
-      chassisIndex = new Map(); // Map<chassisNumber, Array<rowData>> - stores ALL matches
-      combinedIndex = new Map(); // Map<reg|chassis, Array<rowData>> - stores ALL matches
-      
-      for (let row = 1; row <= range.e.r; row++) {
-        const rowData = {};
-        for (let col = range.s.c; col <= range.e.c; col++) {
-          const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-          const cell = worksheet[cellAddress];
-          const header = headers[col];
-          if (header) {
-            rowData[header] = cell ? cell.v : null;
-          }
-        }
-        rows.push(rowData);
-        
-        // Build indexes while parsing (O(n) one-time cost)
-        // IMPORTANT: Store ALL matches, not just the last one (multiple vehicles can have same reg/chassis)
-        const reg = (rowData.registration_number || rowData.registrationNumber || '').toString().trim().toUpperCase();
-        const chassis = (rowData.chasis_number || rowData.chassisNumber || '').toString().trim().toUpperCase();
-        
-        if (reg) {
-          // Store array of matches for this registration number
-          if (!regIndex.has(reg)) {
-            regIndex.set(reg, []);
-          }
-          regIndex.get(reg).push(rowData);
-          
-          if (chassis) {
-            // Store array of matches for this combined key
-            const combinedKey = `${reg}|${chassis}`;
-            if (!combinedIndex.has(combinedKey)) {
-              combinedIndex.set(combinedKey, []);
-            }
-            combinedIndex.get(combinedKey).push(rowData);
-          }
-        }
-        if (chassis) {
-          // Store array of matches for this chassis number
-          if (!chassisIndex.has(chassis)) {
-            chassisIndex.set(chassis, []);
-          }
-          chassisIndex.get(chassis).push(rowData);
-        }
-      }
-
-      // Cache the parsed data with indexes
-      excelCache.set(gcsFileUrl, {
-        data: rows,
-        regIndex,
-        chassisIndex,
-        combinedIndex,
-        timestamp: Date.now()
-      });
-      
-      // Only log in development or for large files
-      if (process.env.NODE_ENV === 'development' || rows.length > 10000) {
-        console.log(`✅ Cached Excel file: ${gcsFileUrl.split('/').pop()} (${rows.length} rows, ${regIndex.size} reg keys, ${chassisIndex.size} chassis keys)`);
-      }
-    }
+    const { regIndex, chassisIndex, combinedIndex, rowIndex } = await loadCacheEntry(gcsFileUrl, options.sheetNames);
 
     // OPTIMIZED: Use indexed lookups for O(1) search instead of O(n) linear search
     // IMPORTANT: Return ALL matches, not just one (multiple vehicles can have same reg/chassis)
     const results = [];
     
     for (const lookup of lookups) {
-      const regNum = (lookup.registrationNumber || '').toString().trim().toUpperCase();
-      const chassisNum = (lookup.chassisNumber || '').toString().trim().toUpperCase();
+      const regNum = normalizeKey(lookup.registrationNumber);
+      const chassisNum = normalizeKey(lookup.chassisNumber);
       
       if (!regNum && !chassisNum) {
         // No search criteria - skip
         results.push(null);
         continue;
       }
+
+      if (lookup.sheetName && lookup.rowNumber) {
+        const rowData = rowIndex.get(rowLocationKey(lookup.sheetName, lookup.rowNumber));
+        if (rowData &&
+            (!regNum || normalizeKey(rowData.registration_number || rowData.registrationNumber) === regNum) &&
+            (!chassisNum || normalizeKey(rowData.chasis_number || rowData.chassisNumber) === chassisNum)) {
+          results.push(rowData);
+          continue;
+        }
+      }
       
       let matches = [];
       
@@ -300,97 +494,28 @@ async function searchVehiclesInExcel(gcsFileUrl, lookups) {
   }
 }
 
+/**
+ * Get every row of an Excel file (cached) - used to select rows by column values
+ * @param {string} gcsFileUrl - GCS URL of Excel file
+ * @param {Object} options - { sheetNames } from the ExcelFile (optional)
+ * @returns {Promise<Object[]>} Row objects keyed by canonical header
+ */
+async function getExcelRows(gcsFileUrl, options = {}) {
+  const { data } = await loadCacheEntry(gcsFileUrl, options.sheetNames);
+  return data;
+}
+
 /**
  * Get multiple vehicle rows from Excel file (batch operation) - LEGACY: Uses rowNumber
+ * Rows of multi-sheet files are addressed as { sheetName, rowNumber } (VehicleLookup location).
  * @param {string} gcsFileUrl - GCS URL of Excel file
- * @param {number[]} rowNumbers - Array of row numbers (1-based)
+ * @param {Array<number|Object>} rowNumbers - Array of row numbers (1-based) or { sheetName, rowNumber }
+ * @param {Object} options - { sheetNames } from the ExcelFile (optional)
  * @returns {Promise<Object[]>} Array of vehicle data objects
  */
-async function getMultipleVehicleDataFromExcel(gcsFileUrl, rowNumbers) {
+async function getMultipleVehicleDataFromExcel(gcsFileUrl, rowNumbers, options = {}) {
   try {
-    // Check cache first
-    const cached = excelCache.get(gcsFileUrl);
-    let rows;
-    
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-      // Cache hit - use cached rows
-      rows = cached.data;
-    } else {
-      // Cache miss - fetch and parse (same as single row)
-      const fetchStartTime = Date.now();
-      // Only log in development
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`📥 Fetching Excel file from GCS: ${gcsFileUrl.split('/').pop()}`);
-      }
-      const buffer = await getFileBufferFromGCS(gcsFileUrl);
-      const fetchTime = Date.now() - fetchStartTime;
-      // Only log slow fetches (>5 seconds) or in development
-      if (process.env.NODE_ENV === 'development' || fetchTime > 5000) {
-        console.log(`⏱️  GCS fetch time: ${fetchTime}ms`);
-      }
-      const workbook = XLSX.read(buffer, {
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-        cellStyles: false
-      });
-      
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-      
-      const headers = [];
-      for (let col = range.s.c; col <= range.e.c; col++) {
-        const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
-        const cell = worksheet[cellAddress];
-        headers[col] = cell ? cell.v : null;
-      }
-
-      rows = [];
-      for (let row = 1; row <= range.e.r; row++) {
-        const rowData = {};
-        for (let col = range.s.c; col <= range.e.c; col++) {
-          const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-          const cell = worksheet[cellAddress];
-          const header = headers[col];
-          if (header) {
-            rowData[header] = cell ? cell.v : null;
-          }
-        }
-        rows.push(rowData);
-      }
-
-      // Create indexed lookups for fast O(1) search
-      const regIndex = new Map();
-      const chassisIndex = new Map();
-      const combinedIndex = new Map();
-      
-      rows.forEach((row) => {
-        const reg = (row.registration_number || row.registrationNumber || '').toString().trim().toUpperCase();
-        const chassis = (row.chasis_number || row.chassisNumber || '').toString().trim().toUpperCase();
-        
-        if (reg) {
-          regIndex.set(reg, row);
-          if (chassis) {
-            combinedIndex.set(`${reg}|${chassis}`, row);
-          }
-        }
-        if (chassis) {
-          chassisIndex.set(chassis, row);
-        }
-      });
-
-      // Cache the parsed data with indexes
-      excelCache.set(gcsFileUrl, {
-        data: rows,
-        regIndex,
-        chassisIndex,
-        combinedIndex,
-        timestamp: Date.now()
-      });
-      
-      console.log(`✅ Cached Excel file: ${gcsFileUrl} (${rows.length} rows, ${regIndex.size} reg keys, ${chassisIndex.size} chassis keys)`);
-    }
+    const { data: rows, rowIndex } = await loadCacheEntry(gcsFileUrl, options.sheetNames);
 
     // Return requested rows IN THE SAME ORDER as rowNumbers array
     // This is critical - the order must match the lookup order
@@ -400,6 +525,11 @@ async function getMultipleVehicleDataFromExcel(gcsFileUrl, rowNumbers) {
     // Therefore: rows[rowNumber - 2] gives us the correct row
     const result = [];
     for (const rowNum of rowNumbers) {
+      if (rowNum && typeof rowNum === 'object') {
+        result.push(rowIndex.get(rowLocationKey(rowNum.sheetName, rowNum.rowNumber)) || null);
+        continue;
+      }
+
       const arrayIndex = rowNum - 2; // Convert rowNumber to array index (rowNumber 2 -> index 0)
       const rowData = arrayIndex >= 0 && arrayIndex < rows.length ? rows[arrayIndex] : null;
       if (rowData) {
@@ -418,35 +548,56 @@ async function getMultipleVehicleDataFromExcel(gcsFileUrl, rowNumbers) {
 }
 
 /**
- * Clear cache for a specific file
+ * Clear cache for a specific file (memory and disk)
  * @param {string} gcsFileUrl - GCS URL of Excel file
  */
 function clearCacheForFile(gcsFileUrl) {
-  excelCache.delete(gcsFileUrl);
+  removeFromMemory(gcsFileUrl);
+  removeFromDisk(gcsFileUrl);
   console.log(`🗑️ Cleared cache for: ${gcsFileUrl}`);
 }
 
 /**
- * Clear all cache
+ * Clear all cache (memory and disk)
  */
-function clearAllCache() {
+async function clearAllCache() {
   excelCache.clear();
+  cacheBytes = 0;
+  for (const file of await listDiskCacheFiles()) {
+    try {
+      await fs.unlink(file.path);
+    } catch (error) {
+      console.error(`❌ Failed to remove Excel cache file ${file.path}:`, error.message);
+    }
+  }
   console.log(`🗑️ Cleared all Excel cache`);
 }
 
 /**
- * Clean up old cache entries (prevent memory leaks)
+ * Clean up old cache entries (prevent memory leaks and stale disk files)
  */
-function cleanupCache() {
+async function cleanupCache() {
   const cutoffTime = Date.now() - CACHE_TTL;
   let cleaned = 0;
   
-  for (const [key, value] of excelCache.entries()) {
+  for (const [key, value] of [...excelCache.entries()]) {
     if (value.timestamp < cutoffTime) {
-      excelCache.delete(key);
+      removeFromMemory(key);
       cleaned++;
     }
   }
+
+  // Disk files are rewritten on every parse, so their mtime is the parse time
+  for (const file of await listDiskCacheFiles()) {
+    if (file.mtimeMs < cutoffTime) {
+      try {
+        await fs.unlink(file.path);
+        cleaned++;
+      } catch (error) {
+        console.error(`❌ Failed to remove expired Excel cache file ${file.path}:`, error.message);
+      }
+    }
+  }
   
   if (cleaned > 0) {
     console.log(`🧹 Cleaned up ${cleaned} expired cache entries`);
@@ -454,11 +605,62 @@ function cleanupCache() {
 }
 
 // Run cleanup every 10 minutes
-setInterval(cleanupCache, 10 * 60 * 1000);
+setInterval(() => {
+  cleanupCache().catch(error => console.error('Excel cache cleanup error:', error));
+}, 10 * 60 * 1000);
+
+/**
+ * Warm the in-memory cache from disk after a restart
+ * Most recently written files are loaded first until the memory budget is reached.
+ * @param {Array} excelFiles - Active ExcelFile objects ({ filePath, sheetNames })
+ * @returns {Promise<number>} Files loaded
+ */
+async function warmCacheFromDisk(excelFiles) {
+  const startTime = Date.now();
+  const filesByCachePath = new Map();
+  excelFiles.forEach(file => {
+    if (isStoredFile(file.filePath)) {
+      filesByCachePath.set(cacheFilePath(file.filePath), file);
+    }
+  });
+
+  const diskFiles = (await listDiskCacheFiles()).sort((a, b) => b.mtimeMs - a.mtimeMs);
+  let loaded = 0;
+
+  for (const diskFile of diskFiles) {
+    const file = filesByCachePath.get(diskFile.path);
+    if (!file) {
+      // File deleted or no longer active while the server was down
+      try {
+        await fs.unlink(diskFile.path);
+      } catch (error) {
+        console.error(`❌ Failed to remove orphaned Excel cache file ${diskFile.path}:`, error.message);
+      }
+      continue;
+    }
+    if (excelCache.has(file.filePath)) {
+      continue;
+    }
+
+    const entry = await loadFromDisk(file.filePath, file.sheetNames);
+    if (!entry) {
+      continue;
+    }
+    if (cacheBytes + entry.sizeBytes > MAX_CACHE_BYTES) {
+      continue; // Does not fit the budget - loads lazily on first search
+    }
+    storeInMemory(file.filePath, entry);
+    loaded++;
+  }
+
+  cacheStats.warmedFromDisk += loaded;
+  console.log(`💾 Warmed Excel cache from disk: ${loaded} files (${(cacheBytes / 1024 / 1024).toFixed(1)} MB) in ${Date.now() - startTime}ms`);
+  return loaded;
+}
 
 /**
  * Pre-cache Excel files for faster search
- * @param {Array} excelFiles - Array of ExcelFile objects with filePath/gcsFileUrl
+ * @param {Array} excelFiles - Array of ExcelFile objects with filePath/gcsFileUrl (and sheetNames)
  * @returns {Promise<Object>} Cache status with success count and errors
  */
 async function preCacheExcelFiles(excelFiles) {
@@ -474,25 +676,31 @@ async function preCacheExcelFiles(excelFiles) {
 
   for (const file of excelFiles) {
     try {
-      // Get GCS URL from file
+      // Get stored location from file
       const gcsFileUrl = file.filePath || file.gcsFileUrl;
       
-      if (!gcsFileUrl || !gcsFileUrl.includes('storage.googleapis.com')) {
-        console.log(`⏭️  Skipping file ${file._id}: Not a GCS file`);
+      if (!isStoredFile(gcsFileUrl)) {
+        console.log(`⏭️  Skipping file ${file._id}: Not a stored file`);
         results.skipped++;
         continue;
       }
 
-      // Check if already cached
+      // Check if already cached (memory or disk)
       const cached = excelCache.get(gcsFileUrl);
-      if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-        console.log(`✅ File ${file._id} already cached (${cached.data.length} rows)`);
+      const alreadyCached = cached && (Date.now() - cached.timestamp) < CACHE_TTL && sameSheetNames(cached.sheetNames, file.sheetNames)
+        ? cached
+        : await loadFromDisk(gcsFileUrl, file.sheetNames);
+      if (alreadyCached) {
+        if (alreadyCached !== cached) {
+          storeInMemory(gcsFileUrl, alreadyCached);
+        }
+        console.log(`✅ File ${file._id} already cached (${alreadyCached.data.length} rows)`);
         results.skipped++;
         results.cachedFiles.push({
           fileId: file._id.toString(),
           fileName: file.originalName || file.filename,
           status: 'already_cached',
-          rowCount: cached.data.length
+          rowCount: alreadyCached.data.length
         });
         continue;
       }
@@ -500,75 +708,11 @@ async function preCacheExcelFiles(excelFiles) {
       // Fetch and cache the file
       console.log(`📥 Pre-caching file ${file._id}: ${file.originalName || file.filename}`);
       const fetchStartTime = Date.now();
-      
-      const buffer = await getFileBufferFromGCS(gcsFileUrl);
-      const fetchTime = Date.now() - fetchStartTime;
-      
-      const workbook = XLSX.read(buffer, {
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-        cellStyles: false
-      });
-      
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-      
-      // Get headers
-      const headers = [];
-      for (let col = range.s.c; col <= range.e.c; col++) {
-        const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
-        const cell = worksheet[cellAddress];
-        headers[col] = cell ? cell.v : null;
-      }
-
-      // Parse all rows
-      const rows = [];
-      for (let row = 1; row <= range.e.r; row++) {
-        const rowData = {};
-        for (let col = range.s.c; col <= range.e.c; col++) {
-          const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-          const cell = worksheet[cellAddress];
-          const header = headers[col];
-          if (header) {
-            rowData[header] = cell ? cell.v : null;
-          }
-        }
-        rows.push(rowData);
-      }
-
-      // Create indexed lookups for fast O(1) search
-      const regIndex = new Map();
-      const chassisIndex = new Map();
-      const combinedIndex = new Map();
-      
-      rows.forEach((row) => {
-        const reg = (row.registration_number || row.registrationNumber || '').toString().trim().toUpperCase();
-        const chassis = (row.chasis_number || row.chassisNumber || '').toString().trim().toUpperCase();
-        
-        if (reg) {
-          regIndex.set(reg, row);
-          if (chassis) {
-            combinedIndex.set(`${reg}|${chassis}`, row);
-          }
-        }
-        if (chassis) {
-          chassisIndex.set(chassis, row);
-        }
-      });
-
-      // Cache the parsed data with indexes
-      excelCache.set(gcsFileUrl, {
-        data: rows,
-        regIndex,
-        chassisIndex,
-        combinedIndex,
-        timestamp: Date.now()
-      });
+      const { entry, fetchTime } = await fetchAndCache(gcsFileUrl, file.sheetNames);
+      const rows = entry.data;
 
       const totalTime = Date.now() - fetchStartTime;
-      console.log(`✅ Pre-cached file ${file._id}: ${rows.length} rows (${regIndex.size} reg keys, ${chassisIndex.size} chassis keys) (${totalTime}ms)`);
+      console.log(`✅ Pre-cached file ${file._id}: ${rows.length} rows (${entry.regIndex.size} reg keys, ${entry.chassisIndex.size} chassis keys) (${totalTime}ms)`);
       
       results.cached++;
       results.cachedFiles.push({
@@ -594,13 +738,12 @@ async function preCacheExcelFiles(excelFiles) {
 }
 
 /**
- * Get cache details (files, sizes, timestamps)
- * @returns {Object} Cache statistics and file details
+ * Get cache details (files, sizes, timestamps) and hit/eviction statistics
+ * @returns {Promise<Object>} Cache statistics and file details
  */
-function getCacheDetails() {
+async function getCacheDetails() {
   const cacheEntries = [];
   let totalRows = 0;
-  let totalSize = 0;
   const now = Date.now();
   
   for (const [gcsFileUrl, cacheData] of excelCache.entries()) {
@@ -609,10 +752,6 @@ function getCacheDetails() {
     const ageSeconds = Math.floor((age % 60000) / 1000);
     const expiresIn = CACHE_TTL - age;
     const expiresInMinutes = Math.floor(expiresIn / 60000);
-    
-    // Estimate size (rough calculation)
-    const estimatedSize = JSON.stringify(cacheData.data).length;
-    totalSize += estimatedSize;
     totalRows += cacheData.data.length;
     
     cacheEntries.push({
@@ -620,22 +759,42 @@ function getCacheDetails() {
       fileName: gcsFileUrl.split('/').pop() || gcsFileUrl,
       rowCount: cacheData.data.length,
       cachedAt: new Date(cacheData.timestamp).toISOString(),
+      lastAccessedAt: new Date(cacheData.lastAccessedAt).toISOString(),
       ageMinutes: ageMinutes,
       ageSeconds: ageSeconds,
       expiresInMinutes: expiresInMinutes,
       isExpired: age >= CACHE_TTL,
-      estimatedSize: estimatedSize,
-      estimatedSizeMB: (estimatedSize / 1024 / 1024).toFixed(2)
+      persisted: Boolean(cacheData.persisted),
+      estimatedSize: cacheData.sizeBytes,
+      estimatedSizeMB: (cacheData.sizeBytes / 1024 / 1024).toFixed(2)
     });
   }
+
+  const diskFiles = await listDiskCacheFiles();
+  const diskBytes = diskFiles.reduce((sum, file) => sum + file.size, 0);
+  const lookups = cacheStats.hits + cacheStats.diskHits + cacheStats.misses;
   
   return {
     totalFiles: cacheEntries.length,
     totalRows: totalRows,
-    totalSize: totalSize,
-    totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+    totalSize: cacheBytes,
+    totalSizeMB: (cacheBytes / 1024 / 1024).toFixed(2),
+    maxSizeMB: (MAX_CACHE_BYTES / 1024 / 1024).toFixed(0),
+    usagePercent: Math.round((cacheBytes / MAX_CACHE_BYTES) * 100),
     cacheTTLMinutes: CACHE_TTL / 60000,
-    files: cacheEntries.sort((a, b) => b.cachedAt.localeCompare(a.cachedAt))
+    stats: {
+      ...cacheStats,
+      hitRate: lookups > 0 ? Math.round(((cacheStats.hits + cacheStats.diskHits) / lookups) * 100) : null,
+      startedAt: new Date(cacheStats.startedAt).toISOString()
+    },
+    disk: {
+      directory: CACHE_DIR,
+      files: diskFiles.length,
+      sizeMB: (diskBytes / 1024 / 1024).toFixed(2),
+      maxSizeMB: (MAX_DISK_BYTES / 1024 / 1024).toFixed(0)
+    },
+    // Most recently used first
+    files: cacheEntries.reverse()
   };
 }
 
@@ -643,9 +802,11 @@ module.exports = {
   getVehicleDataFromExcel,
   getMultipleVehicleDataFromExcel,
   searchVehiclesInExcel, // NEW: Search by registration/chassis number (Level 2)
+  getExcelRows,
   clearCacheForFile,
   clearAllCache,
   cleanupCache,
   preCacheExcelFiles,
+  warmCacheFromDisk,
   getCacheDetails
 };
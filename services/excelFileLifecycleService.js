@@ -0,0 +1,257 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ExcelFile = require('../models/ExcelFile');
+const VehicleLookup = require('../models/VehicleLookup');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { isStoredFile, moveFile } = require('./storageService');
+const { clearCacheForFile } = require('./excelCacheService');
+const { enqueueExcelImport } = require('./excelJobQueue');
+const { maskFilename } = require('./actionNotificationService');
+const { publishNotifications } = require('./realtimeService');
+
+/**
+ * Validity window of Excel files
+ * A file with a future validFrom is "scheduled" (inactive) until that date. Once
+ * expiresAt passes, the file is archived: its VehicleLookup rows are removed, the
+ * workbook is moved under archive/ in storage and the assigned admins are notified.
+ * Restoring re-queues ingestion of the archived workbook. Recovery cases and
+ * allocations are keyed by file, so they come back with the restored rows.
+ */
+
+const ARCHIVE_FOLDER = 'archive';
+const lifecycleListeners = [];
+
+// archive/excel/123-file.xlsx (storage) or <uploads dir>/archive/123-file.xlsx (local)
+function isArchivedLocation(filePath) {
+  return filePath.split(/[\\/]/).includes(ARCHIVE_FOLDER);
+}
+
+/**
+ * Move a workbook into the archive folder (no-op when it is already there)
+ * @returns {Promise<string>} New file path
+ */
+async function archiveWorkbook(filePath) {
+  if (isArchivedLocation(filePath)) {
+    return filePath;
+  }
+
+  const basename = path.basename(filePath.split('?')[0]);
+  if (isStoredFile(filePath)) {
+    const location = await moveFile(filePath, `${ARCHIVE_FOLDER}/excel/${basename}`);
+    clearCacheForFile(filePath);
+    return location;
+  }
+
+  const archiveDir = path.join(path.dirname(filePath), ARCHIVE_FOLDER);
+  const archivedPath = path.join(archiveDir, basename);
+  await fs.mkdir(archiveDir, { recursive: true });
+  await fs.rename(filePath, archivedPath);
+  return archivedPath;
+}
+
+/**
+ * Register a callback run after files are activated, archived or restored
+ * (used by the Excel routes to clear their search caches)
+ */
+function onFileAvailabilityChanged(listener) {
+  lifecycleListeners.push(listener);
+}
+
+function notifyAvailabilityChanged(excelFile) {
+  lifecycleListeners.forEach(listener => {
+    try {
+      listener(excelFile);
+    } catch (error) {
+      console.error('Excel file lifecycle listener error:', error);
+    }
+  });
+}
+
+/**
+ * Tell the file's admins that it expired (primary admin and uploader see the real name)
+ */
+async function notifyFileArchived(excelFile) {
+  const primaryAdminId = excelFile.assignedTo.toString();
+  const adminIds = [...new Set([primaryAdminId, ...excelFile.assignedAdmins.map(id => id.toString())])];
+  const admins = await User.find({ _id: { $in: adminIds }, isActive: true }).select('_id name').lean();
+  const primaryAdmin = admins.find(admin => admin._id.toString() === primaryAdminId);
+
+  const notifications = admins.map(admin => {
+    const seesRealName = admin._id.toString() === primaryAdminId ||
+      admin._id.toString() === excelFile.uploadedBy.toString();
+    return {
+      user: excelFile.uploadedBy,
+      userName: 'System',
+      userRole: 'system',
+      admin: admin._id,
+      action: 'file_archived',
+      vehicleNumber: 'N/A',
+      excelFileId: excelFile._id,
+      ...(seesRealName
+        ? { fileName: excelFile.originalName }
+        : { maskedFileName: maskFilename(excelFile.originalName), primaryAdminName: primaryAdmin?.name || null }),
+      primaryAdminId: excelFile.assignedTo,
+      ipAddress: 'System',
+      location: {
+        city: 'System',
+        region: 'System',
+        country: 'System'
+      },
+      isOnline: true
+    };
+  });
+
+  if (notifications.length > 0) {
+    publishNotifications(await Notification.insertMany(notifications));
+  }
+}
+
+/**
+ * Archive a file: remove its rows, move the workbook to the archive and notify its admins
+ * @param {Object} excelFile - ExcelFile document
+ * @param {string} reason - Archive reason (expired)
+ * @returns {Promise<Object|null>} Updated file, or null when it is still being processed
+ */
+async function archiveExcelFile(excelFile, { reason = 'expired' } = {}) {
+  if (excelFile.status === 'processing') {
+    return null;
+  }
+
+  // Take the file out of search before its rows go
+  await ExcelFile.findByIdAndUpdate(excelFile._id, { isActive: false });
+  await VehicleLookup.deleteMany({ excelFileId: excelFile._id });
+
+  let filePath = excelFile.filePath;
+  try {
+    filePath = await archiveWorkbook(excelFile.filePath);
+  } catch (error) {
+    // The rows are already gone - keep the workbook where it is, restore still works
+    console.error(`❌ Could not move workbook of ${excelFile._id} to the archive:`, error.message);
+  }
+
+  const archivedFile = await ExcelFile.findByIdAndUpdate(excelFile._id, {
+    isActive: false,
+    availability: 'archived',
+    archivedAt: new Date(),
+    archiveReason: reason,
+    filePath
+  }, { new: true });
+
+  try {
+    await notifyFileArchived(archivedFile);
+  } catch (error) {
+    console.error('Error notifying admins of archived file:', error);
+  }
+
+  console.log(`📦 Archived Excel file ${excelFile._id} (${excelFile.originalName})`);
+  notifyAvailabilityChanged(archivedFile);
+  return archivedFile;
+}
+
+/**
+ * Rebuild an archived file's rows from its archived workbook
+ * @param {Object} params
+ * @param {Object} params.excelFile - Archived ExcelFile document
+ * @param {Object} params.user - User restoring the file
+ * @param {Date} params.expiresAt - New expiry (null = no expiry)
+ * @returns {Promise<Object|null>} The queued import job, or null when the file is not archived
+ */
+async function restoreExcelFile({ excelFile, user, expiresAt = null }) {
+  const restoredFile = await ExcelFile.findOneAndUpdate(
+    { _id: excelFile._id, availability: 'archived' },
+    {
+      isActive: true,
+      availability: 'active',
+      status: 'processing',
+      errorMessage: null,
+      processedRows: 0,
+      failedRows: 0,
+      skippedRows: 0,
+      archivedAt: null,
+      archiveReason: null,
+      validFrom: null,
+      expiresAt,
+      geocodedAt: null
+    },
+    { new: true }
+  );
+  if (!restoredFile) {
+    return null;
+  }
+
+  const job = await enqueueExcelImport({ excelFile: restoredFile, user, type: 'restore' });
+  console.log(`♻️  Restoring Excel file ${excelFile._id} (${excelFile.originalName})`);
+  return job;
+}
+
+/**
+ * Activate scheduled files whose validFrom has been reached
+ * @returns {Promise<number>} Number of activated files
+ */
+async function activateScheduledFiles(now = new Date()) {
+  const dueFiles = await ExcelFile.find({ availability: 'scheduled', validFrom: { $lte: now } });
+
+  for (const excelFile of dueFiles) {
+    const activatedFile = await ExcelFile.findOneAndUpdate(
+      { _id: excelFile._id, availability: 'scheduled' },
+      { isActive: true, availability: 'active' },
+      { new: true }
+    );
+    if (activatedFile) {
+      notifyAvailabilityChanged(activatedFile);
+    }
+  }
+
+  return dueFiles.length;
+}
+
+/**
+ * Archive active and scheduled files whose expiresAt has passed
+ * @returns {Promise<number>} Number of archived files
+ */
+async function archiveExpiredFiles(now = new Date()) {
+  const expiredFiles = await ExcelFile.find({
+    availability: { $in: ['active', 'scheduled'] },
+    expiresAt: { $ne: null, $lte: now }
+  });
+
+  let archived = 0;
+  for (const excelFile of expiredFiles) {
+    try {
+      if (await archiveExcelFile(excelFile, { reason: 'expired' })) {
+        archived++;
+      }
+    } catch (error) {
+      console.error(`❌ Error archiving expired Excel file ${excelFile._id}:`, error);
+    }
+  }
+
+  return archived;
+}
+
+/**
+ * Scheduler entry point: activate due files, then archive expired ones
+ */
+async function runExcelFileLifecycle() {
+  try {
+    const now = new Date();
+    const activated = await activateScheduledFiles(now);
+    const archived = await archiveExpiredFiles(now);
+
+    if (activated > 0 || archived > 0) {
+      console.log(`🗓️ Excel file validity: ${activated} activated, ${archived} archived`);
+    }
+  } catch (error) {
+    console.error('❌ Error running Excel file validity check:', error);
+  }
+}
+
+module.exports = {
+  archiveExcelFile,
+  restoreExcelFile,
+  activateScheduledFiles,
+  archiveExpiredFiles,
+  runExcelFileLifecycle,
+  onFileAvailabilityChanged
+};
@@ -0,0 +1,1017 @@
+const fs = require('fs').promises;
+const XLSX = require('xlsx');
+const ExcelFile = require('../models/ExcelFile');
+const VehicleLookup = require('../models/VehicleLookup');
+const FileStorageSettings = require('../models/FileStorageSettings');
+const UserStorageLimit = require('../models/UserStorageLimit');
+const ColumnMappingProfile = require('../models/ColumnMappingProfile');
+const ExcelUploadStage = require('../models/ExcelUploadStage');
+const VehicleChange = require('../models/VehicleChange');
+const Counter = require('../models/Counter');
+const { uploadFile, deleteFile, getFileBuffer, isStoredFile, isStorageConfigured, getStorageDriverName } = require('./storageService');
+const { clearCacheForFile } = require('./excelCacheService');
+const { parseRegistrationNumber } = require('../utils/registrationNumberParser');
+const { resolveHeaders, detectProfile } = require('../utils/columnMapping');
+
+/**
+ * Excel Ingestion Service
+ * Shared by direct uploads, staged (preview → confirm) uploads, ingestion jobs
+ * and content replacement: reading the workbook (xlsx/xls/csv/tsv, one or more
+ * sheets), header resolution, quota checks, dry-run validation and writing
+ * VehicleLookup rows.
+ */
+
+const CHUNK_SIZE = 1000;
+const MAX_REPORT_ROWS = 5000; // Rows with issues returned in a validation report
+const VEHICLE_CHANGE_COUNTER = 'vehicleChange';
+
+const WORKBOOK_READ_OPTIONS = {
+  cellDates: true,
+  cellNF: false,
+  cellText: false,
+  cellStyles: false
+};
+
+// Plain-text uploads are converted to .xlsx before they are stored
+const DELIMITED_FORMATS = ['csv', 'tsv'];
+const UPLOAD_FORMATS = ['xlsx', 'xls', ...DELIMITED_FORMATS];
+
+/**
+ * Detect the upload format from a file name
+ * @returns {string|null} 'xlsx' | 'xls' | 'csv' | 'tsv', or null if unsupported
+ */
+function getUploadFormat(filename) {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  return UPLOAD_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Read an uploaded workbook and select the sheets to ingest
+ * @param {string} filePath - Local path of the uploaded file
+ * @param {Object} options
+ * @param {string} options.format - Upload format (see getUploadFormat)
+ * @param {string|Array} options.sheets - null (first sheet), 'all', or sheet names
+ * @returns {Object} { workbook, availableSheets, sheets, sheetNames, recordCount } or { error }
+ */
+function readUploadWorkbook(filePath, { format, sheets } = {}) {
+  const workbook = DELIMITED_FORMATS.includes(format)
+    // raw: keep identifiers verbatim (leading zeros, long numeric chassis numbers)
+    ? XLSX.readFile(filePath, { ...WORKBOOK_READ_OPTIONS, raw: true })
+    : XLSX.readFile(filePath, WORKBOOK_READ_OPTIONS);
+
+  return selectWorkbookSheets(workbook, sheets);
+}
+
+/**
+ * Read the ingested sheets of a stored workbook (storage location or local path)
+ * @param {string} filePath - ExcelFile.filePath
+ * @param {Array} sheetNames - ExcelFile.sheetNames (empty = first sheet)
+ * @returns {Promise<Object>} Same shape as readUploadWorkbook
+ */
+async function readStoredWorkbook(filePath, sheetNames) {
+  const sheets = sheetNames && sheetNames.length > 0 ? sheetNames : null;
+
+  if (isStoredFile(filePath)) {
+    const buffer = await getFileBuffer(filePath);
+    return selectWorkbookSheets(XLSX.read(buffer, { ...WORKBOOK_READ_OPTIONS, type: 'buffer' }), sheets);
+  }
+  return readUploadWorkbook(filePath, { format: getUploadFormat(filePath), sheets });
+}
+
+/**
+ * Pick the sheets to ingest. Without an explicit selection only the first
+ * sheet is used (sheetNames stays empty, as for every pre-existing file);
+ * with one, sheetNames records it so rows can be traced back to their sheet.
+ */
+function selectWorkbookSheets(workbook, selection) {
+  const availableSheets = workbook.SheetNames;
+  let names;
+
+  if (!selection) {
+    names = [availableSheets[0]];
+  } else if (selection === 'all') {
+    names = availableSheets.filter(name => readSheet(workbook, name).totalRows > 1);
+    if (names.length === 0) {
+      names = [availableSheets[0]];
+    }
+  } else {
+    const unknown = selection.filter(name => !availableSheets.includes(name));
+    if (unknown.length > 0) {
+      return { error: `Sheet(s) not found in workbook: ${unknown.join(', ')}`, availableSheets };
+    }
+    names = availableSheets.filter(name => selection.includes(name));
+  }
+
+  const sheets = names.map(name => readSheet(workbook, name));
+
+  return {
+    workbook,
+    availableSheets,
+    sheets,
+    sheetNames: selection ? names : [],
+    recordCount: sheets.reduce((total, sheet) => total + Math.max(0, sheet.totalRows - 1), 0) // Exclude header rows
+  };
+}
+
+function readSheet(workbook, name) {
+  const worksheet = workbook.Sheets[name];
+
+  // Get the range of data
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  const totalRows = worksheet['!ref'] ? range.e.r + 1 : 0; // +1 because range is 0-based
+
+  // Read headers first
+  const headers = [];
+  for (let col = range.s.c; col <= range.e.c; col++) {
+    const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
+    const cell = worksheet[cellAddress];
+    headers[col] = cell ? cell.v : null;
+  }
+
+  return { name, worksheet, totalRows, headers };
+}
+
+/**
+ * Resolve headers - explicit mapping profile, exact headers, or auto-detected profile
+ * @param {Object} params
+ * @param {Object} params.user - Uploading user (req.user)
+ * @param {Array} params.headers - Header row
+ * @param {string} params.mappingProfileId - Explicit profile (optional)
+ * @returns {Promise<Object>} { mappingProfile, resolution, profileNotFound }
+ */
+async function resolveUploadHeaders({ user, headers, mappingProfileId }) {
+  let mappingProfile = null;
+  let resolution = resolveHeaders(headers);
+
+  if (mappingProfileId) {
+    [mappingProfile] = await ColumnMappingProfile.findAccessible(user, { _id: mappingProfileId });
+    if (!mappingProfile) {
+      return { mappingProfile: null, resolution, profileNotFound: true };
+    }
+    resolution = resolveHeaders(headers, mappingProfile.mappings);
+  } else if (resolution.missingHeaders.length > 0) {
+    const profiles = await ColumnMappingProfile.findAccessible(user);
+    const detected = detectProfile(headers, profiles);
+    if (detected) {
+      mappingProfile = detected.profile;
+      resolution = detected.resolution;
+      console.log(`🧭 Auto-detected mapping profile "${mappingProfile.name}"`);
+    }
+  }
+
+  return { mappingProfile, resolution, profileNotFound: false };
+}
+
+/**
+ * Rewrite mapped headers of a sheet to canonical names so the stored workbook
+ * can be read by the Excel cache service like any other upload
+ * @returns {boolean} true if the sheet changed (see saveUploadWorkbook)
+ */
+function applyHeaderResolution({ worksheet, headers, resolution }) {
+  if (resolution.mappedColumns === 0) {
+    return false;
+  }
+
+  resolution.resolvedHeaders.forEach((header, col) => {
+    if (header !== headers[col]) {
+      const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
+      worksheet[cellAddress] = { t: 's', v: header };
+      headers[col] = header;
+    }
+  });
+  return true;
+}
+
+/**
+ * Write an upload back to disk after header rewrites. CSV/TSV uploads are
+ * converted to .xlsx so storage and the Excel cache only ever see workbooks.
+ * Updates file.path / filename / mimetype / size in place.
+ * @param {Object} params.workbook - Parsed workbook
+ * @param {Object} params.file - Multer file ({ path, filename, mimetype, size })
+ * @param {string} params.format - Upload format
+ */
+async function saveUploadWorkbook({ workbook, file, format }) {
+  if (DELIMITED_FORMATS.includes(format)) {
+    const sourcePath = file.path;
+    file.path = sourcePath.replace(/\.(csv|tsv)$/i, '') + '.xlsx';
+    file.filename = file.filename.replace(/\.(csv|tsv)$/i, '') + '.xlsx';
+    file.mimetype = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    XLSX.writeFile(workbook, file.path, { bookType: 'xlsx' });
+
+    try {
+      await fs.unlink(sourcePath);
+    } catch (unlinkError) {
+      console.error('Error deleting converted upload:', unlinkError);
+    }
+  } else {
+    XLSX.writeFile(workbook, file.path);
+  }
+
+  file.size = (await fs.stat(file.path)).size;
+}
+
+/**
+ * Check storage limit - Individual limit takes priority over role limit
+ * @param {Object} user - Uploading user (req.user)
+ * @param {number} recordCount - Records in the new file
+ * @returns {Promise<Object|null>} Quota details, or null if no settings exist for the role
+ */
+async function checkStorageQuota(user, recordCount) {
+  // First, check if user has individual custom limit
+  const userStorageLimit = await UserStorageLimit.findOne({
+    userId: user._id,
+    isActive: true
+  });
+
+  let totalRecordLimit;
+  let limitType = 'role'; // 'individual' or 'role'
+
+  if (userStorageLimit) {
+    // User has custom individual limit
+    totalRecordLimit = userStorageLimit.totalRecordLimit;
+    limitType = 'individual';
+  } else {
+    // Fall back to role-based limit
+    const storageSettings = await FileStorageSettings.findOne({
+      role: user.role,
+      isActive: true
+    });
+
+    if (!storageSettings) {
+      return null;
+    }
+
+    totalRecordLimit = storageSettings.totalRecordLimit;
+  }
+
+  // Calculate current usage for this user. Files still being ingested count with
+  // their expected rows (totalRows is set when queued) so queued uploads cannot
+  // add up past the limit.
+  const currentUsage = await ExcelFile.aggregate([
+    {
+      $match: {
+        uploadedBy: user._id,
+        status: { $in: ['processing', 'completed', 'partial'] }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalRecords: { $sum: '$totalRows' }
+      }
+    }
+  ]);
+
+  const usedRecords = currentUsage.length > 0 ? currentUsage[0].totalRecords : 0;
+  const remainingRecords = Math.max(0, totalRecordLimit - usedRecords);
+
+  return {
+    totalLimit: totalRecordLimit,
+    usedRecords,
+    remainingRecords,
+    fileRecords: recordCount,
+    remainingAfterUpload: remainingRecords - recordCount,
+    exceedsQuota: recordCount > remainingRecords,
+    limitType
+  };
+}
+
+/**
+ * Human readable quota error (same wording as the original upload check)
+ */
+function formatQuotaExceededMessage(quota, userRole) {
+  const limitTypeText = quota.limitType === 'individual' ? 'individual' : `role (${userRole})`;
+  return `Total record limit exceeded. Your ${limitTypeText} limit is ${quota.totalLimit.toLocaleString()} records. You have used ${quota.usedRecords.toLocaleString()} records and can upload maximum ${quota.remainingRecords.toLocaleString()} more records. File contains ${quota.fileRecords.toLocaleString()} records.`;
+}
+
+/**
+ * Read the search keys of a data row
+ * @returns {Object} { registrationNumber, chassisNumber }
+ */
+function readRowKeys(worksheet, row, regColIndex, chassisColIndex) {
+  const regCell = worksheet[XLSX.utils.encode_cell({ r: row, c: regColIndex })];
+  const chassisCell = worksheet[XLSX.utils.encode_cell({ r: row, c: chassisColIndex })];
+
+  return {
+    registrationNumber: regCell ? regCell.v?.toString().trim() || null : null,
+    chassisNumber: chassisCell ? chassisCell.v?.toString().trim() || null : null
+  };
+}
+
+/**
+ * Build a dry-run validation report for the selected sheets - writes nothing
+ * @param {Object} params
+ * @param {Array} params.sheets - Sheets with canonical headers (see readUploadWorkbook)
+ * @param {Array} params.sheetNames - Explicit sheet selection (rows are labelled with their sheet)
+ * @param {number} params.recordCount - Data rows across all sheets
+ * @param {Array} params.accessibleFileIds - Files to check for cross-file duplicates
+ * @returns {Promise<Object>} { summary, rows, truncated, duplicateFileIds }
+ */
+async function buildValidationReport({ sheets, sheetNames = [], recordCount, accessibleFileIds = [] }) {
+  const labelSheets = sheetNames.length > 0;
+  const summary = {
+    totalRows: recordCount,
+    validRows: 0,
+    rowsWithIssues: 0,
+    emptyRows: 0,
+    invalidRegistration: 0,
+    missingChassis: 0,
+    duplicateInFile: 0,
+    duplicateInOtherFiles: 0
+  };
+
+  const rowReports = [];
+  const seenRegistrations = new Map();
+  const seenChassis = new Map();
+
+  for (const { name: sheetName, worksheet, headers, totalRows } of sheets) {
+    const regColIndex = headers.indexOf('registration_number');
+    const chassisColIndex = headers.indexOf('chasis_number');
+
+    for (let row = 1; row < totalRows; row++) {
+      const rowNumber = row + 1; // Excel row number (header is row 1)
+      const location = labelSheets ? { sheetName, rowNumber } : { rowNumber };
+      const { registrationNumber, chassisNumber } = readRowKeys(worksheet, row, regColIndex, chassisColIndex);
+      const issues = [];
+
+      if (!registrationNumber && !chassisNumber) {
+        summary.emptyRows++;
+        issues.push({ code: 'EMPTY_ROW', message: 'Row has neither registration nor chassis number and will be skipped' });
+      } else {
+        if (registrationNumber && !parseRegistrationNumber(registrationNumber)) {
+          summary.invalidRegistration++;
+          issues.push({ code: 'INVALID_REGISTRATION', message: `Registration number "${registrationNumber}" is not in a recognised format` });
+        }
+        if (!chassisNumber) {
+          summary.missingChassis++;
+          issues.push({ code: 'MISSING_CHASSIS', message: 'Chassis number is missing' });
+        }
+
+        const regKey = registrationNumber ? registrationNumber.toUpperCase() : null;
+        const chassisKey = chassisNumber ? chassisNumber.toUpperCase() : null;
+        const duplicateOf = (regKey && seenRegistrations.get(regKey)) || (chassisKey && seenChassis.get(chassisKey));
+        if (duplicateOf) {
+          summary.duplicateInFile++;
+          issues.push({
+            code: 'DUPLICATE_IN_FILE',
+            message: duplicateOf.sheetName
+              ? `Duplicate of row ${duplicateOf.rowNumber} in sheet "${duplicateOf.sheetName}"`
+              : `Duplicate of row ${duplicateOf.rowNumber}`,
+            duplicateOfRow: duplicateOf.rowNumber,
+            duplicateOfSheet: duplicateOf.sheetName
+          });
+        }
+        if (regKey && !seenRegistrations.has(regKey)) seenRegistrations.set(regKey, location);
+        if (chassisKey && !seenChassis.has(chassisKey)) seenChassis.set(chassisKey, location);
+      }
+
+      rowReports.push({ ...location, registrationNumber, chassisNumber, issues });
+    }
+  }
+
+  // Duplicates against other accessible files
+  const duplicateFileIds = new Set();
+  if (accessibleFileIds.length > 0) {
+    const regMatches = new Map();
+    const chassisMatches = new Map();
+    const addMatch = (map, key, fileId) => {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(fileId.toString());
+    };
+
+    const registrations = [...new Set(rowReports.map(r => r.registrationNumber).filter(Boolean))];
+    const chassisNumbers = [...new Set(rowReports.map(r => r.chassisNumber).filter(Boolean))];
+
+    for (let i = 0; i < registrations.length; i += CHUNK_SIZE) {
+      const existing = await VehicleLookup.find({
+        excelFileId: { $in: accessibleFileIds },
+        registrationNumber: { $in: registrations.slice(i, i + CHUNK_SIZE) }
+      }).select('registrationNumber excelFileId').lean();
+      existing.forEach(v => addMatch(regMatches, v.registrationNumber.toUpperCase(), v.excelFileId));
+    }
+    for (let i = 0; i < chassisNumbers.length; i += CHUNK_SIZE) {
+      const existing = await VehicleLookup.find({
+        excelFileId: { $in: accessibleFileIds },
+        chassisNumber: { $in: chassisNumbers.slice(i, i + CHUNK_SIZE) }
+      }).select('chassisNumber excelFileId').lean();
+      existing.forEach(v => addMatch(chassisMatches, v.chassisNumber.toUpperCase(), v.excelFileId));
+    }
+
+    rowReports.forEach(report => {
+      const fileIds = new Set([
+        ...(report.registrationNumber ? regMatches.get(report.registrationNumber.toUpperCase()) || [] : []),
+        ...(report.chassisNumber ? chassisMatches.get(report.chassisNumber.toUpperCase()) || [] : [])
+      ]);
+      if (fileIds.size > 0) {
+        summary.duplicateInOtherFiles++;
+        fileIds.forEach(id => duplicateFileIds.add(id));
+        report.issues.push({
+          code: 'DUPLICATE_IN_OTHER_FILES',
+          message: `Already present in ${fileIds.size} other file(s)`,
+          fileIds: [...fileIds]
+        });
+      }
+    });
+  }
+
+  const rowsWithIssues = rowReports.filter(r => r.issues.length > 0);
+  summary.rowsWithIssues = rowsWithIssues.length;
+  summary.validRows = summary.totalRows - summary.rowsWithIssues;
+
+  return {
+    summary,
+    rows: rowsWithIssues.slice(0, MAX_REPORT_ROWS),
+    truncated: rowsWithIssues.length > MAX_REPORT_ROWS,
+    duplicateFileIds: [...duplicateFileIds]
+  };
+}
+
+/**
+ * Write VehicleLookup rows for the selected sheets
+ * OPTIMIZED STORAGE: Extract ONLY registrationNumber and chassisNumber to MongoDB
+ * All other data remains in GCS Excel file
+ * @param {Array} params.sheets - Sheets to ingest (see readUploadWorkbook)
+ * @param {Array} params.sheetNames - Explicit sheet selection - rows then also store sheetName + rowNumber
+ * @param {Function} params.onProgress - async (rowsDone, rowsTotal) called after each chunk (optional)
+ * @param {Function} params.shouldCancel - async () => boolean, checked before each chunk (optional)
+ * @returns {Promise<Object>} { processedRows, failedRows, skippedRows, status, cancelled }
+ */
+async function ingestWorkbook({ excelFile, sheets, sheetNames = [], recordCount, gcsFileUrl, onProgress, shouldCancel }) {
+  let processedRows = 0;
+  let failedRows = 0;
+  let skippedRows = 0;
+  let rowsDone = 0;
+  const trackRows = sheetNames.length > 0;
+
+  for (const { name: sheetName, worksheet, headers, totalRows } of sheets) {
+    // Find column indices for registration_number and chasis_number
+    const regColIndex = headers.indexOf('registration_number');
+    const chassisColIndex = headers.indexOf('chasis_number');
+
+    // Process rows in chunks
+    for (let startRow = 1; startRow < totalRows; startRow += CHUNK_SIZE) {
+      if (shouldCancel && await shouldCancel()) {
+        return { processedRows, failedRows, skippedRows, status: 'failed', cancelled: true };
+      }
+
+      const endRow = Math.min(startRow + CHUNK_SIZE - 1, totalRows - 1);
+      const bulkOps = [];
+
+      for (let row = startRow; row <= endRow; row++) {
+        const { registrationNumber, chassisNumber } = readRowKeys(worksheet, row, regColIndex, chassisColIndex);
+
+        // Skip if both are empty
+        if (!registrationNumber && !chassisNumber) {
+          skippedRows++;
+          continue;
+        }
+
+        // Store search keys in VehicleLookup with file reference for easy deletion
+        const document = {
+          registrationNumber: registrationNumber || null,
+          chassisNumber: chassisNumber || null,
+          excelFileId: excelFile._id // Required for deletion by file
+        };
+        if (trackRows) {
+          document.sheetName = sheetName;
+          document.rowNumber = row + 1; // Excel row number (header is row 1)
+        }
+        bulkOps.push({ insertOne: { document } });
+      }
+
+      // Execute bulk operations
+      // ✅ PRODUCTION: Only VehicleLookup writes (full data stored in GCS)
+      if (bulkOps.length > 0) {
+        try {
+          // ✅ PRODUCTION: Stored workbook is REQUIRED - no fallback to ExcelVehicle
+          if (!gcsFileUrl) {
+            throw new Error('File storage unavailable. Check the STORAGE_DRIVER configuration.');
+          }
+
+          const result = await VehicleLookup.bulkWrite(bulkOps, {
+            ordered: false, // Continue on errors
+            w: 1
+          });
+          processedRows += result.insertedCount;
+
+          // Handle any write errors (should be rare now that we allow duplicates)
+          if (result.writeErrors && result.writeErrors.length > 0) {
+            const nonDuplicateErrors = result.writeErrors.filter(err => err.code !== 11000);
+            failedRows += nonDuplicateErrors.length;
+            if (nonDuplicateErrors.length > 0) {
+              console.log(`⚠️  ${sheetName} chunk ${Math.floor(startRow / CHUNK_SIZE) + 1}: ${nonDuplicateErrors.length} entries failed to insert`);
+            }
+          }
+        } catch (error) {
+          // Only log unexpected errors (not duplicate key errors since duplicates are now allowed)
+          if (error.code !== 11000) {
+            console.error(`${sheetName} chunk ${Math.floor(startRow / CHUNK_SIZE) + 1} error:`, error.message);
+          }
+          failedRows += bulkOps.length;
+        }
+      }
+
+      rowsDone += endRow - startRow + 1;
+
+      // Update progress every 5 chunks
+      if ((Math.floor(startRow / CHUNK_SIZE) + 1) % 5 === 0 || endRow >= totalRows - 1) {
+        await ExcelFile.findByIdAndUpdate(excelFile._id, {
+          processedRows: processedRows,
+          failedRows: failedRows,
+          skippedRows: skippedRows,
+          status: 'processing'
+        });
+      }
+
+      if (onProgress) {
+        await onProgress(rowsDone, recordCount);
+      }
+
+      // Force garbage collection every 10 chunks to free memory
+      if ((Math.floor(startRow / CHUNK_SIZE) + 1) % 10 === 0) {
+        if (global.gc) {
+          global.gc();
+        }
+      }
+    }
+  }
+
+  // Update ExcelFile with final results
+  const status = failedRows === 0 ? 'completed' :
+                processedRows === 0 ? 'failed' : 'partial';
+
+  await ExcelFile.findByIdAndUpdate(excelFile._id, {
+    processedRows,
+    failedRows,
+    skippedRows,
+    status,
+    errorMessage: failedRows > 0 ? `Failed to process ${failedRows} rows` : null
+  });
+
+  return { processedRows, failedRows, skippedRows, status, cancelled: false };
+}
+
+/**
+ * OPTIMIZED STORAGE: Upload file with the configured storage driver
+ * @returns {Promise<string|null>} Stored location, or null when the upload failed and the temp file is kept
+ */
+async function storeWorkbook(file) {
+  if (!isStorageConfigured()) {
+    return null;
+  }
+
+  try {
+    const location = await uploadFile(file.path, `excel/${Date.now()}-${file.filename}`, { contentType: file.mimetype });
+    console.log(`✅ File stored (${getStorageDriverName()}): ${location.substring(0, 80)}...`);
+    return location;
+  } catch (storageError) {
+    console.error(`❌ ${getStorageDriverName()} upload failed, keeping temp file:`, storageError.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a stored workbook (BEST-EFFORT, NEVER THROWS) and drop it from the Excel cache
+ */
+async function removeStoredWorkbook(filePath) {
+  if (!filePath) {
+    return;
+  }
+
+  if (isStoredFile(filePath)) {
+    try {
+      await deleteFile(filePath);
+      console.log('✅ Stored file deleted');
+    } catch (err) {
+      if (err.notFound) {
+        console.warn('⚠️ Stored file already missing, skipping');
+      } else {
+        console.error('❌ Stored file delete failed:', err.message);
+      }
+    }
+    clearCacheForFile(filePath);
+  } else {
+    try {
+      await fs.unlink(filePath);
+      console.log(`✅ Deleted local file: ${filePath}`);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        console.warn('⚠️ Local file already missing, skipping');
+      } else {
+        console.error('❌ Local file delete failed:', err.message);
+      }
+    }
+  }
+}
+
+// Identity of a row for diffing: normalized registration + chassis
+const rowKey = (registrationNumber, chassisNumber) =>
+  `${(registrationNumber || '').toUpperCase()}|${(chassisNumber || '').toUpperCase()}`;
+
+/**
+ * Diff the selected sheets of a new workbook against the existing VehicleLookup rows of a file
+ * Rows are matched by registration/chassis (as a multiset), so unchanged rows
+ * keep their VehicleLookup IDs.
+ * @returns {Promise<Object>} { toAdd, toRemove, unchanged, skippedRows }
+ */
+async function diffWorkbookAgainstFile({ excelFileId, sheets, sheetNames = [] }) {
+  const trackRows = sheetNames.length > 0;
+  const existingByKey = new Map();
+  const existing = await VehicleLookup.find({ excelFileId })
+    .select('_id registrationNumber chassisNumber')
+    .sort({ _id: 1 })
+    .lean();
+  existing.forEach(lookup => {
+    const key = rowKey(lookup.registrationNumber, lookup.chassisNumber);
+    if (!existingByKey.has(key)) existingByKey.set(key, []);
+    existingByKey.get(key).push(lookup);
+  });
+
+  const incomingByKey = new Map();
+  let skippedRows = 0;
+  for (const { name: sheetName, worksheet, headers, totalRows } of sheets) {
+    const regColIndex = headers.indexOf('registration_number');
+    const chassisColIndex = headers.indexOf('chasis_number');
+
+    for (let row = 1; row < totalRows; row++) {
+      const { registrationNumber, chassisNumber } = readRowKeys(worksheet, row, regColIndex, chassisColIndex);
+      if (!registrationNumber && !chassisNumber) {
+        skippedRows++;
+        continue;
+      }
+      const key = rowKey(registrationNumber, chassisNumber);
+      const incoming = { registrationNumber, chassisNumber };
+      if (trackRows) {
+        incoming.sheetName = sheetName;
+        incoming.rowNumber = row + 1;
+      }
+      if (!incomingByKey.has(key)) incomingByKey.set(key, []);
+      incomingByKey.get(key).push(incoming);
+    }
+  }
+
+  const toAdd = [];
+  const toRemove = [];
+  let unchanged = 0;
+
+  incomingByKey.forEach((incoming, key) => {
+    const current = existingByKey.get(key) || [];
+    unchanged += Math.min(current.length, incoming.length);
+    toAdd.push(...incoming.slice(current.length));
+  });
+  existingByKey.forEach((current, key) => {
+    const incomingCount = (incomingByKey.get(key) || []).length;
+    toRemove.push(...current.slice(incomingCount));
+  });
+
+  return { toAdd, toRemove, unchanged, skippedRows };
+}
+
+/**
+ * Store the new workbook of a contents replacement, to be applied by a replace job
+ * (see replaceFileContents). The temp file is removed once stored.
+ * @param {Object} params
+ * @param {Object} params.file - { path, filename, size, mimetype } of the new workbook
+ * @param {Object} params.mappingProfile - Profile used for the headers (optional)
+ * @param {Object} params.workbook - Selected sheets from readUploadWorkbook
+ * @param {string} params.sourceFormat - Upload format of the new file
+ * @param {string} params.previousStatus - File status before it was locked for the replace
+ * @returns {Promise<Object>} Replacement for enqueueExcelImport
+ */
+async function storeReplacementWorkbook({ file, mappingProfile, workbook, sourceFormat, previousStatus }) {
+  const gcsFileUrl = await storeWorkbook(file);
+
+  if (gcsFileUrl) {
+    try {
+      await fs.unlink(file.path);
+    } catch (unlinkError) {
+      console.error('Error deleting temp file:', unlinkError);
+    }
+  }
+
+  return {
+    filename: file.filename,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    filePath: gcsFileUrl || file.path,
+    sheetNames: workbook.sheetNames,
+    sourceFormat,
+    mappingProfile: mappingProfile ? mappingProfile._id : null,
+    recordCount: workbook.recordCount,
+    previousStatus
+  };
+}
+
+/**
+ * Replace the contents of an existing ExcelFile with a stored workbook (runs inside a replace job)
+ * Only the inserted/deleted VehicleLookup rows are written; every change is
+ * recorded in VehicleChange under the file's new revision. Assignment and
+ * sharing configuration are left untouched.
+ * Safe to retry: the workbook is diffed against the rows as they are now. Removal
+ * records are written before the rows are deleted and addition records for every
+ * row that was inserted, so delta-sync clients never miss a change that happened.
+ * Cancellation is honoured until the diff is applied.
+ * @param {Object} params
+ * @param {string} params.excelFileId - ExcelFile being replaced (locked: status processing)
+ * @param {Object} params.replacement - From storeReplacementWorkbook
+ * @param {Function} params.onProgress - Progress callback (optional)
+ * @param {Function} params.shouldCancel - Cancellation check (optional)
+ * @returns {Promise<Object>} { fileId, revision, totalRows, added, removed, unchanged, processedRows, failedRows, skippedRows, status }
+ *   or { cancelled: true }
+ */
+async function replaceFileContents({ excelFileId, replacement, onProgress, shouldCancel }) {
+  const excelFile = await ExcelFile.findById(excelFileId);
+  if (!excelFile) {
+    throw new Error(`Excel file ${excelFileId} no longer exists`);
+  }
+
+  const workbook = await readStoredWorkbook(replacement.filePath, replacement.sheetNames);
+  if (workbook.error) {
+    throw new Error(workbook.error);
+  }
+
+  const diff = await diffWorkbookAgainstFile({ excelFileId: excelFile._id, sheets: workbook.sheets, sheetNames: workbook.sheetNames });
+
+  if (shouldCancel && await shouldCancel()) {
+    return { cancelled: true };
+  }
+
+  const revision = (excelFile.revision || 0) + 1;
+  const rowsTotal = diff.toRemove.length + diff.toAdd.length;
+  let added = 0;
+  let removed = 0;
+
+  // Deletes first, then inserts
+  for (let i = 0; i < diff.toRemove.length; i += CHUNK_SIZE) {
+    const chunk = diff.toRemove.slice(i, i + CHUNK_SIZE);
+    const firstSeq = await Counter.reserve(VEHICLE_CHANGE_COUNTER, chunk.length);
+    await VehicleChange.insertMany(chunk.map((lookup, index) => ({
+      seq: firstSeq + index,
+      excelFileId: excelFile._id,
+      revision,
+      op: 'remove',
+      lookupId: lookup._id,
+      registrationNumber: lookup.registrationNumber,
+      chassisNumber: lookup.chassisNumber
+    })));
+    const result = await VehicleLookup.deleteMany({ _id: { $in: chunk.map(lookup => lookup._id) } });
+    removed += result.deletedCount || 0;
+    if (onProgress) await onProgress(i + chunk.length, rowsTotal);
+  }
+
+  for (let i = 0; i < diff.toAdd.length; i += CHUNK_SIZE) {
+    const chunk = diff.toAdd.slice(i, i + CHUNK_SIZE);
+    let inserted;
+    try {
+      inserted = await VehicleLookup.insertMany(chunk.map(row => ({
+        registrationNumber: row.registrationNumber || null,
+        chassisNumber: row.chassisNumber || null,
+        excelFileId: excelFile._id,
+        sheetName: row.sheetName,
+        rowNumber: row.rowNumber
+      })), { ordered: false });
+    } catch (insertError) {
+      // Unordered inserts keep going past failed rows: record the ones that made it
+      if (!Array.isArray(insertError.insertedDocs)) {
+        throw insertError;
+      }
+      inserted = insertError.insertedDocs;
+      console.error(`❌ ${chunk.length - inserted.length} rows of ${excelFile._id} could not be inserted:`, insertError.message);
+    }
+    added += inserted.length;
+    if (inserted.length > 0) {
+      const firstSeq = await Counter.reserve(VEHICLE_CHANGE_COUNTER, inserted.length);
+      await VehicleChange.insertMany(inserted.map((lookup, index) => ({
+        seq: firstSeq + index,
+        excelFileId: excelFile._id,
+        revision,
+        op: 'add',
+        lookupId: lookup._id,
+        registrationNumber: lookup.registrationNumber,
+        chassisNumber: lookup.chassisNumber
+      })));
+    }
+    if (onProgress) await onProgress(diff.toRemove.length + i + chunk.length, rowsTotal);
+  }
+
+  const previousFilePath = excelFile.filePath;
+  const failedRows = diff.toAdd.length - added;
+  const status = failedRows === 0 ? 'completed' : 'partial';
+
+  await ExcelFile.findByIdAndUpdate(excelFile._id, {
+    filename: replacement.filename,
+    fileSize: replacement.fileSize,
+    mimeType: replacement.mimeType,
+    filePath: replacement.filePath,
+    totalRows: workbook.recordCount,
+    processedRows: diff.unchanged + added,
+    failedRows,
+    skippedRows: diff.skippedRows,
+    status,
+    errorMessage: failedRows === 0 ? null : `Failed to process ${failedRows} rows`,
+    mappingProfile: replacement.mappingProfile || excelFile.mappingProfile,
+    sheetNames: workbook.sheetNames,
+    sourceFormat: replacement.sourceFormat,
+    revision,
+    lastReplacedAt: new Date(),
+    geocodedAt: null // New rows need coordinates
+  });
+
+  // Old workbook is no longer referenced
+  if (previousFilePath && previousFilePath !== replacement.filePath) {
+    await removeStoredWorkbook(previousFilePath);
+  }
+
+  console.log(`🔁 Replaced contents of ${excelFile._id} (rev ${revision}): +${added} -${removed} =${diff.unchanged}`);
+
+  return {
+    fileId: excelFile._id,
+    revision,
+    totalRows: workbook.recordCount,
+    added,
+    removed,
+    unchanged: diff.unchanged,
+    processedRows: diff.unchanged + added,
+    failedRows,
+    skippedRows: diff.skippedRows,
+    status
+  };
+}
+
+/**
+ * Give up on a contents replacement (cancelled or failed): the new workbook is
+ * removed and the file unlocked. A failed replace may have applied part of the
+ * diff, so the file is then left partial with the error.
+ * @param {string} excelFileId - ExcelFile being replaced
+ * @param {Object} replacement - From storeReplacementWorkbook
+ * @param {string|null} errorMessage - Failure reason, null when cancelled
+ */
+async function abandonReplacement(excelFileId, replacement, errorMessage = null) {
+  const excelFile = await ExcelFile.findById(excelFileId).select('filePath');
+  if (replacement && (!excelFile || excelFile.filePath !== replacement.filePath)) {
+    await removeStoredWorkbook(replacement.filePath);
+  }
+  if (!excelFile) {
+    return;
+  }
+
+  await ExcelFile.findByIdAndUpdate(excelFileId, errorMessage
+    ? { status: 'partial', errorMessage: `Replacing contents failed: ${errorMessage}` }
+    : { status: (replacement && replacement.previousStatus) || 'completed' });
+}
+
+/**
+ * Store an uploaded workbook and create its ExcelFile record (status: processing)
+ * VehicleLookup rows are written later by the ingestion job (see ingestStoredFile).
+ * @param {Object} params
+ * @param {Object} params.user - Uploading user (req.user)
+ * @param {Object} params.file - { path, filename, originalname, size, mimetype }
+ * @param {Object} params.assignment - { assignedTo, assignedAdmins, sharedAdmins, maskingPolicy }
+ * @param {Object} params.mappingProfile - Profile used for the headers (optional)
+ * @param {number} params.recordCount - Data rows in the workbook
+ * @param {Array} params.sheetNames - Explicit sheet selection (empty = first sheet)
+ * @param {string} params.sourceFormat - Upload format (xlsx, xls, csv, tsv)
+ * @returns {Promise<Object>} { excelFile, storageType }
+ */
+async function createUploadedFile({ user, file, assignment, mappingProfile, recordCount, sheetNames = [], sourceFormat }) {
+  const gcsFileUrl = await storeWorkbook(file);
+
+  // Create ExcelFile record (store the storage location if available, otherwise local path)
+  const excelFile = await ExcelFile.create({
+    filename: file.filename,
+    originalName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    uploadedBy: user._id,
+    assignedTo: assignment.assignedTo,
+    assignedAdmins: assignment.assignedAdmins,
+    sharedAdmins: assignment.sharedAdmins, // Admin-to-admin file sharing
+    maskingPolicy: assignment.maskingPolicy || [],
+    totalRows: recordCount,
+    status: 'processing',
+    mappingProfile: mappingProfile ? mappingProfile._id : null,
+    sheetNames,
+    sourceFormat,
+    filePath: gcsFileUrl || file.path // Store storage location if available
+  });
+
+  // Delete temporary local file once stored
+  if (gcsFileUrl) {
+    try {
+      await fs.unlink(file.path);
+      console.log(`✅ Deleted temporary local file: ${file.path}`);
+    } catch (unlinkError) {
+      console.error('Error deleting temp file:', unlinkError);
+    }
+  }
+
+  return { excelFile, storageType: gcsFileUrl ? getStorageDriverName() : 'local' };
+}
+
+/**
+ * Ingest a stored workbook into VehicleLookup (runs inside an ingestion job)
+ * Safe to retry: rows from a previous partial attempt are removed first.
+ * @param {Object} params
+ * @param {string} params.excelFileId - ExcelFile to ingest
+ * @param {Function} params.onProgress - Progress callback (optional)
+ * @param {Function} params.shouldCancel - Cancellation check (optional)
+ * @returns {Promise<Object>} ingestWorkbook result
+ */
+async function ingestStoredFile({ excelFileId, onProgress, shouldCancel }) {
+  const excelFile = await ExcelFile.findById(excelFileId);
+  if (!excelFile) {
+    throw new Error(`Excel file ${excelFileId} no longer exists`);
+  }
+
+  const workbook = await readStoredWorkbook(excelFile.filePath, excelFile.sheetNames);
+  if (workbook.error) {
+    throw new Error(workbook.error);
+  }
+
+  await VehicleLookup.deleteMany({ excelFileId: excelFile._id });
+
+  const gcsFileUrl = isStoredFile(excelFile.filePath) ? excelFile.filePath : null;
+  return ingestWorkbook({
+    excelFile,
+    sheets: workbook.sheets,
+    sheetNames: workbook.sheetNames,
+    recordCount: workbook.recordCount,
+    gcsFileUrl,
+    onProgress,
+    shouldCancel
+  });
+}
+
+/**
+ * Remove an ExcelFile and everything derived from it (cancelled ingestion)
+ */
+async function discardExcelFile(excelFileId) {
+  // The file may already have been deleted while its rows were still being written
+  await VehicleLookup.deleteMany({ excelFileId });
+  await VehicleChange.deleteMany({ excelFileId });
+
+  const excelFile = await ExcelFile.findByIdAndDelete(excelFileId);
+  if (excelFile) {
+    await removeStoredWorkbook(excelFile.filePath);
+  }
+}
+
+/**
+ * Put a file back into the archive after its restore job was cancelled or failed
+ */
+async function abandonRestore(excelFileId, errorMessage) {
+  await VehicleLookup.deleteMany({ excelFileId });
+  await ExcelFile.findByIdAndUpdate(excelFileId, {
+    isActive: false,
+    availability: 'archived',
+    status: 'failed',
+    errorMessage
+  });
+}
+
+/**
+ * Remove staged uploads that were never confirmed or cancelled
+ */
+async function cleanupExpiredStagedUploads() {
+  try {
+    const expiredStages = await ExcelUploadStage.find({ expiresAt: { $lt: new Date() } });
+
+    for (const stage of expiredStages) {
+      try {
+        await fs.unlink(stage.tempFilePath);
+      } catch (unlinkError) {
+        // Temp file may already be gone
+      }
+      await stage.deleteOne();
+    }
+
+    if (expiredStages.length > 0) {
+      console.log(`🗑️ Removed ${expiredStages.length} expired staged Excel uploads`);
+    }
+  } catch (error) {
+    console.error('❌ Error cleaning up staged Excel uploads:', error);
+  }
+}
+
+module.exports = {
+  getUploadFormat,
+  readUploadWorkbook,
+  readStoredWorkbook,
+  resolveUploadHeaders,
+  applyHeaderResolution,
+  saveUploadWorkbook,
+  checkStorageQuota,
+  formatQuotaExceededMessage,
+  buildValidationReport,
+  ingestWorkbook,
+  createUploadedFile,
+  ingestStoredFile,
+  discardExcelFile,
+  abandonRestore,
+  storeReplacementWorkbook,
+  replaceFileContents,
+  abandonReplacement,
+  removeStoredWorkbook,
+  cleanupExpiredStagedUploads,
+  VEHICLE_CHANGE_COUNTER
+};
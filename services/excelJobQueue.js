@@ -0,0 +1,285 @@
+const os = require('os');
+const ExcelImportJob = require('../models/ExcelImportJob');
+const ExcelFile = require('../models/ExcelFile');
+const {
+  ingestStoredFile,
+  replaceFileContents,
+  discardExcelFile,
+  abandonRestore,
+  abandonReplacement
+} = require('./excelIngestionService');
+
+/**
+ * MongoDB-backed queue for Excel ingestion
+ * Jobs survive restarts: a worker claims a queued job atomically, heartbeats
+ * via lockedAt on every progress update, and jobs whose worker died are
+ * re-queued once their lock goes stale.
+ */
+
+const POLL_INTERVAL_MS = 2000;
+const STALE_LOCK_MS = 10 * 60 * 1000; // 10 minutes without a heartbeat
+const RETRY_BACKOFF_MS = 30 * 1000; // 30s, 60s, 90s ...
+const PROGRESS_UPDATE_MS = 1000;
+
+const workerId = `${os.hostname()}-${process.pid}`;
+const finishedListeners = [];
+let workersStarted = false;
+
+/**
+ * Queue ingestion of an already stored ExcelFile
+ * @param {string} type - ingest (new upload), restore (archived file) or replace (new contents)
+ * @param {Object} replacement - New workbook of a replace job (see storeReplacementWorkbook)
+ * @returns {Promise<Object>} The created job
+ */
+async function enqueueExcelImport({ excelFile, user, type = 'ingest', replacement = null }) {
+  return ExcelImportJob.create({
+    type,
+    excelFileId: excelFile._id,
+    originalName: excelFile.originalName,
+    createdBy: user._id,
+    rowsTotal: replacement ? replacement.recordCount : excelFile.totalRows,
+    replacement
+  });
+}
+
+/**
+ * Register a callback run after a job completes, fails or is cancelled
+ * (used by the Excel routes to clear their search caches)
+ */
+function onImportJobFinished(listener) {
+  finishedListeners.push(listener);
+}
+
+/**
+ * Request cancellation. Queued jobs are cancelled immediately; running jobs
+ * stop before their next chunk.
+ * @returns {Promise<Object|null>} The updated job, or null if it already finished
+ */
+async function cancelExcelImport(jobId) {
+  const queuedJob = await ExcelImportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { status: 'cancelled', cancelRequested: true, finishedAt: new Date() },
+    { new: true }
+  );
+
+  if (queuedJob) {
+    await abandonJobFile(queuedJob, 'Restore cancelled');
+    notifyFinished(queuedJob);
+    return queuedJob;
+  }
+
+  return ExcelImportJob.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { cancelRequested: true },
+    { new: true }
+  );
+}
+
+// A cancelled upload is discarded; a cancelled restore goes back to the archive
+// and a cancelled replace keeps the current contents
+async function abandonJobFile(job, errorMessage) {
+  if (job.type === 'restore') {
+    await abandonRestore(job.excelFileId, errorMessage);
+    return;
+  }
+  if (job.type === 'replace') {
+    await abandonReplacement(job.excelFileId, job.replacement);
+    return;
+  }
+  await discardExcelFile(job.excelFileId);
+}
+
+function notifyFinished(job) {
+  finishedListeners.forEach(listener => {
+    try {
+      listener(job);
+    } catch (error) {
+      console.error('Excel import job listener error:', error);
+    }
+  });
+}
+
+// Atomically claim the oldest runnable job
+async function claimNextJob() {
+  const now = new Date();
+  return ExcelImportJob.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: now } },
+    {
+      status: 'running',
+      lockedAt: now,
+      workerId,
+      startedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAfter: 1, createdAt: 1 }, new: true }
+  );
+}
+
+// Give up on a job: its file is marked failed (a restore goes back to the archive,
+// a replace leaves the file partial)
+async function failJob(job, errorMessage) {
+  if (job.type === 'restore') {
+    await abandonRestore(job.excelFileId, errorMessage);
+  } else if (job.type === 'replace') {
+    await abandonReplacement(job.excelFileId, job.replacement, errorMessage);
+  } else {
+    await ExcelFile.findByIdAndUpdate(job.excelFileId, {
+      status: 'failed',
+      errorMessage
+    });
+  }
+  const failedJob = await ExcelImportJob.findByIdAndUpdate(job._id, {
+    status: 'failed',
+    errorMessage,
+    lockedAt: null,
+    finishedAt: new Date()
+  }, { new: true });
+  notifyFinished(failedJob);
+}
+
+// Jobs whose worker stopped heartbeating (crash / restart) are re-queued, unless
+// they used up their attempts: a workbook that kills the worker must not be
+// picked up again after every restart
+async function requeueStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+  const staleFilter = { status: 'running', lockedAt: { $lt: staleBefore } };
+
+  const exhaustedJobs = await ExcelImportJob.find({
+    ...staleFilter,
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  }).select('_id');
+  for (const { _id } of exhaustedJobs) {
+    // Take the lock first so only one instance fails the job
+    const job = await ExcelImportJob.findOneAndUpdate(
+      { _id, ...staleFilter },
+      { lockedAt: new Date(), workerId },
+      { new: true }
+    );
+    if (job) {
+      console.log(`❌ Excel import job ${job._id} failed: worker stopped on each of ${job.attempts} attempts`);
+      await failJob(job, 'Import stopped unexpectedly on every attempt');
+    }
+  }
+
+  const result = await ExcelImportJob.updateMany(
+    { ...staleFilter, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { status: 'queued', lockedAt: null, workerId: null, runAfter: new Date() }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔁 Re-queued ${result.modifiedCount} stale Excel import jobs`);
+  }
+}
+
+async function runJob(job) {
+  console.log(`⚙️  Excel import job ${job._id} started (${job.originalName}, attempt ${job.attempts}/${job.maxAttempts})`);
+
+  let lastProgressAt = 0;
+  let cancelRequested = false;
+
+  const onProgress = async (rowsProcessed, rowsTotal) => {
+    const now = Date.now();
+    if (now - lastProgressAt < PROGRESS_UPDATE_MS && rowsProcessed < rowsTotal) {
+      return;
+    }
+    lastProgressAt = now;
+
+    const updated = await ExcelImportJob.findByIdAndUpdate(
+      job._id,
+      { rowsProcessed, rowsTotal, lockedAt: new Date() },
+      { new: true, projection: { cancelRequested: 1 } }
+    );
+    cancelRequested = !updated || updated.cancelRequested;
+  };
+
+  const shouldCancel = async () => cancelRequested;
+
+  try {
+    const result = job.type === 'replace'
+      ? await replaceFileContents({ excelFileId: job.excelFileId, replacement: job.replacement, onProgress, shouldCancel })
+      : await ingestStoredFile({ excelFileId: job.excelFileId, onProgress, shouldCancel });
+
+    if (result.cancelled) {
+      await abandonJobFile(job, 'Restore cancelled');
+      const cancelledJob = await ExcelImportJob.findByIdAndUpdate(job._id, {
+        status: 'cancelled',
+        lockedAt: null,
+        finishedAt: new Date()
+      }, { new: true });
+      console.log(`🛑 Excel import job ${job._id} cancelled`);
+      notifyFinished(cancelledJob);
+      return;
+    }
+
+    const completedJob = await ExcelImportJob.findByIdAndUpdate(job._id, {
+      status: 'completed',
+      rowsProcessed: job.rowsTotal,
+      result,
+      errorMessage: null,
+      lockedAt: null,
+      finishedAt: new Date()
+    }, { new: true });
+    console.log(`✅ Excel import job ${job._id} completed: ${result.processedRows} rows`);
+    notifyFinished(completedJob);
+  } catch (error) {
+    console.error(`❌ Excel import job ${job._id} failed:`, error.message);
+
+    if (job.attempts < job.maxAttempts) {
+      await ExcelImportJob.findByIdAndUpdate(job._id, {
+        status: 'queued',
+        errorMessage: error.message,
+        lockedAt: null,
+        workerId: null,
+        runAfter: new Date(Date.now() + RETRY_BACKOFF_MS * job.attempts)
+      });
+      return;
+    }
+
+    await failJob(job, error.message);
+  }
+}
+
+async function workerLoop() {
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Excel import worker error:', error);
+  }
+
+  setTimeout(workerLoop, POLL_INTERVAL_MS);
+}
+
+/**
+ * Start the ingestion workers (call once the database is connected)
+ * Concurrency is set with EXCEL_JOB_CONCURRENCY (default 1).
+ */
+function startExcelJobWorkers() {
+  if (workersStarted) {
+    return;
+  }
+  workersStarted = true;
+
+  const concurrency = Math.max(1, parseInt(process.env.EXCEL_JOB_CONCURRENCY, 10) || 1);
+
+  requeueStaleJobs().catch(error => console.error('Excel import requeue error:', error));
+  setInterval(() => {
+    requeueStaleJobs().catch(error => console.error('Excel import requeue error:', error));
+  }, 60 * 1000);
+
+  for (let i = 0; i < concurrency; i++) {
+    workerLoop();
+  }
+
+  console.log(`🧵 Excel import workers started (${concurrency})`);
+}
+
+module.exports = {
+  enqueueExcelImport,
+  cancelExcelImport,
+  onImportJobFinished,
+  startExcelJobWorkers
+};
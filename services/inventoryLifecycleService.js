@@ -0,0 +1,170 @@
+const Inventory = require('../models/Inventory');
+
+/**
+ * Inventory (seized vehicle) lifecycle
+ * seized → in-yard → released | auction → handed-over
+ * Every transition is appended to the inventory's history with who made it, the
+ * documents involved and the parking charges accrued so far. Released and
+ * handed-over records are closed: their parking charges are frozen and they are
+ * archived INVENTORY_ARCHIVE_DAYS after closing. Inventories are never deleted by age.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOSED_STAGES = ['released', 'handed-over'];
+const INVENTORY_ARCHIVE_DAYS = parseInt(process.env.INVENTORY_ARCHIVE_DAYS) || 30;
+
+const ALLOWED_TRANSITIONS = {
+  seized: ['in-yard', 'released', 'handed-over'],
+  'in-yard': ['released', 'auction', 'handed-over'],
+  auction: ['in-yard', 'handed-over'], // Back to the yard when the auction is withdrawn or unsold
+  released: [],
+  'handed-over': []
+};
+
+// Transitions field agents may record themselves (dropping the vehicle at the yard)
+const FIELD_AGENT_STAGES = ['in-yard'];
+
+// Whether a user may move an (unarchived) inventory to a stage
+function canTransition(user, inventory, stage) {
+  if (inventory.archivedAt || !(ALLOWED_TRANSITIONS[inventory.stage || 'seized'] || []).includes(stage)) {
+    return false;
+  }
+  return user.role !== 'fieldAgent' || FIELD_AGENT_STAGES.includes(stage);
+}
+
+// parkingExpensesPerDay is free text from the seizure form ("500", "Rs. 500/-")
+function parseDailyRate(value) {
+  const match = String(value || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : 0;
+}
+
+/**
+ * Parking charges of an inventory up to a moment
+ * Charged per started day from yard intake (or seizure) until the record is closed.
+ * @returns {Object} { days, perDay, amount }
+ */
+function calculateParkingCharges(inventory, at = new Date()) {
+  const perDay = parseDailyRate(inventory.parkingExpensesPerDay);
+  if (inventory.closedAt) {
+    return { days: inventory.parkingDays || 0, perDay, amount: inventory.parkingCharges || 0 };
+  }
+
+  const start = new Date(inventory.yardIntakeAt || inventory.seizureDate || inventory.createdAt).getTime();
+  const days = Math.max(0, Math.ceil((new Date(at).getTime() - start) / DAY_MS));
+  return { days, perDay, amount: days * perDay };
+}
+
+/**
+ * Move an inventory to its next stage
+ * @param {Object} params
+ * @param {Object} params.inventory - Inventory document (not lean)
+ * @param {string} params.stage - New stage
+ * @param {Object} params.user - User making the change
+ * @param {Object} params.details - Stage fields: yard { parkingYardName, parkingExpensesPerDay },
+ *   release { releasedTo, settlementAmount, receiptNumber }, auction { auctionDate, auctioneer,
+ *   reservePrice, saleAmount, buyerName }, handover { handedOverTo, bankName }
+ * @param {string} params.note - Optional note for the history
+ * @param {Array} params.documents - [{ name, fileUrl }] stored with the change
+ * @returns {Promise<Object|null>} Saved inventory, or null when the transition is not allowed
+ */
+async function transitionInventory({ inventory, stage, user, details = {}, note = null, documents = [] }) {
+  const fromStage = inventory.stage || 'seized';
+  if (!canTransition(user, inventory, stage)) {
+    return null;
+  }
+
+  const now = new Date();
+
+  if (stage === 'in-yard') {
+    if (fromStage === 'seized') {
+      inventory.yardIntakeAt = now;
+    }
+    if (details.parkingYardName) {
+      inventory.parkingYardName = details.parkingYardName;
+    }
+    if (details.parkingExpensesPerDay) {
+      inventory.parkingExpensesPerDay = details.parkingExpensesPerDay;
+    }
+  } else if (stage === 'released') {
+    inventory.release = {
+      releasedTo: details.releasedTo,
+      settlementAmount: details.settlementAmount,
+      receiptNumber: details.receiptNumber,
+      releasedAt: now
+    };
+  } else if (stage === 'auction') {
+    inventory.auction = {
+      auctionDate: details.auctionDate,
+      auctioneer: details.auctioneer,
+      reservePrice: details.reservePrice,
+      saleAmount: details.saleAmount,
+      buyerName: details.buyerName
+    };
+  } else if (stage === 'handed-over') {
+    inventory.handover = {
+      handedOverTo: details.handedOverTo,
+      bankName: details.bankName,
+      handedOverAt: now
+    };
+  }
+
+  const charges = calculateParkingCharges(inventory, now);
+  if (CLOSED_STAGES.includes(stage)) {
+    inventory.closedAt = now;
+    inventory.parkingDays = charges.days;
+    inventory.parkingCharges = charges.amount;
+  }
+
+  inventory.stage = stage;
+  inventory.stageChangedAt = now;
+  inventory.history.push({
+    stage,
+    changedBy: user._id,
+    changedByName: user.name,
+    note,
+    documents,
+    parkingDays: charges.days,
+    parkingCharges: charges.amount,
+    changedAt: now
+  });
+
+  return inventory.save();
+}
+
+// Inventory as returned by the API, with its running parking charges
+function withParkingCharges(inventory) {
+  const data = typeof inventory.toJSON === 'function' ? inventory.toJSON() : inventory;
+  return {
+    ...data,
+    stage: data.stage || 'seized',
+    runningParkingCharges: calculateParkingCharges(data)
+  };
+}
+
+/**
+ * Archive inventories closed more than INVENTORY_ARCHIVE_DAYS ago
+ * (replaces the old job that deleted every inventory after 30 days)
+ */
+async function archiveClosedInventories() {
+  try {
+    const threshold = new Date(Date.now() - INVENTORY_ARCHIVE_DAYS * DAY_MS);
+    const result = await Inventory.updateMany(
+      { closedAt: { $ne: null, $lt: threshold }, archivedAt: null },
+      { $set: { archivedAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`📦 Archived ${result.modifiedCount} inventories closed more than ${INVENTORY_ARCHIVE_DAYS} days ago`);
+    }
+  } catch (error) {
+    console.error('❌ Error archiving closed inventories:', error);
+  }
+}
+
+module.exports = {
+  canTransition,
+  calculateParkingCharges,
+  transitionInventory,
+  withParkingCharges,
+  archiveClosedInventories
+};
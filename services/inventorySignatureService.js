@@ -0,0 +1,265 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const Inventory = require('../models/Inventory');
+const { storeUploadedFile } = require('./storageService');
+const { getRecentGpsLocation } = require('./agentLocationService');
+
+/**
+ * Inventory signatures and content hash
+ * The driver, the field agent and an optional witness sign once each, either with
+ * a captured image (PNG/JPEG data URI) or with strokes drawn on the device, which
+ * are rendered to SVG. Every signature carries its device timestamp and a GPS
+ * position (the capturing agent's recent fix when the device sent none).
+ * The content hash is a SHA-256 over the seizure record and its signatures; the
+ * hash at the last signing is kept so the PDF can show whether the record changed since.
+ */
+
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+const MAX_STROKES = 200;
+const MAX_POINTS_PER_STROKE = 2000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SVG_PADDING = 10;
+const SIGNATURES_FOLDER = 'inventory-signatures';
+
+// Seizure record fields covered by the content hash. Lifecycle fields, photos and the
+// parking yard / charges (updated at yard intake) may legitimately change after signing.
+const CONTENT_FIELDS = [
+  'inventoryNumber', 'vehicleId', 'registrationNumber', 'customerName', 'make', 'chasisNumber', 'engineNumber',
+  'fieldAgentId', 'fieldAgentName', 'fieldAgentPhone', 'adminId', 'adminName', 'driverName', 'driverNumber',
+  'seizureDate', 'speedMeterReading', 'originalRCBook', 'insurancePolicyUpto', 'keyAvailability',
+  'tyreConditionFront', 'tyreConditionRear', 'tyreMake', 'bodyType', 'bodyCondition', 'numberOfWheels',
+  'airConditioner', 'jockeyWithRod', 'toolSet', 'rearViewMirror', 'stephnee', 'tarpaulinRope',
+  'tutorAmplifier', 'stereoSet', 'battery', 'seatCovers', 'wiper', 'otherSpecificItems'
+];
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// [x, y] or { x, y } → { x, y }
+function toPoint(point) {
+  const [x, y] = Array.isArray(point) ? point : [point?.x, point?.y];
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+function normalizeStrokes(strokes) {
+  if (!Array.isArray(strokes) || strokes.length === 0 || strokes.length > MAX_STROKES) {
+    return null;
+  }
+  const normalized = [];
+  for (const stroke of strokes) {
+    if (!Array.isArray(stroke) || stroke.length === 0 || stroke.length > MAX_POINTS_PER_STROKE) {
+      return null;
+    }
+    const points = stroke.map(toPoint);
+    if (points.includes(null)) {
+      return null;
+    }
+    normalized.push(points);
+  }
+  return normalized;
+}
+
+function decodeImage(dataUri) {
+  const match = typeof dataUri === 'string' && dataUri.match(/^data:image\/(png|jpeg|jpg);base64,([A-Za-z0-9+/=\s]+)$/);
+  if (!match) {
+    return null;
+  }
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0 || buffer.length > MAX_SIGNATURE_BYTES) {
+    return null;
+  }
+  return { buffer, extension: match[1] === 'png' ? 'png' : 'jpg', mimeType: match[1] === 'png' ? 'image/png' : 'image/jpeg' };
+}
+
+/**
+ * Validate and normalize signatures sent by a client
+ * @param {Array|string} input - [{ role, name, image | strokes, signedAt, latitude, longitude, accuracy }]
+ *   (a JSON string in multipart requests)
+ * @returns {Array|null} Normalized signatures, or null when the input is invalid
+ */
+function normalizeSignatures(input) {
+  let signatures = input;
+  if (typeof signatures === 'string') {
+    try {
+      signatures = JSON.parse(signatures);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!Array.isArray(signatures) || signatures.length === 0 || signatures.length > Inventory.SIGNER_ROLES.length) {
+    return null;
+  }
+
+  const roles = new Set();
+  const normalized = [];
+  for (const signature of signatures) {
+    if (!Inventory.SIGNER_ROLES.includes(signature?.role) || roles.has(signature.role)) {
+      return null;
+    }
+    roles.add(signature.role);
+
+    const image = signature.image ? decodeImage(signature.image) : null;
+    const strokes = signature.image ? null : normalizeStrokes(signature.strokes);
+    if (!image && !strokes) {
+      return null;
+    }
+
+    const signedAt = signature.signedAt ? new Date(signature.signedAt) : new Date();
+    if (isNaN(signedAt.getTime()) || signedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      return null;
+    }
+
+    const latitude = toNumber(signature.latitude);
+    const longitude = toNumber(signature.longitude);
+    if ((latitude === null) !== (longitude === null)) {
+      return null;
+    }
+    if (latitude !== null && (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180)) {
+      return null;
+    }
+
+    const name = typeof signature.name === 'string' ? signature.name.trim().slice(0, 100) : '';
+    normalized.push({
+      role: signature.role,
+      name,
+      image,
+      strokes,
+      signedAt,
+      latitude,
+      longitude,
+      accuracy: toNumber(signature.accuracy)
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Why signatures cannot be added to an inventory
+ * @returns {string|null} Error message, or null when they can
+ */
+function getSignatureError(inventory, signatures, user) {
+  const signed = (inventory.signatures || []).map(signature => signature.role);
+  const alreadySigned = signatures.find(signature => signed.includes(signature.role));
+  if (alreadySigned) {
+    return `The ${alreadySigned.role} has already signed this inventory`;
+  }
+  if (signatures.some(signature => signature.role === 'witness' && !signature.name)) {
+    return 'Witness name is required';
+  }
+  if (signatures.some(signature => signature.latitude === null) && !getRecentGpsLocation(user)) {
+    return 'GPS position is required for signatures';
+  }
+  return null;
+}
+
+// Drawn strokes as an SVG image, cropped to the drawing
+function renderStrokesSvg(strokes) {
+  const points = strokes.flat();
+  const minX = Math.min(...points.map(point => point.x));
+  const minY = Math.min(...points.map(point => point.y));
+  const width = Math.max(...points.map(point => point.x)) - minX + SVG_PADDING * 2;
+  const height = Math.max(...points.map(point => point.y)) - minY + SVG_PADDING * 2;
+  const shift = (point) => ({ x: (point.x - minX + SVG_PADDING).toFixed(1), y: (point.y - minY + SVG_PADDING).toFixed(1) });
+
+  const paths = strokes.map(stroke => {
+    const points = stroke.map(shift);
+    // A tap: draw a dot
+    if (points.length === 1) {
+      return `<circle cx="${points[0].x}" cy="${points[0].y}" r="1.5" fill="#000"/>`;
+    }
+    return `<path d="M ${points.map(point => `${point.x} ${point.y}`).join(' L ')}" fill="none" stroke="#000" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"/>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width.toFixed(0)}" height="${height.toFixed(0)}" viewBox="0 0 ${width.toFixed(1)} ${height.toFixed(1)}">${paths.join('')}</svg>`;
+}
+
+// Write a signature image under uploads/ and hand it to the storage service
+async function storeSignatureImage(buffer, extension, mimeType) {
+  const uploadPath = path.join(__dirname, '..', 'uploads', SIGNATURES_FOLDER);
+  const filename = `signature-${Date.now()}-${Math.round(Math.random() * 1E9)}.${extension}`;
+  await fs.mkdir(uploadPath, { recursive: true });
+  await fs.writeFile(path.join(uploadPath, filename), buffer);
+  return storeUploadedFile({ path: path.join(uploadPath, filename), filename, mimetype: mimeType }, SIGNATURES_FOLDER);
+}
+
+const hashValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return value._id.toString(); // Populated reference
+  if (typeof value === 'object') return value.toString(); // ObjectId
+  return value;
+};
+
+/**
+ * SHA-256 of the seizure record and its signatures
+ * @returns {string} Hex digest
+ */
+function computeContentHash(inventory) {
+  const content = {};
+  CONTENT_FIELDS.forEach(field => {
+    // Populated references hash as their id (also when the referenced document is gone)
+    const populatedId = typeof inventory.populated === 'function' ? inventory.populated(field) : undefined;
+    content[field] = hashValue(populatedId || inventory[field]);
+  });
+  content.signatures = [...(inventory.signatures || [])]
+    .sort((a, b) => Inventory.SIGNER_ROLES.indexOf(a.role) - Inventory.SIGNER_ROLES.indexOf(b.role))
+    .map(signature => ({
+      role: signature.role,
+      name: signature.name,
+      imageHash: signature.imageHash,
+      signedAt: hashValue(signature.signedAt),
+      latitude: signature.latitude,
+      longitude: signature.longitude
+    }));
+
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Store signatures on an inventory and record the signed content hash
+ * @param {Object} params
+ * @param {Object} params.inventory - Inventory document (not lean)
+ * @param {Array} params.signatures - Output of normalizeSignatures, checked with getSignatureError
+ * @param {Object} params.user - User capturing the signatures
+ * @returns {Promise<Object>} Saved inventory
+ */
+async function addSignatures({ inventory, signatures, user }) {
+  const gpsLocation = getRecentGpsLocation(user);
+
+  for (const signature of signatures) {
+    const image = signature.image || {
+      buffer: Buffer.from(renderStrokesSvg(signature.strokes)),
+      extension: 'svg',
+      mimeType: 'image/svg+xml'
+    };
+    const position = signature.latitude !== null ? signature : gpsLocation;
+    const defaultName = {
+      driver: inventory.driverName,
+      fieldAgent: inventory.fieldAgentName
+    }[signature.role];
+
+    inventory.signatures.push({
+      role: signature.role,
+      name: signature.name || defaultName,
+      imageUrl: await storeSignatureImage(image.buffer, image.extension, image.mimeType),
+      imageHash: crypto.createHash('sha256').update(image.buffer).digest('hex'),
+      source: signature.image ? 'image' : 'strokes',
+      signedAt: signature.signedAt,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      accuracy: signature.latitude !== null ? signature.accuracy : position.accuracy ?? null,
+      capturedBy: user._id
+    });
+  }
+
+  inventory.signedContentHash = computeContentHash(inventory);
+  return inventory.save();
+}
+
+module.exports = {
+  normalizeSignatures,
+  getSignatureError,
+  renderStrokesSvg,
+  computeContentHash,
+  addSignatures
+};
@@ -0,0 +1,385 @@
+const path = require('path');
+const InventoryTemplate = require('../models/InventoryTemplate');
+const ColumnMappingProfile = require('../models/ColumnMappingProfile');
+const VehicleLookup = require('../models/VehicleLookup');
+const ExcelFile = require('../models/ExcelFile');
+const { getUploadedFileBuffer } = require('./storageService');
+const { calculateParkingCharges } = require('./inventoryLifecycleService');
+
+/**
+ * Inventory PDF templates
+ * Admins write the PDF layout as HTML with placeholders:
+ *   {{registrationNumber}}         value of a field (HTML-escaped, empty when missing)
+ *   {{#parkingYardName}}…{{/parkingYardName}}   section shown only when the value is present
+ *   {{^parkingYardName}}…{{/parkingYardName}}   section shown only when it is missing
+ * Signature, logo and photo placeholders insert ready-made HTML. The template used for
+ * an inventory is the admin's active template for its source lender, else the admin's
+ * default template (no lenders), else the built-in layout.
+ */
+
+const MAX_TEMPLATE_LENGTH = 200 * 1024;
+const TAG_PATTERN = /{{\s*([#^/]?)\s*([\w.]*)\s*}}/g;
+
+const STAGE_LABELS = {
+  seized: 'Seized',
+  'in-yard': 'In Yard',
+  released: 'Released',
+  auction: 'Auction',
+  'handed-over': 'Handed Over'
+};
+
+// Inventory fields inserted as they are
+const FIELD_PLACEHOLDERS = {
+  inventoryNumber: 'Inventory number',
+  registrationNumber: 'Registration number',
+  customerName: 'Customer name',
+  make: 'Make',
+  chasisNumber: 'Chassis number',
+  engineNumber: 'Engine number',
+  adminName: 'Agency (admin) name',
+  fieldAgentName: 'Seizure agent name',
+  fieldAgentPhone: 'Seizure agent phone',
+  driverName: 'Driver name',
+  driverNumber: 'Driver number',
+  speedMeterReading: 'Speedometer reading',
+  originalRCBook: 'Original RC book',
+  parkingYardName: 'Parking yard',
+  parkingExpensesPerDay: 'Parking charges per day (as entered)',
+  keyAvailability: 'Key availability',
+  tyreConditionFront: 'Front tyre condition',
+  tyreConditionRear: 'Rear tyre condition',
+  tyreMake: 'Tyre make',
+  bodyType: 'Body type',
+  bodyCondition: 'Body condition',
+  numberOfWheels: 'Number of wheels',
+  airConditioner: 'Air conditioner',
+  jockeyWithRod: 'Jockey with rod',
+  toolSet: 'Tool set',
+  rearViewMirror: 'Rear view mirror',
+  stephnee: 'Stephnee',
+  tarpaulinRope: 'Tarpaulin rope',
+  tutorAmplifier: 'Tutor / amplifier',
+  stereoSet: 'Stereo set',
+  battery: 'Battery',
+  seatCovers: 'Seat covers',
+  wiper: 'Wiper',
+  otherSpecificItems: 'Other specific items'
+};
+
+// Values computed for the PDF
+const COMPUTED_PLACEHOLDERS = {
+  seizureDate: 'Seizure date',
+  insurancePolicyUpto: 'Insurance valid up to',
+  createdDate: 'Date the inventory was created',
+  generatedAt: 'Date and time the PDF was generated',
+  stage: 'Current stage (Seized, In Yard...)',
+  parkingDays: 'Parking days so far',
+  parkingCharges: 'Parking charges so far',
+  lenderName: 'Source lender (column mapping profile of the vehicle file)',
+  contentHash: 'SHA-256 of the record and its signatures',
+  signedContentHash: 'Content hash when the record was last signed',
+  contentChanged: '"Yes" when the record changed after it was signed'
+};
+
+// Ready-made HTML
+const HTML_PLACEHOLDERS = {
+  logo: 'Template logo',
+  driverSignature: 'Driver signature with name, time and GPS position',
+  fieldAgentSignature: 'Field agent signature with name, time and GPS position',
+  witnessSignature: 'Witness signature with name, time and GPS position',
+  photoAnnex: 'Seizure photos with capture times'
+};
+
+const TEMPLATE_PLACEHOLDERS = [
+  ...Object.entries(FIELD_PLACEHOLDERS),
+  ...Object.entries(COMPUTED_PLACEHOLDERS),
+  ...Object.entries(HTML_PLACEHOLDERS).map(([name, description]) => [name, `${description} (HTML)`])
+].map(([name, description]) => ({ name, description }));
+
+const PLACEHOLDER_NAMES = new Set(TEMPLATE_PLACEHOLDERS.map(placeholder => placeholder.name));
+
+// Starting point for new templates
+const STARTER_TEMPLATE = `<style>
+  body { font-family: Arial, sans-serif; font-size: 13px; color: #333; margin: 0; }
+  .letterhead { display: flex; align-items: center; gap: 12px; border-bottom: 2px solid #333; padding-bottom: 6px; }
+  .letterhead img { max-height: 60px; }
+  h1 { font-size: 20px; margin: 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  th { background: #f3f4f6; }
+  .signatures { display: flex; gap: 16px; margin-top: 24px; }
+  .signatures > div { flex: 1; text-align: center; }
+  .footer { margin-top: 8px; font-size: 10px; color: #666; text-align: center; }
+</style>
+<div class="letterhead">
+  {{logo}}
+  <div>
+    <h1>{{adminName}}</h1>
+    <div>Inventory #{{inventoryNumber}} | Seized on {{seizureDate}}</div>
+  </div>
+</div>
+<table>
+  <tr><th colspan="4">Vehicle</th></tr>
+  <tr><td>Registration</td><td>{{registrationNumber}}</td><td>Make</td><td>{{make}}</td></tr>
+  <tr><td>Chassis</td><td>{{chasisNumber}}</td><td>Engine</td><td>{{engineNumber}}</td></tr>
+  <tr><td>Customer</td><td>{{customerName}}</td><td>Lender</td><td>{{lenderName}}</td></tr>
+  <tr><td>Driver</td><td>{{driverName}} ({{driverNumber}})</td><td>Agent</td><td>{{fieldAgentName}} ({{fieldAgentPhone}})</td></tr>
+</table>
+{{#parkingYardName}}
+<table>
+  <tr><th colspan="4">Parking</th></tr>
+  <tr><td>Yard</td><td>{{parkingYardName}}</td><td>Charges</td><td>{{parkingCharges}} ({{parkingDays}} days)</td></tr>
+</table>
+{{/parkingYardName}}
+<div class="signatures">
+  <div>{{driverSignature}}<strong>Driver</strong></div>
+  <div><strong>Yard Sign &amp; Stamp</strong></div>
+  <div>{{fieldAgentSignature}}<strong>Agent</strong></div>
+</div>
+<div class="footer">
+  Generated {{generatedAt}} | Content hash (SHA-256): {{contentHash}}
+  {{#contentChanged}}<strong>Record changed after signing</strong>{{/contentChanged}}
+</div>
+{{photoAnnex}}
+`;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Parse a template into text, value and section nodes
+ * @throws {Error} On unknown placeholders and unbalanced sections (message is shown to the admin)
+ */
+function parseTemplate(html) {
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of html.matchAll(TAG_PATTERN)) {
+    const [tag, type, name] = match;
+    const current = stack[stack.length - 1];
+    current.children.push({ text: html.slice(position, match.index) });
+    position = match.index + tag.length;
+
+    if (!PLACEHOLDER_NAMES.has(name)) {
+      throw new Error(`Unknown placeholder ${tag}`);
+    }
+    if (type === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected ${tag}`);
+      }
+      stack.pop();
+    } else if (type) {
+      const section = { name, inverted: type === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else {
+      current.children.push({ name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Section {{#${stack[stack.length - 1].name}}} is not closed`);
+  }
+  root.children.push({ text: html.slice(position) });
+  return root;
+}
+
+function renderNodes(nodes, context) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+    const value = context[node.name];
+    if (node.children) {
+      return isPresent(value) !== node.inverted ? renderNodes(node.children, context) : '';
+    }
+    if (!isPresent(value)) {
+      return '';
+    }
+    return HTML_PLACEHOLDERS[node.name] ? value : escapeHtml(value);
+  }).join('');
+}
+
+/**
+ * Why a template cannot be saved
+ * @returns {string|null} Error message, or null when the template is valid
+ */
+function getTemplateError(html) {
+  if (typeof html !== 'string' || !html.trim()) {
+    return 'Template HTML is required';
+  }
+  if (html.length > MAX_TEMPLATE_LENGTH) {
+    return `Template HTML must be at most ${MAX_TEMPLATE_LENGTH / 1024}KB`;
+  }
+  // PDFs are rendered server-side: no scripts or event handlers
+  if (/<script\b/i.test(html) || /\son[a-z]+\s*=/i.test(html) || /javascript:/i.test(html)) {
+    return 'Scripts are not allowed in templates';
+  }
+  try {
+    parseTemplate(html);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+function signatureHtml(signature, formatDateTime) {
+  if (!signature) {
+    return '';
+  }
+  return `<div class="inventory-signature">`
+    + `<img src="${signature.src}" alt="" style="display:block;margin:0 auto;max-width:100%;height:60px;object-fit:contain;">`
+    + `<div style="font-size:10px;">${escapeHtml(signature.name || '')}</div>`
+    + `<div style="font-size:10px;">${formatDateTime(signature.signedAt)} | ${signature.latitude.toFixed(5)}, ${signature.longitude.toFixed(5)}</div>`
+    + `</div>`;
+}
+
+function photoAnnexHtml(photos, formatDateTime) {
+  if (photos.length === 0) {
+    return '';
+  }
+  return `<div class="photo-annex" style="page-break-before:always;">`
+    + `<div style="display:flex;flex-wrap:wrap;gap:8px;">`
+    + photos.map(photo => `<div style="width:calc(50% - 4px);page-break-inside:avoid;border:1px solid #ddd;padding:4px;box-sizing:border-box;">`
+      + `<img src="${photo.src}" alt="" style="width:100%;height:300px;object-fit:contain;">`
+      + `<div style="font-size:12px;"><strong>${escapeHtml(photo.label)}</strong> | ${photo.takenAt ? formatDateTime(photo.takenAt) : 'N/A'}</div>`
+      + `</div>`).join('')
+    + `</div></div>`;
+}
+
+async function loadLogo(logoUrl) {
+  if (!logoUrl) {
+    return '';
+  }
+  try {
+    const buffer = await getUploadedFileBuffer(logoUrl);
+    const extension = path.extname(logoUrl).slice(1).toLowerCase();
+    const mimeType = { svg: 'image/svg+xml', png: 'image/png', webp: 'image/webp' }[extension] || 'image/jpeg';
+    return `<img class="logo" src="data:${mimeType};base64,${buffer.toString('base64')}" alt="">`;
+  } catch (error) {
+    console.error(`Error loading template logo ${logoUrl}:`, error.message);
+    return '';
+  }
+}
+
+/**
+ * Placeholder values of an inventory
+ * @param {Object} inventory - Inventory document or plain object
+ * @param {Object} options - { photos, signatures, contentHash, lenderName, locale, logo } (see generateInventoryHTML)
+ */
+function buildTemplateContext(inventory, options = {}) {
+  const locale = options.locale || 'en-IN';
+  const formatDate = (value) => (value ? new Date(value).toLocaleDateString(locale, { day: '2-digit', month: '2-digit', year: 'numeric' }) : '');
+  const formatDateTime = (value) => (value ? new Date(value).toLocaleString(locale, {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }) : '');
+  const signatures = options.signatures || {};
+  const charges = calculateParkingCharges(inventory);
+
+  const context = {};
+  Object.keys(FIELD_PLACEHOLDERS).forEach(field => {
+    context[field] = inventory[field];
+  });
+
+  return Object.assign(context, {
+    seizureDate: formatDate(inventory.seizureDate),
+    insurancePolicyUpto: formatDate(inventory.insurancePolicyUpto),
+    createdDate: formatDate(inventory.createdAt),
+    generatedAt: formatDateTime(new Date()),
+    stage: STAGE_LABELS[inventory.stage || 'seized'],
+    parkingDays: charges.perDay > 0 ? String(charges.days) : '',
+    parkingCharges: charges.perDay > 0
+      ? new Intl.NumberFormat(locale, { style: 'currency', currency: 'INR', maximumFractionDigits: 2 }).format(charges.amount)
+      : '',
+    lenderName: options.lenderName || '',
+    contentHash: options.contentHash || '',
+    signedContentHash: inventory.signedContentHash || '',
+    contentChanged: inventory.signedContentHash && options.contentHash && inventory.signedContentHash !== options.contentHash ? 'Yes' : '',
+    logo: options.logo || '',
+    driverSignature: signatureHtml(signatures.driver, formatDateTime),
+    fieldAgentSignature: signatureHtml(signatures.fieldAgent, formatDateTime),
+    witnessSignature: signatureHtml(signatures.witness, formatDateTime),
+    photoAnnex: photoAnnexHtml(options.photos || [], formatDateTime)
+  });
+}
+
+/**
+ * Render a template for an inventory
+ * Fragments are wrapped in an HTML document; full documents are used as they are.
+ * @param {Object} template - { html, locale, logoUrl }
+ * @param {Object} inventory - Inventory document or plain object
+ * @param {Object} options - { photos, signatures, contentHash, lenderName }
+ * @returns {Promise<string>} HTML
+ */
+async function renderInventoryTemplate(template, inventory, options = {}) {
+  const locale = template.locale || 'en-IN';
+  const context = buildTemplateContext(inventory, {
+    ...options,
+    locale,
+    logo: await loadLogo(template.logoUrl)
+  });
+  const html = renderNodes(parseTemplate(template.html).children, context);
+
+  if (/<html[\s>]/i.test(html)) {
+    return html;
+  }
+  return `<!DOCTYPE html><html lang="${escapeHtml(locale.split('-')[0])}"><head><meta charset="UTF-8"></head><body>${html}</body></html>`;
+}
+
+// Lender of an inventory: recorded at creation, else looked up through its vehicle's Excel file
+async function resolveLender(inventory) {
+  let profileId = inventory.lenderProfile?._id || inventory.lenderProfile;
+  if (!profileId) {
+    const vehicleId = (typeof inventory.populated === 'function' && inventory.populated('vehicleId')) || inventory.vehicleId?._id || inventory.vehicleId;
+    const lookup = vehicleId ? await VehicleLookup.findById(vehicleId).select('excelFileId').lean() : null;
+    const excelFile = lookup ? await ExcelFile.findById(lookup.excelFileId).select('mappingProfile').lean() : null;
+    profileId = excelFile?.mappingProfile;
+  }
+  return profileId ? ColumnMappingProfile.findById(profileId).select('name').lean() : null;
+}
+
+/**
+ * Template for an inventory's PDF
+ * @returns {Promise<Object>} { template, lender } - template is null when the built-in layout applies
+ */
+async function findInventoryTemplate(inventory) {
+  const adminId = inventory.adminId?._id || inventory.adminId;
+  const [templates, lender] = await Promise.all([
+    InventoryTemplate.find({ adminId, isActive: true }).sort({ updatedAt: -1 }).lean(),
+    resolveLender(inventory)
+  ]);
+
+  const lenderTemplate = lender && templates.find(template =>
+    template.lenderProfiles.some(profileId => profileId.toString() === lender._id.toString()));
+  const defaultTemplate = templates.find(template => template.lenderProfiles.length === 0);
+
+  return { template: lenderTemplate || defaultTemplate || null, lender };
+}
+
+module.exports = {
+  TEMPLATE_PLACEHOLDERS,
+  STARTER_TEMPLATE,
+  getTemplateError,
+  isValidLocale,
+  renderInventoryTemplate,
+  resolveLender,
+  findInventoryTemplate
+};
@@ -0,0 +1,289 @@
+const puppeteer = require('puppeteer');
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Pooled headless Chromium for PDF generation
+ * One browser is launched on first use and keeps up to PDF_POOL_SIZE warm pages.
+ * Renders beyond that wait in a bounded queue (PDF_QUEUE_LIMIT) for at most
+ * PDF_QUEUE_TIMEOUT_MS; each render is limited to PDF_RENDER_TIMEOUT_MS. A page
+ * that fails or times out is closed and replaced, and the browser is closed after
+ * PDF_BROWSER_IDLE_MS without renders to give the memory back.
+ * Pages only load inline (data:) resources: photos, signatures and logos are embedded.
+ */
+
+const POOL_SIZE = parseInt(process.env.PDF_POOL_SIZE) || 2;
+const QUEUE_LIMIT = parseInt(process.env.PDF_QUEUE_LIMIT) || 20;
+const QUEUE_TIMEOUT_MS = parseInt(process.env.PDF_QUEUE_TIMEOUT_MS) || 2 * 60 * 1000;
+const RENDER_TIMEOUT_MS = parseInt(process.env.PDF_RENDER_TIMEOUT_MS) || 60 * 1000;
+const BROWSER_IDLE_MS = parseInt(process.env.PDF_BROWSER_IDLE_MS) || 10 * 60 * 1000;
+const PAGE_MAX_RENDERS = 50; // Recycle pages to bound renderer memory growth
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--no-first-run',
+  '--disable-features=VizDisplayCompositor',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-extensions',
+  '--disable-plugins',
+  '--run-all-compositor-stages-before-draw',
+  '--disable-ipc-flooding-protection'
+];
+
+const PDF_OPTIONS = {
+  format: 'A4',
+  margin: {
+    top: '5mm',
+    right: '5mm',
+    bottom: '5mm',
+    left: '5mm'
+  },
+  printBackground: true,
+  displayHeaderFooter: false,
+  preferCSSPageSize: false,
+  omitBackground: false,
+  tagged: false,
+  scale: 0.85
+};
+
+let browserPromise = null;
+let openPages = 0;
+const idlePages = []; // { page, renders }
+const waiting = []; // { resolve, reject, timer }
+let idleTimer = null;
+
+// Pool errors carry a code: the routes report PDF_QUEUE_* as "busy" (503) rather than as failures
+function poolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    console.log('🖨️ Launching PDF browser...');
+    browserPromise = puppeteer.launch({ headless: 'new', args: LAUNCH_ARGS, timeout: 60000 })
+      .then(browser => {
+        browser.on('disconnected', () => {
+          console.warn('⚠️ PDF browser disconnected');
+          resetBrowser();
+        });
+        return browser;
+      })
+      .catch(error => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+}
+
+// Forget the browser and its idle pages (pages in use are dropped when released)
+function resetBrowser() {
+  openPages -= idlePages.length;
+  idlePages.length = 0;
+  browserPromise = null;
+}
+
+async function createPage() {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: 1 });
+  page.setDefaultTimeout(RENDER_TIMEOUT_MS);
+  page.setDefaultNavigationTimeout(RENDER_TIMEOUT_MS);
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    const url = request.url();
+    if (url.startsWith('data:') || url === 'about:blank') {
+      request.continue();
+    } else {
+      request.abort();
+    }
+  });
+  return { page, renders: 0, browser };
+}
+
+// Open a new page for the pool (counted before it exists so concurrent callers respect POOL_SIZE)
+function openPage() {
+  openPages++;
+  return createPage().catch(error => {
+    openPages--;
+    throw error;
+  });
+}
+
+const abortedError = () => poolError('PDF_ABORTED', 'PDF rendering cancelled');
+
+function acquirePage(signal) {
+  clearTimeout(idleTimer);
+
+  if (signal && signal.aborted) {
+    return Promise.reject(abortedError());
+  }
+
+  const idle = idlePages.pop();
+  if (idle) {
+    return Promise.resolve(idle);
+  }
+  if (openPages < POOL_SIZE) {
+    return openPage();
+  }
+  if (waiting.length >= QUEUE_LIMIT) {
+    return Promise.reject(poolError('PDF_QUEUE_FULL', 'PDF generation is busy, please try again shortly'));
+  }
+
+  return new Promise((resolve, reject) => {
+    // Leave the queue when the caller gives up (timeout or cancelled request)
+    const leave = (error) => {
+      const index = waiting.indexOf(waiter);
+      if (index === -1) {
+        return; // Already handed a page that is still opening; renderPdf gives it back
+      }
+      clearTimeout(waiter.timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      waiting.splice(index, 1);
+      reject(error);
+    };
+    const onAbort = () => leave(abortedError());
+    const waiter = {
+      resolve: (entry) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(entry);
+      },
+      reject: (error) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    };
+    waiter.timer = setTimeout(() => leave(poolError('PDF_QUEUE_TIMEOUT', 'PDF generation is busy, please try again shortly')), QUEUE_TIMEOUT_MS);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    waiting.push(waiter);
+  });
+}
+
+function releasePage(entry, healthy) {
+  entry.renders++;
+  const waiter = waiting.shift();
+  if (waiter) {
+    clearTimeout(waiter.timer);
+  }
+
+  const browserGone = entry.page.isClosed() || !entry.browser.connected;
+  if (!healthy || browserGone || entry.renders >= PAGE_MAX_RENDERS) {
+    entry.page.close().catch(() => {});
+    openPages--;
+    if (waiter) {
+      openPage().then(waiter.resolve, waiter.reject);
+    }
+  } else if (waiter) {
+    waiter.resolve(entry);
+    return;
+  } else {
+    idlePages.push(entry);
+  }
+
+  scheduleIdleClose();
+}
+
+// Close the browser once every page has been idle for BROWSER_IDLE_MS
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  if (waiting.length > 0 || idlePages.length !== openPages) {
+    return;
+  }
+  idleTimer = setTimeout(async () => {
+    if (!browserPromise || waiting.length > 0 || idlePages.length !== openPages) {
+      return;
+    }
+    const closing = browserPromise;
+    resetBrowser();
+    try {
+      const browser = await closing;
+      browser.removeAllListeners('disconnected');
+      await browser.close();
+      console.log('🖨️ PDF browser closed after being idle');
+    } catch (error) {
+      console.error('Error closing idle PDF browser:', error.message);
+    }
+  }, BROWSER_IDLE_MS);
+  idleTimer.unref();
+}
+
+// Settle with the render, or reject on timeout or abort (the page is then closed and replaced)
+function withTimeout(promise, timeoutMs, signal) {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`PDF rendering timed out after ${timeoutMs}ms`)), timeoutMs);
+    if (signal) {
+      onAbort = () => reject(abortedError());
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+async function renderOnPage(page, html) {
+  await page.setContent(html, { waitUntil: ['load', 'networkidle0'] });
+  const pdf = Buffer.from(await page.pdf(PDF_OPTIONS));
+
+  // %PDF magic bytes
+  if (pdf.length < 4 || pdf.toString('latin1', 0, 4) !== '%PDF') {
+    throw new Error('Generated file is not a valid PDF');
+  }
+  return pdf;
+}
+
+/**
+ * Render HTML to an A4 PDF on a pooled page
+ * @param {string} html - Complete HTML document
+ * @param {Object} options - { timeoutMs (defaults to PDF_RENDER_TIMEOUT_MS), signal (AbortSignal) }
+ * @returns {Promise<Buffer>} PDF
+ * @throws {Error} code PDF_QUEUE_FULL / PDF_QUEUE_TIMEOUT when the pool is saturated,
+ *   PDF_ABORTED when the signal aborts (the queue slot or page is given back)
+ */
+async function renderPdf(html, options = {}) {
+  const entry = await acquirePage(options.signal);
+  let healthy = false;
+  try {
+    if (options.signal && options.signal.aborted) {
+      healthy = true;
+      throw abortedError();
+    }
+    const pdf = await withTimeout(renderOnPage(entry.page, html), options.timeoutMs || RENDER_TIMEOUT_MS, options.signal);
+    healthy = true;
+    return pdf;
+  } finally {
+    releasePage(entry, healthy);
+  }
+}
+
+const isPdfBusyError = (error) => error.code === 'PDF_QUEUE_FULL' || error.code === 'PDF_QUEUE_TIMEOUT';
+
+/**
+ * Concatenate PDFs into one document, in order
+ * @param {Buffer[]} pdfs - PDFs rendered with renderPdf
+ * @returns {Promise<Buffer>} PDF
+ */
+async function mergePdfs(pdfs) {
+  const merged = await PDFDocument.create();
+  for (const pdf of pdfs) {
+    const source = await PDFDocument.load(pdf);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+}
+
+module.exports = {
+  renderPdf,
+  isPdfBusyError,
+  mergePdfs
+};
@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const { getSessionError } = require('../middleware/auth');
+
+/**
+ * Real-time push channel (Server-Sent Events)
+ * Every signed-in tab keeps GET /api/realtime/stream open and receives:
+ *   notification  - a new Notification, sent to everyone who sees it in GET /api/notifications
+ *   payment-proof - a payment proof was submitted (to its reviewer) or reviewed (to its submitter)
+ *   agent-location - a field agent's last known GPS position moved (to the agent's admin)
+ *   force-logout  - the session ended (logout, login elsewhere, deactivation, deletion);
+ *                   the stream is closed afterwards
+ * Connections are kept in this process (ecosystem.config.js runs a single instance).
+ */
+
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const SESSION_SWEEP_MS = 60 * 1000; // Catches sessions ended by code paths that do not call revalidateSessions
+
+// userId → Set of { res, user, sessionToken }
+const connections = new Map();
+let timersStarted = false;
+
+function write(res, chunk) {
+  res.write(chunk);
+  // compression() buffers the response unless it is flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+function writeEvent(res, event, data) {
+  write(res, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every open stream of the given users
+ * @param {Array} userIds - User ids (ObjectIds or strings)
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {number} Number of streams written to
+ */
+function sendToUsers(userIds, event, data) {
+  let sent = 0;
+  new Set(userIds.filter(Boolean).map(id => id.toString())).forEach(userId => {
+    (connections.get(userId) || []).forEach(connection => {
+      writeEvent(connection.res, event, data);
+      sent++;
+    });
+  });
+  return sent;
+}
+
+/**
+ * Register an authenticated stream (called by routes/realtime.js)
+ * @param {Object} req - Request that passed authenticateToken (req.user, req.sessionToken)
+ * @param {Object} res - Response kept open for the stream
+ */
+function openStream(req, res) {
+  const userId = req.user._id.toString();
+  const connection = { res, user: req.user, sessionToken: req.sessionToken };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx
+  });
+  write(res, 'retry: 5000\n\n');
+  writeEvent(res, 'ready', { userId });
+
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(connection);
+  startTimers();
+
+  req.on('close', () => {
+    const userConnections = connections.get(userId);
+    if (!userConnections) return;
+    userConnections.delete(connection);
+    if (userConnections.size === 0) {
+      connections.delete(userId);
+    }
+  });
+}
+
+function closeConnection(userId, connection, message) {
+  writeEvent(connection.res, 'force-logout', { message });
+  connection.res.end();
+  const userConnections = connections.get(userId);
+  if (userConnections) {
+    userConnections.delete(connection);
+    if (userConnections.size === 0) {
+      connections.delete(userId);
+    }
+  }
+}
+
+/**
+ * Re-check the sessions behind open streams and force-logout the ended ones
+ * (same rules as authenticateToken). Never throws.
+ * @param {Array} [userIds] - Users whose session changed (all connected users when omitted)
+ */
+async function revalidateSessions(userIds) {
+  try {
+    const ids = userIds
+      ? [...new Set(userIds.filter(Boolean).map(id => id.toString()))].filter(id => connections.has(id))
+      : [...connections.keys()];
+    if (ids.length === 0) {
+      return;
+    }
+
+    const users = await User.find({ _id: { $in: ids } })
+      .select('isActive role createdBy currentSessionToken sessionExpiresAt');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const userId of ids) {
+      const user = usersById.get(userId);
+      for (const connection of [...(connections.get(userId) || [])]) {
+        const message = user
+          ? await getSessionError(user, connection.sessionToken)
+          : 'User not found';
+        if (message) {
+          closeConnection(userId, connection, message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error revalidating real-time sessions:', error);
+  }
+}
+
+/**
+ * Push newly saved notifications to the users who can see them
+ * (the recipient admin, that admin's auditors, super admins and super super admins,
+ * mirroring GET /api/notifications). Never throws.
+ * @param {Array} notifications - Saved Notification documents
+ */
+async function publishNotifications(notifications) {
+  try {
+    if (!notifications || notifications.length === 0 || connections.size === 0) {
+      return;
+    }
+
+    // Super admins do not see notifications addressed to super super admins
+    let superSuperAdminIds = null;
+    const hasSuperAdmins = [...connections.values()]
+      .some(userConnections => [...userConnections].some(connection => connection.user.role === 'superAdmin'));
+    if (hasSuperAdmins) {
+      const superSuperAdmins = await User.find({ role: 'superSuperAdmin' }).select('_id').lean();
+      superSuperAdminIds = new Set(superSuperAdmins.map(user => user._id.toString()));
+    }
+
+    notifications.forEach(notification => {
+      const payload = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+      const recipientId = payload.admin?.toString();
+
+      connections.forEach(userConnections => {
+        userConnections.forEach(connection => {
+          const { user } = connection;
+          const canSee = user.role === 'superSuperAdmin' ||
+            (user.role === 'superAdmin' && !superSuperAdminIds.has(recipientId)) ||
+            (user.role === 'admin' && user._id.toString() === recipientId) ||
+            (user.role === 'auditor' && user.createdBy?.toString() === recipientId);
+          if (canSee) {
+            writeEvent(connection.res, 'notification', payload);
+          }
+        });
+      });
+    });
+  } catch (error) {
+    console.error('❌ Error publishing notifications:', error);
+  }
+}
+
+/**
+ * Tell the other side of a payment proof about it: new / resubmitted proofs go to the
+ * reviewer (adminId), reviewed ones to the submitter (userId)
+ * @param {Object} proof - PaymentProof document
+ * @param {string} scope - Which payment flow: user | admin | superAdmin
+ */
+function publishPaymentProof(proof, scope) {
+  const recipientId = proof.status === 'pending' ? proof.adminId : proof.userId;
+  sendToUsers([recipientId], 'payment-proof', {
+    _id: proof._id,
+    paymentId: proof.paymentId,
+    scope,
+    status: proof.status,
+    amount: proof.amount,
+    adminNotes: proof.adminNotes,
+    reviewedAt: proof.reviewedAt
+  });
+}
+
+function startTimers() {
+  if (timersStarted) return;
+  timersStarted = true;
+
+  setInterval(() => {
+    connections.forEach(userConnections => {
+      userConnections.forEach(connection => write(connection.res, ': ping\n\n'));
+    });
+  }, HEARTBEAT_MS).unref();
+
+  setInterval(() => revalidateSessions(), SESSION_SWEEP_MS).unref();
+}
+
+module.exports = {
+  openStream,
+  sendToUsers,
+  revalidateSessions,
+  publishNotifications,
+  publishPaymentProof
+};
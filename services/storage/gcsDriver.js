@@ -0,0 +1,165 @@
+const { Storage } = require('@google-cloud/storage');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Google Cloud Storage driver
+ * Stored locations are https://storage.googleapis.com/<bucket>/<key> URLs
+ * (public, or signed for a year when GCS_PUBLIC_ACCESS is not "true").
+ */
+
+// Initialize GCS client
+let storage;
+let bucket;
+
+try {
+  // Check if GCS credentials are provided via environment variable or key file
+  const keyFilename = process.env.GCS_KEY_FILE || path.join(__dirname, '../../config/gcs-key.json');
+  const keyFileExists = fs.existsSync(keyFilename);
+
+  // Initialize storage client
+  const storageConfig = {
+    projectId: process.env.GCS_PROJECT_ID
+  };
+
+  // Use key file if it exists, otherwise rely on GOOGLE_APPLICATION_CREDENTIALS env var
+  if (keyFileExists) {
+    storageConfig.keyFilename = keyFilename;
+  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    // Use environment variable if key file doesn't exist
+    storageConfig.keyFilename = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  }
+
+  storage = new Storage(storageConfig);
+
+  if (process.env.GCS_BUCKET_NAME) {
+    bucket = storage.bucket(process.env.GCS_BUCKET_NAME);
+    console.log('✅ Google Cloud Storage initialized');
+    console.log(`📦 Bucket: ${process.env.GCS_BUCKET_NAME}`);
+  } else {
+    console.warn('⚠️  GCS_BUCKET_NAME not set. GCS operations will fail.');
+  }
+} catch (error) {
+  console.error('❌ GCS initialization error:', error.message);
+  console.warn('⚠️  GCS operations will fail until credentials are configured');
+}
+
+function requireBucket() {
+  if (!bucket) {
+    throw new Error('GCS bucket not initialized. Check GCS configuration.');
+  }
+  return bucket;
+}
+
+/**
+ * Extract the object name from a GCS URL (public or signed) or path
+ */
+function getObjectName(gcsFileUrl) {
+  let fileName;
+  if (gcsFileUrl.includes('storage.googleapis.com')) {
+    // Public: https://storage.googleapis.com/bucket-name/file-name
+    // Signed: https://storage.googleapis.com/bucket-name/file-name?GoogleAccessId=...
+    const urlParts = gcsFileUrl.split('?')[0]; // Remove query parameters
+    const pathParts = urlParts.split('/');
+    // Get everything after bucket name
+    const bucketIndex = pathParts.findIndex(part => part === bucket.name);
+    if (bucketIndex >= 0 && bucketIndex < pathParts.length - 1) {
+      fileName = pathParts.slice(bucketIndex + 1).join('/');
+    } else {
+      // Fallback: get last part
+      fileName = pathParts[pathParts.length - 1];
+    }
+  } else if (gcsFileUrl.startsWith('gs://')) {
+    fileName = gcsFileUrl.replace(/^gs:\/\/[^/]+\//, '');
+  } else if (gcsFileUrl.includes('/')) {
+    // Path format: bucket-name/file-name or just file-name
+    fileName = gcsFileUrl.split('/').slice(-1)[0];
+  } else {
+    fileName = gcsFileUrl;
+  }
+
+  // Remove any query parameters if still present
+  return fileName.split('?')[0];
+}
+
+async function upload(localFilePath, key, options = {}) {
+  const gcsBucket = requireBucket();
+  const file = gcsBucket.file(key);
+
+  await gcsBucket.upload(localFilePath, {
+    destination: key,
+    metadata: {
+      contentType: options.contentType || 'application/octet-stream',
+      cacheControl: 'public, max-age=31536000', // Cache for 1 year
+    },
+  });
+
+  // Make file publicly accessible (or use signed URLs for private access)
+  if (process.env.GCS_PUBLIC_ACCESS === 'true') {
+    await file.makePublic();
+    const publicUrl = `https://storage.googleapis.com/${gcsBucket.name}/${key}`;
+    console.log(`✅ File uploaded to GCS: ${publicUrl}`);
+    return publicUrl;
+  }
+
+  // Generate signed URL (valid for 1 year)
+  const [signedUrl] = await file.getSignedUrl({
+    action: 'read',
+    expires: Date.now() + 365 * 24 * 60 * 60 * 1000, // 1 year
+  });
+  console.log(`✅ File uploaded to GCS with signed URL`);
+  return signedUrl;
+}
+
+async function getBuffer(location) {
+  const fileName = getObjectName(location);
+  // OPTIMIZED: Skip MD5 validation for faster download
+  const [buffer] = await requireBucket().file(fileName).download({ validation: false });
+
+  // Only log in development or for large files
+  if (process.env.NODE_ENV === 'development' || buffer.length > 10 * 1024 * 1024) {
+    console.log(`✅ File buffer retrieved from GCS: ${fileName} (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
+  }
+  return buffer;
+}
+
+async function download(location, localFilePath) {
+  const fileName = getObjectName(location);
+  await requireBucket().file(fileName).download({ destination: localFilePath });
+  console.log(`✅ File downloaded from GCS: ${fileName} -> ${localFilePath}`);
+  return localFilePath;
+}
+
+async function remove(location) {
+  const fileName = getObjectName(location);
+  try {
+    await requireBucket().file(fileName).delete();
+  } catch (error) {
+    if (error.code === 404) {
+      error.notFound = true;
+    }
+    throw error;
+  }
+  console.log(`✅ File deleted from GCS: ${fileName}`);
+}
+
+async function getSignedUrl(location, options = {}) {
+  const [signedUrl] = await requireBucket().file(getObjectName(location)).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + (options.expiresInSeconds || 3600) * 1000,
+    ...(options.downloadName && { responseDisposition: `attachment; filename="${options.downloadName}"` })
+  });
+  return signedUrl;
+}
+
+module.exports = {
+  name: 'gcs',
+  isRemote: true,
+  isConfigured: () => !!bucket && !!process.env.GCS_BUCKET_NAME,
+  upload,
+  getBuffer,
+  download,
+  delete: remove,
+  getSignedUrl,
+  locationFor: (key) => `gs://${requireBucket().name}/${key}`
+};
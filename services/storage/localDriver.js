@@ -0,0 +1,74 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Local filesystem storage driver
+ * Objects live under the uploads directory (served statically at /uploads),
+ * so a stored location is simply its public path: /uploads/<key>
+ */
+
+const UPLOADS_ROOT = path.join(__dirname, '../../uploads');
+
+// Locations are /uploads/<key>, or absolute paths inside the uploads root
+// (Excel files kept in uploads/excel/temp before this driver existed)
+function resolvePath(location) {
+  const withoutQuery = location.split('?')[0];
+  const absolute = withoutQuery.startsWith('/uploads/')
+    ? path.join(UPLOADS_ROOT, withoutQuery.slice('/uploads/'.length))
+    : path.resolve(withoutQuery);
+
+  if (!absolute.startsWith(UPLOADS_ROOT + path.sep)) {
+    throw new Error(`Location is outside local storage: ${location}`);
+  }
+  return absolute;
+}
+
+async function upload(localFilePath, key) {
+  const destination = path.join(UPLOADS_ROOT, key);
+  // Multer already wrote most uploads into place
+  if (path.resolve(localFilePath) !== destination) {
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.copyFile(localFilePath, destination);
+  }
+  return `/uploads/${key}`;
+}
+
+async function getBuffer(location) {
+  return fs.readFile(resolvePath(location));
+}
+
+async function download(location, localFilePath) {
+  await fs.copyFile(resolvePath(location), localFilePath);
+  return localFilePath;
+}
+
+async function remove(location) {
+  try {
+    await fs.unlink(resolvePath(location));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      error.notFound = true;
+    }
+    throw error;
+  }
+}
+
+// Local files are served by express.static - the public path is the URL
+async function getSignedUrl(location) {
+  return location.startsWith('/uploads/')
+    ? location
+    : `/uploads/${path.relative(UPLOADS_ROOT, resolvePath(location)).split(path.sep).join('/')}`;
+}
+
+module.exports = {
+  name: 'local',
+  isRemote: false,
+  isConfigured: () => true,
+  upload,
+  getBuffer,
+  download,
+  delete: remove,
+  getSignedUrl,
+  locationFor: (key) => `/uploads/${key}`,
+  UPLOADS_ROOT
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+ * Stored locations are s3://<bucket>/<key>; browsers get presigned URLs.
+ *
+ * Configuration:
+ *   S3_BUCKET, S3_REGION (default us-east-1)
+ *   S3_ENDPOINT + S3_FORCE_PATH_STYLE=true for MinIO-style servers
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (falls back to the AWS default chain)
+ */
+
+const bucketName = process.env.S3_BUCKET;
+
+const client = new S3Client({
+  region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+  ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  ...(process.env.S3_ACCESS_KEY_ID && {
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  })
+});
+
+if (bucketName) {
+  console.log(`✅ S3 storage initialized (bucket: ${bucketName}${process.env.S3_ENDPOINT ? `, endpoint: ${process.env.S3_ENDPOINT}` : ''})`);
+} else {
+  console.warn('⚠️  S3_BUCKET not set. S3 operations will fail.');
+}
+
+function parseLocation(location) {
+  const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(location);
+  if (!match) {
+    throw new Error(`Not an S3 location: ${location}`);
+  }
+  return { Bucket: match[1], Key: match[2] };
+}
+
+function requireBucket() {
+  if (!bucketName) {
+    throw new Error('S3 bucket not configured. Set S3_BUCKET.');
+  }
+  return bucketName;
+}
+
+async function upload(localFilePath, key, options = {}) {
+  const Bucket = requireBucket();
+  const { size } = await fsPromises.stat(localFilePath);
+
+  await client.send(new PutObjectCommand({
+    Bucket,
+    Key: key,
+    Body: fs.createReadStream(localFilePath),
+    ContentLength: size,
+    ContentType: options.contentType || 'application/octet-stream'
+  }));
+
+  console.log(`✅ File uploaded to S3: s3://${Bucket}/${key}`);
+  return `s3://${Bucket}/${key}`;
+}
+
+async function getBuffer(location) {
+  const response = await sendGet(location);
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
+async function download(location, localFilePath) {
+  const response = await sendGet(location);
+  await pipeline(response.Body, fs.createWriteStream(localFilePath));
+  return localFilePath;
+}
+
+async function sendGet(location) {
+  try {
+    return await client.send(new GetObjectCommand(parseLocation(location)));
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      error.notFound = true;
+    }
+    throw error;
+  }
+}
+
+// S3 deletes are idempotent - a missing key is not an error
+async function remove(location) {
+  await client.send(new DeleteObjectCommand(parseLocation(location)));
+  console.log(`✅ File deleted from S3: ${location}`);
+}
+
+async function getSignedUrl(location, options = {}) {
+  const command = new GetObjectCommand({
+    ...parseLocation(location),
+    ...(options.downloadName && { ResponseContentDisposition: `attachment; filename="${options.downloadName}"` })
+  });
+  return presign(client, command, {
+    expiresIn: options.expiresInSeconds || 3600
+  });
+}
+
+module.exports = {
+  name: 's3',
+  isRemote: true,
+  isConfigured: () => !!bucketName,
+  upload,
+  getBuffer,
+  download,
+  delete: remove,
+  getSignedUrl,
+  locationFor: (key) => `s3://${requireBucket()}/${key}`
+};
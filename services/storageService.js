@@ -0,0 +1,290 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+/**
+ * Storage Service
+ * Single entry point for stored files (Excel workbooks, app APKs, payment proofs,
+ * profile images). The active driver is chosen by STORAGE_DRIVER:
+ *   local - files stay under ./uploads (served at /uploads)
+ *   gcs   - Google Cloud Storage (GCS_* settings)
+ *   s3    - S3-compatible object storage (S3_* settings)
+ * When STORAGE_DRIVER is not set, GCS is used if GCS_BUCKET_NAME is set, else local.
+ *
+ * Stored locations keep the driver they were written with, so files uploaded
+ * before a driver switch stay readable.
+ */
+
+// Drivers are loaded on first use - their SDK clients log on initialization
+const DRIVER_LOADERS = {
+  local: () => require('./storage/localDriver'),
+  gcs: () => require('./storage/gcsDriver'),
+  s3: () => require('./storage/s3Driver')
+};
+
+const ACTIVE_DRIVER_NAME = (process.env.STORAGE_DRIVER || (process.env.GCS_BUCKET_NAME ? 'gcs' : 'local')).toLowerCase();
+
+if (!DRIVER_LOADERS[ACTIVE_DRIVER_NAME]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${ACTIVE_DRIVER_NAME}". Use local, gcs or s3.`);
+}
+
+function getDriver(name) {
+  return DRIVER_LOADERS[name]();
+}
+
+function getActiveDriver() {
+  return getDriver(ACTIVE_DRIVER_NAME);
+}
+
+// Which driver wrote a stored location (null = not a stored file)
+function getDriverNameForLocation(location) {
+  if (!location || typeof location !== 'string') return null;
+  if (location.startsWith('s3://')) return 's3';
+  if (location.includes('storage.googleapis.com') || location.startsWith('gs://')) return 'gcs';
+  if (location.startsWith('/uploads/')) return 'local';
+  if (path.isAbsolute(location) && path.resolve(location).startsWith(getDriver('local').UPLOADS_ROOT + path.sep)) {
+    return 'local';
+  }
+  return null;
+}
+
+function driverFor(location) {
+  const name = getDriverNameForLocation(location);
+  if (!name) {
+    throw new Error(`Unrecognized storage location: ${location}`);
+  }
+  return getDriver(name);
+}
+
+/**
+ * Check if a value is a location written by one of the storage drivers
+ * @param {string} location - Stored file location (e.g. ExcelFile.filePath)
+ * @returns {boolean}
+ */
+function isStoredFile(location) {
+  return getDriverNameForLocation(location) !== null;
+}
+
+/**
+ * Check if the active driver is configured and ready for uploads
+ * @returns {boolean}
+ */
+function isStorageConfigured() {
+  return getActiveDriver().isConfigured();
+}
+
+/**
+ * Check if the active driver keeps files off this server
+ * @returns {boolean}
+ */
+function isRemoteStorage() {
+  return getActiveDriver().isRemote;
+}
+
+function getStorageDriverName() {
+  return ACTIVE_DRIVER_NAME;
+}
+
+/**
+ * Upload a local file with the active driver
+ * @param {string} localFilePath - Path to local file
+ * @param {string} key - Object key, e.g. excel/123-file.xlsx
+ * @param {Object} options - { contentType }
+ * @returns {Promise<string>} Stored location
+ */
+async function uploadFile(localFilePath, key, options = {}) {
+  return getActiveDriver().upload(localFilePath, key, options);
+}
+
+/**
+ * Get file contents (for in-memory processing)
+ * @param {string} location - Stored file location
+ * @returns {Promise<Buffer>}
+ */
+async function getFileBuffer(location) {
+  return driverFor(location).getBuffer(location);
+}
+
+/**
+ * Download a stored file to a local path
+ * @returns {Promise<string>} Local file path
+ */
+async function downloadFile(location, localFilePath) {
+  return driverFor(location).download(location, localFilePath);
+}
+
+/**
+ * Delete a stored file
+ * A missing file rejects with error.notFound = true.
+ */
+async function deleteFile(location) {
+  return driverFor(location).delete(location);
+}
+
+/**
+ * Move a stored file to a new key of the active driver (e.g. into an archive folder)
+ * @param {string} location - Stored file location
+ * @param {string} key - Destination object key
+ * @returns {Promise<string>} New stored location
+ */
+async function moveFile(location, key) {
+  const tempPath = path.join(os.tmpdir(), `storage-move-${Date.now()}-${path.basename(key)}`);
+
+  try {
+    await downloadFile(location, tempPath);
+    const newLocation = await uploadFile(tempPath, key);
+    await deleteFile(location);
+    return newLocation;
+  } finally {
+    try {
+      await fs.unlink(tempPath);
+    } catch (unlinkError) {
+      if (unlinkError.code !== 'ENOENT') {
+        console.error('Error deleting temporary copy of moved file:', unlinkError);
+      }
+    }
+  }
+}
+
+/**
+ * Get a short-lived URL a browser can fetch the file from
+ * @param {string} location - Stored file location
+ * @param {Object} options - { expiresInSeconds (default 1 hour), downloadName }
+ * @returns {Promise<string>}
+ */
+async function getSignedUrl(location, options = {}) {
+  return driverFor(location).getSignedUrl(location, options);
+}
+
+/**
+ * Store a multer upload that lives under ./uploads/<folder>
+ * The returned public path (/uploads/<folder>/<filename>) is what gets saved on
+ * records and is served by express.static, or by remoteUploadsHandler when the
+ * active driver is remote (the local copy is then removed).
+ * @param {Object} file - Multer file ({ path, filename, mimetype })
+ * @param {string} folder - Folder under uploads, e.g. profile-images
+ * @returns {Promise<string>} Public path of the stored file
+ */
+async function storeUploadedFile(file, folder) {
+  const key = `${folder}/${file.filename}`;
+  const driver = getActiveDriver();
+
+  await driver.upload(file.path, key, { contentType: file.mimetype });
+
+  if (driver.isRemote) {
+    try {
+      await fs.unlink(file.path);
+    } catch (unlinkError) {
+      console.error('Error deleting local copy of stored upload:', unlinkError);
+    }
+  }
+
+  return `/uploads/${key}`;
+}
+
+// Location of a storeUploadedFile public path (/uploads/<key>) in the active driver
+function getUploadLocation(publicPath) {
+  const key = publicPath.split('?')[0].replace(/^\/uploads\//, '');
+  return getActiveDriver().locationFor(key);
+}
+
+/**
+ * Delete a file saved with storeUploadedFile (public path)
+ */
+async function deleteUploadedFile(publicPath) {
+  return getActiveDriver().delete(getUploadLocation(publicPath));
+}
+
+/**
+ * Get the contents of a file saved with storeUploadedFile (public path)
+ * @returns {Promise<Buffer>}
+ */
+async function getUploadedFileBuffer(publicPath) {
+  return getFileBuffer(getUploadLocation(publicPath));
+}
+
+/**
+ * Get a URL a browser can fetch a storeUploadedFile public path from
+ * @param {string} publicPath - /uploads/<folder>/<filename>
+ * @param {Object} options - { expiresInSeconds, downloadName }
+ * @returns {Promise<string>}
+ */
+async function getUploadedFileUrl(publicPath, options = {}) {
+  return getActiveDriver().getSignedUrl(getUploadLocation(publicPath), options);
+}
+
+/**
+ * Link a browser can open for a storeUploadedFile public path: the path itself on
+ * local storage, a short-lived signed URL on remote storage (for files outside
+ * PUBLIC_UPLOAD_FOLDERS, which remoteUploadsHandler does not serve)
+ * @param {string|null} publicPath - /uploads/<folder>/<filename>
+ * @returns {Promise<string|null>}
+ */
+async function getUploadedFileLink(publicPath) {
+  if (!publicPath || !isRemoteStorage() || !publicPath.startsWith('/uploads/')) {
+    return publicPath;
+  }
+  try {
+    return await getUploadedFileUrl(publicPath, { expiresInSeconds: 60 * 60 });
+  } catch (error) {
+    console.error(`❌ Failed to sign stored upload ${publicPath}:`, error.message);
+    return publicPath;
+  }
+}
+
+// Upload folders anyone may fetch by path (the ones served publicly before remote
+// storage). Workbooks, inventory files and template logos are only handed out
+// through authenticated routes.
+const PUBLIC_UPLOAD_FOLDERS = [
+  'profile-images',
+  'apps',
+  'payment-proofs',
+  'admin-payment-proofs',
+  'super-admin-payment-proofs'
+];
+
+/**
+ * Express middleware mounted after express.static('/uploads'):
+ * files of PUBLIC_UPLOAD_FOLDERS that are not on local disk are redirected to
+ * the remote driver, anything else is a 404
+ */
+function remoteUploadsHandler(req, res, next) {
+  if (!isRemoteStorage() || req.method !== 'GET') {
+    return next();
+  }
+
+  const publicPath = `/uploads${decodeURIComponent(req.path)}`;
+  const [, , folder, ...rest] = publicPath.split('/');
+  if (!PUBLIC_UPLOAD_FOLDERS.includes(folder) || rest.length === 0 || publicPath.split('/').includes('..')) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  getUploadedFileUrl(publicPath, { expiresInSeconds: 15 * 60 })
+    .then(signedUrl => res.redirect(302, signedUrl))
+    .catch(error => {
+      console.error(`❌ Failed to resolve stored upload ${publicPath}:`, error.message);
+      next();
+    });
+}
+
+module.exports = {
+  isStoredFile,
+  isStorageConfigured,
+  isRemoteStorage,
+  getStorageDriverName,
+  uploadFile,
+  getFileBuffer,
+  downloadFile,
+  deleteFile,
+  moveFile,
+  getSignedUrl,
+  storeUploadedFile,
+  deleteUploadedFile,
+  getUploadedFileBuffer,
+  getUploadedFileUrl,
+  getUploadedFileLink,
+  remoteUploadsHandler
+};
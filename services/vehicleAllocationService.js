@@ -0,0 +1,105 @@
+const VehicleLookup = require('../models/VehicleLookup');
+const { getExcelRows } = require('./excelCacheService');
+
+/**
+ * Vehicle allocation helpers
+ * Select the rows of an Excel file by branch, bucket or pincode so they can be
+ * allocated to a field agent. There is no pincode column: it is read from the address.
+ */
+
+const PINCODE_PATTERN = /\b(\d{6})\b/;
+const FILTER_FIELDS = ['branch', 'bucket', 'pincode'];
+
+const normalizeValue = (value) => (value === undefined || value === null ? '' : value.toString().trim().toUpperCase());
+
+function extractPincode(address) {
+  const match = (address || '').toString().match(PINCODE_PATTERN);
+  return match ? match[1] : '';
+}
+
+function getRowValue(row, field) {
+  return field === 'pincode' ? extractPincode(row.address) : normalizeValue(row[field]);
+}
+
+// Filters as { field: Set of normalized values }, empty filters dropped
+function normalizeFilters(filters = {}) {
+  const normalized = {};
+  FILTER_FIELDS.forEach(field => {
+    const values = [].concat(filters[field] || []).map(normalizeValue).filter(Boolean);
+    if (values.length > 0) {
+      normalized[field] = new Set(values);
+    }
+  });
+  return normalized;
+}
+
+function hasFilters(filters) {
+  return Object.keys(normalizeFilters(filters)).length > 0;
+}
+
+const rowKey = (registrationNumber, chassisNumber) =>
+  `${normalizeValue(registrationNumber)}|${normalizeValue(chassisNumber)}`;
+
+/**
+ * Find the VehicleLookup rows of a file whose Excel row matches the filters
+ * @param {Object} excelFile - ExcelFile ({ _id, filePath, sheetNames })
+ * @param {Object} filters - { branch, bucket, pincode } (string or array each; all given filters must match)
+ * @returns {Promise<Array>} VehicleLookup rows (lean)
+ */
+async function findLookupsForFilters(excelFile, filters) {
+  const normalized = normalizeFilters(filters);
+  const fields = Object.keys(normalized);
+  const rows = await getExcelRows(excelFile.filePath, { sheetNames: excelFile.sheetNames });
+
+  const matchingKeys = new Set();
+  rows.forEach(row => {
+    if (fields.every(field => normalized[field].has(getRowValue(row, field)))) {
+      matchingKeys.add(rowKey(row.registration_number, row.chasis_number));
+    }
+  });
+
+  if (matchingKeys.size === 0) {
+    return [];
+  }
+
+  const lookups = await VehicleLookup.find({ excelFileId: excelFile._id })
+    .select('registrationNumber chassisNumber excelFileId sheetName rowNumber _id')
+    .lean();
+
+  return lookups.filter(lookup => matchingKeys.has(rowKey(lookup.registrationNumber, lookup.chassisNumber)));
+}
+
+/**
+ * Distinct branch / bucket / pincode values of a file, with row counts
+ * @param {Object} excelFile - ExcelFile ({ filePath, sheetNames })
+ * @returns {Promise<Object>} { totalRows, branch: [{ value, count }], bucket: [...], pincode: [...] }
+ */
+async function getAllocationOptions(excelFile) {
+  const rows = await getExcelRows(excelFile.filePath, { sheetNames: excelFile.sheetNames });
+  const counts = Object.fromEntries(FILTER_FIELDS.map(field => [field, new Map()]));
+
+  rows.forEach(row => {
+    FILTER_FIELDS.forEach(field => {
+      const value = getRowValue(row, field);
+      if (value) {
+        counts[field].set(value, (counts[field].get(value) || 0) + 1);
+      }
+    });
+  });
+
+  const options = { totalRows: rows.length };
+  FILTER_FIELDS.forEach(field => {
+    options[field] = [...counts[field].entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => a.value.localeCompare(b.value));
+  });
+  return options;
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  extractPincode,
+  hasFilters,
+  findLookupsForFilters,
+  getAllocationOptions
+};
@@ -0,0 +1,379 @@
+const VehicleCase = require('../models/VehicleCase');
+const VehicleChange = require('../models/VehicleChange');
+const Counter = require('../models/Counter');
+const { VEHICLE_CHANGE_COUNTER } = require('./excelIngestionService');
+
+/**
+ * Vehicle case (recovery lifecycle) helpers
+ * pending → assigned → in-progress → recovered | failed
+ * Cases are created on the first status change; until then a vehicle is pending.
+ * An assigned / in-progress case is an allocation: it sits in the agent's work
+ * queue, and allocation changes are written to the offline sync feed.
+ */
+
+// Statuses in which a case belongs to its agent's work queue
+const OPEN_STATUSES = ['assigned', 'in-progress'];
+const ALLOCATION_CHUNK_SIZE = 500;
+
+// Allowed manual status changes (recovery through an Inventory record is always allowed)
+const ALLOWED_TRANSITIONS = {
+  pending: ['assigned', 'in-progress', 'recovered', 'failed'],
+  assigned: ['pending', 'assigned', 'in-progress', 'recovered', 'failed'],
+  'in-progress': ['assigned', 'recovered', 'failed'],
+  failed: ['pending', 'assigned', 'in-progress'],
+  recovered: ['pending'] // Reopen (e.g. vehicle released back to the borrower)
+};
+
+const normalizeCaseKey = (value) => (value || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Filter identifying the case of a VehicleLookup row
+function caseFilterForLookup(lookup) {
+  return {
+    excelFileId: lookup.excelFileId,
+    registrationNumber: normalizeCaseKey(lookup.registrationNumber),
+    chassisNumber: normalizeCaseKey(lookup.chassisNumber)
+  };
+}
+
+const caseKey = ({ excelFileId, registrationNumber, chassisNumber }) =>
+  `${excelFileId}|${normalizeCaseKey(registrationNumber)}|${normalizeCaseKey(chassisNumber)}`;
+
+function canTransition(fromStatus, toStatus) {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Agent a case is allocated to (null when unassigned or closed)
+function allocatedAgentId(vehicleCase) {
+  if (!vehicleCase || !OPEN_STATUSES.includes(vehicleCase.status) || !vehicleCase.assignedAgent) {
+    return null;
+  }
+  return vehicleCase.assignedAgent.toString();
+}
+
+// Offline clients learn about allocation changes through the vehicle change feed
+async function recordAllocationChanges(changes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const firstSeq = await Counter.reserve(VEHICLE_CHANGE_COUNTER, changes.length);
+  await VehicleChange.insertMany(changes.map((change, index) => ({
+    seq: firstSeq + index,
+    excelFileId: change.lookup.excelFileId,
+    op: change.op,
+    agentId: change.agentId,
+    lookupId: change.lookup._id,
+    registrationNumber: change.lookup.registrationNumber,
+    chassisNumber: change.lookup.chassisNumber
+  })), { ordered: false });
+}
+
+// unallocate/allocate entries for a case moving between agents
+function allocationChangesFor(lookup, previousAgentId, nextAgentId) {
+  if (previousAgentId === nextAgentId) {
+    return [];
+  }
+  const changes = [];
+  if (previousAgentId) {
+    changes.push({ lookup, op: 'unallocate', agentId: previousAgentId });
+  }
+  if (nextAgentId) {
+    changes.push({ lookup, op: 'allocate', agentId: nextAgentId });
+  }
+  return changes;
+}
+
+// One case per vehicle - duplicate rows of a file share a case
+function uniqueByCase(lookups) {
+  const seen = new Set();
+  return lookups.filter(lookup => {
+    const key = caseKey(lookup);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Compact case info attached to search results
+function summarizeCase(vehicleCase) {
+  if (!vehicleCase) {
+    return { status: 'pending', assignedAgent: null, statusChangedAt: null };
+  }
+  return {
+    status: vehicleCase.status,
+    assignedAgent: vehicleCase.assignedAgent
+      ? { _id: vehicleCase.assignedAgent, name: vehicleCase.assignedAgentName }
+      : null,
+    statusChangedAt: vehicleCase.statusChangedAt
+  };
+}
+
+/**
+ * Get the cases of many lookups with one query
+ * @param {Array} lookups - VehicleLookup rows ({ _id, excelFileId, registrationNumber, chassisNumber })
+ * @returns {Promise<Map>} lookup _id (string) → VehicleCase (lean), only for lookups that have a case
+ */
+async function getCasesForLookups(lookups) {
+  const byLookupId = new Map();
+  if (!lookups || lookups.length === 0) {
+    return byLookupId;
+  }
+
+  const fileIds = [...new Set(lookups.map(lookup => lookup.excelFileId?.toString()).filter(Boolean))];
+  const registrationNumbers = [...new Set(lookups.map(lookup => normalizeCaseKey(lookup.registrationNumber)))];
+
+  const cases = await VehicleCase.find({
+    excelFileId: { $in: fileIds },
+    registrationNumber: { $in: registrationNumbers }
+  })
+    .select('-history')
+    .lean();
+
+  const casesByKey = new Map(cases.map(vehicleCase => [caseKey(vehicleCase), vehicleCase]));
+  lookups.forEach(lookup => {
+    const vehicleCase = casesByKey.get(caseKey(lookup));
+    if (vehicleCase) {
+      byLookupId.set(lookup._id.toString(), vehicleCase);
+    }
+  });
+
+  return byLookupId;
+}
+
+async function getCaseForLookup(lookup) {
+  return VehicleCase.findOne(caseFilterForLookup(lookup)).lean();
+}
+
+/**
+ * Change the status of a vehicle's case (creating the case on first change)
+ * @param {Object} params
+ * @param {Object} params.lookup - VehicleLookup row
+ * @param {string} params.status - New status
+ * @param {Object} params.user - User making the change
+ * @param {Object} params.agent - Responsible field agent ({ _id, name }) for assigned / in-progress / recovered
+ * @param {string} params.note - Optional note for the history
+ * @param {string} params.inventoryId - Inventory that recovered the vehicle
+ * @param {boolean} params.force - Skip the transition check (Inventory creation)
+ * @returns {Promise<Object|null>} Updated case, or null when the transition is not allowed
+ */
+async function updateCaseStatus({ lookup, status, user, agent = null, note = null, inventoryId = null, force = false }) {
+  const filter = caseFilterForLookup(lookup);
+  const current = await VehicleCase.findOne(filter).select('status assignedAgent').lean();
+  const fromStatus = current?.status || 'pending';
+
+  if (!force && !canTransition(fromStatus, status)) {
+    return null;
+  }
+
+  const now = new Date();
+  const $set = {
+    status,
+    statusChangedAt: now,
+    lookupId: lookup._id
+  };
+
+  if (status === 'pending') {
+    Object.assign($set, { assignedAgent: null, assignedAgentName: null, assignedAt: null });
+  }
+  if (agent) {
+    Object.assign($set, { assignedAgent: agent._id, assignedAgentName: agent.name });
+    if (status === 'assigned' || !current?.assignedAgent) {
+      $set.assignedAt = now;
+    }
+  }
+  if (status === 'in-progress') {
+    $set.startedAt = now;
+  } else if (status === 'recovered') {
+    $set.recoveredAt = now;
+    $set.inventoryId = inventoryId;
+  } else if (status === 'failed') {
+    $set.failedAt = now;
+  }
+
+  const historyEntry = {
+    status,
+    changedBy: user?._id || null,
+    changedByName: user?.name || null,
+    agent: agent?._id || null,
+    note,
+    changedAt: now
+  };
+
+  const updatedCase = await VehicleCase.findOneAndUpdate(
+    current ? { _id: current._id } : filter,
+    { $set, $push: { history: historyEntry } },
+    { new: true, upsert: !current, setDefaultsOnInsert: true }
+  ).lean();
+
+  await recordAllocationChanges(allocationChangesFor(lookup, allocatedAgentId(current), allocatedAgentId(updatedCase)));
+
+  return updatedCase;
+}
+
+/**
+ * Allocate vehicles to a field agent (status "assigned")
+ * Recovered vehicles are skipped; vehicles already allocated to the agent are left as they are.
+ * @param {Object} params
+ * @param {Array} params.lookups - VehicleLookup rows
+ * @param {Object} params.agent - Field agent ({ _id, name })
+ * @param {Object} params.user - User making the allocation
+ * @param {string} params.note - Optional note for the history
+ * @returns {Promise<Object>} { allocated, unchanged, skipped }
+ */
+async function allocateCases({ lookups, agent, user, note = null }) {
+  const summary = { allocated: 0, unchanged: 0, skipped: 0 };
+  const agentId = agent._id.toString();
+  const uniqueLookups = uniqueByCase(lookups);
+
+  for (let i = 0; i < uniqueLookups.length; i += ALLOCATION_CHUNK_SIZE) {
+    const chunk = uniqueLookups.slice(i, i + ALLOCATION_CHUNK_SIZE);
+    const existing = await getCasesForLookups(chunk);
+    const now = new Date();
+    const operations = [];
+    const changes = [];
+
+    for (const lookup of chunk) {
+      const current = existing.get(lookup._id.toString());
+      if (current?.status === 'recovered') {
+        summary.skipped++;
+        continue;
+      }
+      const previousAgentId = allocatedAgentId(current);
+      if (previousAgentId === agentId) {
+        summary.unchanged++;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: current ? { _id: current._id } : caseFilterForLookup(lookup),
+          update: {
+            $set: {
+              status: 'assigned',
+              assignedAgent: agent._id,
+              assignedAgentName: agent.name,
+              assignedAt: now,
+              statusChangedAt: now,
+              lookupId: lookup._id
+            },
+            $push: {
+              history: {
+                status: 'assigned',
+                changedBy: user?._id || null,
+                changedByName: user?.name || null,
+                agent: agent._id,
+                note,
+                changedAt: now
+              }
+            }
+          },
+          upsert: !current
+        }
+      });
+      changes.push(...allocationChangesFor(lookup, previousAgentId, agentId));
+    }
+
+    if (operations.length > 0) {
+      await VehicleCase.bulkWrite(operations, { ordered: false });
+      await recordAllocationChanges(changes);
+      summary.allocated += operations.length;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Release allocated vehicles back to "pending"
+ * @param {Object} params
+ * @param {Array} params.lookups - VehicleLookup rows
+ * @param {Object} params.user - User releasing the vehicles
+ * @param {string} params.agentId - Only release vehicles allocated to this agent (optional)
+ * @returns {Promise<number>} Number of released vehicles
+ */
+async function releaseCases({ lookups, user, agentId = null, note = null }) {
+  let released = 0;
+  const uniqueLookups = uniqueByCase(lookups);
+
+  for (let i = 0; i < uniqueLookups.length; i += ALLOCATION_CHUNK_SIZE) {
+    const chunk = uniqueLookups.slice(i, i + ALLOCATION_CHUNK_SIZE);
+    const existing = await getCasesForLookups(chunk);
+    const now = new Date();
+    const operations = [];
+    const changes = [];
+
+    for (const lookup of chunk) {
+      const current = existing.get(lookup._id.toString());
+      const previousAgentId = allocatedAgentId(current);
+      if (!previousAgentId || (agentId && previousAgentId !== agentId.toString())) {
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: current._id },
+          update: {
+            $set: {
+              status: 'pending',
+              assignedAgent: null,
+              assignedAgentName: null,
+              assignedAt: null,
+              statusChangedAt: now
+            },
+            $push: {
+              history: {
+                status: 'pending',
+                changedBy: user?._id || null,
+                changedByName: user?.name || null,
+                note,
+                changedAt: now
+              }
+            }
+          }
+        }
+      });
+      changes.push(...allocationChangesFor(lookup, previousAgentId, null));
+    }
+
+    if (operations.length > 0) {
+      await VehicleCase.bulkWrite(operations, { ordered: false });
+      await recordAllocationChanges(changes);
+      released += operations.length;
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Work queue of a field agent: open cases, in-progress first, then oldest allocation
+ * @param {string} agentId - Field agent
+ * @param {Array} fileIds - Files the caller can access
+ * @returns {Promise<Array>} VehicleCase documents (lean, without history)
+ */
+async function getAgentQueue(agentId, fileIds) {
+  return VehicleCase.find({
+    assignedAgent: agentId,
+    status: { $in: OPEN_STATUSES },
+    excelFileId: { $in: fileIds }
+  })
+    .select('-history')
+    .sort({ status: -1, assignedAt: 1 })
+    .lean();
+}
+
+module.exports = {
+  ALLOWED_TRANSITIONS,
+  OPEN_STATUSES,
+  normalizeCaseKey,
+  canTransition,
+  summarizeCase,
+  getCasesForLookups,
+  getCaseForLookup,
+  updateCaseStatus,
+  allocateCases,
+  releaseCases,
+  getAgentQueue
+};
@@ -0,0 +1,256 @@
+const VehicleLookup = require('../models/VehicleLookup');
+const DuplicateResolution = require('../models/DuplicateResolution');
+const { normalizeCaseKey } = require('./vehicleCaseService');
+
+/**
+ * Duplicate vehicle detection across Excel files
+ * VehicleLookup allows the same vehicle in many files (e.g. two lenders, or an old
+ * and a new allocation). Rows are grouped by their normalized registration or
+ * chassis number - the same normalization as recovery cases - and an admin can
+ * mark one file of a group as authoritative.
+ */
+
+const KEY_FIELDS = {
+  registration: 'registrationNumber',
+  chassis: 'chassisNumber'
+};
+const MAX_LOOKUPS_PER_GROUP = 50;
+
+// Uppercase, alphanumeric only (aggregation version of normalizeCaseKey)
+const normalizedKeyExpression = (field) => ({
+  $reduce: {
+    input: { $regexFindAll: { input: { $toUpper: { $ifNull: [`$${field}`, ''] } }, regex: /[A-Z0-9]/ } },
+    initialValue: '',
+    in: { $concat: ['$$value', '$$this.match'] }
+  }
+});
+
+/**
+ * Vehicles present in more than one of the given files
+ * @param {Object} params
+ * @param {Array} params.fileIds - Files to look in (ObjectIds)
+ * @param {string} params.keyType - registration | chassis
+ * @param {string} params.search - Only keys containing this text (optional)
+ * @param {number} params.page
+ * @param {number} params.limit
+ * @returns {Promise<Object>} { total, groups: [{ key, count, fileIds, lookups, resolution }] }
+ */
+async function getDuplicateGroups({ fileIds, keyType = 'registration', search = '', page = 1, limit = 20 }) {
+  const field = KEY_FIELDS[keyType];
+  const searchKey = normalizeCaseKey(search);
+
+  const [result] = await VehicleLookup.aggregate([
+    { $match: { excelFileId: { $in: fileIds }, [field]: { $nin: [null, ''] } } },
+    {
+      $project: {
+        excelFileId: 1,
+        registrationNumber: 1,
+        chassisNumber: 1,
+        sheetName: 1,
+        rowNumber: 1,
+        key: normalizedKeyExpression(field)
+      }
+    },
+    { $match: searchKey ? { key: { $regex: searchKey } } : { key: { $ne: '' } } },
+    {
+      $group: {
+        _id: '$key',
+        count: { $sum: 1 },
+        fileIds: { $addToSet: '$excelFileId' },
+        lookups: {
+          $push: {
+            _id: '$_id',
+            excelFileId: '$excelFileId',
+            registrationNumber: '$registrationNumber',
+            chassisNumber: '$chassisNumber',
+            sheetName: '$sheetName',
+            rowNumber: '$rowNumber'
+          }
+        }
+      }
+    },
+    // Only vehicles in two or more files (in-file duplicates are reported at upload)
+    { $match: { 'fileIds.1': { $exists: true } } },
+    { $sort: { _id: 1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        groups: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              key: '$_id',
+              count: 1,
+              fileIds: 1,
+              lookups: { $slice: ['$lookups', MAX_LOOKUPS_PER_GROUP] }
+            }
+          }
+        ]
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const groups = result.groups;
+  const resolutions = await DuplicateResolution.find({
+    keyType,
+    key: { $in: groups.map(group => group.key) }
+  }).lean();
+  const resolutionsByKey = new Map(resolutions.map(resolution => [resolution.key, resolution]));
+
+  groups.forEach(group => {
+    group.resolution = resolutionsByKey.get(group.key) || null;
+  });
+
+  return {
+    total: result.total[0]?.count || 0,
+    groups
+  };
+}
+
+// The stored forms a normalized key is most likely to have been uploaded as
+const storedVariants = (value) => {
+  if (!value) return [];
+  const trimmed = value.toString().trim();
+  return [...new Set([trimmed, trimmed.toUpperCase(), normalizeCaseKey(trimmed)])].filter(Boolean);
+};
+
+/**
+ * Count the other files each search hit also appears in
+ * Matches stored values that equal a hit's registration / chassis number as
+ * uploaded, uppercased or with separators removed (index lookups only).
+ * @param {Array} lookups - VehicleLookup hits ({ _id, excelFileId, registrationNumber, chassisNumber })
+ * @param {Array} fileIds - Files the user can access
+ * @returns {Promise<Map>} lookup _id (string) → { otherFiles, isAuthoritative (null when unresolved) }
+ */
+async function getDuplicateSummaries(lookups, fileIds) {
+  const summaries = new Map();
+  if (!lookups || lookups.length === 0) {
+    return summaries;
+  }
+
+  const registrations = [...new Set(lookups.flatMap(lookup => storedVariants(lookup.registrationNumber)))];
+  const chassisNumbers = [...new Set(lookups.flatMap(lookup => storedVariants(lookup.chassisNumber)))];
+  const conditions = [];
+  if (registrations.length > 0) conditions.push({ registrationNumber: { $in: registrations } });
+  if (chassisNumbers.length > 0) conditions.push({ chassisNumber: { $in: chassisNumbers } });
+  if (conditions.length === 0) {
+    return summaries;
+  }
+
+  const matches = await VehicleLookup.find({ excelFileId: { $in: fileIds }, $or: conditions })
+    .select('registrationNumber chassisNumber excelFileId')
+    .lean();
+
+  const filesByKey = { registration: new Map(), chassis: new Map() };
+  const addFile = (map, key, fileId) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(fileId.toString());
+  };
+  matches.forEach(match => {
+    addFile(filesByKey.registration, normalizeCaseKey(match.registrationNumber), match.excelFileId);
+    addFile(filesByKey.chassis, normalizeCaseKey(match.chassisNumber), match.excelFileId);
+  });
+
+  const keysOf = (lookup) => ({
+    registration: normalizeCaseKey(lookup.registrationNumber),
+    chassis: normalizeCaseKey(lookup.chassisNumber)
+  });
+  const resolutions = await DuplicateResolution.find({
+    $or: [
+      { keyType: 'registration', key: { $in: lookups.map(lookup => keysOf(lookup).registration).filter(Boolean) } },
+      { keyType: 'chassis', key: { $in: lookups.map(lookup => keysOf(lookup).chassis).filter(Boolean) } }
+    ]
+  }).lean();
+  const resolutionsByKey = new Map(resolutions.map(resolution => [`${resolution.keyType}|${resolution.key}`, resolution]));
+
+  lookups.forEach(lookup => {
+    const keys = keysOf(lookup);
+    const ownFileId = lookup.excelFileId.toString();
+    const files = new Set([
+      ...(filesByKey.registration.get(keys.registration) || []),
+      ...(filesByKey.chassis.get(keys.chassis) || [])
+    ]);
+    files.delete(ownFileId);
+
+    // A resolution only counts when the authoritative file is one the user can see in this group
+    const resolution = resolutionsByKey.get(`registration|${keys.registration}`) || resolutionsByKey.get(`chassis|${keys.chassis}`);
+    const authoritativeFileId = resolution?.authoritativeFileId?.toString();
+    const isResolved = authoritativeFileId && (authoritativeFileId === ownFileId || files.has(authoritativeFileId));
+
+    summaries.set(lookup._id.toString(), {
+      otherFiles: files.size,
+      isAuthoritative: files.size > 0 && isResolved ? authoritativeFileId === ownFileId : null
+    });
+  });
+
+  return summaries;
+}
+
+/**
+ * Check that a file holds a vehicle (normalized key)
+ * @returns {Promise<boolean>}
+ */
+async function fileContainsKey(fileId, keyType, key) {
+  const field = KEY_FIELDS[keyType];
+  const [match] = await VehicleLookup.aggregate([
+    { $match: { excelFileId: fileId, [field]: { $nin: [null, ''] } } },
+    { $project: { key: normalizedKeyExpression(field) } },
+    { $match: { key } },
+    { $limit: 1 }
+  ]);
+  return !!match;
+}
+
+/**
+ * Mark the authoritative file of a duplicate group
+ * @param {Object} params
+ * @param {string} params.keyType - registration | chassis
+ * @param {string} params.key - Registration / chassis number (normalized here)
+ * @param {Object} params.fileId - Authoritative ExcelFile _id
+ * @param {Object} params.user - User making the choice
+ * @param {string} params.note - Optional note
+ * @returns {Promise<Object|null>} Resolution, or null when the file does not contain the vehicle
+ */
+async function setAuthoritativeFile({ keyType, key, fileId, user, note = null }) {
+  const normalizedKey = normalizeCaseKey(key);
+  if (!normalizedKey || !(await fileContainsKey(fileId, keyType, normalizedKey))) {
+    return null;
+  }
+
+  return DuplicateResolution.findOneAndUpdate(
+    { keyType, key: normalizedKey },
+    {
+      $set: {
+        authoritativeFileId: fileId,
+        markedBy: user?._id || null,
+        markedByName: user?.name || null,
+        note
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+async function clearAuthoritativeFile({ keyType, key }) {
+  const result = await DuplicateResolution.deleteOne({ keyType, key: normalizeCaseKey(key) });
+  return result.deletedCount > 0;
+}
+
+// Drop the choices that point at a deleted file
+async function clearResolutionsForFile(fileId) {
+  const result = await DuplicateResolution.deleteMany({ authoritativeFileId: fileId });
+  return result.deletedCount || 0;
+}
+
+module.exports = {
+  KEY_FIELDS,
+  storedVariants,
+  getDuplicateGroups,
+  getDuplicateSummaries,
+  setAuthoritativeFile,
+  clearAuthoritativeFile,
+  clearResolutionsForFile
+};
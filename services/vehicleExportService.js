@@ -0,0 +1,146 @@
+const XLSX = require('xlsx');
+const { getMultipleVehicleDataFromExcel, searchVehiclesInExcel } = require('./excelCacheService');
+const { getCasesForLookups, normalizeCaseKey } = require('./vehicleCaseService');
+const { isStoredFile } = require('./storageService');
+const { EXPECTED_HEADERS } = require('../utils/columnMapping');
+
+/**
+ * Vehicle export
+ * Turns VehicleLookup hits back into spreadsheet rows: every canonical column
+ * read from the cached workbook, plus the source file, its uploader and the
+ * recovery case status. Field and filename masking (and the file's masking
+ * policy) is decided by the caller.
+ */
+
+const EXPORT_ROW_LIMIT = 50000;
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+const EXTRA_COLUMNS = ['source_file', 'uploaded_by', 'recovery_status'];
+const EXPORT_COLUMNS = [...EXPECTED_HEADERS, ...EXTRA_COLUMNS];
+
+// Row location understood by getMultipleVehicleDataFromExcel
+const rowLocation = (lookup) => (lookup.sheetName ? { sheetName: lookup.sheetName, rowNumber: lookup.rowNumber } : lookup.rowNumber);
+
+// A stored row still holds the lookup's vehicle (rows move when contents are replaced)
+function rowMatchesLookup(row, lookup) {
+  if (!row) {
+    return false;
+  }
+  const registration = normalizeCaseKey(lookup.registrationNumber);
+  const chassis = normalizeCaseKey(lookup.chassisNumber);
+  return (!registration || normalizeCaseKey(row.registration_number) === registration) &&
+    (!chassis || normalizeCaseKey(row.chasis_number) === chassis);
+}
+
+/**
+ * Read the workbook rows of one file's lookups (same order as lookups, null when missing)
+ */
+async function loadFileRows(excelFile, lookups) {
+  const options = { sheetNames: excelFile.sheetNames };
+  const rows = await getMultipleVehicleDataFromExcel(excelFile.filePath, lookups.map(rowLocation), options);
+
+  const staleIndexes = [];
+  rows.forEach((row, index) => {
+    if (!rowMatchesLookup(row, lookups[index])) {
+      staleIndexes.push(index);
+    }
+  });
+
+  if (staleIndexes.length > 0) {
+    const found = await searchVehiclesInExcel(excelFile.filePath, staleIndexes.map(index => lookups[index]), options);
+    staleIndexes.forEach((rowIndex, i) => {
+      rows[rowIndex] = found[i];
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Build export rows for VehicleLookup hits
+ * @param {Object} params
+ * @param {Array} params.lookups - VehicleLookup rows ({ _id, excelFileId, registrationNumber, chassisNumber, sheetName, rowNumber })
+ * @param {Map} params.files - ExcelFile _id (string) → { excelFile, fileName, uploaderName, visibleFields, maskRow }
+ *   visibleFields: Set of EXPECTED_HEADERS the user may see for that file
+ *   maskRow: optional function applying the file's masking policy to a row
+ * @returns {Promise<Object[]>} Rows keyed by EXPORT_COLUMNS
+ */
+async function buildExportRows({ lookups, files }) {
+  const cases = await getCasesForLookups(lookups);
+
+  const lookupsByFile = new Map();
+  lookups.forEach(lookup => {
+    const fileId = lookup.excelFileId.toString();
+    if (!files.has(fileId)) return;
+    if (!lookupsByFile.has(fileId)) lookupsByFile.set(fileId, []);
+    lookupsByFile.get(fileId).push(lookup);
+  });
+
+  const exportRows = [];
+  for (const [fileId, fileLookups] of lookupsByFile) {
+    const { excelFile, fileName, uploaderName, visibleFields, maskRow } = files.get(fileId);
+
+    let rows = fileLookups.map(() => null);
+    if (isStoredFile(excelFile.filePath)) {
+      try {
+        rows = await loadFileRows(excelFile, fileLookups);
+      } catch (error) {
+        // Keep the lookup's own numbers so the export still lists the vehicle
+        console.error(`❌ Export could not read workbook of ${fileId}:`, error.message);
+      }
+    }
+
+    fileLookups.forEach((lookup, index) => {
+      const storedRow = rows[index] || {
+        registration_number: lookup.registrationNumber,
+        chasis_number: lookup.chassisNumber
+      };
+      const row = maskRow ? maskRow(storedRow) : storedRow;
+      const exportRow = {};
+      EXPECTED_HEADERS.forEach(header => {
+        const value = visibleFields.has(header) ? row[header] : null;
+        exportRow[header] = value === undefined ? null : value;
+      });
+      exportRow.source_file = fileName;
+      exportRow.uploaded_by = uploaderName;
+      exportRow.recovery_status = cases.get(lookup._id.toString())?.status || 'pending';
+      exportRows.push(exportRow);
+    });
+  }
+
+  return exportRows;
+}
+
+/**
+ * Write export rows as an XLSX or CSV file
+ * @param {Object[]} rows - Rows keyed by EXPORT_COLUMNS
+ * @param {string} format - xlsx | csv
+ * @returns {Object} { buffer, contentType, extension }
+ */
+function writeExportFile(rows, format = 'xlsx') {
+  const worksheet = XLSX.utils.json_to_sheet(rows, { header: EXPORT_COLUMNS });
+  worksheet['!cols'] = EXPORT_COLUMNS.map(() => ({ width: 18 }));
+
+  if (format === 'csv') {
+    return {
+      buffer: Buffer.from(XLSX.utils.sheet_to_csv(worksheet), 'utf8'),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv'
+    };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Vehicles');
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  };
+}
+
+module.exports = {
+  EXPORT_ROW_LIMIT,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  buildExportRows,
+  writeExportFile
+};
@@ -0,0 +1,212 @@
+const XLSX = require('xlsx');
+const ExcelFile = require('../models/ExcelFile');
+const VehicleLookup = require('../models/VehicleLookup');
+const { getExcelRows } = require('./excelCacheService');
+const { isStoredFile } = require('./storageService');
+const { extractPincode } = require('./vehicleAllocationService');
+const { PIN_REGIONS, CITIES } = require('../utils/gazetteer');
+
+/**
+ * Offline geocoding of vehicle rows
+ * Each VehicleLookup row gets approximate coordinates from its Excel row, without
+ * any network lookup, in order of precision:
+ *   1. pincode in the address, looked up in the pincode directory (GAZETTEER_FILE)
+ *   2. a known city name in the address, then in the branch (utils/gazetteer)
+ *   3. the 2-digit PIN region of the pincode (utils/gazetteer)
+ * GAZETTEER_FILE is an optional CSV / Excel file with pincode, latitude and
+ * longitude columns (e.g. the India Post pincode directory); offices sharing a
+ * pincode are averaged. Files are geocoded in the background after ingestion.
+ */
+
+const GEOCODE_CHUNK_SIZE = 1000;
+const GEOCODE_FILES_PER_RUN = 3;
+
+let pincodeDirectory = null;
+// Files that failed in this process are not retried until restart (they would block the queue)
+const failedFileIds = new Set();
+
+/**
+ * Pincode → [latitude, longitude] from GAZETTEER_FILE (loaded once, empty when not configured)
+ */
+function getPincodeDirectory() {
+  if (pincodeDirectory) {
+    return pincodeDirectory;
+  }
+
+  pincodeDirectory = new Map();
+  const filePath = process.env.GAZETTEER_FILE;
+  if (!filePath) {
+    return pincodeDirectory;
+  }
+
+  try {
+    const workbook = XLSX.readFile(filePath, { raw: true });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: null });
+    const sums = new Map();
+
+    rows.forEach(row => {
+      const values = {};
+      Object.entries(row).forEach(([key, value]) => {
+        values[key.toString().trim().toLowerCase()] = value;
+      });
+      const pincode = (values.pincode ?? values.pin ?? '').toString().trim();
+      const latitude = parseFloat(values.latitude ?? values.lat);
+      const longitude = parseFloat(values.longitude ?? values.lng ?? values.lon);
+      if (!/^\d{6}$/.test(pincode) || !isValidPosition(latitude, longitude)) {
+        return;
+      }
+      const sum = sums.get(pincode) || { latitude: 0, longitude: 0, count: 0 };
+      sum.latitude += latitude;
+      sum.longitude += longitude;
+      sum.count++;
+      sums.set(pincode, sum);
+    });
+
+    sums.forEach((sum, pincode) => {
+      pincodeDirectory.set(pincode, [sum.latitude / sum.count, sum.longitude / sum.count]);
+    });
+    console.log(`🗺️  Loaded ${pincodeDirectory.size} pincodes from ${filePath}`);
+  } catch (error) {
+    console.error(`❌ Could not load gazetteer file ${filePath}:`, error.message);
+  }
+
+  return pincodeDirectory;
+}
+
+function isValidPosition(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0);
+}
+
+// Last known city mentioned in a text (addresses usually end with the city)
+function findCity(text) {
+  const words = (text || '').toString().toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+  let found = null;
+  for (let i = 0; i < words.length; i++) {
+    const twoWords = i + 1 < words.length ? `${words[i]} ${words[i + 1]}` : null;
+    if (twoWords && CITIES[twoWords]) {
+      found = CITIES[twoWords];
+      i++;
+    } else if (CITIES[words[i]]) {
+      found = CITIES[words[i]];
+    }
+  }
+  return found;
+}
+
+const toLocation = ([latitude, longitude], precision) => ({
+  location: { type: 'Point', coordinates: [longitude, latitude] },
+  geoPrecision: precision
+});
+
+/**
+ * Approximate position of an Excel row
+ * @param {Object} row - Row keyed by canonical header (address, branch)
+ * @returns {Object|null} { location: GeoJSON Point, geoPrecision } or null when unknown
+ */
+function geocodeRow(row) {
+  const pincode = extractPincode(row.address);
+  const exact = pincode ? getPincodeDirectory().get(pincode) : null;
+  if (exact) {
+    return toLocation(exact, 'pincode');
+  }
+
+  const city = findCity(row.address) || findCity(row.branch);
+  if (city) {
+    return toLocation(city, 'city');
+  }
+
+  const region = pincode ? PIN_REGIONS[pincode.slice(0, 2)] : null;
+  return region ? toLocation(region, 'region') : null;
+}
+
+const rowKey = (registrationNumber, chassisNumber) =>
+  `${(registrationNumber || '').toString().trim().toUpperCase()}|${(chassisNumber || '').toString().trim().toUpperCase()}`;
+
+/**
+ * Store gazetteer coordinates on every VehicleLookup row of a file
+ * @param {Object} excelFile - ExcelFile ({ _id, filePath, sheetNames })
+ * @returns {Promise<number>} Number of rows that got a position
+ */
+async function geocodeExcelFile(excelFile) {
+  const startedAt = new Date();
+  let located = 0;
+
+  if (isStoredFile(excelFile.filePath)) {
+    const rows = await getExcelRows(excelFile.filePath, { sheetNames: excelFile.sheetNames });
+    const positions = new Map();
+    rows.forEach(row => {
+      const key = rowKey(row.registration_number, row.chasis_number);
+      if (!positions.has(key)) {
+        positions.set(key, geocodeRow(row));
+      }
+    });
+
+    const lookups = await VehicleLookup.find({ excelFileId: excelFile._id })
+      .select('registrationNumber chassisNumber _id')
+      .lean();
+
+    for (let i = 0; i < lookups.length; i += GEOCODE_CHUNK_SIZE) {
+      const bulkOps = lookups.slice(i, i + GEOCODE_CHUNK_SIZE).map(lookup => {
+        const position = positions.get(rowKey(lookup.registrationNumber, lookup.chassisNumber));
+        if (position) {
+          located++;
+        }
+        return {
+          updateOne: {
+            filter: { _id: lookup._id },
+            update: position ? { $set: position } : { $unset: { location: '', geoPrecision: '' } }
+          }
+        };
+      });
+      await VehicleLookup.bulkWrite(bulkOps, { ordered: false });
+    }
+  }
+
+  // Contents replaced meanwhile: leave it pending so the new rows are geocoded too.
+  // timestamps: false - offline clients treat updatedAt changes as new data
+  await ExcelFile.updateOne(
+    { _id: excelFile._id, updatedAt: { $lte: startedAt } },
+    { geocodedAt: new Date() },
+    { timestamps: false }
+  );
+
+  return located;
+}
+
+/**
+ * Scheduler entry point: geocode active, fully ingested files that are still pending
+ */
+async function runVehicleGeocoding() {
+  try {
+    const pendingFiles = await ExcelFile.find({
+      _id: { $nin: [...failedFileIds] },
+      isActive: true,
+      status: { $in: ['completed', 'partial'] },
+      geocodedAt: null
+    })
+      .sort({ createdAt: 1 })
+      .limit(GEOCODE_FILES_PER_RUN)
+      .select('_id originalName filePath sheetNames')
+      .lean();
+
+    for (const excelFile of pendingFiles) {
+      try {
+        const located = await geocodeExcelFile(excelFile);
+        console.log(`📍 Geocoded ${located} vehicles of ${excelFile.originalName}`);
+      } catch (error) {
+        failedFileIds.add(excelFile._id.toString());
+        console.error(`❌ Error geocoding Excel file ${excelFile._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error running vehicle geocoding:', error);
+  }
+}
+
+module.exports = {
+  geocodeRow,
+  geocodeExcelFile,
+  runVehicleGeocoding
+};
@@ -0,0 +1,97 @@
+const {
+  EXPECTED_HEADERS,
+  normalizeHeader,
+  resolveHeaders,
+  detectProfile,
+  buildTemplateHeaders
+} = require('../columnMapping');
+
+const bankMappings = [
+  { sourceHeader: 'Vehicle No', targetField: 'registration_number' },
+  { sourceHeader: 'Chassis No.', targetField: 'chasis_number' },
+  { sourceHeader: 'Borrower', targetField: 'customer_name' }
+];
+
+// A header row using the bank's names for the mapped fields and canonical names for the rest
+const bankHeaders = () => EXPECTED_HEADERS.map(field =>
+  ({ registration_number: 'Vehicle No', chasis_number: 'Chassis No.', customer_name: 'Borrower' })[field] || field
+);
+
+describe('normalizeHeader', () => {
+  it('ignores case, spacing and punctuation', () => {
+    expect(normalizeHeader('Chassis No.')).toBe('chassisno');
+    expect(normalizeHeader(' chassis_no ')).toBe('chassisno');
+    expect(normalizeHeader(null)).toBe('');
+    expect(normalizeHeader(17)).toBe('17');
+  });
+});
+
+describe('resolveHeaders', () => {
+  it('maps aliases regardless of case and punctuation', () => {
+    const { resolvedHeaders, mappedColumns } = resolveHeaders(['VEHICLE NO', 'chassis-no', 'make'], bankMappings);
+    expect(resolvedHeaders).toEqual(['registration_number', 'chasis_number', 'make']);
+    expect(mappedColumns).toBe(2);
+  });
+
+  it('resolves a full bank header row with nothing missing', () => {
+    const { resolvedHeaders, missingHeaders, mappedColumns } = resolveHeaders(bankHeaders(), bankMappings);
+    expect(resolvedHeaders).toEqual(EXPECTED_HEADERS);
+    expect(missingHeaders).toEqual([]);
+    expect(mappedColumns).toBe(3);
+  });
+
+  it('lets a canonical header win over an alias for the same field', () => {
+    const { resolvedHeaders, mappedColumns } = resolveHeaders(['Vehicle No', 'registration_number'], bankMappings);
+    expect(resolvedHeaders).toEqual(['Vehicle No', 'registration_number']);
+    expect(mappedColumns).toBe(0);
+  });
+
+  it('maps only the first column when two aliases target the same field', () => {
+    const mappings = [...bankMappings, { sourceHeader: 'Reg Number', targetField: 'registration_number' }];
+    const { resolvedHeaders, mappedColumns } = resolveHeaders(['Reg Number', 'Vehicle No'], mappings);
+    expect(resolvedHeaders).toEqual(['registration_number', 'Vehicle No']);
+    expect(mappedColumns).toBe(1);
+  });
+
+  it('keeps the first mapping when a source header is mapped twice', () => {
+    const mappings = [...bankMappings, { sourceHeader: 'vehicle no', targetField: 'chasis_number' }];
+    expect(resolveHeaders(['Vehicle No'], mappings).resolvedHeaders).toEqual(['registration_number']);
+  });
+
+  it('reports missing required columns and leaves unknown headers as they are', () => {
+    const { resolvedHeaders, missingHeaders } = resolveHeaders(['Vehicle No', 'Remarks', undefined], bankMappings);
+    expect(resolvedHeaders).toEqual(['registration_number', 'Remarks', null]);
+    expect(missingHeaders).toEqual(EXPECTED_HEADERS.filter(header => header !== 'registration_number'));
+  });
+});
+
+describe('detectProfile', () => {
+  it('ignores profiles that leave required columns missing or map nothing', () => {
+    const partial = { name: 'partial', mappings: bankMappings.slice(0, 1) };
+    const unused = { name: 'unused', mappings: [{ sourceHeader: 'Remarks', targetField: 'address' }] };
+    expect(detectProfile(bankHeaders(), [partial])).toBeNull();
+    expect(detectProfile([...EXPECTED_HEADERS], [unused])).toBeNull();
+  });
+
+  it('picks the profile that resolves every header', () => {
+    const bank = { name: 'bank', mappings: bankMappings };
+    const headers = bankHeaders().map(header => (header === 'make' ? 'Manufacturer' : header));
+    const bankWithMake = { name: 'bank with make', mappings: [...bankMappings, { sourceHeader: 'Manufacturer', targetField: 'make' }] };
+
+    expect(detectProfile(bankHeaders(), [bank]).profile).toBe(bank);
+    expect(detectProfile(headers, [bank, bankWithMake]).profile).toBe(bankWithMake);
+  });
+
+  it('keeps the first of two profiles that map the same number of columns', () => {
+    const bank = { name: 'bank', mappings: bankMappings };
+    const copy = { name: 'copy', mappings: [...bankMappings] };
+    expect(detectProfile(bankHeaders(), [bank, copy]).profile).toBe(bank);
+  });
+});
+
+describe('buildTemplateHeaders', () => {
+  it('uses the profile names for mapped fields and canonical names for the rest', () => {
+    expect(buildTemplateHeaders(bankMappings)).toEqual(bankHeaders());
+    expect(buildTemplateHeaders()).toEqual(EXPECTED_HEADERS);
+  });
+});
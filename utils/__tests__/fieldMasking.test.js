@@ -0,0 +1,122 @@
+const {
+  MASKING_ROLES,
+  MASKABLE_FIELDS,
+  getMaskingRole,
+  partialMask,
+  normalizeMaskingPolicy,
+  maskingPolicyToObject,
+  applyMaskingPolicy
+} = require('../fieldMasking');
+
+const vehicle = {
+  registration_number: 'MH12AB1234',
+  customer_name: 'Ravi Kumar',
+  address: '12 Park Street',
+  loan_number: 'LN00987654',
+  first_confirmer_name: 'Asha Rao',
+  first_confirmer_no: '9876543210',
+  second_confirmer_name: 'Vikram Shah',
+  second_confirmer_no: '9123456780',
+  third_confirmer_name: 'Neha Jain',
+  third_confirmer_no: '9988776655'
+};
+
+const policyFor = (role, mode) => normalizeMaskingPolicy({
+  [role]: Object.fromEntries(MASKABLE_FIELDS.map(field => [field, mode]))
+});
+
+describe('getMaskingRole', () => {
+  it('never masks super admins or the file owner', () => {
+    expect(getMaskingRole({ role: 'superSuperAdmin' }, false)).toBeNull();
+    expect(getMaskingRole({ role: 'superAdmin' }, false)).toBeNull();
+    expect(getMaskingRole({ role: 'admin' }, true)).toBeNull();
+  });
+
+  it('maps shared admins, auditors and field agents to their policy group', () => {
+    expect(getMaskingRole({ role: 'admin' }, false)).toBe('sharedAdmin');
+    expect(getMaskingRole({ role: 'auditor' }, true)).toBe('auditor');
+    expect(getMaskingRole({ role: 'fieldAgent' }, false)).toBe('fieldAgent');
+  });
+});
+
+describe('applyMaskingPolicy', () => {
+  it.each(MASKING_ROLES)('hides every maskable field from %s', (role) => {
+    const masked = applyMaskingPolicy(vehicle, policyFor(role, 'hide'), role);
+    MASKABLE_FIELDS.forEach(field => {
+      expect(masked[field]).toBeNull();
+      expect(masked.maskedFields[field]).toBe('hide');
+    });
+    expect(masked.registration_number).toBe(vehicle.registration_number);
+  });
+
+  it.each(MASKING_ROLES)('partially masks every maskable field for %s', (role) => {
+    const masked = applyMaskingPolicy(vehicle, policyFor(role, 'partial'), role);
+    MASKABLE_FIELDS.forEach(field => {
+      expect(masked[field]).toBe(partialMask(vehicle[field]));
+      expect(masked[field]).not.toBe(vehicle[field]);
+      expect(masked.maskedFields[field]).toBe('partial');
+    });
+  });
+
+  it('applies only the rules of the viewer group', () => {
+    const policy = policyFor('auditor', 'hide');
+    expect(applyMaskingPolicy(vehicle, policy, 'fieldAgent')).toBe(vehicle);
+    expect(applyMaskingPolicy(vehicle, policy, null)).toBe(vehicle);
+  });
+
+  it('hides every maskable field from an unknown role', () => {
+    const role = getMaskingRole({ role: 'contractor' }, true);
+    expect(role).not.toBeNull();
+
+    [[], policyFor('fieldAgent', 'partial')].forEach(policy => {
+      const masked = applyMaskingPolicy(vehicle, policy, role);
+      MASKABLE_FIELDS.forEach(field => expect(masked[field]).toBeNull());
+    });
+    expect(applyMaskingPolicy(vehicle, [], getMaskingRole({}, false)).customer_name).toBeNull();
+  });
+
+  it('hides every maskable field when the stored policy is malformed', () => {
+    const masked = applyMaskingPolicy(vehicle, { fieldAgent: { customer_name: 'partial' } }, 'fieldAgent');
+    MASKABLE_FIELDS.forEach(field => expect(masked[field]).toBeNull());
+  });
+
+  it('hides a field whose mode is unknown', () => {
+    const masked = applyMaskingPolicy(vehicle, [{ role: 'auditor', field: 'customer_name', mode: 'blur' }], 'auditor');
+    expect(masked.customer_name).toBeNull();
+    expect(masked.maskedFields).toEqual({ customer_name: 'hide' });
+  });
+});
+
+describe('normalizeMaskingPolicy', () => {
+  it('stores only non-show rules', () => {
+    expect(normalizeMaskingPolicy({
+      auditor: { first_confirmer_no: 'partial', customer_name: 'show' },
+      fieldAgent: { address: 'hide' }
+    })).toEqual([
+      { role: 'auditor', field: 'first_confirmer_no', mode: 'partial' },
+      { role: 'fieldAgent', field: 'address', mode: 'hide' }
+    ]);
+    expect(normalizeMaskingPolicy('{"sharedAdmin":{"loan_number":"hide"}}')).toEqual([
+      { role: 'sharedAdmin', field: 'loan_number', mode: 'hide' }
+    ]);
+    expect(normalizeMaskingPolicy(null)).toEqual([]);
+  });
+
+  it('rejects unknown roles, fields, modes and malformed input', () => {
+    expect(normalizeMaskingPolicy({ contractor: { customer_name: 'hide' } })).toBeNull();
+    expect(normalizeMaskingPolicy({ auditor: { registration_number: 'hide' } })).toBeNull();
+    expect(normalizeMaskingPolicy({ auditor: { customer_name: 'blur' } })).toBeNull();
+    expect(normalizeMaskingPolicy({ auditor: 'hide' })).toBeNull();
+    expect(normalizeMaskingPolicy([{ role: 'auditor', field: 'customer_name' }])).toBeNull();
+    expect(normalizeMaskingPolicy('{not json')).toBeNull();
+    expect(normalizeMaskingPolicy(true)).toBeNull();
+    expect(normalizeMaskingPolicy(5)).toBeNull();
+  });
+
+  it('round-trips through maskingPolicyToObject', () => {
+    const policy = policyFor('sharedAdmin', 'partial');
+    const asObject = maskingPolicyToObject(policy);
+    expect(Object.keys(asObject)).toEqual(MASKING_ROLES);
+    expect(normalizeMaskingPolicy(asObject)).toEqual(policy);
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  parseRegistrationNumber,
+  buildRegistrationSearchQuery
+} = require('../registrationNumberParser');
+
+// Whether a stored registration number satisfies a query built for a search term
+const matches = (query, registrationNumber) => (query.$or || [query]).some(condition => {
+  const { $regex, $options } = condition.registrationNumber;
+  return new RegExp($regex, $options).test(registrationNumber);
+});
+
+describe('parseRegistrationNumber', () => {
+  it('parses standard plates with separators', () => {
+    expect(parseRegistrationNumber('mh-12 ab 1234')).toMatchObject({
+      type: 'standard',
+      stateCode: 'MH',
+      rtoCode: '12',
+      series: 'AB',
+      number: '1234',
+      lastFourDigits: '1234'
+    });
+  });
+
+  it('parses single digit RTO codes and three letter series', () => {
+    expect(parseRegistrationNumber('DL3CAB1234')).toMatchObject({ rtoCode: '3', series: 'CAB', number: '1234' });
+  });
+
+  it('parses Bharat, temporary, trade and legacy plates', () => {
+    expect(parseRegistrationNumber('22BH1234AA')).toMatchObject({ type: 'bharat', registrationYear: '22', series: 'AA' });
+    expect(parseRegistrationNumber('T0324DL1234AB')).toMatchObject({ type: 'temporary', stateCode: 'DL', temporaryValidity: '0324' });
+    expect(parseRegistrationNumber('MH12TC1234')).toMatchObject({ type: 'trade', series: 'TC' });
+    expect(parseRegistrationNumber('DLA1234')).toMatchObject({ type: 'legacy', stateCode: null, series: 'DLA' });
+  });
+
+  it('rejects unknown state codes and free text', () => {
+    expect(parseRegistrationNumber('XX12AB1234')).toBeNull();
+    expect(parseRegistrationNumber('not a plate')).toBeNull();
+    expect(parseRegistrationNumber('')).toBeNull();
+  });
+});
+
+describe('buildRegistrationSearchQuery', () => {
+  it('leaves partial input to the substring search', () => {
+    expect(buildRegistrationSearchQuery('MH12')).toBeNull();
+    expect(buildRegistrationSearchQuery('MH12AB12')).toBeNull();
+    expect(buildRegistrationSearchQuery('MH12AB234')).toBeNull();
+    expect(buildRegistrationSearchQuery('DLA12')).toBeNull();
+  });
+
+  it('matches a full plate regardless of separators, case and RTO zero padding', () => {
+    const query = buildRegistrationSearchQuery('MH12AB1234');
+    expect(matches(query, 'MH12AB1234')).toBe(true);
+    expect(matches(query, 'mh 12 ab 1234')).toBe(true);
+    expect(matches(query, 'MH-12-AB-1234')).toBe(true);
+
+    expect(matches(buildRegistrationSearchQuery('DL3CAB1234'), 'DL03CAB1234')).toBe(true);
+  });
+
+  it('does not match a different series or number', () => {
+    const query = buildRegistrationSearchQuery('MH12AB1234');
+    expect(matches(query, 'MH12CD1234')).toBe(false);
+    expect(matches(query, 'MH12AB11234')).toBe(false);
+    expect(matches(query, 'MH12AB1235')).toBe(false);
+    expect(matches(query, 'MH13AB1234')).toBe(false);
+    expect(matches(query, 'MH112AB1234')).toBe(false);
+  });
+
+  it('matches plates without a series', () => {
+    const query = buildRegistrationSearchQuery('MH121234');
+    expect(matches(query, 'MH 12 1234')).toBe(true);
+    expect(matches(query, 'MH12AB1234')).toBe(false);
+  });
+
+  it('matches Bharat plates in both layouts', () => {
+    const query = buildRegistrationSearchQuery('22BH1234AA');
+    expect(matches(query, '22 BH 1234 AA')).toBe(true);
+    expect(matches(query, 'BH22AA1234')).toBe(true);
+    expect(matches(query, '22BH1234AB')).toBe(false);
+  });
+});
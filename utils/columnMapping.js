@@ -0,0 +1,139 @@
+/**
+ * Excel Column Mapping
+ * Maps bank-specific header names (e.g. "Vehicle No", "Chassis No.") onto the
+ * canonical headers the upload pipeline and the Excel cache service expect.
+ */
+
+// Expected Excel headers
+const EXPECTED_HEADERS = [
+  'registration_number',
+  'first_confirmer_name',
+  'first_confirmer_no',
+  'second_confirmer_name',
+  'second_confirmer_no',
+  'third_confirmer_name',
+  'third_confirmer_no',
+  'loan_number',
+  'make',
+  'chasis_number',
+  'engine_number',
+  'emi',
+  'pos',
+  'bucket',
+  'customer_name',
+  'address',
+  'branch',
+  'sec_17',
+  'seasoning',
+  'tbr',
+  'allocation',
+  'model',
+  'product_name'
+];
+
+/**
+ * Normalize a header for comparison (case, spacing and punctuation insensitive)
+ * "Chassis No." and "chassis_no" both become "chassisno"
+ * @param {*} header - Raw header cell value
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  if (header === null || header === undefined) {
+    return '';
+  }
+  return header.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Resolve a header row against a mapping profile
+ * Exact canonical headers always win; profile mappings fill in the rest.
+ * @param {Array} headers - Header row (index = column)
+ * @param {Array} mappings - Profile mappings [{ sourceHeader, targetField }] (optional)
+ * @returns {Object} { resolvedHeaders, missingHeaders, mappedColumns }
+ */
+function resolveHeaders(headers, mappings = []) {
+  const lookup = new Map();
+  mappings.forEach(mapping => {
+    const key = normalizeHeader(mapping.sourceHeader);
+    if (key && !lookup.has(key)) {
+      lookup.set(key, mapping.targetField);
+    }
+  });
+
+  const resolvedHeaders = [];
+  const used = new Set();
+
+  // First pass: headers that already use canonical names
+  headers.forEach((header, col) => {
+    if (EXPECTED_HEADERS.includes(header) && !used.has(header)) {
+      resolvedHeaders[col] = header;
+      used.add(header);
+    }
+  });
+
+  // Second pass: profile mappings for the remaining columns
+  let mappedColumns = 0;
+  headers.forEach((header, col) => {
+    if (resolvedHeaders[col] !== undefined) {
+      return;
+    }
+    const target = lookup.get(normalizeHeader(header));
+    if (target && !used.has(target)) {
+      resolvedHeaders[col] = target;
+      used.add(target);
+      mappedColumns++;
+    } else {
+      resolvedHeaders[col] = header === undefined ? null : header;
+    }
+  });
+
+  return {
+    resolvedHeaders,
+    missingHeaders: EXPECTED_HEADERS.filter(header => !used.has(header)),
+    mappedColumns
+  };
+}
+
+/**
+ * Pick the profile that best matches a header row
+ * Only profiles that resolve every expected header are considered; ties go to
+ * the profile that maps the most columns.
+ * @param {Array} headers - Header row (index = column)
+ * @param {Array} profiles - Candidate ColumnMappingProfile documents
+ * @returns {Object|null} { profile, resolution }
+ */
+function detectProfile(headers, profiles) {
+  let best = null;
+
+  for (const profile of profiles) {
+    const resolution = resolveHeaders(headers, profile.mappings);
+    if (resolution.missingHeaders.length > 0 || resolution.mappedColumns === 0) {
+      continue;
+    }
+    if (!best || resolution.mappedColumns > best.resolution.mappedColumns) {
+      best = { profile, resolution };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Build the header row a template should carry for a profile
+ * @param {Array} mappings - Profile mappings (optional)
+ * @returns {Array<string>} One header per expected field
+ */
+function buildTemplateHeaders(mappings = []) {
+  return EXPECTED_HEADERS.map(field => {
+    const mapping = mappings.find(m => m.targetField === field);
+    return mapping ? mapping.sourceHeader : field;
+  });
+}
+
+module.exports = {
+  EXPECTED_HEADERS,
+  normalizeHeader,
+  resolveHeaders,
+  detectProfile,
+  buildTemplateHeaders
+};
@@ -0,0 +1,130 @@
+/**
+ * Capture time of a JPEG photo from its EXIF data
+ * Reads DateTimeOriginal (falling back to DateTime) and OffsetTimeOriginal
+ * without decoding the image. Other formats (PNG, HEIC...) return null.
+ */
+
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TYPE_ASCII = 2;
+
+// Read the tags of one IFD: tag → { type, count, valueOffset }
+function readIfd(buffer, tiffStart, ifdOffset, littleEndian) {
+  const readUInt16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readUInt32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const tags = new Map();
+  const start = tiffStart + ifdOffset;
+  if (start + 2 > buffer.length) {
+    return tags;
+  }
+
+  const count = readUInt16(start);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > buffer.length) {
+      break;
+    }
+    tags.set(readUInt16(entry), {
+      type: readUInt16(entry + 2),
+      count: readUInt32(entry + 4),
+      // Values of up to 4 bytes are stored in place, larger ones at an offset from the TIFF header
+      valueOffset: readUInt32(entry + 4) > 4 ? tiffStart + readUInt32(entry + 8) : entry + 8,
+      value: readUInt32(entry + 8)
+    });
+  }
+  return tags;
+}
+
+function readAscii(buffer, tag) {
+  if (!tag || tag.type !== TYPE_ASCII || tag.valueOffset + tag.count > buffer.length) {
+    return null;
+  }
+  return buffer.toString('ascii', tag.valueOffset, tag.valueOffset + tag.count).replace(/\0+$/, '').trim() || null;
+}
+
+/**
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object|null} { dateTime: 'YYYY:MM:DD HH:MM:SS', offset: '+05:30' | null }
+ */
+function readExifDateTime(buffer) {
+  if (!buffer || buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+    return null;
+  }
+
+  let position = 2;
+  while (position + 4 <= buffer.length && buffer[position] === 0xFF) {
+    const marker = buffer[position + 1];
+    const length = buffer.readUInt16BE(position + 2);
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xDA) {
+      break;
+    }
+
+    const isExif = marker === 0xE1 && buffer.toString('ascii', position + 4, position + 10) === 'Exif\0\0';
+    if (isExif) {
+      const tiffStart = position + 10;
+      const byteOrder = buffer.toString('ascii', tiffStart, tiffStart + 2);
+      if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        return null;
+      }
+      const littleEndian = byteOrder === 'II';
+      const ifd0Offset = littleEndian ? buffer.readUInt32LE(tiffStart + 4) : buffer.readUInt32BE(tiffStart + 4);
+
+      const ifd0 = readIfd(buffer, tiffStart, ifd0Offset, littleEndian);
+      const exifIfd = ifd0.has(TAG_EXIF_IFD)
+        ? readIfd(buffer, tiffStart, ifd0.get(TAG_EXIF_IFD).value, littleEndian)
+        : new Map();
+
+      const dateTime = readAscii(buffer, exifIfd.get(TAG_DATE_TIME_ORIGINAL)) || readAscii(buffer, ifd0.get(TAG_DATE_TIME));
+      if (!dateTime) {
+        return null;
+      }
+      return { dateTime, offset: readAscii(buffer, exifIfd.get(TAG_OFFSET_TIME_ORIGINAL)) };
+    }
+
+    position += 2 + length;
+  }
+
+  return null;
+}
+
+/**
+ * Capture time of a photo as a Date
+ * Without an EXIF time offset the camera's local time is read in the server's time zone.
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object|null} { takenAt: Date, exifDateTime: raw EXIF value }
+ */
+function getPhotoTakenAt(buffer) {
+  let exif;
+  try {
+    exif = readExifDateTime(buffer);
+  } catch (error) {
+    // Truncated or malformed metadata
+    return null;
+  }
+
+  const match = exif?.dateTime.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const offset = /^[+-]\d{2}:\d{2}$/.test(exif.offset || '') ? exif.offset : '';
+  const takenAt = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  if (isNaN(takenAt.getTime())) {
+    return null;
+  }
+
+  return {
+    takenAt,
+    exifDateTime: offset ? `${exif.dateTime} ${offset}` : exif.dateTime
+  };
+}
+
+module.exports = {
+  readExifDateTime,
+  getPhotoTakenAt
+};
@@ -0,0 +1,165 @@
+/**
+ * Field-level masking of vehicle PII
+ * Each Excel file can carry a masking policy: for every viewer group, a mode per
+ * field - hide, partial (mostly starred out) or show (default). Super admins and
+ * the file's owner / primary admin always see everything; the policy narrows what
+ * other admins the file is shared with, auditors and field agents receive.
+ */
+
+const MASK_MODES = ['hide', 'partial', 'show'];
+
+// sharedAdmin = any admin who is not the file's owner / primary admin
+const MASKING_ROLES = ['sharedAdmin', 'auditor', 'fieldAgent'];
+
+const MASKABLE_FIELDS = [
+  'customer_name',
+  'address',
+  'loan_number',
+  'first_confirmer_name',
+  'first_confirmer_no',
+  'second_confirmer_name',
+  'second_confirmer_no',
+  'third_confirmer_name',
+  'third_confirmer_no'
+];
+
+/**
+ * Which policy group a viewer falls into for a file
+ * @param {Object} user - Viewer (req.user)
+ * @param {boolean} isFileOwner - Viewer may see the file's real name (owner / primary admin or their auditor)
+ * @returns {string|null} sharedAdmin | auditor | fieldAgent, or null when nothing is masked
+ *   (any other role is returned as is, and applyMaskingPolicy hides every field from it)
+ */
+function getMaskingRole(user, isFileOwner) {
+  if (user.role === 'superSuperAdmin' || user.role === 'superAdmin') {
+    return null;
+  }
+  if (user.role === 'admin') {
+    return isFileOwner ? null : 'sharedAdmin';
+  }
+  return user.role || 'unknown';
+}
+
+/**
+ * Star out most of a value: phone / account numbers keep their last 4 digits,
+ * names and addresses the first letter of each word
+ */
+function partialMask(value) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+
+  const text = value.toString();
+  const digitCount = text.replace(/\D/g, '').length;
+  if (digitCount >= 6 && digitCount >= text.replace(/\s/g, '').length * 0.6) {
+    let keep = 4;
+    return text.split('').reverse().map(char => {
+      if (!/\d/.test(char)) return char;
+      return keep-- > 0 ? char : 'X';
+    }).reverse().join('');
+  }
+
+  return text.split(/(\s+)/).map(word =>
+    /^\s+$/.test(word) || word.length <= 1 ? word : word[0] + '*'.repeat(word.length - 1)
+  ).join('');
+}
+
+/**
+ * Convert a client policy ({ auditor: { first_confirmer_no: 'partial' }, ... } or the stored array) to the stored form
+ * @returns {Array|null} [{ role, field, mode }] without "show" entries, or null when the policy is invalid
+ */
+function normalizeMaskingPolicy(input) {
+  let policy = input;
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!policy) {
+    return [];
+  }
+  if (typeof policy !== 'object') {
+    return null;
+  }
+
+  const rules = Array.isArray(policy)
+    ? policy
+    : Object.entries(policy).flatMap(([role, fields]) =>
+      fields && typeof fields === 'object'
+        ? Object.entries(fields).map(([field, mode]) => ({ role, field, mode }))
+        : [{ role, field: null, mode: null }]
+    );
+
+  const normalized = [];
+  for (const rule of rules) {
+    if (!rule || !MASKING_ROLES.includes(rule.role) || !MASKABLE_FIELDS.includes(rule.field) || !MASK_MODES.includes(rule.mode)) {
+      return null;
+    }
+    if (rule.mode !== 'show') {
+      normalized.push({ role: rule.role, field: rule.field, mode: rule.mode });
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Stored policy as { role: { field: mode } } (fields not listed are shown)
+ */
+function maskingPolicyToObject(policy = []) {
+  const result = Object.fromEntries(MASKING_ROLES.map(role => [role, {}]));
+  (policy || []).forEach(rule => {
+    if (result[rule.role]) {
+      result[rule.role][rule.field] = rule.mode;
+    }
+  });
+  return result;
+}
+
+/**
+ * Apply a file's policy to a vehicle payload
+ * Hidden fields become null and are listed in maskedFields with partial ones.
+ * Fails closed: an unknown viewer group, a malformed policy or an unknown mode hides the field.
+ * @param {Object} vehicle - Vehicle fields keyed by canonical header
+ * @param {Array} policy - ExcelFile.maskingPolicy
+ * @param {string|null} maskingRole - From getMaskingRole
+ * @returns {Object} Masked copy (the same object when nothing applies)
+ */
+function applyMaskingPolicy(vehicle, policy, maskingRole) {
+  if (!vehicle || !maskingRole) {
+    return vehicle;
+  }
+
+  const rules = MASKING_ROLES.includes(maskingRole) && (!policy || Array.isArray(policy))
+    ? (policy || []).filter(rule => rule && rule.role === maskingRole && rule.mode !== 'show')
+    : MASKABLE_FIELDS.map(field => ({ field, mode: 'hide' }));
+  if (rules.length === 0) {
+    return vehicle;
+  }
+
+  const masked = { ...vehicle };
+  const maskedFields = {};
+  rules.forEach(({ field, mode }) => {
+    if (!(field in masked)) return;
+    const partial = mode === 'partial';
+    masked[field] = partial ? partialMask(masked[field]) : null;
+    maskedFields[field] = partial ? 'partial' : 'hide';
+  });
+
+  if (Object.keys(maskedFields).length > 0) {
+    masked.maskedFields = maskedFields;
+  }
+  return masked;
+}
+
+module.exports = {
+  MASK_MODES,
+  MASKING_ROLES,
+  MASKABLE_FIELDS,
+  getMaskingRole,
+  partialMask,
+  normalizeMaskingPolicy,
+  maskingPolicyToObject,
+  applyMaskingPolicy
+};
@@ -0,0 +1,243 @@
+/**
+ * Built-in offline gazetteer (approximate coordinates, no network lookups)
+ *
+ * PIN_REGIONS: centroid of each 2-digit PIN code region (the first two digits
+ * identify the postal region / sorting circle) - coarse, tens of km.
+ * CITIES: major cities and district towns, matched by name in address / branch.
+ *
+ * A full pincode directory (pincode, latitude, longitude) can be added with the
+ * GAZETTEER_FILE environment variable - see services/vehicleGeocodingService.
+ * Coordinates are [latitude, longitude].
+ */
+
+const PIN_REGIONS = {
+  11: [28.61, 77.21], // Delhi
+  12: [28.90, 76.60], // Haryana (Gurugram, Rohtak, Hisar)
+  13: [29.70, 76.90], // Haryana (Karnal, Panipat, Ambala)
+  14: [31.00, 75.60], // Punjab (Ludhiana, Jalandhar, Amritsar)
+  15: [30.30, 75.00], // Punjab (Bathinda, Patiala)
+  16: [30.73, 76.78], // Chandigarh, Mohali
+  17: [31.50, 77.00], // Himachal Pradesh
+  18: [32.73, 74.86], // Jammu
+  19: [34.08, 74.80], // Kashmir, Ladakh
+  20: [27.90, 78.10], // Uttar Pradesh west (Noida, Ghaziabad, Aligarh, Kanpur)
+  21: [25.40, 81.80], // Uttar Pradesh (Prayagraj, Banda, Fatehpur)
+  22: [26.50, 81.80], // Uttar Pradesh (Lucknow, Ayodhya, Sultanpur)
+  23: [25.30, 83.00], // Uttar Pradesh east (Varanasi, Mirzapur, Ghazipur)
+  24: [29.00, 79.00], // Uttar Pradesh / Uttarakhand (Moradabad, Bareilly, Dehradun)
+  25: [29.20, 77.60], // Uttar Pradesh (Meerut, Muzaffarnagar)
+  26: [28.60, 80.00], // Uttarakhand (Kumaon), Sitapur, Lakhimpur
+  27: [26.70, 83.00], // Uttar Pradesh east (Gorakhpur, Azamgarh, Basti)
+  28: [27.00, 78.50], // Uttar Pradesh (Agra, Mathura, Jhansi)
+  30: [26.90, 75.80], // Rajasthan (Jaipur)
+  31: [25.50, 74.50], // Rajasthan (Ajmer, Bhilwara, Udaipur)
+  32: [25.80, 76.20], // Rajasthan (Kota, Bharatpur)
+  33: [28.00, 74.00], // Rajasthan (Bikaner, Sikar, Ganganagar)
+  34: [26.30, 72.50], // Rajasthan (Jodhpur, Barmer, Jaisalmer)
+  36: [22.30, 70.80], // Gujarat (Rajkot, Jamnagar, Bhavnagar)
+  37: [23.25, 69.67], // Gujarat (Kutch)
+  38: [23.00, 72.60], // Gujarat (Ahmedabad, Gandhinagar, Mehsana)
+  39: [21.90, 73.00], // Gujarat (Vadodara, Surat, Valsad)
+  40: [19.10, 73.00], // Maharashtra (Mumbai, Thane, Raigad), Goa
+  41: [18.50, 74.30], // Maharashtra (Pune, Ahmednagar, Kolhapur)
+  42: [20.30, 74.50], // Maharashtra (Nashik, Dhule, Jalgaon)
+  43: [19.50, 76.00], // Maharashtra (Aurangabad, Jalna, Nanded)
+  44: [20.80, 78.50], // Maharashtra (Nagpur, Amravati, Akola)
+  45: [22.80, 75.90], // Madhya Pradesh (Indore, Ujjain, Dewas)
+  46: [23.20, 77.50], // Madhya Pradesh (Bhopal, Vidisha)
+  47: [25.00, 78.50], // Madhya Pradesh (Gwalior, Sagar)
+  48: [23.50, 80.50], // Madhya Pradesh (Jabalpur, Rewa, Satna)
+  49: [21.50, 82.00], // Chhattisgarh
+  50: [17.70, 79.00], // Telangana
+  51: [15.00, 78.50], // Andhra Pradesh (Kurnool, Anantapur, Kadapa)
+  52: [16.00, 80.30], // Andhra Pradesh (Vijayawada, Guntur, Nellore)
+  53: [17.20, 82.20], // Andhra Pradesh (Visakhapatnam, Rajahmundry)
+  56: [13.00, 77.60], // Karnataka (Bengaluru, Kolar)
+  57: [13.20, 76.00], // Karnataka (Mysuru, Mangaluru, Shivamogga)
+  58: [15.60, 75.80], // Karnataka (Hubballi, Ballari, Kalaburagi)
+  59: [15.85, 74.50], // Karnataka (Belagavi)
+  60: [12.90, 80.00], // Tamil Nadu (Chennai, Kanchipuram)
+  61: [11.30, 79.40], // Tamil Nadu (Tiruchirappalli, Thanjavur), Puducherry
+  62: [9.50, 78.00], // Tamil Nadu (Madurai, Tirunelveli)
+  63: [11.80, 78.30], // Tamil Nadu (Salem, Vellore, Erode)
+  64: [11.00, 77.00], // Tamil Nadu (Coimbatore, Tiruppur)
+  67: [11.20, 75.90], // Kerala (Kozhikode, Kannur, Palakkad)
+  68: [9.90, 76.40], // Kerala (Kochi, Thrissur, Kottayam)
+  69: [8.80, 76.80], // Kerala (Thiruvananthapuram, Kollam)
+  70: [22.57, 88.36], // West Bengal (Kolkata)
+  71: [22.90, 87.90], // West Bengal (Howrah, Hooghly, Bardhaman)
+  72: [22.60, 87.20], // West Bengal (Medinipur, Bankura, Purulia)
+  73: [26.30, 88.50], // West Bengal north (Siliguri, Jalpaiguri, Malda)
+  74: [23.20, 88.50], // West Bengal (Nadia, Murshidabad)
+  75: [20.30, 85.80], // Odisha (Bhubaneswar, Cuttack, Puri)
+  76: [19.30, 84.30], // Odisha south (Berhampur, Koraput)
+  77: [21.50, 84.50], // Odisha west (Sambalpur, Rourkela)
+  78: [26.20, 92.50], // Assam
+  79: [25.50, 93.50], // North East (Shillong, Imphal, Aizawl, Agartala)
+  80: [25.50, 85.00], // Bihar (Patna)
+  81: [25.00, 86.80], // Bihar / Jharkhand (Bhagalpur, Munger, Deoghar)
+  82: [24.20, 85.20], // Bihar / Jharkhand (Gaya, Hazaribagh)
+  83: [23.20, 85.80], // Jharkhand (Ranchi, Jamshedpur, Dhanbad)
+  84: [26.10, 85.40], // Bihar north (Muzaffarpur, Darbhanga)
+  85: [25.80, 87.00] // Bihar (Purnia, Begusarai)
+};
+
+const CITIES = {
+  DELHI: [28.61, 77.21],
+  'NEW DELHI': [28.61, 77.21],
+  NOIDA: [28.54, 77.39],
+  GHAZIABAD: [28.67, 77.45],
+  GURGAON: [28.46, 77.03],
+  GURUGRAM: [28.46, 77.03],
+  FARIDABAD: [28.41, 77.32],
+  SONIPAT: [28.99, 77.02],
+  PANIPAT: [29.39, 76.97],
+  KARNAL: [29.69, 76.99],
+  ROHTAK: [28.90, 76.61],
+  HISAR: [29.15, 75.72],
+  AMBALA: [30.38, 76.78],
+  CHANDIGARH: [30.73, 76.78],
+  MOHALI: [30.70, 76.72],
+  LUDHIANA: [30.90, 75.85],
+  JALANDHAR: [31.33, 75.58],
+  AMRITSAR: [31.63, 74.87],
+  PATIALA: [30.34, 76.39],
+  BATHINDA: [30.21, 74.95],
+  SHIMLA: [31.10, 77.17],
+  JAMMU: [32.73, 74.86],
+  SRINAGAR: [34.08, 74.80],
+  DEHRADUN: [30.32, 78.03],
+  HARIDWAR: [29.95, 78.16],
+  HALDWANI: [29.22, 79.51],
+  MEERUT: [28.98, 77.71],
+  MUZAFFARNAGAR: [29.47, 77.70],
+  SAHARANPUR: [29.96, 77.55],
+  MORADABAD: [28.84, 78.77],
+  BAREILLY: [28.37, 79.43],
+  ALIGARH: [27.88, 78.08],
+  AGRA: [27.18, 78.01],
+  MATHURA: [27.49, 77.67],
+  JHANSI: [25.45, 78.57],
+  KANPUR: [26.45, 80.33],
+  LUCKNOW: [26.85, 80.95],
+  AYODHYA: [26.80, 82.20],
+  PRAYAGRAJ: [25.44, 81.85],
+  ALLAHABAD: [25.44, 81.85],
+  VARANASI: [25.32, 82.97],
+  GORAKHPUR: [26.76, 83.37],
+  JAIPUR: [26.91, 75.79],
+  AJMER: [26.45, 74.64],
+  JODHPUR: [26.24, 73.02],
+  UDAIPUR: [24.59, 73.71],
+  KOTA: [25.18, 75.83],
+  BIKANER: [28.02, 73.31],
+  AHMEDABAD: [23.02, 72.57],
+  GANDHINAGAR: [23.22, 72.65],
+  SURAT: [21.17, 72.83],
+  VADODARA: [22.31, 73.18],
+  BARODA: [22.31, 73.18],
+  RAJKOT: [22.30, 70.80],
+  BHAVNAGAR: [21.76, 72.15],
+  JAMNAGAR: [22.47, 70.06],
+  MUMBAI: [19.08, 72.88],
+  THANE: [19.22, 72.98],
+  'NAVI MUMBAI': [19.03, 73.03],
+  KALYAN: [19.24, 73.13],
+  PUNE: [18.52, 73.86],
+  NASHIK: [20.00, 73.79],
+  NAGPUR: [21.15, 79.09],
+  AURANGABAD: [19.88, 75.34],
+  SOLAPUR: [17.66, 75.91],
+  KOLHAPUR: [16.70, 74.24],
+  AMRAVATI: [20.93, 77.75],
+  PANAJI: [15.49, 73.83],
+  INDORE: [22.72, 75.86],
+  BHOPAL: [23.26, 77.41],
+  GWALIOR: [26.22, 78.18],
+  JABALPUR: [23.18, 79.99],
+  UJJAIN: [23.18, 75.78],
+  RAIPUR: [21.25, 81.63],
+  BILASPUR: [22.08, 82.15],
+  DURG: [21.19, 81.28],
+  BHILAI: [21.21, 81.38],
+  HYDERABAD: [17.39, 78.49],
+  SECUNDERABAD: [17.44, 78.50],
+  WARANGAL: [17.97, 79.59],
+  KARIMNAGAR: [18.44, 79.13],
+  VIJAYAWADA: [16.51, 80.65],
+  GUNTUR: [16.31, 80.44],
+  VISAKHAPATNAM: [17.69, 83.22],
+  VIZAG: [17.69, 83.22],
+  NELLORE: [14.44, 79.99],
+  TIRUPATI: [13.63, 79.42],
+  KURNOOL: [15.83, 78.04],
+  RAJAHMUNDRY: [17.00, 81.80],
+  BENGALURU: [12.97, 77.59],
+  BANGALORE: [12.97, 77.59],
+  MYSURU: [12.30, 76.64],
+  MYSORE: [12.30, 76.64],
+  MANGALURU: [12.91, 74.86],
+  MANGALORE: [12.91, 74.86],
+  HUBBALLI: [15.36, 75.12],
+  HUBLI: [15.36, 75.12],
+  BELAGAVI: [15.85, 74.50],
+  BELGAUM: [15.85, 74.50],
+  KALABURAGI: [17.33, 76.83],
+  GULBARGA: [17.33, 76.83],
+  CHENNAI: [13.08, 80.27],
+  COIMBATORE: [11.02, 76.96],
+  MADURAI: [9.93, 78.12],
+  TIRUCHIRAPPALLI: [10.79, 78.70],
+  TRICHY: [10.79, 78.70],
+  SALEM: [11.66, 78.15],
+  TIRUNELVELI: [8.71, 77.76],
+  VELLORE: [12.92, 79.13],
+  ERODE: [11.34, 77.72],
+  TIRUPPUR: [11.11, 77.34],
+  PUDUCHERRY: [11.94, 79.81],
+  PONDICHERRY: [11.94, 79.81],
+  KOCHI: [9.93, 76.27],
+  COCHIN: [9.93, 76.27],
+  ERNAKULAM: [9.98, 76.28],
+  THIRUVANANTHAPURAM: [8.52, 76.94],
+  TRIVANDRUM: [8.52, 76.94],
+  KOZHIKODE: [11.26, 75.78],
+  CALICUT: [11.26, 75.78],
+  THRISSUR: [10.53, 76.21],
+  KOLLAM: [8.89, 76.61],
+  KANNUR: [11.87, 75.37],
+  KOLKATA: [22.57, 88.36],
+  HOWRAH: [22.59, 88.31],
+  DURGAPUR: [23.52, 87.31],
+  ASANSOL: [23.67, 86.95],
+  SILIGURI: [26.73, 88.40],
+  BHUBANESWAR: [20.30, 85.82],
+  CUTTACK: [20.46, 85.88],
+  ROURKELA: [22.26, 84.85],
+  SAMBALPUR: [21.47, 83.97],
+  BERHAMPUR: [19.31, 84.79],
+  GUWAHATI: [26.14, 91.74],
+  DIBRUGARH: [27.47, 94.91],
+  SILCHAR: [24.83, 92.78],
+  SHILLONG: [25.58, 91.89],
+  IMPHAL: [24.82, 93.94],
+  AGARTALA: [23.83, 91.29],
+  AIZAWL: [23.73, 92.72],
+  KOHIMA: [25.67, 94.11],
+  ITANAGAR: [27.08, 93.61],
+  PATNA: [25.59, 85.14],
+  GAYA: [24.79, 85.00],
+  MUZAFFARPUR: [26.12, 85.39],
+  BHAGALPUR: [25.24, 86.97],
+  DARBHANGA: [26.15, 85.90],
+  PURNIA: [25.78, 87.47],
+  RANCHI: [23.34, 85.31],
+  JAMSHEDPUR: [22.80, 86.20],
+  DHANBAD: [23.80, 86.43],
+  BOKARO: [23.67, 86.15]
+};
+
+module.exports = {
+  PIN_REGIONS,
+  CITIES
+};
@@ -1,56 +1,91 @@
 /**
  * Indian Vehicle Registration Number Parser
- * Format: [State Code (2 letters)][2 digits][2 letters][4 digits]
- * Examples: WB24OP1614, HR26CD5678, DL01AB1234, UP32EF9012
- * Special: BH (Bharat number) - BH12AB1234
+ * Standard: [State (2 letters)][RTO (1-2 digits)][Series (0-3 letters)][Number (1-4 digits)]
+ * Examples: WB24OP1614, DL3CAB1234, MH12A1234, HR26CD5678
+ * Bharat:    22BH1234AA (also the legacy BH12AB1234 form)
+ * Temporary: T0324DL1234AB, MH12TEMP1234
+ * Trade:     MH12TC1234 (TC series is reserved for trade certificates)
+ * Legacy:    DLA1234 (pre-1989 three-letter series)
  */
 
+// Separators people type or store between plate components
+const SEPARATOR_PATTERN = /[\s\-./]/g;
+// Regex fragment matching optional separators in stored registration numbers
+const SEP = '[\\s\\-./]*';
+
+/**
+ * Supported formats, checked in order (first match wins)
+ */
+const REGISTRATION_FORMATS = [
+  {
+    type: 'bharat',
+    pattern: /^(\d{2})BH(\d{4})([A-Z]{1,2})$/,
+    build: ([, year, number, series]) => ({ stateCode: 'BH', rtoCode: null, series, number, registrationYear: year })
+  },
+  {
+    type: 'bharat',
+    pattern: /^BH(\d{2})([A-Z]{1,2})(\d{4})$/,
+    build: ([, year, series, number]) => ({ stateCode: 'BH', rtoCode: null, series, number, registrationYear: year })
+  },
+  {
+    type: 'temporary',
+    pattern: /^T(\d{4})([A-Z]{2})(\d{4})([A-Z]{1,2})$/,
+    build: ([, validity, stateCode, number, series]) => ({ stateCode, rtoCode: null, series, number, temporaryValidity: validity })
+  },
+  {
+    type: 'temporary',
+    pattern: /^([A-Z]{2})(\d{1,2})?(?:TEMP|TMP)(\d{1,4})$/,
+    build: ([, stateCode, rtoCode, number]) => ({ stateCode, rtoCode: rtoCode || null, series: null, number })
+  },
+  {
+    type: 'trade',
+    pattern: /^([A-Z]{2})(\d{1,2})TC(\d{1,4})$/,
+    build: ([, stateCode, rtoCode, number]) => ({ stateCode, rtoCode, series: 'TC', number })
+  },
+  {
+    type: 'standard',
+    pattern: /^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{1,4})$/,
+    build: ([, stateCode, rtoCode, series, number]) => ({ stateCode, rtoCode, series: series || null, number })
+  },
+  {
+    type: 'legacy',
+    pattern: /^([A-Z]{3})(\d{1,4})$/,
+    build: ([, series, number]) => ({ stateCode: null, rtoCode: null, series, number })
+  }
+];
+
 /**
- * Extract state code and last 4 digits from registration number
+ * Parse a registration number into its components
  * @param {string} registrationNumber - Full registration number
- * @returns {Object|null} { stateCode: string, lastFourDigits: string, isBharat: boolean }
+ * @returns {Object|null} { type, stateCode, rtoCode, series, number, lastFourDigits, isBharat, fullNumber }
+ *   type is one of standard, bharat, temporary, trade, legacy. Legacy plates
+ *   carry no state code (stateCode is null).
  */
 function parseRegistrationNumber(registrationNumber) {
   if (!registrationNumber || typeof registrationNumber !== 'string') {
     return null;
   }
 
-  const cleaned = registrationNumber.trim().toUpperCase().replace(/\s+/g, '');
-  
-  // Check for BH (Bharat number) - BH12AB1234 format
-  if (cleaned.startsWith('BH') && cleaned.length >= 10) {
-    const lastFour = cleaned.slice(-4);
-    if (/^\d{4}$/.test(lastFour)) {
-      return {
-        stateCode: 'BH',
-        lastFourDigits: lastFour,
-        isBharat: true,
-        fullNumber: cleaned
-      };
+  const cleaned = registrationNumber.trim().toUpperCase().replace(SEPARATOR_PATTERN, '');
+
+  for (const format of REGISTRATION_FORMATS) {
+    const match = cleaned.match(format.pattern);
+    if (!match) {
+      continue;
     }
-  }
 
-  // Standard format: [State Code (2 letters)][2 digits][2 letters][4 digits]
-  // Minimum length: 10 characters (e.g., WB24OP1614)
-  // Pattern: 2 letters + 2 digits + 2 letters + 4 digits = 10 characters minimum
-  if (cleaned.length >= 10) {
-    // Extract state code (first 2 letters)
-    const stateCode = cleaned.substring(0, 2);
-    // Extract last 4 digits (last 4 characters)
-    const lastFour = cleaned.slice(-4);
-    
-    // Validate: state code must be 2 uppercase letters, last 4 must be 4 digits
-    // Also check that the format matches: [2 letters][2 digits][2 letters][4 digits]
-    const formatMatch = /^[A-Z]{2}\d{2}[A-Z]{2}\d{4}$/.test(cleaned);
-    
-    if (/^[A-Z]{2}$/.test(stateCode) && /^\d{4}$/.test(lastFour) && formatMatch) {
-      return {
-        stateCode: stateCode,
-        lastFourDigits: lastFour,
-        isBharat: false,
-        fullNumber: cleaned
-      };
+    const components = format.build(match);
+    if (components.stateCode && !INDIAN_STATE_CODES.includes(components.stateCode)) {
+      continue;
     }
+
+    return {
+      type: format.type,
+      ...components,
+      lastFourDigits: components.number.slice(-4),
+      isBharat: format.type === 'bharat',
+      fullNumber: cleaned
+    };
   }
 
   return null;
@@ -76,9 +111,53 @@ function getLastFourDigits(registrationNumber) {
   return parsed ? parsed.lastFourDigits : null;
 }
 
+/**
+ * Regex patterns matching every supported format for a state and number
+ * @param {string|null} stateCode - State code, or null for any state
+ * @param {string} digits - Number (or its leading digits when partial)
+ * @param {boolean} exact - Digits are the complete number
+ * @returns {string[]} Patterns for registrationNumber
+ */
+function getStatePatterns(stateCode, digits, exact) {
+  const end = exact ? '$' : '';
+  // Bharat and temporary plates end with series letters after the number
+  const endWithSeries = exact ? `${SEP}[A-Z]{1,2}$` : '';
+
+  if (!stateCode) {
+    return exact
+      ? [`${digits}$`, `${digits}${endWithSeries}`]
+      : [digits];
+  }
+
+  if (stateCode === 'BH') {
+    return [
+      `^BH.*${digits}${end}`,
+      `^\\d{2}${SEP}BH${SEP}\\d{0,3}${digits}${endWithSeries}`
+    ];
+  }
+
+  return [
+    `^${stateCode}.*${digits}${end}`,
+    `^T${SEP}\\d{4}${SEP}${stateCode}${SEP}\\d{0,3}${digits}${endWithSeries}`
+  ];
+}
+
+function toRegexQuery(patterns) {
+  if (patterns.length === 1) {
+    return { registrationNumber: { $regex: patterns[0], $options: 'i' } };
+  }
+
+  return {
+    $or: patterns.map(pattern => ({
+      registrationNumber: { $regex: pattern, $options: 'i' }
+    }))
+  };
+}
+
 /**
  * Build search query for state code + last 4 digits using RUNTIME PARSING (Level 3)
- * No stored fields - parses registrationNumber at query time using regex
+ * No stored fields - parses registrationNumber at query time using regex.
+ * Covers standard, trade and temporary plates for the state, and Bharat plates.
  * @param {string} stateCode - State code (2 letters) or 'ALL' for all states
  * @param {string} lastFourDigits - Last 4 digits (can be partial like '16' or full '1614')
  * @returns {Object} MongoDB query object using regex on registrationNumber field
@@ -94,56 +173,196 @@ function buildStateCodeSearchQuery(stateCode, lastFourDigits) {
     return null;
   }
 
-  // LEVEL 3: Runtime parsing - build regex on registrationNumber field
-  // Format: [State Code (2 letters)][2 digits][2 letters][4 digits]
-  // Example: DL01AB1237 -> State: DL, Last4: 1237
-  
-  let regexPattern;
-  
-  if (stateCode && stateCode !== 'ALL' && stateCode !== '') {
-    // Search specific state code: ^DL.*1237$ or ^DL.*123$ (for partial)
-    if (cleanDigits.length === 4) {
-      // Exact 4 digits match
-      regexPattern = `^${stateCode}.*${cleanDigits}$`;
-    } else {
-      // Partial digits (1-3) - match prefix
-      regexPattern = `^${stateCode}.*${cleanDigits}`;
-    }
-    
-    // Also include BH (Bharat) numbers if searching for any state (except when searching BH specifically)
-    if (stateCode !== 'BH') {
-      let bhPattern;
-      if (cleanDigits.length === 4) {
-        bhPattern = `^BH.*${cleanDigits}$`;
-      } else {
-        bhPattern = `^BH.*${cleanDigits}`;
-      }
-      
-      return {
-        $or: [
-          { registrationNumber: { $regex: regexPattern, $options: 'i' } },
-          { registrationNumber: { $regex: bhPattern, $options: 'i' } }
-        ]
-      };
-    }
-    
-    return {
-      registrationNumber: { $regex: regexPattern, $options: 'i' }
-    };
-  } else {
-    // Search all states - match last 4 digits anywhere in registration number
-    if (cleanDigits.length === 4) {
-      // Exact 4 digits at the end
-      regexPattern = `${cleanDigits}$`;
-    } else {
-      // Partial digits - match anywhere (slower but works)
-      regexPattern = cleanDigits;
+  const exact = cleanDigits.length === 4;
+  const state = stateCode && stateCode !== 'ALL' ? stateCode.toUpperCase() : null;
+
+  const patterns = getStatePatterns(state, cleanDigits, exact);
+  // Bharat numbers are valid in every state, so include them in state searches
+  if (state && state !== 'BH') {
+    patterns.push(...getStatePatterns('BH', cleanDigits, exact));
+  }
+
+  return toRegexQuery(patterns);
+}
+
+// Formats whose plate ends with the number: input with fewer than four digits
+// there may be the start of a longer plate (MH12 -> MH12AB1234), not a full plate
+const NUMBER_LAST_TYPES = ['standard', 'trade', 'temporary', 'legacy'];
+
+/**
+ * Build search query for a complete registration number using its parsed
+ * components, so separators and formatting differences in stored values still match
+ * @param {string|Object} registrationNumber - Registration number or parseRegistrationNumber() result
+ * @returns {Object|null} MongoDB query, or null when the number is not a complete plate
+ *   in a supported format (callers fall back to a substring search)
+ */
+function buildRegistrationSearchQuery(registrationNumber) {
+  const parsed = typeof registrationNumber === 'string'
+    ? parseRegistrationNumber(registrationNumber)
+    : registrationNumber;
+
+  if (!parsed || (NUMBER_LAST_TYPES.includes(parsed.type) && parsed.number.length < 4)) {
+    return null;
+  }
+
+  const { type, stateCode, rtoCode, series, number, registrationYear, temporaryValidity } = parsed;
+
+  switch (type) {
+    case 'bharat':
+      return toRegexQuery([
+        `^${registrationYear}${SEP}BH${SEP}${number}${SEP}${series}$`,
+        `^BH${SEP}${registrationYear}${SEP}${series}${SEP}${number}$`
+      ]);
+    case 'temporary':
+      return temporaryValidity
+        ? toRegexQuery([`^T${SEP}${temporaryValidity}${SEP}${stateCode}${SEP}${number}${SEP}${series}$`])
+        : toRegexQuery([`^${stateCode}${SEP}${rtoCode ? `0?${Number(rtoCode)}${SEP}` : ''}T(EM)?P${SEP}${number}$`]);
+    case 'legacy':
+      return toRegexQuery([`^${series}${SEP}0*${Number(number)}$`]);
+    default:
+      // Standard and trade: state + RTO (with or without leading zero) + series + number
+      return toRegexQuery([series
+        ? `^${stateCode}${SEP}0?${Number(rtoCode)}${SEP}${series}${SEP}(?<!\\d)0*${number}$`
+        : `^${stateCode}${SEP}0?${Number(rtoCode)}${SEP}0*${number}$`]);
+  }
+}
+
+/**
+ * Characters agents commonly misread on plates (photos, dirty plates, by eye).
+ * Each letter is folded onto the digit it is confused with.
+ */
+const CONFUSABLE_CHARACTERS = {
+  O: '0',
+  I: '1',
+  B: '8',
+  S: '5'
+};
+
+const CONFUSABLE_CLASSES = {
+  O: '[O0]', '0': '[O0]',
+  I: '[I1]', '1': '[I1]',
+  B: '[B8]', '8': '[B8]',
+  S: '[S5]', '5': '[S5]'
+};
+
+/**
+ * Normalise a registration number so that confusable characters compare equal
+ * @param {string} value - Registration number as typed or stored
+ * @returns {string} Uppercase alphanumeric skeleton, e.g. "MH12AB1234" -> "MH12A81234"
+ */
+function normalizeConfusables(value) {
+  if (!value) {
+    return '';
+  }
+
+  return value
+    .toString()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/[OIBS]/g, char => CONFUSABLE_CHARACTERS[char]);
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
     }
-    
-    return {
-      registrationNumber: { $regex: regexPattern, $options: 'i' }
-    };
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function toConfusablePattern(cleaned) {
+  return cleaned
+    .split('')
+    .map(char => CONFUSABLE_CLASSES[char] || char)
+    .join('');
+}
+
+/**
+ * Build a candidate query for tolerant registration search
+ * Matches the term anywhere (so a missing state code still hits) with confusable
+ * characters widened, plus anything sharing the last four characters so a
+ * dropped or extra character in the middle can still be ranked.
+ * @param {string} searchTerm - Registration number as typed
+ * @returns {Object|null} MongoDB query on registrationNumber
+ */
+function buildFuzzyRegistrationQuery(searchTerm) {
+  const cleaned = (searchTerm || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (cleaned.length < 3) {
+    return null;
+  }
+
+  const patterns = [toConfusablePattern(cleaned)];
+  if (cleaned.length >= 6) {
+    patterns.push(`${toConfusablePattern(cleaned.slice(-4))}$`);
+  }
+
+  return {
+    $or: patterns.map(pattern => ({
+      registrationNumber: { $regex: pattern, $options: 'i' }
+    }))
+  };
+}
+
+/**
+ * Edit distance between a typed term and a stored registration number after
+ * folding confusable characters. The state code is optional: the term is also
+ * compared against the number without its first two letters, and a term that
+ * is wholly contained in the number counts as an exact match.
+ * @returns {number} Distance (0 = equivalent)
+ */
+function getRegistrationMatchDistance(searchTerm, registrationNumber) {
+  const term = normalizeConfusables(searchTerm);
+  const candidate = normalizeConfusables(registrationNumber);
+
+  if (!term || !candidate) {
+    return Infinity;
+  }
+  if (candidate.includes(term)) {
+    return 0;
   }
+
+  let distance = editDistance(term, candidate);
+  if (/^[A-Z]{2}/.test(registrationNumber.toString().toUpperCase()) && candidate.length > 2) {
+    distance = Math.min(distance, editDistance(term, candidate.slice(2)));
+  }
+
+  return distance;
+}
+
+/**
+ * Rank candidates by match distance, dropping those too far from the term
+ * @param {string} searchTerm - Registration number as typed
+ * @param {Array<Object>} candidates - Objects with a registrationNumber field
+ * @param {number} [maxDistance] - Defaults to 1 for short terms, 2 otherwise
+ * @returns {Array<Object>} Candidates with matchDistance, closest first
+ */
+function rankFuzzyRegistrationMatches(searchTerm, candidates, maxDistance) {
+  const limit = maxDistance !== undefined
+    ? maxDistance
+    : (normalizeConfusables(searchTerm).length <= 6 ? 1 : 2);
+
+  return candidates
+    .map(candidate => ({
+      ...candidate,
+      matchDistance: getRegistrationMatchDistance(searchTerm, candidate.registrationNumber)
+    }))
+    .filter(candidate => candidate.matchDistance <= limit)
+    .sort((a, b) => a.matchDistance - b.matchDistance ||
+      (a.registrationNumber || '').localeCompare(b.registrationNumber || ''));
 }
 
 /**
@@ -153,7 +372,7 @@ const INDIAN_STATE_CODES = [
   'AP', 'AR', 'AS', 'BR', 'CG', 'DL', 'GA', 'GJ', 'HR', 'HP',
   'JK', 'JH', 'KA', 'KL', 'LD', 'MP', 'MH', 'MN', 'ML', 'MZ',
   'NL', 'OR', 'PB', 'PY', 'RJ', 'SK', 'TN', 'TS', 'TR', 'UP',
-  'UK', 'WB', 'AN', 'CH', 'DN', 'DD', 'LA', 'BH'
+  'UK', 'WB', 'AN', 'CH', 'DN', 'DD', 'LA', 'BH', 'OD', 'TG'
 ];
 
 module.exports = {
@@ -161,5 +380,11 @@ module.exports = {
   getStateCode,
   getLastFourDigits,
   buildStateCodeSearchQuery,
+  buildRegistrationSearchQuery,
+  normalizeConfusables,
+  editDistance,
+  buildFuzzyRegistrationQuery,
+  getRegistrationMatchDistance,
+  rankFuzzyRegistrationMatches,
   INDIAN_STATE_CODES
 };